@@ -1,7 +1,63 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+// Referral and rakeback program (MinesRewards), told about every bet as it starts
+interface IMinesRewards {
+    function recordBet(address player, address token, uint256 betAmount, uint16 edgeBps, address referrer) external;
+}
+
+// Deployed behind a transparent proxy, so upgrades keep games, pools and balances at one
+// address. New state variables only go after the last one here; the upgrade script has the
+// OpenZeppelin plugin reject any layout change that would move existing slots.
+contract MinesGame is Initializable, AccessControlUpgradeable, ReentrancyGuardUpgradeable, PausableUpgradeable {
+    using SafeERC20 for IERC20;
+
+    // Commits server seeds; DEFAULT_ADMIN_ROLE manages roles, pools and timeouts
+    bytes32 public constant HOUSE_ROLE = keccak256("HOUSE_ROLE");
+    // Tunes the game for new bets (house edge, bet limits, mine range) and pauses new games
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    // Boards are square, from 3x3 to 8x8; each game picks its size when it starts
+    uint8 public constant MIN_BOARD_SIZE = 3;
+    uint8 public constant MAX_BOARD_SIZE = 8;
+    // Multipliers are 18-decimal fixed point; src/payout.js mirrors the math exactly
+    uint256 public constant MULTIPLIER_PRECISION = 1e18;
+    uint16 public constant BASIS_POINTS = 10000;
+    uint16 public constant MAX_HOUSE_EDGE_BPS = 1000;
+    uint256 public constant MAX_WITHDRAW_COOLDOWN = 30 days;
+    // Pools are keyed by token; native STT uses the zero address
+    address public constant NATIVE_TOKEN = address(0);
+    uint16 public constant DEFAULT_MAX_PAYOUT_BPS = 100;
+    uint256 public constant MAX_SESSION_DURATION = 1 days;
+    uint256 public constant MIN_GAME_TIMEOUT = 10 minutes;
+    uint256 public constant MAX_GAME_TIMEOUT = 30 days;
+
+    // EIP-712 domain of every signature. It is fixed, apart from the chain and the proxy's
+    // address, so it is built from constants rather than kept in storage or immutables.
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant DOMAIN_NAME_HASH = keccak256("MinesGame");
+    bytes32 private constant DOMAIN_VERSION_HASH = keccak256("1");
+
+    // EIP-712 types: the player signs a Session to delegate to a temporary key,
+    // which then signs the moves. Every signature uses the player's next session nonce.
+    bytes32 private constant SESSION_TYPEHASH =
+        keccak256("Session(address player,address key,address token,uint256 spendCap,uint64 expiry,uint256 nonce)");
+    bytes32 private constant REVEAL_TILE_TYPEHASH = keccak256("RevealTile(address player,uint8 tileIndex,uint256 nonce)");
+    bytes32 private constant REVEAL_TILES_TYPEHASH =
+        keccak256("RevealTiles(address player,uint8[] tileIndices,uint8 cashOutAt,uint256 nonce)");
+    bytes32 private constant CASH_OUT_TYPEHASH = keccak256("CashOut(address player,uint256 nonce)");
 
-contract MinesGame {
     struct Game {
         address player;
         uint256 betAmount;
@@ -10,142 +66,714 @@ contract MinesGame {
         bool[] revealedTiles;
         uint8[] mineLocations;
         bool isActive;
+        bytes32 serverSeedHash;
+        bytes32 clientSeed;
+        bytes32 serverSeed;
+        uint8[] pickedTiles;
+        bool cashOutRequested;
+        uint16 houseEdgeBps;
+        uint256 reservedPayout;
+        address token;
+        uint8 boardSize;
+    }
+
+    struct Pool {
+        // Whitelisted for new bets and deposits; a delisted pool still settles and pays out
+        bool allowed;
+        // Largest net payout a single game may win, as a share of free liquidity
+        uint16 maxPayoutBps;
+        // Liquidity plus the bets of games still running
+        uint256 balance;
+        uint256 activeBets;
+        // Worst-case net payout of every running game, held back from withdrawals and new bets
+        uint256 reservedPayouts;
+        // Liquidity providers own the pool through shares and earn the house profit
+        uint256 totalShares;
+        // Bet bounds set by operators; a zero maxBet leaves only the maxPayout limit
+        uint256 minBet;
+        uint256 maxBet;
+    }
+
+    struct Session {
+        address key;
+        // Games of other tokens cannot be played through the session
+        address token;
+        // Total bet of the games the key may play; each game counts once
+        uint256 spendCap;
+        uint256 spent;
+        uint64 expiry;
+        // Server seed hash of the last game counted against spendCap
+        bytes32 chargedGame;
     }
 
-    mapping(address => Game) public games;
-    uint256 public sharedPoolBalance;
+    // Read through getGameStatus, which returns the arrays too
+    mapping(address => Game) private games;
+    // Kept beside Game, which is already as wide as getGameStatus can return
+    mapping(address => uint256) public gameStartedAt;
+    mapping(address => Pool) public pools;
+    // Every ERC-20 ever whitelisted, delisted ones included; read through getTokens
+    address[] private tokens;
+    // token => provider => shares / last deposit time
+    mapping(address => mapping(address => uint256)) public lpShares;
+    mapping(address => mapping(address => uint256)) public lastDepositAt;
+    uint256 public withdrawCooldown;
+    // How long a game may sit without a cash out before anyone can forfeit it, and how long
+    // the house has to settle a requested cash out before anyone can pay it out
+    uint256 public gameTimeout;
 
-    event GameStarted(address indexed player, uint256 betAmount, uint8 mineCount);
+    // House seed commitments, consumed in order by startGame
+    bytes32[] private seedCommitments;
+    uint256 public nextCommitmentIndex;
+
+    uint16 public houseEdgeBps;
+    // Mine counts new games may pick, within what each board allows
+    uint8 public minMines;
+    uint8 public maxMines;
+
+    mapping(address => Session) public sessions;
+    mapping(address => uint256) public sessionNonces;
+
+    // Winnings and liquidity withdrawals are credited here and pulled with withdraw, so a
+    // recipient that cannot take a transfer never blocks a settlement. token => account => amount
+    mapping(address => mapping(address => uint256)) public claimable;
+
+    // Zero turns the rewards program off
+    address public rewards;
+
+    // When the pending cash out was requested; the house has gameTimeout from then to settle it
+    mapping(address => uint256) public cashOutRequestedAt;
+
+    event GameStarted(address indexed player, address indexed token, uint256 betAmount, uint8 boardSize, uint8 mineCount, bytes32 serverSeedHash, bytes32 clientSeed);
+    event TileSelected(address indexed player, uint8 tileIndex);
+    event CashOutRequested(address indexed player, bytes32 serverSeedHash);
     event TileRevealed(address indexed player, uint8 tileIndex, bool isMine);
-    event GameWon(address indexed player, uint256 winnings);
+    event GameSettled(address indexed player, bytes32 serverSeedHash, bytes32 serverSeed, bytes32 clientSeed);
+    event GameWon(address indexed player, uint256 payout);
     event GameLost(address indexed player);
+    event SeedsCommitted(uint256 count, uint256 totalCommitments);
+    event HouseEdgeUpdated(uint16 houseEdgeBps);
+    event LiquidityAdded(address indexed provider, address indexed token, uint256 amount, uint256 shares);
+    event LiquidityRemoved(address indexed provider, address indexed token, uint256 amount, uint256 shares);
+    event WithdrawCooldownUpdated(uint256 withdrawCooldown);
+    event MaxPayoutUpdated(address indexed token, uint16 maxPayoutBps);
+    event TokenAllowed(address indexed token, bool allowed);
+    event SessionOpened(address indexed player, address indexed key, address token, uint256 spendCap, uint64 expiry);
+    event SessionRevoked(address indexed player);
+    event GameForfeited(address indexed player, bytes32 serverSeedHash, address caller);
+    event CashOutTimedOut(address indexed player, bytes32 serverSeedHash, uint256 payout, address caller);
+    event GameTimeoutUpdated(uint256 gameTimeout);
+    event FundsCredited(address indexed account, address indexed token, uint256 amount);
+    event FundsWithdrawn(address indexed account, address indexed token, uint256 amount);
+    event BetLimitsUpdated(address indexed token, uint256 minBet, uint256 maxBet);
+    event MineRangeUpdated(uint8 minMines, uint8 maxMines);
+    event RewardsUpdated(address rewards);
 
-    // Empty constructor - no initialization needed
-    constructor() {}
+    // The implementation is never used directly; only the proxy gets initialized
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
-    function startGame(uint8 numberOfMines) external payable {
-        require(msg.value > 0, "Bet amount must be greater than 0");
-        require(numberOfMines >= 1 && numberOfMines <= 24, "Mines must be between 1 and 24");
-        require(!games[msg.sender].isActive, "Player already has an active game");
+    // Runs once, through the proxy, in the transaction that deploys it
+    function initialize() external initializer {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        withdrawCooldown = 1 days;
+        gameTimeout = 1 days;
+        houseEdgeBps = 100;
+        minMines = 1;
+        maxMines = 63;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(HOUSE_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, msg.sender);
+        pools[NATIVE_TOKEN].allowed = true;
+        pools[NATIVE_TOKEN].maxPayoutBps = DEFAULT_MAX_PAYOUT_BPS;
+    }
 
-        // Generate mine locations using block data (for development - not secure for production)
-        uint8[] memory mineLocations = new uint8[](numberOfMines);
-        bool[] memory revealedTiles = new bool[](25);
-        
-        for (uint8 i = 0; i < numberOfMines; i++) {
-            uint8 mineLocation;
-            bool locationValid;
-            
-            do {
-                locationValid = true;
-                mineLocation = uint8(uint256(keccak256(abi.encodePacked(
-                    block.timestamp,
-                    msg.sender,
-                    i
-                ))) % 25);
-                
-                // Check if this location is already taken
-                for (uint8 j = 0; j < i; j++) {
-                    if (mineLocations[j] == mineLocation) {
-                        locationValid = false;
-                        break;
-                    }
-                }
-            } while (!locationValid);
-            
-            mineLocations[i] = mineLocation;
+    // The house publishes keccak256(serverSeed) hashes ahead of time so it cannot
+    // pick a seed after seeing the player's client seed
+    function commitServerSeeds(bytes32[] calldata seedHashes) external onlyRole(HOUSE_ROLE) {
+        for (uint256 i = 0; i < seedHashes.length; i++) {
+            require(seedHashes[i] != bytes32(0), "Invalid seed hash");
+            seedCommitments.push(seedHashes[i]);
         }
+        emit SeedsCommitted(seedHashes.length, seedCommitments.length);
+    }
+
+    // Only affects games started after the change; active games keep their edge
+    function setHouseEdge(uint16 newHouseEdgeBps) external onlyRole(OPERATOR_ROLE) {
+        require(newHouseEdgeBps <= MAX_HOUSE_EDGE_BPS, "House edge too high");
+        houseEdgeBps = newHouseEdgeBps;
+        emit HouseEdgeUpdated(newHouseEdgeBps);
+    }
+
+    function availableCommitments() external view returns (uint256) {
+        return seedCommitments.length - nextCommitmentIndex;
+    }
+
+    // referrer comes from a ?ref= link and only counts on the player's first bet; pass the
+    // zero address without one
+    function startGame(uint8 boardSize, uint8 numberOfMines, bytes32 clientSeed, address referrer) external payable whenNotPaused {
+        _startGame(NATIVE_TOKEN, msg.value, boardSize, numberOfMines, clientSeed, referrer);
+    }
+
+    // Bets a whitelisted ERC-20; the contract must be approved for betAmount first
+    function startTokenGame(address token, uint256 betAmount, uint8 boardSize, uint8 numberOfMines, bytes32 clientSeed, address referrer) external nonReentrant whenNotPaused {
+        require(token != NATIVE_TOKEN, "Use startGame for native bets");
+        _startGame(token, betAmount, boardSize, numberOfMines, clientSeed, referrer);
+        _receiveTokens(token, betAmount);
+    }
+
+    function _startGame(address token, uint256 betAmount, uint8 boardSize, uint8 numberOfMines, bytes32 clientSeed, address referrer) private {
+        Pool storage pool = pools[token];
+        require(pool.allowed, "Token not allowed");
+        require(betAmount > 0, "Bet amount must be greater than 0");
+        require(betAmount >= pool.minBet, "Bet below min bet");
+        uint8 totalTiles = _boardTiles(boardSize, numberOfMines);
+        require(numberOfMines >= minMines && numberOfMines <= maxMines, "Mine count out of range");
+        require(!games[msg.sender].isActive, "Player already has an active game");
+        require(nextCommitmentIndex < seedCommitments.length, "No house seed available");
+        require(betAmount <= getMaxBet(token, boardSize, numberOfMines), "Bet exceeds max for this mine count");
 
+        // Reserve what the pool would owe if every safe tile were picked
+        uint256 reservedPayout = calculatePayout(
+            betAmount, totalTiles, numberOfMines, totalTiles - numberOfMines, houseEdgeBps
+        ) - betAmount;
+        bytes32 serverSeedHash = seedCommitments[nextCommitmentIndex++];
+
+        // Mine locations are derived from both seeds once the house reveals its seed
         games[msg.sender] = Game({
             player: msg.sender,
-            betAmount: msg.value,
+            betAmount: betAmount,
             totalMines: numberOfMines,
             revealedSafeTiles: 0,
-            revealedTiles: revealedTiles,
-            mineLocations: mineLocations,
-            isActive: true
+            revealedTiles: new bool[](totalTiles),
+            mineLocations: new uint8[](0),
+            isActive: true,
+            serverSeedHash: serverSeedHash,
+            clientSeed: clientSeed,
+            serverSeed: bytes32(0),
+            pickedTiles: new uint8[](0),
+            cashOutRequested: false,
+            houseEdgeBps: houseEdgeBps,
+            reservedPayout: reservedPayout,
+            token: token,
+            boardSize: boardSize
         });
+        gameStartedAt[msg.sender] = block.timestamp;
+
+        pool.balance += betAmount;
+        pool.activeBets += betAmount;
+        pool.reservedPayouts += reservedPayout;
+        emit GameStarted(msg.sender, token, betAmount, boardSize, numberOfMines, serverSeedHash, clientSeed);
+
+        if (rewards != address(0)) {
+            IMinesRewards(rewards).recordBet(msg.sender, token, betAmount, houseEdgeBps, referrer);
+        }
+    }
 
-        sharedPoolBalance += msg.value;
-        emit GameStarted(msg.sender, msg.value, numberOfMines);
+    // Pulls an approved amount and rejects fee-on-transfer tokens, whose received
+    // amount would not cover what the pool has already been credited
+    function _receiveTokens(address token, uint256 amount) private {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        require(IERC20(token).balanceOf(address(this)) - balanceBefore == amount, "Token transfer amount mismatch");
+    }
+
+    function _creditFunds(address token, address account, uint256 amount) private {
+        claimable[token][account] += amount;
+        emit FundsCredited(account, token, amount);
+    }
+
+    // Pays out everything credited to the caller in one token. The balance is cleared
+    // before the transfer, and the guard keeps the recipient from re-entering the contract.
+    function withdraw(address token) external nonReentrant {
+        uint256 amount = claimable[token][msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        claimable[token][msg.sender] = 0;
+
+        if (token == NATIVE_TOKEN) {
+            Address.sendValue(payable(msg.sender), amount);
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+        emit FundsWithdrawn(msg.sender, token, amount);
     }
 
+    // Selects a tile; whether it was safe is only known once the game is settled
     function revealTile(uint8 tileIndex) external {
-        require(tileIndex < 25, "Invalid tile index");
-        require(games[msg.sender].isActive, "No active game");
-        require(!games[msg.sender].revealedTiles[tileIndex], "Tile already revealed");
+        _revealTile(games[msg.sender], tileIndex);
+    }
 
-        Game storage game = games[msg.sender];
-        game.revealedTiles[tileIndex] = true;
+    function _revealTile(Game storage game, uint8 tileIndex) private {
+        _requireOpenGame(game);
+        _pickTile(game, tileIndex);
+    }
 
-        // Check if this tile is a mine
-        bool isMine = false;
-        for (uint8 i = 0; i < game.totalMines; i++) {
-            if (game.mineLocations[i] == tileIndex) {
-                isMine = true;
-                break;
-            }
+    // Picks several tiles in one transaction. With cashOutAt == 0 the game is cashed out
+    // after the last tile; otherwise picking stops and the game is cashed out as soon as
+    // cashOutAt tiles are picked, or stays open if the list runs out first.
+    // Settlement replays the picks in order, so the first mine still ends the game.
+    function revealTiles(uint8[] calldata tileIndices, uint8 cashOutAt) external {
+        _revealTiles(games[msg.sender], tileIndices, cashOutAt);
+    }
+
+    function _revealTiles(Game storage game, uint8[] calldata tileIndices, uint8 cashOutAt) private {
+        _requireOpenGame(game);
+        require(tileIndices.length > 0, "No tiles to reveal");
+        require(cashOutAt <= game.revealedTiles.length - game.totalMines, "Invalid cash out target");
+        require(cashOutAt == 0 || cashOutAt > game.revealedSafeTiles, "Cash out target already reached");
+
+        for (uint256 i = 0; i < tileIndices.length; i++) {
+            _pickTile(game, tileIndices[i]);
+            if (game.revealedSafeTiles == cashOutAt) break;
         }
 
-        if (isMine) {
-            // Game over - player loses
-            game.isActive = false;
-            emit TileRevealed(msg.sender, tileIndex, true);
-            emit GameLost(msg.sender);
-        } else {
-            // Safe tile - continue game
-            game.revealedSafeTiles++;
-            emit TileRevealed(msg.sender, tileIndex, false);
+        if (cashOutAt == 0 || game.revealedSafeTiles == cashOutAt) {
+            _requestCashOut(game);
         }
     }
 
     function cashOut() external {
-        Game storage game = games[msg.sender];
-        require(game.isActive, "No active game");
+        _cashOut(games[msg.sender]);
+    }
+
+    function _cashOut(Game storage game) private {
+        _requireOpenGame(game);
         require(game.revealedSafeTiles > 0, "Must reveal at least one safe tile");
+        _requestCashOut(game);
+    }
+
+    // Running games still take picks and cash outs until one is requested
+    function _requireOpenGame(Game storage game) private view {
+        require(game.isActive, "No active game");
+        require(!game.cashOutRequested, "Cash out already requested");
+    }
+
+    function _pickTile(Game storage game, uint8 tileIndex) private {
+        require(tileIndex < game.revealedTiles.length, "Invalid tile index");
+        require(!game.revealedTiles[tileIndex], "Tile already revealed");
+        require(game.pickedTiles.length < game.revealedTiles.length - game.totalMines, "No safe tiles left");
+
+        game.revealedTiles[tileIndex] = true;
+        game.pickedTiles.push(tileIndex);
+        game.revealedSafeTiles++;
+
+        emit TileSelected(game.player, tileIndex);
+    }
+
+    function _requestCashOut(Game storage game) private {
+        game.cashOutRequested = true;
+        cashOutRequestedAt[game.player] = block.timestamp;
+        emit CashOutRequested(game.player, game.serverSeedHash);
+    }
+
+    // Starts a session from the player's EIP-712 signature. Anyone may submit it, so a
+    // relayer can open sessions for players without gas. Any ETH sent along goes to the
+    // key, for keys that submit their own moves.
+    function openSession(
+        address player,
+        address key,
+        address token,
+        uint256 spendCap,
+        uint64 expiry,
+        bytes calldata signature
+    ) external payable nonReentrant {
+        require(key != address(0), "Invalid session key");
+        require(expiry > block.timestamp && expiry <= block.timestamp + MAX_SESSION_DURATION, "Invalid session expiry");
+        bytes32 structHash = keccak256(abi.encode(SESSION_TYPEHASH, player, key, token, spendCap, expiry, sessionNonces[player]));
+        require(ECDSA.recover(_hashTypedData(structHash), signature) == player, "Invalid player signature");
+
+        sessionNonces[player]++;
+        sessions[player] = Session({
+            key: key,
+            token: token,
+            spendCap: spendCap,
+            spent: 0,
+            expiry: expiry,
+            chargedGame: bytes32(0)
+        });
+        emit SessionOpened(player, key, token, spendCap, expiry);
+
+        if (msg.value > 0) {
+            Address.sendValue(payable(key), msg.value);
+        }
+    }
+
+    function _hashTypedData(bytes32 structHash) private view returns (bytes32) {
+        bytes32 domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, DOMAIN_NAME_HASH, DOMAIN_VERSION_HASH, block.chainid, address(this))
+        );
+        return MessageHashUtils.toTypedDataHash(domainSeparator, structHash);
+    }
+
+    // Also bumps the nonce, so signatures made for the old session cannot be replayed
+    function revokeSession() external {
+        delete sessions[msg.sender];
+        sessionNonces[msg.sender]++;
+        emit SessionRevoked(msg.sender);
+    }
+
+    function sessionRevealTile(address player, uint8 tileIndex, bytes calldata signature) external {
+        bytes32 structHash = keccak256(abi.encode(REVEAL_TILE_TYPEHASH, player, tileIndex, sessionNonces[player]));
+        _revealTile(_useSession(player, structHash, signature), tileIndex);
+    }
+
+    function sessionRevealTiles(address player, uint8[] calldata tileIndices, uint8 cashOutAt, bytes calldata signature) external {
+        bytes32 structHash = keccak256(abi.encode(
+            REVEAL_TILES_TYPEHASH, player, keccak256(abi.encodePacked(tileIndices)), cashOutAt, sessionNonces[player]
+        ));
+        _revealTiles(_useSession(player, structHash, signature), tileIndices, cashOutAt);
+    }
+
+    function sessionCashOut(address player, bytes calldata signature) external {
+        bytes32 structHash = keccak256(abi.encode(CASH_OUT_TYPEHASH, player, sessionNonces[player]));
+        _cashOut(_useSession(player, structHash, signature));
+    }
+
+    // Checks the session key signed this move and counts the game against the spend cap.
+    // A leaked key can only ever lose the player spendCap.
+    function _useSession(address player, bytes32 structHash, bytes calldata signature) private returns (Game storage) {
+        Session storage session = sessions[player];
+        require(session.key != address(0) && block.timestamp < session.expiry, "No active session");
+        require(ECDSA.recover(_hashTypedData(structHash), signature) == session.key, "Invalid session signature");
+        sessionNonces[player]++;
+
+        Game storage game = games[player];
+        require(game.isActive, "No active game");
+        require(game.token == session.token, "Session is for another token");
+        if (session.chargedGame != game.serverSeedHash) {
+            require(session.spent + game.betAmount <= session.spendCap, "Session spend cap reached");
+            session.spent += game.betAmount;
+            session.chargedGame = game.serverSeedHash;
+        }
+        return game;
+    }
 
-        uint256 winnings = calculateWinnings(game.betAmount, game.totalMines, game.revealedSafeTiles);
-        
-        // Check if house can pay
-        if (winnings + game.betAmount > sharedPoolBalance) {
-            winnings = sharedPoolBalance - game.betAmount;
+    // Anyone holding the committed server seed can settle, so the house cannot
+    // block a payout by refusing to send the transaction itself
+    function settleGame(address player, bytes32 serverSeed) external nonReentrant {
+        Game storage game = games[player];
+        require(game.isActive, "No active game");
+        require(game.cashOutRequested, "Cash out not requested");
+        require(keccak256(abi.encodePacked(serverSeed)) == game.serverSeedHash, "Server seed does not match commitment");
+
+        uint8 totalTiles = tileCount(game.boardSize);
+        uint8[] memory mineLocations = generateMineLocations(serverSeed, game.clientSeed, totalTiles, game.totalMines);
+        bool[] memory isMineTile = new bool[](totalTiles);
+        for (uint8 i = 0; i < mineLocations.length; i++) {
+            isMineTile[mineLocations[i]] = true;
+        }
+
+        game.isActive = false;
+        game.cashOutRequested = false;
+        game.serverSeed = serverSeed;
+        Pool storage pool = pools[game.token];
+        pool.activeBets -= game.betAmount;
+        pool.reservedPayouts -= game.reservedPayout;
+        game.mineLocations = mineLocations;
+
+        // Replay the selections in order; everything after the first mine is discarded
+        uint8 safeTiles = 0;
+        bool hitMine = false;
+        for (uint8 i = 0; i < game.pickedTiles.length; i++) {
+            uint8 tileIndex = game.pickedTiles[i];
+            if (hitMine) {
+                game.revealedTiles[tileIndex] = false;
+                continue;
+            }
+            hitMine = isMineTile[tileIndex];
+            emit TileRevealed(player, tileIndex, hitMine);
+            if (!hitMine) {
+                safeTiles++;
+            }
+        }
+        game.revealedSafeTiles = safeTiles;
+
+        emit GameSettled(player, game.serverSeedHash, serverSeed, game.clientSeed);
+
+        if (hitMine) {
+            emit GameLost(player);
+            return;
         }
 
+        // Never more than betAmount + reservedPayout, which startGame set aside
+        uint256 payout = calculatePayout(game.betAmount, totalTiles, game.totalMines, safeTiles, game.houseEdgeBps);
+        pool.balance -= payout;
+
+        // Credited in the token that was bet, for the player to withdraw
+        _creditFunds(game.token, player, payout);
+
+        emit GameWon(player, payout);
+    }
+
+    // Pays a requested cash out the house left unsettled for gameTimeout as if every pick was
+    // safe, so holding back the seed of a winning game never saves the house anything. The
+    // seed stays unrevealed and anyone may send it, like forfeitGame.
+    function resolveStalledCashOut(address player) external nonReentrant {
+        Game storage game = games[player];
+        require(game.isActive, "No active game");
+        require(game.cashOutRequested, "Cash out not requested");
+        require(block.timestamp >= cashOutRequestedAt[player] + gameTimeout, "Cash out has not timed out");
+
+        game.isActive = false;
+        game.cashOutRequested = false;
+        Pool storage pool = pools[game.token];
+        pool.activeBets -= game.betAmount;
+        pool.reservedPayouts -= game.reservedPayout;
+
+        // Within betAmount + reservedPayout, like a settled win
+        uint256 payout = calculatePayout(
+            game.betAmount, tileCount(game.boardSize), game.totalMines, game.revealedSafeTiles, game.houseEdgeBps
+        );
+        pool.balance -= payout;
+        _creditFunds(game.token, player, payout);
+
+        emit CashOutTimedOut(player, game.serverSeedHash, payout, msg.sender);
+    }
+
+    // Ends a game nobody cashed out, as a loss: the bet stays in the pool and its reserve
+    // is released. The player may give up their own game at any time; anyone else only
+    // once it is older than gameTimeout. A requested cash out ends through settleGame or
+    // resolveStalledCashOut instead.
+    function forfeitGame(address player) external {
+        Game storage game = games[player];
+        _requireOpenGame(game);
+        require(msg.sender == player || block.timestamp >= gameStartedAt[player] + gameTimeout, "Game has not timed out");
+
         game.isActive = false;
-        sharedPoolBalance -= (game.betAmount + winnings);
+        Pool storage pool = pools[game.token];
+        pool.activeBets -= game.betAmount;
+        pool.reservedPayouts -= game.reservedPayout;
+
+        emit GameForfeited(player, game.serverSeedHash, msg.sender);
+    }
+
+    // Partial Fisher-Yates shuffle over the board; src/fairness.js mirrors this exactly
+    function generateMineLocations(bytes32 serverSeed, bytes32 clientSeed, uint8 totalTiles, uint8 numberOfMines) public pure returns (uint8[] memory) {
+        require(numberOfMines < totalTiles, "Too many mines");
+        bytes32 seed = keccak256(abi.encodePacked(serverSeed, clientSeed));
+        uint8[] memory tiles = new uint8[](totalTiles);
+        for (uint8 i = 0; i < totalTiles; i++) {
+            tiles[i] = i;
+        }
+
+        uint8[] memory mineLocations = new uint8[](numberOfMines);
+        for (uint8 i = 0; i < numberOfMines; i++) {
+            uint8 j = i + uint8(uint256(keccak256(abi.encodePacked(seed, i))) % (totalTiles - i));
+            (tiles[i], tiles[j]) = (tiles[j], tiles[i]);
+            mineLocations[i] = tiles[i];
+        }
+        return mineLocations;
+    }
+
+    // Inverse probability of picking revealedSafeTiles safe tiles in a row, less the house edge.
+    // Each step rounds down, so the result never exceeds the fair multiplier.
+    function calculateMultiplier(uint8 totalTiles, uint8 totalMines, uint8 revealedSafeTiles, uint16 edgeBps) public pure returns (uint256) {
+        require(totalMines < totalTiles, "Too many mines");
+        require(revealedSafeTiles <= totalTiles - totalMines, "Too many safe tiles");
+        require(edgeBps <= BASIS_POINTS, "Invalid house edge");
 
-        // Transfer winnings to player
-        payable(msg.sender).transfer(game.betAmount + winnings);
-        
-        emit GameWon(msg.sender, winnings);
+        uint256 multiplier = MULTIPLIER_PRECISION;
+        for (uint256 i = 0; i < revealedSafeTiles; i++) {
+            multiplier = multiplier * (totalTiles - i) / (totalTiles - totalMines - i);
+        }
+        return multiplier * (BASIS_POINTS - edgeBps) / BASIS_POINTS;
     }
 
-    function calculateWinnings(uint256 betAmount, uint8 totalMines, uint8 revealedSafeTiles) public pure returns (uint256) {
+    // Total amount returned to the player, bet included
+    function calculatePayout(uint256 betAmount, uint8 totalTiles, uint8 totalMines, uint8 revealedSafeTiles, uint16 edgeBps) public pure returns (uint256) {
         if (revealedSafeTiles == 0) return 0;
-        
-        // Calculate multiplier based on mine count and revealed tiles
-        // This is a simplified calculation - can be made more complex
-        uint256 multiplier = (25 - totalMines) * revealedSafeTiles / 25;
-        return (betAmount * multiplier) / 100;
+        return betAmount * calculateMultiplier(totalTiles, totalMines, revealedSafeTiles, edgeBps) / MULTIPLIER_PRECISION;
+    }
+
+    // Tiles on the board, once the mine count leaves at least one of them safe
+    function _boardTiles(uint8 boardSize, uint8 numberOfMines) private pure returns (uint8 totalTiles) {
+        totalTiles = tileCount(boardSize);
+        require(numberOfMines >= 1 && numberOfMines < totalTiles, "Invalid mine count");
+    }
+
+    function tileCount(uint8 boardSize) public pure returns (uint8) {
+        require(boardSize >= MIN_BOARD_SIZE && boardSize <= MAX_BOARD_SIZE, "Invalid board size");
+        return boardSize * boardSize;
     }
 
     function getGameStatus(address player) external view returns (Game memory) {
         return games[player];
     }
 
-    function getSharedPoolBalance() external view returns (uint256) {
-        return sharedPoolBalance;
+    function getSharedPoolBalance(address token) external view returns (uint256) {
+        return pools[token].balance;
+    }
+
+    function getTokens() external view returns (address[] memory) {
+        return tokens;
+    }
+
+    // Funds owned by liquidity providers
+    function poolEquity(address token) public view returns (uint256) {
+        return pools[token].balance - pools[token].activeBets;
+    }
+
+    // Liquidity not reserved for running games
+    function freeLiquidity(address token) public view returns (uint256) {
+        return poolEquity(token) - pools[token].reservedPayouts;
     }
 
-    // Emergency function to add funds to the house (for testing)
+    function maxPayout(address token) public view returns (uint256) {
+        return freeLiquidity(token) * pools[token].maxPayoutBps / BASIS_POINTS;
+    }
+
+    // Largest bet whose best possible net payout for this board and mine count stays within
+    // maxPayout, capped at the pool's maxBet when one is set
+    function getMaxBet(address token, uint8 boardSize, uint8 numberOfMines) public view returns (uint256) {
+        uint8 totalTiles = _boardTiles(boardSize, numberOfMines);
+        uint256 multiplier = calculateMultiplier(totalTiles, numberOfMines, totalTiles - numberOfMines, houseEdgeBps);
+        uint256 maxBet = multiplier <= MULTIPLIER_PRECISION
+            ? type(uint256).max
+            : maxPayout(token) * MULTIPLIER_PRECISION / (multiplier - MULTIPLIER_PRECISION);
+        uint256 cap = pools[token].maxBet;
+        return cap != 0 && cap < maxBet ? cap : maxBet;
+    }
+
+    // The +1 offsets keep share pricing defined while the pool or the share supply is empty
+    function sharesForAmount(address token, uint256 amount) public view returns (uint256) {
+        return amount * (pools[token].totalShares + 1) / (poolEquity(token) + 1);
+    }
+
+    function amountForShares(address token, uint256 shareAmount) public view returns (uint256) {
+        return shareAmount * (poolEquity(token) + 1) / (pools[token].totalShares + 1);
+    }
+
+    function getLiquidityPosition(address token, address provider) external view returns (uint256 shares, uint256 value, uint256 unlockTime) {
+        shares = lpShares[token][provider];
+        value = amountForShares(token, shares);
+        unlockTime = lastDepositAt[token][provider] + withdrawCooldown;
+    }
+
+    // Deposits into the pool and mints shares; each deposit restarts the withdraw cooldown
     function addHouseFunds() external payable {
-        sharedPoolBalance += msg.value;
+        _addFunds(NATIVE_TOKEN, msg.value);
+    }
+
+    // Deposits a whitelisted ERC-20; the contract must be approved for amount first
+    function addTokenFunds(address token, uint256 amount) external nonReentrant {
+        require(token != NATIVE_TOKEN, "Use addHouseFunds for native deposits");
+        _addFunds(token, amount);
+        _receiveTokens(token, amount);
+    }
+
+    function _addFunds(address token, uint256 amount) private {
+        Pool storage pool = pools[token];
+        require(pool.allowed, "Token not allowed");
+        require(amount > 0, "Deposit must be greater than 0");
+
+        uint256 shares = sharesForAmount(token, amount);
+        require(shares > 0, "Deposit too small");
+
+        pool.totalShares += shares;
+        lpShares[token][msg.sender] += shares;
+        lastDepositAt[token][msg.sender] = block.timestamp;
+        pool.balance += amount;
+
+        emit LiquidityAdded(msg.sender, token, amount, shares);
+    }
+
+    // Burns shares for their current value, including the house profit earned since deposit,
+    // and credits it for withdraw. Works for delisted tokens too, so providers can always leave.
+    function withdrawHouseFunds(address token, uint256 shareAmount) external nonReentrant {
+        require(shareAmount > 0, "Share amount must be greater than 0");
+        require(lpShares[token][msg.sender] >= shareAmount, "Insufficient shares");
+        require(block.timestamp >= lastDepositAt[token][msg.sender] + withdrawCooldown, "Withdraw cooldown active");
+
+        uint256 amount = amountForShares(token, shareAmount);
+        require(amount <= freeLiquidity(token), "Liquidity reserved for active games");
+
+        Pool storage pool = pools[token];
+        pool.totalShares -= shareAmount;
+        lpShares[token][msg.sender] -= shareAmount;
+        pool.balance -= amount;
+
+        _creditFunds(token, msg.sender, amount);
+        emit LiquidityRemoved(msg.sender, token, amount, shareAmount);
+    }
+
+    // Whitelists an ERC-20 for bets and deposits, or delists it. A new token starts
+    // with the default max payout; running games and withdrawals are unaffected.
+    function setTokenAllowed(address token, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != NATIVE_TOKEN, "Native pool is always allowed");
+        Pool storage pool = pools[token];
+        if (allowed && !_isListed(token)) {
+            tokens.push(token);
+            pool.maxPayoutBps = DEFAULT_MAX_PAYOUT_BPS;
+        }
+        pool.allowed = allowed;
+        emit TokenAllowed(token, allowed);
+    }
+
+    function _requireKnownToken(address token) private view {
+        require(token == NATIVE_TOKEN || _isListed(token), "Unknown token");
+    }
+
+    function _isListed(address token) private view returns (bool) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] == token) return true;
+        }
+        return false;
+    }
+
+    function setMaxPayout(address token, uint16 newMaxPayoutBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newMaxPayoutBps <= BASIS_POINTS, "Invalid max payout");
+        _requireKnownToken(token);
+        pools[token].maxPayoutBps = newMaxPayoutBps;
+        emit MaxPayoutUpdated(token, newMaxPayoutBps);
+    }
+
+    function setWithdrawCooldown(uint256 newWithdrawCooldown) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newWithdrawCooldown <= MAX_WITHDRAW_COOLDOWN, "Cooldown too long");
+        withdrawCooldown = newWithdrawCooldown;
+        emit WithdrawCooldownUpdated(newWithdrawCooldown);
+    }
+
+    // Bounds for new bets in one pool, in its token's units; running games are unaffected
+    function setBetLimits(address token, uint256 newMinBet, uint256 newMaxBet) external onlyRole(OPERATOR_ROLE) {
+        _requireKnownToken(token);
+        require(newMaxBet == 0 || newMinBet <= newMaxBet, "Invalid bet limits");
+        pools[token].minBet = newMinBet;
+        pools[token].maxBet = newMaxBet;
+        emit BetLimitsUpdated(token, newMinBet, newMaxBet);
+    }
+
+    // Each board still needs at least one safe tile, whatever the range allows
+    function setMineRange(uint8 newMinMines, uint8 newMaxMines) external onlyRole(OPERATOR_ROLE) {
+        require(newMinMines >= 1 && newMinMines <= newMaxMines, "Invalid mine range");
+        require(newMinMines < tileCount(MAX_BOARD_SIZE), "Invalid mine range");
+        minMines = newMinMines;
+        maxMines = newMaxMines;
+        emit MineRangeUpdated(newMinMines, newMaxMines);
+    }
+
+    // Stops new games only: running games can still be played, cashed out, settled and
+    // forfeited, and providers can still withdraw
+    function pause() external onlyRole(OPERATOR_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(OPERATOR_ROLE) {
+        _unpause();
+    }
+
+    // Rewards are paid from the program's own budget; the pools never fund them
+    function setRewards(address newRewards) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        rewards = newRewards;
+        emit RewardsUpdated(newRewards);
     }
 
-    // Emergency function to withdraw house funds (owner only - for testing)
-    function withdrawHouseFunds() external {
-        // In production, this should have proper access control
-        payable(msg.sender).transfer(sharedPoolBalance);
-        sharedPoolBalance = 0;
+    // Applies to running games too, since their deadline is read from gameStartedAt
+    function setGameTimeout(uint256 newGameTimeout) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newGameTimeout >= MIN_GAME_TIMEOUT && newGameTimeout <= MAX_GAME_TIMEOUT, "Invalid game timeout");
+        gameTimeout = newGameTimeout;
+        emit GameTimeoutUpdated(newGameTimeout);
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+// Referral and rakeback program. MinesGame reports every bet as it starts; a share of the
+// bet's house edge is credited to the player's referrer and another share back to the player.
+// Rewards come out of a budget the house funds per token, never out of the pools, and stop
+// accruing while the budget is empty. Runs behind its own proxy, and takes its roles from
+// MinesGame so both contracts share one set of admins and operators.
+contract MinesRewards is Initializable, ReentrancyGuardUpgradeable {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    address public constant NATIVE_TOKEN = address(0);
+    uint16 public constant BASIS_POINTS = 10000;
+
+    address public game;
+    // Shares of each bet's house edge, in basis points
+    uint16 public referralBps;
+    uint16 public rakebackBps;
+
+    // Set by the player's first bet, from the ?ref= link it was made through, and final after it
+    mapping(address => address) public referrerOf;
+    mapping(address => bool) public hasPlayed;
+    mapping(address => address[]) private referees;
+
+    // token => account => amount
+    mapping(address => mapping(address => uint256)) public wagered;
+    mapping(address => mapping(address => uint256)) public referralEarned;
+    mapping(address => mapping(address => uint256)) public rakebackEarned;
+    mapping(address => mapping(address => uint256)) public claimable;
+    // Funds not yet credited to anyone, per token
+    mapping(address => uint256) public budget;
+
+    event ReferrerSet(address indexed player, address indexed referrer);
+    event RefereeJoined(address indexed referrer, address indexed player);
+    event ReferralRewarded(address indexed referrer, address indexed player, address indexed token, uint256 amount);
+    event RakebackRewarded(address indexed player, address indexed token, uint256 amount);
+    event RewardsClaimed(address indexed account, address indexed token, uint256 amount);
+    event BudgetFunded(address indexed funder, address indexed token, uint256 amount);
+    event BudgetWithdrawn(address indexed account, address indexed token, uint256 amount);
+    event RewardRatesUpdated(uint16 referralBps, uint16 rakebackBps);
+
+    modifier onlyGameRole(bytes32 role) {
+        if (!IAccessControl(game).hasRole(role, msg.sender)) {
+            revert IAccessControl.AccessControlUnauthorizedAccount(msg.sender, role);
+        }
+        _;
+    }
+
+    // The implementation is never used directly; only the proxy gets initialized
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address minesGame) external initializer {
+        __ReentrancyGuard_init();
+        require(minesGame != address(0), "Invalid game");
+        game = minesGame;
+        referralBps = 1000;
+        rakebackBps = 1000;
+    }
+
+    // A referrer that is missing, the player themselves, or sent with a later bet is ignored,
+    // so a bad link never stops a bet
+    function recordBet(address player, address token, uint256 betAmount, uint16 edgeBps, address referrer) external {
+        require(msg.sender == game, "Only the game records bets");
+        if (!hasPlayed[player]) {
+            hasPlayed[player] = true;
+            if (referrer != address(0) && referrer != player) {
+                referrerOf[player] = referrer;
+                referees[referrer].push(player);
+                emit ReferrerSet(player, referrer);
+                emit RefereeJoined(referrer, player);
+            }
+        }
+        referrer = referrerOf[player];
+        wagered[token][player] += betAmount;
+
+        uint256 edge = betAmount * edgeBps / BASIS_POINTS;
+        if (referrer != address(0)) {
+            uint256 referral = _credit(token, referrer, edge * referralBps / BASIS_POINTS);
+            if (referral > 0) {
+                referralEarned[token][referrer] += referral;
+                emit ReferralRewarded(referrer, player, token, referral);
+            }
+        }
+        uint256 rakeback = _credit(token, player, edge * rakebackBps / BASIS_POINTS);
+        if (rakeback > 0) {
+            rakebackEarned[token][player] += rakeback;
+            emit RakebackRewarded(player, token, rakeback);
+        }
+    }
+
+    // Credits what the budget still covers of amount, and returns it
+    function _credit(address token, address account, uint256 amount) private returns (uint256) {
+        if (amount > budget[token]) amount = budget[token];
+        budget[token] -= amount;
+        claimable[token][account] += amount;
+        return amount;
+    }
+
+    function claim(address token) external nonReentrant {
+        uint256 amount = claimable[token][msg.sender];
+        require(amount > 0, "Nothing to claim");
+        claimable[token][msg.sender] = 0;
+        _pay(token, msg.sender, amount);
+        emit RewardsClaimed(msg.sender, token, amount);
+    }
+
+    function getReferees(address referrer) external view returns (address[] memory) {
+        return referees[referrer];
+    }
+
+    function fund() external payable {
+        require(msg.value > 0, "Deposit must be greater than 0");
+        budget[NATIVE_TOKEN] += msg.value;
+        emit BudgetFunded(msg.sender, NATIVE_TOKEN, msg.value);
+    }
+
+    // The contract must be approved for amount first
+    function fundToken(address token, uint256 amount) external nonReentrant {
+        require(token != NATIVE_TOKEN, "Use fund for native deposits");
+        require(amount > 0, "Deposit must be greater than 0");
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        require(IERC20(token).balanceOf(address(this)) - balanceBefore == amount, "Token transfer amount mismatch");
+        budget[token] += amount;
+        emit BudgetFunded(msg.sender, token, amount);
+    }
+
+    // Only the uncredited budget can be taken back; credited rewards stay claimable
+    function withdrawBudget(address token, uint256 amount) external nonReentrant onlyGameRole(DEFAULT_ADMIN_ROLE) {
+        require(amount > 0 && amount <= budget[token], "Invalid amount");
+        budget[token] -= amount;
+        _pay(token, msg.sender, amount);
+        emit BudgetWithdrawn(msg.sender, token, amount);
+    }
+
+    // Both shares together cannot exceed the house edge itself
+    function setRewardRates(uint16 newReferralBps, uint16 newRakebackBps) external onlyGameRole(OPERATOR_ROLE) {
+        require(uint256(newReferralBps) + newRakebackBps <= BASIS_POINTS, "Invalid reward rates");
+        referralBps = newReferralBps;
+        rakebackBps = newRakebackBps;
+        emit RewardRatesUpdated(newReferralBps, newRakebackBps);
+    }
+
+    function _pay(address token, address account, uint256 amount) private {
+        if (token == NATIVE_TOKEN) {
+            Address.sendValue(payable(account), amount);
+        } else {
+            IERC20(token).safeTransfer(account, amount);
+        }
+    }
+}
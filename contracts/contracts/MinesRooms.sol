@@ -0,0 +1,409 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+// The parts of MinesGame rooms rely on: its roles and its pause switch
+interface IMinesGameControls is IAccessControl {
+    function paused() external view returns (bool);
+}
+
+// Multiplayer rooms: players buy in to one shared board and take turns picking tiles.
+// A mine eliminates only the player who picked it, and their buy-in stays in the pot.
+// Anyone still in may leave between picks with an equal share of the pot; the last player
+// standing, or everyone left once no safe tile remains, splits the rest. Rooms are played
+// for native currency between the players, so the house pools take no part in them.
+//
+// Every pick takes the next committed house seed, and the house reveals it right after.
+// keccak256(serverSeed, pickBlockHash, roomId, tile) decides the tile, with the odds of the
+// tiles still hidden, so each seed reveals one tile and never the rest of the board. The
+// hash of the block after the pick did not exist when the tile was picked, so knowing the
+// seed, as the house does, never tells anyone which tiles are safe.
+contract MinesRooms is Initializable, ReentrancyGuardUpgradeable {
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+    bytes32 public constant HOUSE_ROLE = keccak256("HOUSE_ROLE");
+    uint8 public constant MIN_BOARD_SIZE = 3;
+    uint8 public constant MAX_BOARD_SIZE = 8;
+    uint8 public constant MAX_PLAYERS = 8;
+    uint256 public constant MIN_TURN_TIMEOUT = 1 minutes;
+    uint256 public constant MAX_TURN_TIMEOUT = 1 days;
+
+    enum RoomStatus { None, Waiting, Playing, Finished, Cancelled }
+    enum PlayerStatus { None, Active, Left, Eliminated }
+
+    struct Room {
+        address creator;
+        uint256 buyIn;
+        // Buy-ins not yet paid out to players who left or to the winners
+        uint256 pot;
+        RoomStatus status;
+        uint8 boardSize;
+        uint8 totalMines;
+        uint8 maxPlayers;
+        uint8 activePlayers;
+        // Index into players of the player whose turn it is
+        uint8 turn;
+        // Set from a pick until the house reveals its seed
+        bool pickPending;
+        uint8 pendingTile;
+        bytes32 pendingSeedHash;
+        // Block of the pending pick; the hash of the block after it goes into the roll
+        uint64 pickBlock;
+        // Start of the current turn, or of the wait for the house
+        uint64 turnStartedAt;
+        // One bit per tile, by index
+        uint64 safeTiles;
+        uint64 mineTiles;
+        address[] players;
+    }
+
+    address public game;
+    uint256 public turnTimeout;
+    uint256 public nextRoomId;
+
+    mapping(uint256 => Room) private rooms;
+    mapping(uint256 => mapping(address => PlayerStatus)) public playerStatus;
+
+    bytes32[] private seedCommitments;
+    uint256 public nextCommitmentIndex;
+
+    // Shares of players who left and winnings, paid out by withdraw
+    mapping(address => uint256) public claimable;
+
+    // Native currency the house puts up against stalling. Each open pick locks its room's
+    // buy-in, which goes to the picker if the house never resolves it.
+    uint256 public houseBond;
+    uint256 public lockedBond;
+
+    event RoomCreated(uint256 indexed roomId, address indexed creator, uint256 buyIn, uint8 boardSize, uint8 mineCount, uint8 maxPlayers);
+    event PlayerJoined(uint256 indexed roomId, address indexed player);
+    event RoomStarted(uint256 indexed roomId);
+    event TilePicked(uint256 indexed roomId, address indexed player, uint8 tileIndex, bytes32 serverSeedHash);
+    event TileResolved(uint256 indexed roomId, address indexed player, uint8 tileIndex, bool isMine, bytes32 serverSeed, bytes32 pickBlockHash);
+    event PlayerLeft(uint256 indexed roomId, address indexed player, uint256 share);
+    event RoomFinished(uint256 indexed roomId);
+    event RoomCancelled(uint256 indexed roomId);
+    event SeedsCommitted(uint256 count, uint256 available);
+    event TurnTimeoutUpdated(uint256 turnTimeout);
+    event FundsCredited(address indexed account, uint256 amount);
+    event FundsWithdrawn(address indexed account, uint256 amount);
+    event PickTimedOut(uint256 indexed roomId, address indexed player, uint8 tileIndex, uint256 bondPaid);
+    event BondDeposited(uint256 amount, uint256 houseBond);
+    event BondWithdrawn(uint256 amount, uint256 houseBond);
+
+    modifier onlyGameRole(bytes32 role) {
+        if (!IMinesGameControls(game).hasRole(role, msg.sender)) {
+            revert IAccessControl.AccessControlUnauthorizedAccount(msg.sender, role);
+        }
+        _;
+    }
+
+    // A MinesGame pause stops new rooms and joins too; running rooms play on
+    modifier whenGameNotPaused() {
+        require(!IMinesGameControls(game).paused(), "New games are paused");
+        _;
+    }
+
+    // The implementation is never used directly; only the proxy gets initialized
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address minesGame) external initializer {
+        __ReentrancyGuard_init();
+        require(minesGame != address(0), "Invalid game");
+        game = minesGame;
+        turnTimeout = 5 minutes;
+        nextRoomId = 1;
+    }
+
+    // The buy-in is the value sent, and the creator joins as the first player
+    function createRoom(uint8 boardSize, uint8 numberOfMines, uint8 maxPlayers) external payable whenGameNotPaused returns (uint256 roomId) {
+        require(msg.value > 0, "Buy-in must be greater than 0");
+        require(boardSize >= MIN_BOARD_SIZE && boardSize <= MAX_BOARD_SIZE, "Invalid board size");
+        require(numberOfMines >= 1 && numberOfMines < boardSize * boardSize, "Invalid mine count");
+        require(maxPlayers >= 2 && maxPlayers <= MAX_PLAYERS, "Invalid player count");
+
+        roomId = nextRoomId++;
+        Room storage room = rooms[roomId];
+        room.creator = msg.sender;
+        room.buyIn = msg.value;
+        room.status = RoomStatus.Waiting;
+        room.boardSize = boardSize;
+        room.totalMines = numberOfMines;
+        room.maxPlayers = maxPlayers;
+        emit RoomCreated(roomId, msg.sender, msg.value, boardSize, numberOfMines, maxPlayers);
+        _join(roomId, room);
+    }
+
+    function joinRoom(uint256 roomId) external payable whenGameNotPaused {
+        Room storage room = rooms[roomId];
+        require(room.status == RoomStatus.Waiting, "Room is not open");
+        require(room.players.length < room.maxPlayers, "Room is full");
+        require(playerStatus[roomId][msg.sender] == PlayerStatus.None, "Already joined");
+        require(msg.value == room.buyIn, "Send the exact buy-in");
+        _join(roomId, room);
+    }
+
+    function _join(uint256 roomId, Room storage room) private {
+        room.players.push(msg.sender);
+        room.activePlayers++;
+        room.pot += msg.value;
+        playerStatus[roomId][msg.sender] = PlayerStatus.Active;
+        emit PlayerJoined(roomId, msg.sender);
+    }
+
+    // Any player in the room may start it, so a creator who left cannot hold it up
+    function startRoom(uint256 roomId) external {
+        Room storage room = rooms[roomId];
+        require(room.status == RoomStatus.Waiting, "Room is not open");
+        require(playerStatus[roomId][msg.sender] == PlayerStatus.Active, "Not in this room");
+        require(room.activePlayers >= 2, "Need at least 2 players");
+        // Turns follow the join order
+        room.status = RoomStatus.Playing;
+        room.turnStartedAt = uint64(block.timestamp);
+        emit RoomStarted(roomId);
+    }
+
+    function pickTile(uint256 roomId, uint8 tileIndex) external {
+        Room storage room = rooms[roomId];
+        require(room.status == RoomStatus.Playing, "Room is not playing");
+        require(!room.pickPending, "Waiting for the house");
+        require(room.players[room.turn] == msg.sender, "Not your turn");
+        require(tileIndex < room.boardSize * room.boardSize, "Invalid tile index");
+        require((room.safeTiles | room.mineTiles) & (uint64(1) << tileIndex) == 0, "Tile already revealed");
+        require(nextCommitmentIndex < seedCommitments.length, "No house seed available");
+        require(houseBond - lockedBond >= room.buyIn, "House bond too low");
+
+        lockedBond += room.buyIn;
+        bytes32 serverSeedHash = seedCommitments[nextCommitmentIndex++];
+        room.pickPending = true;
+        room.pendingTile = tileIndex;
+        room.pendingSeedHash = serverSeedHash;
+        room.pickBlock = uint64(block.number);
+        room.turnStartedAt = uint64(block.timestamp);
+        emit TilePicked(roomId, msg.sender, tileIndex, serverSeedHash);
+    }
+
+    // Anyone holding the committed seed may resolve the pick; the house does it as soon as
+    // the block after the pick is sealed. blockhash only reaches 256 blocks back, so a pick
+    // left longer can only end through timeoutTurn.
+    function resolvePick(uint256 roomId, bytes32 serverSeed) external {
+        Room storage room = rooms[roomId];
+        require(room.status == RoomStatus.Playing && room.pickPending, "No pick to resolve");
+        require(keccak256(abi.encodePacked(serverSeed)) == room.pendingSeedHash, "Server seed does not match commitment");
+        require(block.number > room.pickBlock + 1, "Pick block not sealed yet");
+        bytes32 pickBlockHash = blockhash(room.pickBlock + 1);
+        require(pickBlockHash != bytes32(0), "Pick is too old to resolve");
+
+        uint8 tileIndex = room.pendingTile;
+        address player = room.players[room.turn];
+        bool isMine = isMineRoll(serverSeed, pickBlockHash, roomId, tileIndex, hiddenTiles(room), minesLeft(room));
+        room.pickPending = false;
+        lockedBond -= room.buyIn;
+        if (isMine) {
+            room.mineTiles |= uint64(1) << tileIndex;
+            playerStatus[roomId][player] = PlayerStatus.Eliminated;
+            room.activePlayers--;
+        } else {
+            room.safeTiles |= uint64(1) << tileIndex;
+        }
+        emit TileResolved(roomId, player, tileIndex, isMine, serverSeed, pickBlockHash);
+
+        // Once one player is left, or every safe tile is revealed, there is nothing to play for
+        if (room.activePlayers <= 1 || hiddenTiles(room) == minesLeft(room)) {
+            _finish(roomId, room, false);
+        } else {
+            _advanceTurn(roomId, room);
+        }
+    }
+
+    // Hidden tiles are mines with the odds the board has left: a random layout, drawn
+    // one tile at a time
+    function isMineRoll(
+        bytes32 serverSeed,
+        bytes32 pickBlockHash,
+        uint256 roomId,
+        uint8 tileIndex,
+        uint8 hidden,
+        uint8 mines
+    ) public pure returns (bool) {
+        return uint256(keccak256(abi.encode(serverSeed, pickBlockHash, roomId, tileIndex))) % hidden < mines;
+    }
+
+    // Pays the player an equal share of the pot. Not while a pick is waiting for the
+    // house, so nobody can leave once their own pick may be a mine.
+    function leaveRoom(uint256 roomId) external {
+        Room storage room = rooms[roomId];
+        require(room.status == RoomStatus.Waiting || room.status == RoomStatus.Playing, "Room is over");
+        require(playerStatus[roomId][msg.sender] == PlayerStatus.Active, "Not in this room");
+        require(!room.pickPending, "Waiting for the house");
+        _leave(roomId, room, msg.sender);
+    }
+
+    // A player who lets their turn run out is sent off with their share. A pick the house
+    // leaves unresolved for as long counts as a mine, so holding back a mine never turns it
+    // into a share of the pot, and the house bond pays the picker their buy-in for the stall.
+    function timeoutTurn(uint256 roomId) external {
+        Room storage room = rooms[roomId];
+        require(room.status == RoomStatus.Playing, "Room is not playing");
+        require(block.timestamp >= room.turnStartedAt + turnTimeout, "Turn has not timed out");
+        if (room.pickPending) {
+            _timeOutPick(roomId, room);
+        } else {
+            _leave(roomId, room, room.players[room.turn]);
+        }
+    }
+
+    // The tile stays hidden and its seed unused
+    function _timeOutPick(uint256 roomId, Room storage room) private {
+        address player = room.players[room.turn];
+        room.pickPending = false;
+        playerStatus[roomId][player] = PlayerStatus.Eliminated;
+        room.activePlayers--;
+
+        lockedBond -= room.buyIn;
+        houseBond -= room.buyIn;
+        _credit(player, room.buyIn);
+        emit PickTimedOut(roomId, player, room.pendingTile, room.buyIn);
+
+        if (room.activePlayers <= 1) {
+            _finish(roomId, room, false);
+        } else {
+            _advanceTurn(roomId, room);
+        }
+    }
+
+    function _leave(uint256 roomId, Room storage room, address player) private {
+        uint256 share = room.pot / room.activePlayers;
+        room.pot -= share;
+        room.activePlayers--;
+        _credit(player, share);
+        if (room.status == RoomStatus.Waiting) {
+            // Before the start the seat opens up again, and the player may come back
+            _removePlayer(room, player);
+            playerStatus[roomId][player] = PlayerStatus.None;
+        } else {
+            playerStatus[roomId][player] = PlayerStatus.Left;
+        }
+        emit PlayerLeft(roomId, player, share);
+
+        if (room.activePlayers == 0) {
+            room.status = RoomStatus.Cancelled;
+            emit RoomCancelled(roomId);
+        } else if (room.status == RoomStatus.Playing) {
+            if (room.activePlayers == 1) {
+                _finish(roomId, room, false);
+            } else if (room.players[room.turn] == player) {
+                _advanceTurn(roomId, room);
+            }
+        }
+    }
+
+    // Splits what is left of the pot among the players still in; the last one gets the dust
+    function _finish(uint256 roomId, Room storage room, bool cancelled) private {
+        room.status = cancelled ? RoomStatus.Cancelled : RoomStatus.Finished;
+        room.pickPending = false;
+        uint256 share = room.pot / room.activePlayers;
+        uint8 paid;
+        for (uint256 i = 0; i < room.players.length; i++) {
+            address player = room.players[i];
+            if (playerStatus[roomId][player] != PlayerStatus.Active) continue;
+            paid++;
+            _credit(player, paid == room.activePlayers ? room.pot - share * (paid - 1) : share);
+        }
+        room.pot = 0;
+        if (cancelled) {
+            emit RoomCancelled(roomId);
+        } else {
+            emit RoomFinished(roomId);
+        }
+    }
+
+    // Keeps the join order of the others
+    function _removePlayer(Room storage room, address player) private {
+        uint256 i = 0;
+        while (room.players[i] != player) i++;
+        for (; i + 1 < room.players.length; i++) {
+            room.players[i] = room.players[i + 1];
+        }
+        room.players.pop();
+    }
+
+    function _advanceTurn(uint256 roomId, Room storage room) private {
+        uint256 count = room.players.length;
+        uint256 next = room.turn;
+        do {
+            next = (next + 1) % count;
+        } while (playerStatus[roomId][room.players[next]] != PlayerStatus.Active);
+        room.turn = uint8(next);
+        room.turnStartedAt = uint64(block.timestamp);
+    }
+
+    function _credit(address account, uint256 amount) private {
+        claimable[account] += amount;
+        emit FundsCredited(account, amount);
+    }
+
+    function depositBond() external payable onlyGameRole(HOUSE_ROLE) {
+        houseBond += msg.value;
+        emit BondDeposited(msg.value, houseBond);
+    }
+
+    // Only the part no open pick has locked
+    function withdrawBond(uint256 amount) external nonReentrant onlyGameRole(HOUSE_ROLE) {
+        require(amount <= houseBond - lockedBond, "Bond backs open picks");
+        houseBond -= amount;
+        Address.sendValue(payable(msg.sender), amount);
+        emit BondWithdrawn(amount, houseBond);
+    }
+
+    function withdraw() external nonReentrant {
+        uint256 amount = claimable[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        claimable[msg.sender] = 0;
+        Address.sendValue(payable(msg.sender), amount);
+        emit FundsWithdrawn(msg.sender, amount);
+    }
+
+    function hiddenTiles(Room storage room) private view returns (uint8) {
+        return room.boardSize * room.boardSize - _popCount(room.safeTiles) - _popCount(room.mineTiles);
+    }
+
+    function minesLeft(Room storage room) private view returns (uint8) {
+        return room.totalMines - _popCount(room.mineTiles);
+    }
+
+    function _popCount(uint64 bits) private pure returns (uint8 count) {
+        for (; bits != 0; bits &= bits - 1) count++;
+    }
+
+    function getRoom(uint256 roomId) external view returns (Room memory room, PlayerStatus[] memory statuses) {
+        room = rooms[roomId];
+        statuses = new PlayerStatus[](room.players.length);
+        for (uint256 i = 0; i < room.players.length; i++) {
+            statuses[i] = playerStatus[roomId][room.players[i]];
+        }
+    }
+
+    function commitServerSeeds(bytes32[] calldata serverSeedHashes) external onlyGameRole(HOUSE_ROLE) {
+        for (uint256 i = 0; i < serverSeedHashes.length; i++) {
+            seedCommitments.push(serverSeedHashes[i]);
+        }
+        emit SeedsCommitted(serverSeedHashes.length, seedCommitments.length - nextCommitmentIndex);
+    }
+
+    function availableCommitments() external view returns (uint256) {
+        return seedCommitments.length - nextCommitmentIndex;
+    }
+
+    function setTurnTimeout(uint256 newTurnTimeout) external onlyGameRole(DEFAULT_ADMIN_ROLE) {
+        require(newTurnTimeout >= MIN_TURN_TIMEOUT && newTurnTimeout <= MAX_TURN_TIMEOUT, "Invalid turn timeout");
+        turnTimeout = newTurnTimeout;
+        emit TurnTimeoutUpdated(newTurnTimeout);
+    }
+}
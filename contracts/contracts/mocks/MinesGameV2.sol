@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../MinesGame.sol";
+
+// Next version of MinesGame for upgrade tests: appends a variable and a function,
+// which is all a compatible upgrade may do to the storage layout. The proxy already ran
+// MinesGame's initialize, so there is nothing to initialize again.
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MinesGameV2 is MinesGame {
+    uint256 public version;
+
+    function setVersion(uint256 newVersion) external {
+        version = newVersion;
+    }
+}
+
+contract ShiftedStorage {
+    uint256 internal shifted;
+}
+
+// Inherits a variable ahead of MinesGame's, moving every existing slot; the upgrade
+// tests check the plugin refuses it
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MinesGameShifted is ShiftedStorage, MinesGame {}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IMinesGame {
+    function startGame(uint8 boardSize, uint8 numberOfMines, bytes32 clientSeed, address referrer) external payable;
+    function revealTile(uint8 tileIndex) external;
+    function cashOut() external;
+    function withdraw(address token) external;
+}
+
+// Smart-contract player for tests. Its receive hook costs more than the 2300 gas a
+// transfer forwards, and can try to re-enter withdraw while it is being paid.
+contract TestWallet {
+    IMinesGame public immutable game;
+    bool public reenter;
+    uint256 public received;
+
+    constructor(IMinesGame minesGame) {
+        game = minesGame;
+    }
+
+    function setReenter(bool enabled) external {
+        reenter = enabled;
+    }
+
+    function startGame(uint8 boardSize, uint8 numberOfMines, bytes32 clientSeed) external payable {
+        game.startGame{value: msg.value}(boardSize, numberOfMines, clientSeed, address(0));
+    }
+
+    function revealTile(uint8 tileIndex) external {
+        game.revealTile(tileIndex);
+    }
+
+    function cashOut() external {
+        game.cashOut();
+    }
+
+    function withdraw() external {
+        game.withdraw(address(0));
+    }
+
+    receive() external payable {
+        received += msg.value;
+        if (reenter) {
+            game.withdraw(address(0));
+        }
+    }
+}
@@ -1,15 +1,49 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+const { task, subtask } = require("hardhat/config");
+const { TASK_NODE, TASK_NODE_SERVER_READY } = require("hardhat/builtin-tasks/task-names");
+
+let setupLocalGame = false;
+
+subtask(TASK_NODE_SERVER_READY).setAction(async (args, hre, runSuper) => {
+  await runSuper(args);
+  if (setupLocalGame) {
+    await require("./scripts/local").setupLocal(hre);
+  }
+});
+
+task("local", "Starts a local node with MinesGame deployed, funded and wired to the frontend")
+  .setAction(async (_, hre) => {
+    setupLocalGame = true;
+    await hre.run(TASK_NODE);
+  });
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.19",
+  solidity: {
+    version: "0.8.24",
+    settings: {
+      evmVersion: "paris",
+      // Keeps MinesGame under the 24 KB contract size limit; runs: 1 optimizes for code
+      // size over the gas of each call
+      optimizer: {
+        enabled: true,
+        runs: 1,
+      },
+    },
+  },
   networks: {
     somnia: {
       url: "https://dream-rpc.somnia.network",
       chainId: 50312,
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
     },
+    somniaMainnet: {
+      url: "https://api.infra.mainnet.somnia.network",
+      chainId: 5031,
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    },
     hardhat: {
       chainId: 1337
     }
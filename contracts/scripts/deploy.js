@@ -1,7 +1,10 @@
 const hre = require("hardhat");
+const path = require("path");
+const { describeDeployment, recordDeployment } = require("./deployments");
 
 async function main() {
-  console.log("🚀 Deploying MineSomnia contract to Somnia Network...");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  console.log(`🚀 Deploying MineSomnia contract to ${hre.network.name} (chain ${chainId})...`);
 
   // Get the signer
   const [deployer] = await hre.ethers.getSigners();
@@ -13,37 +16,50 @@ async function main() {
   console.log("📝 Deploying contracts with the account:", deployer.address);
   console.log("💰 Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
 
-  // Deploy the MinesGame contract with high gas price for Somnia
+  // Deploys the implementation, a ProxyAdmin owned by the deployer and the proxy players use.
+  // The gas limit is estimated; the contract no longer fits in a fixed 3M
   const MinesGame = await hre.ethers.getContractFactory("MinesGame");
-  const minesGame = await MinesGame.deploy({
-    gasLimit: 3000000
-  });
+  const minesGame = await hre.upgrades.deployProxy(MinesGame);
   
   await minesGame.waitForDeployment();
 
   console.log("✅ MineSomnia contract deployed to:", await minesGame.getAddress());
+
+  // The referral and rakeback program gets its own proxy; it pays nothing until funded
+  const MinesRewards = await hre.ethers.getContractFactory("MinesRewards");
+  const rewards = await hre.upgrades.deployProxy(MinesRewards, [await minesGame.getAddress()]);
+  await rewards.waitForDeployment();
+  await (await minesGame.setRewards(await rewards.getAddress())).wait();
+  console.log("🎁 Rewards program deployed to:", await rewards.getAddress());
+
+  // Multiplayer rooms take their roles and pause switch from MinesGame but hold their own pots
+  const MinesRooms = await hre.ethers.getContractFactory("MinesRooms");
+  const rooms = await hre.upgrades.deployProxy(MinesRooms, [await minesGame.getAddress()]);
+  await rooms.waitForDeployment();
+  console.log("👥 Rooms deployed to:", await rooms.getAddress());
   console.log("📋 Contract ABI and address saved to artifacts/");
 
   console.log("\n🎉 Deployment completed successfully!");
   console.log("📝 Contract Address:", await minesGame.getAddress());
-  console.log("🔗 Network: Somnia Network");
-  
-  // Save deployment info
-  const deploymentInfo = {
-    contractAddress: await minesGame.getAddress(),
-    network: "Somnia Network",
-    deployer: deployer.address,
-    timestamp: new Date().toISOString()
-  };
+  console.log("🔗 Network:", hre.network.name);
   
+  const deploymentInfo = { ...(await describeDeployment(hre, minesGame, deployer)), rooms: await rooms.getAddress() };
   console.log("\n📄 Deployment Info:");
   console.log(JSON.stringify(deploymentInfo, null, 2));
+
+  // Record the deployment so the frontend and the house pick it up by chain ID.
+  // The in-process hardhat network is gone once this script exits, so skip it.
+  if (hre.network.name !== "hardhat") {
+    const manifest = recordDeployment(chainId.toString(), deploymentInfo);
+    console.log("💾 Saved to", path.relative(process.cwd(), manifest));
+  }
   
-  // Instructions for frontend integration
   console.log("\n🔧 Next Steps:");
-  console.log("1. Copy the contract address above");
-  console.log("2. Update src/config.js with the contract address");
-  console.log("3. Test the frontend connection");
+  console.log("1. Commit the updated deployments manifest and .openzeppelin/, which upgrades need");
+  console.log("2. Start the house so seeds get committed and games settled:");
+  console.log(`   npx hardhat run scripts/house.js --network ${hre.network.name}`);
+  console.log("3. Fund the rewards budget with MinesRewards.fund so referrals and rakeback accrue");
+  console.log("4. Test the frontend connection");
 }
 
 main()
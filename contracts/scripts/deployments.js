@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+
+// The frontend picks its contract from this file by the wallet's chain ID
+const MANIFEST = path.join(__dirname, "..", "..", "src", "deployments.json");
+
+const readManifest = () => (fs.existsSync(MANIFEST) ? JSON.parse(fs.readFileSync(MANIFEST, "utf8")) : {});
+
+// Hash of the ABI the frontend checks its own copy against
+async function getAbiHash(hre) {
+  const { abi } = await hre.artifacts.readArtifact("MinesGame");
+  return hre.ethers.id(JSON.stringify(abi));
+}
+
+// Proxy address, implementation, ABI hash, block and deployer of a freshly deployed MinesGame
+async function describeDeployment(hre, minesGame, deployer) {
+  const receipt = await minesGame.deploymentTransaction().wait();
+  const address = await minesGame.getAddress();
+
+  return {
+    network: hre.network.name,
+    address,
+    implementation: await hre.upgrades.erc1967.getImplementationAddress(address),
+    abiHash: await getAbiHash(hre),
+    blockNumber: receipt.blockNumber,
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+  };
+}
+
+// An upgrade keeps the address and deployment block, so the app still finds every past game
+async function describeUpgrade(hre, deployment) {
+  return {
+    ...deployment,
+    implementation: await hre.upgrades.erc1967.getImplementationAddress(deployment.address),
+    abiHash: await getAbiHash(hre),
+    upgradedAt: new Date().toISOString(),
+  };
+}
+
+function recordDeployment(chainId, deployment) {
+  const manifest = readManifest();
+  manifest[chainId] = deployment;
+  fs.writeFileSync(MANIFEST, JSON.stringify(manifest, null, 2) + "\n");
+  return MANIFEST;
+}
+
+function getDeployment(chainId) {
+  return readManifest()[chainId] || null;
+}
+
+// The address recorded for a chain, so scripts need no address once deploy.js has run
+function getDeployedAddress(chainId) {
+  return getDeployment(chainId)?.address || null;
+}
+
+module.exports = {
+  MANIFEST,
+  describeDeployment,
+  describeUpgrade,
+  recordDeployment,
+  getDeployment,
+  getDeployedAddress,
+};
@@ -0,0 +1,156 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getDeployedAddress, getDeployment } = require("./deployments");
+
+// Server seeds never leave this machine until the game they belong to is settled
+const SEED_STORE = path.join(__dirname, "..", "house-seeds.json");
+const MIN_COMMITMENTS = 5;
+const COMMIT_BATCH_SIZE = 20;
+const POLL_INTERVAL_MS = 3000;
+
+const loadSeeds = (contractAddress) => {
+  if (!fs.existsSync(SEED_STORE)) return {};
+  const store = JSON.parse(fs.readFileSync(SEED_STORE, "utf8"));
+  return store[contractAddress] || {};
+};
+
+const saveSeeds = (contractAddress, seeds) => {
+  const store = fs.existsSync(SEED_STORE) ? JSON.parse(fs.readFileSync(SEED_STORE, "utf8")) : {};
+  store[contractAddress] = seeds;
+  fs.writeFileSync(SEED_STORE, JSON.stringify(store, null, 2));
+};
+
+async function topUpCommitments(minesGame, contractAddress, seeds) {
+  const available = await minesGame.availableCommitments();
+  if (available >= BigInt(MIN_COMMITMENTS)) return;
+
+  const hashes = [];
+  for (let i = 0; i < COMMIT_BATCH_SIZE; i++) {
+    const serverSeed = hre.ethers.hexlify(hre.ethers.randomBytes(32));
+    const serverSeedHash = hre.ethers.keccak256(serverSeed);
+    seeds[serverSeedHash] = serverSeed;
+    hashes.push(serverSeedHash);
+  }
+
+  // Persist before committing so a crash can never strand a committed hash
+  saveSeeds(contractAddress, seeds);
+  const tx = await minesGame.commitServerSeeds(hashes);
+  await tx.wait();
+  console.log(`🔐 Committed ${hashes.length} server seeds`);
+}
+
+async function settlePendingGames(minesGame, seeds, fromBlock, toBlock) {
+  const events = await minesGame.queryFilter(minesGame.filters.CashOutRequested(), fromBlock, toBlock);
+
+  for (const event of events) {
+    const { player, serverSeedHash } = event.args;
+    const game = await minesGame.getGameStatus(player);
+    if (!game.isActive || !game.cashOutRequested || game.serverSeedHash !== serverSeedHash) continue;
+
+    const serverSeed = seeds[serverSeedHash];
+    if (!serverSeed) {
+      console.error(`⚠️  No server seed stored for ${serverSeedHash} (player ${player})`);
+      continue;
+    }
+
+    try {
+      const tx = await minesGame.settleGame(player, serverSeed);
+      await tx.wait();
+      console.log(`🎲 Settled game for ${player}`);
+    } catch (error) {
+      console.error(`❌ Failed to settle game for ${player}:`, error.shortMessage || error.message);
+    }
+  }
+}
+
+// Reveals the seed of every room pick still waiting for the house. The roll takes the hash
+// of the block after the pick, so a pick whose next block is not sealed yet is returned to
+// be tried again on the next round.
+async function resolveRoomPicks(rooms, seeds, picks) {
+  const latest = await hre.ethers.provider.getBlockNumber();
+  const waiting = [];
+
+  for (const event of picks) {
+    const { roomId, serverSeedHash } = event.args;
+    const [room] = await rooms.getRoom(roomId);
+    if (!room.pickPending || room.pendingSeedHash !== serverSeedHash) continue;
+    if (latest <= Number(room.pickBlock) + 1) {
+      waiting.push(event);
+      continue;
+    }
+
+    const serverSeed = seeds[serverSeedHash];
+    if (!serverSeed) {
+      console.error(`⚠️  No server seed stored for ${serverSeedHash} (room ${roomId})`);
+      continue;
+    }
+
+    try {
+      const tx = await rooms.resolvePick(roomId, serverSeed);
+      await tx.wait();
+      console.log(`🎲 Resolved a pick in room ${roomId}`);
+    } catch (error) {
+      console.error(`❌ Failed to resolve the pick in room ${roomId}:`, error.shortMessage || error.message);
+    }
+  }
+  return waiting;
+}
+
+// Commits seeds, settles cash-out requests and, given MinesRooms, resolves room picks
+// until the process exits
+async function runHouse(minesGame, house, rooms = null) {
+  const contractAddress = await minesGame.getAddress();
+  if (!(await minesGame.hasRole(await minesGame.HOUSE_ROLE(), house.address))) {
+    throw new Error(`Account ${house.address} does not have HOUSE_ROLE on ${contractAddress}`);
+  }
+
+  console.log("🏠 House running for", contractAddress, "as", house.address);
+
+  const seeds = loadSeeds(contractAddress);
+  const roomsAddress = rooms && (await rooms.getAddress());
+  const roomSeeds = rooms ? loadSeeds(roomsAddress) : null;
+  if (rooms) console.log("👥 Serving rooms at", roomsAddress);
+  // Look back a little so requests made while the house was offline still get settled
+  let fromBlock = Math.max(0, (await hre.ethers.provider.getBlockNumber()) - 1000);
+  let roomPicks = [];
+
+  for (;;) {
+    const toBlock = await hre.ethers.provider.getBlockNumber();
+    if (toBlock >= fromBlock) {
+      await settlePendingGames(minesGame, seeds, fromBlock, toBlock);
+      if (rooms) roomPicks.push(...(await rooms.queryFilter(rooms.filters.TilePicked(), fromBlock, toBlock)));
+      fromBlock = toBlock + 1;
+    }
+    if (rooms) roomPicks = await resolveRoomPicks(rooms, roomSeeds, roomPicks);
+    await topUpCommitments(minesGame, contractAddress, seeds);
+    if (rooms) await topUpCommitments(rooms, roomsAddress, roomSeeds);
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const contractAddress = process.env.MINES_GAME_ADDRESS || getDeployedAddress(chainId.toString());
+  if (!contractAddress) {
+    throw new Error(`No MinesGame deployment recorded for chain ${chainId}. Deploy it or set MINES_GAME_ADDRESS.`);
+  }
+
+  const [house] = await hre.ethers.getSigners();
+  const minesGame = await hre.ethers.getContractAt("MinesGame", contractAddress, house);
+  // Rooms are optional; without an address the house only serves MinesGame
+  const roomsAddress = process.env.MINES_ROOMS_ADDRESS || getDeployment(chainId.toString())?.rooms;
+  const rooms = roomsAddress ? await hre.ethers.getContractAt("MinesRooms", roomsAddress, house) : null;
+  await runHouse(minesGame, house, rooms);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ House failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runHouse };
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+const { runHouse } = require("./house");
+const { runRelayer, DEFAULT_PORT: RELAYER_PORT } = require("./relayer");
+const { describeDeployment } = require("./deployments");
+
+const HOUSE_FUNDS = "100";
+const REWARDS_BUDGET = "10";
+// Backs open room picks; each one locks its room's buy-in until the house resolves it
+const ROOMS_BOND = "20";
+// A mintable stand-in for a stablecoin so token betting can be tried locally
+const TEST_TOKEN = { name: "Test USD", symbol: "TUSD", decimals: 6, houseFunds: "100000", playerFunds: "1000" };
+// Create React App loads this file on `npm start`, after .env and .env.local
+const FRONTEND_ENV_FILE = path.join(__dirname, "..", "..", ".env.development.local");
+
+// Deploys and funds MinesGame on the running local node, then keeps the house settling games
+async function setupLocal(hre) {
+  const signers = await hre.ethers.getSigners();
+  const [deployer] = signers;
+  // The house already sends from the deployer; a separate account keeps their nonces apart
+  const relayer = signers[signers.length - 1];
+
+  const MinesGame = await hre.ethers.getContractFactory("MinesGame");
+  const minesGame = await hre.upgrades.deployProxy(MinesGame);
+  await minesGame.waitForDeployment();
+  const contractAddress = await minesGame.getAddress();
+  const { blockNumber, abiHash } = await describeDeployment(hre, minesGame, deployer);
+
+  await (await minesGame.addHouseFunds({ value: hre.ethers.parseEther(HOUSE_FUNDS) })).wait();
+  const rewardsAddress = await setupRewards(hre, minesGame);
+  const tokenAddress = await setupTestToken(hre, minesGame);
+  const MinesRooms = await hre.ethers.getContractFactory("MinesRooms");
+  const rooms = await hre.upgrades.deployProxy(MinesRooms, [contractAddress]);
+  await rooms.waitForDeployment();
+  await (await rooms.depositBond({ value: hre.ethers.parseEther(ROOMS_BOND) })).wait();
+
+  fs.writeFileSync(
+    FRONTEND_ENV_FILE,
+    [
+      "# Written by `npm run local` in contracts/",
+      `REACT_APP_LOCAL_MINES_GAME_ADDRESS=${contractAddress}`,
+      `REACT_APP_LOCAL_DEPLOYMENT_BLOCK=${blockNumber}`,
+      `REACT_APP_LOCAL_ABI_HASH=${abiHash}`,
+      `REACT_APP_LOCAL_MINES_ROOMS_ADDRESS=${await rooms.getAddress()}`,
+      `REACT_APP_RELAYER_URL=http://127.0.0.1:${RELAYER_PORT}/relay`,
+      "",
+    ].join("\n")
+  );
+
+  console.log("\n✅ MineSomnia deployed locally to:", contractAddress);
+  console.log(`💰 House funded with ${HOUSE_FUNDS} ETH`);
+  console.log(`🎁 Rewards program at ${rewardsAddress} with a ${REWARDS_BUDGET} ETH budget`);
+  console.log(`👥 Rooms at ${await rooms.getAddress()} with a ${ROOMS_BOND} ETH house bond`);
+  console.log(`🪙 ${TEST_TOKEN.symbol} whitelisted at ${tokenAddress}, ${TEST_TOKEN.playerFunds} minted to every account`);
+  console.log("🔧 Frontend configured via", path.relative(process.cwd(), FRONTEND_ENV_FILE));
+  console.log("▶️  Run `npm start` in the project root and import one of the accounts above into MetaMask\n");
+
+  // Room picks wait for the block after them, which an idle automining node never seals
+  await hre.network.provider.send("evm_setIntervalMining", [1000]);
+
+  runHouse(minesGame, deployer, rooms).catch((error) => {
+    console.error("❌ House failed:", error);
+  });
+  runRelayer(minesGame.connect(relayer), relayer, RELAYER_PORT);
+}
+
+// Deploys the referral and rakeback program, hooks it into MinesGame and funds its budget
+async function setupRewards(hre, minesGame) {
+  const MinesRewards = await hre.ethers.getContractFactory("MinesRewards");
+  const rewards = await hre.upgrades.deployProxy(MinesRewards, [await minesGame.getAddress()]);
+  await rewards.waitForDeployment();
+  const rewardsAddress = await rewards.getAddress();
+
+  await (await minesGame.setRewards(rewardsAddress)).wait();
+  await (await rewards.fund({ value: hre.ethers.parseEther(REWARDS_BUDGET) })).wait();
+  return rewardsAddress;
+}
+
+// Deploys TestToken, whitelists and funds its pool, and mints some to every local account
+async function setupTestToken(hre, minesGame) {
+  const signers = await hre.ethers.getSigners();
+  const TestToken = await hre.ethers.getContractFactory("TestToken");
+  const token = await TestToken.deploy(TEST_TOKEN.name, TEST_TOKEN.symbol, TEST_TOKEN.decimals);
+  await token.waitForDeployment();
+  const tokenAddress = await token.getAddress();
+
+  const houseFunds = hre.ethers.parseUnits(TEST_TOKEN.houseFunds, TEST_TOKEN.decimals);
+  await (await minesGame.setTokenAllowed(tokenAddress, true)).wait();
+  await (await token.mint(signers[0].address, houseFunds)).wait();
+  await (await token.approve(await minesGame.getAddress(), houseFunds)).wait();
+  await (await minesGame.addTokenFunds(tokenAddress, houseFunds)).wait();
+
+  const playerFunds = hre.ethers.parseUnits(TEST_TOKEN.playerFunds, TEST_TOKEN.decimals);
+  for (const signer of signers) {
+    await (await token.mint(signer.address, playerFunds)).wait();
+  }
+  return tokenAddress;
+}
+
+module.exports = { setupLocal };
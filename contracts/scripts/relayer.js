@@ -0,0 +1,97 @@
+const hre = require("hardhat");
+const http = require("http");
+const { getDeployedAddress } = require("./deployments");
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Session moves the relayer submits, with the arguments each one takes before the signature.
+// The contract checks every signature, so the relayer cannot play for anyone on its own.
+const ACTIONS = {
+  openSession: ["player", "key", "token", "spendCap", "expiry"],
+  sessionRevealTile: ["player", "tileIndex"],
+  sessionRevealTiles: ["player", "tileIndices", "cashOutAt"],
+  sessionCashOut: ["player"],
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) reject(new Error("Request too large"));
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+
+const respond = (res, status, payload) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    // The app runs on another origin
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(JSON.stringify(payload));
+};
+
+// Accepts POST /relay with { action, args, signature } and submits it from the relayer's
+// account, paying the gas. Answers with the transaction so the app can wait for it.
+function runRelayer(minesGame, relayer, port = DEFAULT_PORT) {
+  // One account sends everything, so transactions go out one at a time to keep nonces in order
+  let queue = Promise.resolve();
+
+  const submit = async ({ action, args, signature }) => {
+    const names = ACTIONS[action];
+    if (!names) throw new Error(`Unknown action ${action}`);
+    const values = names.map((name) => {
+      if (args?.[name] === undefined) throw new Error(`Missing ${name}`);
+      return args[name];
+    });
+
+    // Simulate first so a bad signature costs the relayer nothing
+    await minesGame[action].staticCall(...values, signature);
+    const tx = await minesGame[action](...values, signature);
+    console.log(`📨 ${action} for ${args.player}: ${tx.hash}`);
+    return { hash: tx.hash, from: tx.from, nonce: tx.nonce };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") return respond(res, 204, {});
+    if (req.method !== "POST" || req.url !== "/relay") return respond(res, 404, { error: "Not found" });
+
+    try {
+      const request = JSON.parse(await readBody(req));
+      const result = (queue = queue.catch(() => {}).then(() => submit(request)));
+      respond(res, 200, await result);
+    } catch (error) {
+      respond(res, 400, { error: error.revert?.args[0] || error.reason || error.shortMessage || error.message });
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`📡 Relayer for ${minesGame.target} listening on http://127.0.0.1:${port}/relay as ${relayer.address}`);
+  });
+  return server;
+}
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const contractAddress = process.env.MINES_GAME_ADDRESS || getDeployedAddress(chainId.toString());
+  if (!contractAddress) {
+    throw new Error(`No MinesGame deployment recorded for chain ${chainId}. Deploy it or set MINES_GAME_ADDRESS.`);
+  }
+
+  const [relayer] = await hre.ethers.getSigners();
+  const minesGame = await hre.ethers.getContractAt("MinesGame", contractAddress, relayer);
+  runRelayer(minesGame, relayer, Number(process.env.RELAYER_PORT || DEFAULT_PORT));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Relayer failed:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runRelayer, DEFAULT_PORT };
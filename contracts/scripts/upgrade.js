@@ -0,0 +1,67 @@
+const hre = require("hardhat");
+const path = require("path");
+const { describeUpgrade, recordDeployment, getDeployment } = require("./deployments");
+
+// Points the MinesGame proxy recorded for this chain at the current code. Games, pools,
+// shares, claimable balances and seed commitments stay where they are, at the same address.
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = getDeployment(chainId.toString());
+  if (!deployment) {
+    throw new Error(`No MinesGame deployment recorded for chain ${chainId}. Deploy it with scripts/deploy.js first.`);
+  }
+
+  const [admin] = await hre.ethers.getSigners();
+  if (!admin) {
+    throw new Error("No admin account found. Check your private key configuration.");
+  }
+  console.log(`⬆️  Upgrading MinesGame at ${deployment.address} on ${hre.network.name} (chain ${chainId})...`);
+  console.log("📝 Sending from the ProxyAdmin owner:", admin.address);
+
+  // Fails before sending anything if the new code moves existing storage or is not upgrade safe
+  const MinesGame = await hre.ethers.getContractFactory("MinesGame");
+  await hre.upgrades.validateUpgrade(deployment.address, MinesGame);
+  console.log("✅ Storage layout is compatible");
+
+  // UPGRADE_CALL names a reinitializer of the new code to run in the same transaction
+  const call = process.env.UPGRADE_CALL;
+  const minesGame = await hre.upgrades.upgradeProxy(deployment.address, MinesGame, { call });
+  await minesGame.waitForDeployment();
+
+  const upgraded = await describeUpgrade(hre, deployment);
+  console.log("✅ Now running implementation", upgraded.implementation);
+  console.log(`💰 Native pool balance still ${hre.ethers.formatEther(await minesGame.getSharedPoolBalance(hre.ethers.ZeroAddress))}`);
+
+  // The rewards program sits behind its own proxy and moves to its current code too
+  const rewardsAddress = await minesGame.rewards();
+  if (rewardsAddress !== hre.ethers.ZeroAddress) {
+    const MinesRewards = await hre.ethers.getContractFactory("MinesRewards");
+    await hre.upgrades.validateUpgrade(rewardsAddress, MinesRewards);
+    await (await hre.upgrades.upgradeProxy(rewardsAddress, MinesRewards)).waitForDeployment();
+    console.log("✅ Rewards program now running implementation", await hre.upgrades.erc1967.getImplementationAddress(rewardsAddress));
+  }
+
+  // So do the rooms, when this deployment has them
+  if (deployment.rooms) {
+    const MinesRooms = await hre.ethers.getContractFactory("MinesRooms");
+    await hre.upgrades.validateUpgrade(deployment.rooms, MinesRooms);
+    await (await hre.upgrades.upgradeProxy(deployment.rooms, MinesRooms)).waitForDeployment();
+    console.log("✅ Rooms now running implementation", await hre.upgrades.erc1967.getImplementationAddress(deployment.rooms));
+  }
+
+  if (hre.network.name !== "hardhat") {
+    const manifest = recordDeployment(chainId.toString(), upgraded);
+    console.log("💾 Saved to", path.relative(process.cwd(), manifest));
+  }
+
+  console.log("\n🔧 Next Steps:");
+  console.log("1. Commit the updated deployments manifest and .openzeppelin/");
+  console.log("2. Copy the MinesGame.json, MinesRewards.json and MinesRooms.json artifacts to src/ so the app uses the new ABIs");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Upgrade failed:", error);
+    process.exit(1);
+  });
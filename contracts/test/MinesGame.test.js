@@ -0,0 +1,1126 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const HOUSE_FUNDS = ethers.parseEther("10");
+const BET = ethers.parseEther("0.001");
+const CLIENT_SEED = ethers.id("player seed");
+const NO_REFERRER = ethers.ZeroAddress;
+const NATIVE = ethers.ZeroAddress;
+
+describe("MinesGame", function () {
+  async function deployFixture() {
+    const [house, player, other] = await ethers.getSigners();
+
+    const MinesGame = await ethers.getContractFactory("MinesGame");
+    const minesGame = await upgrades.deployProxy(MinesGame);
+    await minesGame.addHouseFunds({ value: HOUSE_FUNDS });
+    // Let a single game risk the whole pool so test bets stay readable
+    await minesGame.setMaxPayout(NATIVE, 10000);
+
+    const serverSeeds = Array.from({ length: 5 }, (_, i) => ethers.id(`server seed ${i}`));
+    await minesGame.commitServerSeeds(serverSeeds.map((seed) => ethers.keccak256(seed)));
+
+    return { minesGame, house, player, other, serverSeeds };
+  }
+
+  async function startedGameFixture() {
+    const fixture = await deployFixture();
+    const { minesGame, player, serverSeeds } = fixture;
+    await minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET });
+
+    const mines = (await minesGame.generateMineLocations(serverSeeds[0], CLIENT_SEED, 25, 3)).map(Number);
+    const safeTiles = [...Array(25).keys()].filter((tile) => !mines.includes(tile));
+    return { ...fixture, serverSeed: serverSeeds[0], mines, safeTiles };
+  }
+
+  describe("commitServerSeeds", function () {
+    it("only lets the house commit seeds", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      await expect(minesGame.connect(other).commitServerSeeds([ethers.id("x")]))
+        .to.be.revertedWithCustomError(minesGame, "AccessControlUnauthorizedAccount")
+        .withArgs(other.address, await minesGame.HOUSE_ROLE());
+    });
+
+    it("tracks available commitments", async function () {
+      const { minesGame } = await loadFixture(deployFixture);
+      await expect(minesGame.commitServerSeeds([ethers.id("a"), ethers.id("b")]))
+        .to.emit(minesGame, "SeedsCommitted")
+        .withArgs(2, 7);
+      expect(await minesGame.availableCommitments()).to.equal(7);
+    });
+  });
+
+  describe("startGame", function () {
+    it("starts a game, takes the bet into the pool and consumes a commitment", async function () {
+      const { minesGame, player, serverSeeds } = await loadFixture(deployFixture);
+      const serverSeedHash = ethers.keccak256(serverSeeds[0]);
+
+      await expect(minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET }))
+        .to.emit(minesGame, "GameStarted")
+        .withArgs(player.address, NATIVE, BET, 5, 3, serverSeedHash, CLIENT_SEED);
+
+      const game = await minesGame.getGameStatus(player.address);
+      expect(game.isActive).to.equal(true);
+      expect(game.betAmount).to.equal(BET);
+      expect(game.totalMines).to.equal(3);
+      expect(game.serverSeedHash).to.equal(serverSeedHash);
+      expect(game.mineLocations).to.have.length(0);
+      expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(HOUSE_FUNDS + BET);
+      expect(await minesGame.availableCommitments()).to.equal(4);
+    });
+
+    it("rejects a zero bet", async function () {
+      const { minesGame, player } = await loadFixture(deployFixture);
+      await expect(minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER)).to.be.revertedWith(
+        "Bet amount must be greater than 0"
+      );
+    });
+
+    it("rejects mine counts that leave no safe tile", async function () {
+      const { minesGame, player } = await loadFixture(deployFixture);
+      await expect(minesGame.connect(player).startGame(5, 0, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith(
+        "Invalid mine count"
+      );
+      await expect(minesGame.connect(player).startGame(5, 25, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith(
+        "Invalid mine count"
+      );
+    });
+
+    it("rejects a second game while one is active", async function () {
+      const { minesGame, player } = await loadFixture(startedGameFixture);
+      await expect(minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith(
+        "Player already has an active game"
+      );
+    });
+
+    it("requires a committed house seed", async function () {
+      const MinesGame = await ethers.getContractFactory("MinesGame");
+      const minesGame = await upgrades.deployProxy(MinesGame);
+      await expect(minesGame.startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith("No house seed available");
+    });
+  });
+
+  describe("revealTile", function () {
+    it("records picks without revealing the board", async function () {
+      const { minesGame, player, safeTiles } = await loadFixture(startedGameFixture);
+
+      await expect(minesGame.connect(player).revealTile(safeTiles[0]))
+        .to.emit(minesGame, "TileSelected")
+        .withArgs(player.address, safeTiles[0]);
+
+      const game = await minesGame.getGameStatus(player.address);
+      expect(game.revealedTiles[safeTiles[0]]).to.equal(true);
+      expect(game.pickedTiles.map(Number)).to.deep.equal([safeTiles[0]]);
+      expect(game.revealedSafeTiles).to.equal(1);
+      expect(game.mineLocations).to.have.length(0);
+    });
+
+    it("rejects invalid and repeated tiles", async function () {
+      const { minesGame, player, safeTiles } = await loadFixture(startedGameFixture);
+      await expect(minesGame.connect(player).revealTile(25)).to.be.revertedWith("Invalid tile index");
+
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await expect(minesGame.connect(player).revealTile(safeTiles[0])).to.be.revertedWith("Tile already revealed");
+    });
+
+    it("requires an active game", async function () {
+      const { minesGame, other } = await loadFixture(startedGameFixture);
+      await expect(minesGame.connect(other).revealTile(0)).to.be.revertedWith("No active game");
+    });
+
+    it("stops picks once a cash out is requested", async function () {
+      const { minesGame, player, safeTiles } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await minesGame.connect(player).cashOut();
+      await expect(minesGame.connect(player).revealTile(safeTiles[1])).to.be.revertedWith(
+        "Cash out already requested"
+      );
+    });
+  });
+
+  describe("board sizes", function () {
+    it("plays and settles a game on a 3x3 board", async function () {
+      const { minesGame, player, serverSeeds } = await loadFixture(deployFixture);
+      const serverSeed = serverSeeds[0];
+      await expect(minesGame.connect(player).startGame(3, 2, CLIENT_SEED, NO_REFERRER, { value: BET }))
+        .to.emit(minesGame, "GameStarted")
+        .withArgs(player.address, NATIVE, BET, 3, 2, ethers.keccak256(serverSeed), CLIENT_SEED);
+
+      const game = await minesGame.getGameStatus(player.address);
+      expect(game.boardSize).to.equal(3);
+      expect(game.revealedTiles).to.have.length(9);
+      await expect(minesGame.connect(player).revealTile(9)).to.be.revertedWith("Invalid tile index");
+
+      const mines = (await minesGame.generateMineLocations(serverSeed, CLIENT_SEED, 9, 2)).map(Number);
+      expect(mines.every((tile) => tile < 9)).to.equal(true);
+      const safeTiles = [...Array(9).keys()].filter((tile) => !mines.includes(tile));
+      await minesGame.connect(player).revealTiles(safeTiles, 0);
+
+      const payout = await minesGame.calculatePayout(BET, 9, 2, 7, 100);
+      expect(payout).to.equal((BET * (await minesGame.calculateMultiplier(9, 2, 7, 100))) / 10n ** 18n);
+      const tx = minesGame.settleGame(player.address, serverSeed);
+      await expect(tx).to.emit(minesGame, "GameWon").withArgs(player.address, payout);
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(payout);
+    });
+
+    it("scales the mine count range and max bet with the board", async function () {
+      const { minesGame, player } = await loadFixture(deployFixture);
+      for (const boardSize of [3, 5, 7, 8]) {
+        const tiles = boardSize * boardSize;
+        const multiplier = await minesGame.calculateMultiplier(tiles, 1, tiles - 1, 100);
+        expect(await minesGame.getMaxBet(NATIVE, boardSize, 1)).to.equal((HOUSE_FUNDS * 10n ** 18n) / (multiplier - 10n ** 18n));
+        await expect(minesGame.getMaxBet(NATIVE, boardSize, tiles)).to.be.revertedWith("Invalid mine count");
+      }
+
+      await expect(minesGame.connect(player).startGame(3, 9, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith(
+        "Invalid mine count"
+      );
+      await expect(minesGame.connect(player).startGame(8, 63, CLIENT_SEED, NO_REFERRER, { value: BET })).to.emit(
+        minesGame,
+        "GameStarted"
+      );
+    });
+
+    it("rejects boards smaller than 3x3 or larger than 8x8", async function () {
+      const { minesGame, player } = await loadFixture(deployFixture);
+      for (const boardSize of [0, 2, 9]) {
+        await expect(minesGame.connect(player).startGame(boardSize, 1, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith(
+          "Invalid board size"
+        );
+      }
+    });
+  });
+
+  describe("revealTiles", function () {
+    it("picks every tile and cashes out in one transaction", async function () {
+      const { minesGame, player, serverSeed, safeTiles } = await loadFixture(startedGameFixture);
+      const picks = safeTiles.slice(0, 4);
+
+      const tx = minesGame.connect(player).revealTiles(picks, 0);
+      await expect(tx).to.emit(minesGame, "TileSelected").withArgs(player.address, picks[3]);
+      await expect(tx).to.emit(minesGame, "CashOutRequested");
+
+      const game = await minesGame.getGameStatus(player.address);
+      expect(game.pickedTiles.map(Number)).to.deep.equal(picks);
+      expect(game.cashOutRequested).to.equal(true);
+
+      const payout = await minesGame.calculatePayout(BET, 25, 3, picks.length, 100);
+      await expect(minesGame.settleGame(player.address, serverSeed)).to.emit(minesGame, "GameWon").withArgs(
+        player.address,
+        payout
+      );
+    });
+
+    it("stops picking and cashes out at the target", async function () {
+      const { minesGame, player, safeTiles } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await minesGame.connect(player).revealTiles(safeTiles.slice(1, 6), 3);
+
+      const game = await minesGame.getGameStatus(player.address);
+      expect(game.pickedTiles.map(Number)).to.deep.equal(safeTiles.slice(0, 3));
+      expect(game.cashOutRequested).to.equal(true);
+    });
+
+    it("leaves the game open when the target is not reached", async function () {
+      const { minesGame, player, safeTiles } = await loadFixture(startedGameFixture);
+      await expect(minesGame.connect(player).revealTiles(safeTiles.slice(0, 2), 5)).not.to.emit(
+        minesGame,
+        "CashOutRequested"
+      );
+
+      const game = await minesGame.getGameStatus(player.address);
+      expect(game.revealedSafeTiles).to.equal(2);
+      expect(game.cashOutRequested).to.equal(false);
+    });
+
+    it("loses at the first mine in the batch", async function () {
+      const { minesGame, player, serverSeed, safeTiles, mines } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTiles([safeTiles[0], mines[0], safeTiles[1]], 0);
+
+      const tx = minesGame.settleGame(player.address, serverSeed);
+      await expect(tx).to.emit(minesGame, "GameLost").withArgs(player.address);
+      await expect(tx).to.changeEtherBalance(player, 0);
+    });
+
+    it("rejects empty batches, bad targets and bad tiles", async function () {
+      const { minesGame, player, other, safeTiles } = await loadFixture(startedGameFixture);
+      await expect(minesGame.connect(other).revealTiles([0], 0)).to.be.revertedWith("No active game");
+      await expect(minesGame.connect(player).revealTiles([], 0)).to.be.revertedWith("No tiles to reveal");
+      await expect(minesGame.connect(player).revealTiles([safeTiles[0]], 23)).to.be.revertedWith(
+        "Invalid cash out target"
+      );
+      await expect(minesGame.connect(player).revealTiles([safeTiles[0], safeTiles[0]], 0)).to.be.revertedWith(
+        "Tile already revealed"
+      );
+
+      await minesGame.connect(player).revealTiles(safeTiles.slice(0, 2), 4);
+      await expect(minesGame.connect(player).revealTiles([safeTiles[2]], 2)).to.be.revertedWith(
+        "Cash out target already reached"
+      );
+    });
+  });
+
+  describe("cashOut and settleGame", function () {
+    it("requires at least one pick before cashing out", async function () {
+      const { minesGame, player } = await loadFixture(startedGameFixture);
+      await expect(minesGame.connect(player).cashOut()).to.be.revertedWith("Must reveal at least one safe tile");
+    });
+
+    it("emits CashOutRequested and refuses early settlement", async function () {
+      const { minesGame, player, serverSeed, safeTiles } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await expect(minesGame.settleGame(player.address, serverSeed)).to.be.revertedWith("Cash out not requested");
+
+      const game = await minesGame.getGameStatus(player.address);
+      await expect(minesGame.connect(player).cashOut())
+        .to.emit(minesGame, "CashOutRequested")
+        .withArgs(player.address, game.serverSeedHash);
+    });
+
+    it("rejects a seed that does not match the commitment", async function () {
+      const { minesGame, player, safeTiles } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await minesGame.connect(player).cashOut();
+      await expect(minesGame.settleGame(player.address, ethers.id("wrong"))).to.be.revertedWith(
+        "Server seed does not match commitment"
+      );
+    });
+
+    it("pays the multiplied bet when every pick is safe", async function () {
+      const { minesGame, player, other, serverSeed, safeTiles, mines } = await loadFixture(startedGameFixture);
+      const picks = safeTiles.slice(0, 5);
+      for (const tile of picks) {
+        await minesGame.connect(player).revealTile(tile);
+      }
+      await minesGame.connect(player).cashOut();
+
+      const payout = await minesGame.calculatePayout(BET, 25, 3, picks.length, 100);
+      expect(payout).to.be.greaterThan(BET);
+
+      // Settlement is permissionless once the seed is known
+      const tx = minesGame.connect(other).settleGame(player.address, serverSeed);
+      await expect(tx).to.emit(minesGame, "GameWon").withArgs(player.address, payout);
+      await expect(tx).to.emit(minesGame, "GameSettled");
+      await expect(tx).to.emit(minesGame, "FundsCredited").withArgs(player.address, NATIVE, payout);
+      await expect(tx).to.changeEtherBalance(player, 0);
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(payout);
+
+      const game = await minesGame.getGameStatus(player.address);
+      expect(game.isActive).to.equal(false);
+      expect(game.serverSeed).to.equal(serverSeed);
+      expect(game.mineLocations.map(Number)).to.deep.equal(mines);
+      expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(HOUSE_FUNDS + BET - payout);
+    });
+
+    it("loses the bet at the first mine and discards later picks", async function () {
+      const { minesGame, player, serverSeed, safeTiles, mines } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await minesGame.connect(player).revealTile(mines[0]);
+      await minesGame.connect(player).revealTile(safeTiles[1]);
+      await minesGame.connect(player).cashOut();
+
+      const tx = minesGame.settleGame(player.address, serverSeed);
+      await expect(tx).to.emit(minesGame, "TileRevealed").withArgs(player.address, safeTiles[0], false);
+      await expect(tx).to.emit(minesGame, "TileRevealed").withArgs(player.address, mines[0], true);
+      await expect(tx).to.emit(minesGame, "GameLost").withArgs(player.address);
+      await expect(tx).not.to.emit(minesGame, "FundsCredited");
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(0);
+
+      const game = await minesGame.getGameStatus(player.address);
+      expect(game.revealedSafeTiles).to.equal(1);
+      expect(game.revealedTiles[safeTiles[1]]).to.equal(false);
+      expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(HOUSE_FUNDS + BET);
+    });
+
+    it("pays a full board in full", async function () {
+      const { minesGame, player, serverSeeds } = await loadFixture(deployFixture);
+      const serverSeed = serverSeeds[0];
+      await minesGame.connect(player).startGame(5, 1, CLIENT_SEED, NO_REFERRER, { value: BET });
+
+      const [mine] = (await minesGame.generateMineLocations(serverSeed, CLIENT_SEED, 25, 1)).map(Number);
+      const safeTiles = [...Array(25).keys()].filter((tile) => tile !== mine);
+      for (const tile of safeTiles) {
+        await minesGame.connect(player).revealTile(tile);
+      }
+      await minesGame.connect(player).cashOut();
+
+      const payout = await minesGame.calculatePayout(BET, 25, 1, 24, 100);
+      const tx = minesGame.settleGame(player.address, serverSeed);
+      await expect(tx).to.emit(minesGame, "GameWon").withArgs(player.address, payout);
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(payout);
+      expect((await minesGame.pools(NATIVE)).reservedPayouts).to.equal(0);
+      expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(HOUSE_FUNDS + BET - payout);
+    });
+  });
+
+  describe("withdraw", function () {
+    async function wonGameFixture() {
+      const fixture = await loadFixture(startedGameFixture);
+      const { minesGame, player, serverSeed, safeTiles } = fixture;
+      await minesGame.connect(player).revealTiles(safeTiles.slice(0, 2), 0);
+      await minesGame.settleGame(player.address, serverSeed);
+      return { ...fixture, payout: await minesGame.calculatePayout(BET, 25, 3, 2, 100) };
+    }
+
+    async function walletFixture() {
+      const fixture = await deployFixture();
+      const { minesGame, serverSeeds } = fixture;
+      const TestWallet = await ethers.getContractFactory("TestWallet");
+      const wallet = await TestWallet.deploy(await minesGame.getAddress());
+      await wallet.startGame(5, 3, CLIENT_SEED, { value: BET });
+
+      const mines = (await minesGame.generateMineLocations(serverSeeds[0], CLIENT_SEED, 25, 3)).map(Number);
+      const [safeTile] = [...Array(25).keys()].filter((tile) => !mines.includes(tile));
+      await wallet.revealTile(safeTile);
+      await wallet.cashOut();
+      await minesGame.settleGame(await wallet.getAddress(), serverSeeds[0]);
+      return { ...fixture, wallet, payout: await minesGame.calculatePayout(BET, 25, 3, 1, 100) };
+    }
+
+    it("pays out the credited balance once", async function () {
+      const { minesGame, player, payout } = await wonGameFixture();
+      const tx = minesGame.connect(player).withdraw(NATIVE);
+      await expect(tx).to.emit(minesGame, "FundsWithdrawn").withArgs(player.address, NATIVE, payout);
+      await expect(tx).to.changeEtherBalances([player, minesGame], [payout, -payout]);
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(0);
+      await expect(minesGame.connect(player).withdraw(NATIVE)).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("only pays the account it was credited to", async function () {
+      const { minesGame, other } = await wonGameFixture();
+      await expect(minesGame.connect(other).withdraw(NATIVE)).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("settles wins of wallets that cannot take a transfer", async function () {
+      const { minesGame, wallet, payout } = await loadFixture(walletFixture);
+      expect(await minesGame.claimable(NATIVE, await wallet.getAddress())).to.equal(payout);
+
+      await expect(wallet.withdraw()).to.changeEtherBalance(wallet, payout);
+      expect(await wallet.received()).to.equal(payout);
+    });
+
+    it("rejects re-entry from the recipient", async function () {
+      const { minesGame, wallet } = await loadFixture(walletFixture);
+      await wallet.setReenter(true);
+      await expect(wallet.withdraw()).to.be.revertedWithCustomError(minesGame, "ReentrancyGuardReentrantCall");
+    });
+  });
+
+  describe("forfeitGame", function () {
+    it("lets the player give up at once and keeps the bet in the pool", async function () {
+      const { minesGame, player, safeTiles } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      const game = await minesGame.getGameStatus(player.address);
+      expect(await minesGame.gameStartedAt(player.address)).to.equal((await time.latest()) - 1);
+
+      await expect(minesGame.connect(player).forfeitGame(player.address))
+        .to.emit(minesGame, "GameForfeited")
+        .withArgs(player.address, game.serverSeedHash, player.address);
+      expect((await minesGame.getGameStatus(player.address)).isActive).to.equal(false);
+      const pool = await minesGame.pools(NATIVE);
+      expect(pool.activeBets).to.equal(0);
+      expect(pool.reservedPayouts).to.equal(0);
+      expect(pool.balance).to.equal(HOUSE_FUNDS + BET);
+    });
+
+    it("lets anyone forfeit a game once it times out", async function () {
+      const { minesGame, player, other, serverSeed } = await loadFixture(startedGameFixture);
+      await expect(minesGame.connect(other).forfeitGame(player.address)).to.be.revertedWith("Game has not timed out");
+
+      const startedAt = await minesGame.gameStartedAt(player.address);
+      await time.increaseTo(startedAt + (await minesGame.gameTimeout()) - 2n);
+      await expect(minesGame.connect(other).forfeitGame(player.address)).to.be.revertedWith("Game has not timed out");
+      await expect(minesGame.connect(other).forfeitGame(player.address))
+        .to.emit(minesGame, "GameForfeited")
+        .withArgs(player.address, ethers.keccak256(serverSeed), other.address);
+    });
+
+    it("leaves games waiting for settlement to the house", async function () {
+      const { minesGame, player, safeTiles } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await minesGame.connect(player).cashOut();
+      await time.increase(await minesGame.gameTimeout());
+      await expect(minesGame.forfeitGame(player.address)).to.be.revertedWith("Cash out already requested");
+      await expect(minesGame.forfeitGame(ethers.ZeroAddress)).to.be.revertedWith("No active game");
+    });
+
+    it("lets the admin set the timeout within bounds", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      await expect(minesGame.setGameTimeout(3600)).to.emit(minesGame, "GameTimeoutUpdated").withArgs(3600);
+      expect(await minesGame.gameTimeout()).to.equal(3600);
+      await expect(minesGame.setGameTimeout(60)).to.be.revertedWith("Invalid game timeout");
+      await expect(minesGame.setGameTimeout(31 * 86400)).to.be.revertedWith("Invalid game timeout");
+      await expect(minesGame.connect(other).setGameTimeout(3600)).to.be.revertedWithCustomError(
+        minesGame,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("resolveStalledCashOut", function () {
+    it("pays a cash out the house did not settle within the timeout", async function () {
+      const { minesGame, player, other, safeTiles } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await minesGame.connect(player).revealTile(safeTiles[1]);
+      await minesGame.connect(player).cashOut();
+      const requestedAt = await minesGame.cashOutRequestedAt(player.address);
+      expect(requestedAt).to.equal(await time.latest());
+
+      await time.increaseTo(requestedAt + (await minesGame.gameTimeout()) - 2n);
+      await expect(minesGame.connect(other).resolveStalledCashOut(player.address)).to.be.revertedWith(
+        "Cash out has not timed out"
+      );
+      const payout = await minesGame.calculatePayout(BET, 25, 3, 2, 100);
+      const game = await minesGame.getGameStatus(player.address);
+      await expect(minesGame.connect(other).resolveStalledCashOut(player.address))
+        .to.emit(minesGame, "CashOutTimedOut")
+        .withArgs(player.address, game.serverSeedHash, payout, other.address);
+
+      expect((await minesGame.getGameStatus(player.address)).isActive).to.equal(false);
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(payout);
+      const pool = await minesGame.pools(NATIVE);
+      expect(pool.activeBets).to.equal(0);
+      expect(pool.reservedPayouts).to.equal(0);
+      expect(pool.balance).to.equal(HOUSE_FUNDS + BET - payout);
+    });
+
+    it("pays picks that hit a mine too, since the seed was never revealed", async function () {
+      const { minesGame, player, mines, serverSeed } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(mines[0]);
+      await minesGame.connect(player).cashOut();
+      await time.increase(await minesGame.gameTimeout());
+
+      await minesGame.connect(player).resolveStalledCashOut(player.address);
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(await minesGame.calculatePayout(BET, 25, 3, 1, 100));
+      await expect(minesGame.settleGame(player.address, serverSeed)).to.be.revertedWith("No active game");
+    });
+
+    it("only resolves cash outs still waiting for the house", async function () {
+      const { minesGame, player, safeTiles, serverSeed } = await loadFixture(startedGameFixture);
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await time.increase(await minesGame.gameTimeout());
+      await expect(minesGame.resolveStalledCashOut(player.address)).to.be.revertedWith("Cash out not requested");
+
+      await minesGame.connect(player).cashOut();
+      await minesGame.settleGame(player.address, serverSeed);
+      await time.increase(await minesGame.gameTimeout());
+      await expect(minesGame.resolveStalledCashOut(player.address)).to.be.revertedWith("No active game");
+    });
+  });
+
+  describe("bet limits", function () {
+    it("derives the max bet from the best possible multiplier", async function () {
+      const { minesGame } = await loadFixture(deployFixture);
+      expect(await minesGame.maxPayout(NATIVE)).to.equal(HOUSE_FUNDS);
+
+      for (const mines of [1, 3, 12, 24]) {
+        const multiplier = await minesGame.calculateMultiplier(25, mines, 25 - mines, 100);
+        const expected = (HOUSE_FUNDS * 10n ** 18n) / (multiplier - 10n ** 18n);
+        expect(await minesGame.getMaxBet(NATIVE, 5, mines)).to.equal(expected);
+      }
+    });
+
+    it("accepts the max bet and rejects anything above it", async function () {
+      const { minesGame, player, other } = await loadFixture(deployFixture);
+      const maxBet = await minesGame.getMaxBet(NATIVE, 5, 5);
+      await expect(minesGame.connect(player).startGame(5, 5, CLIENT_SEED, NO_REFERRER, { value: maxBet + 1n })).to.be.revertedWith(
+        "Bet exceeds max for this mine count"
+      );
+      await expect(minesGame.connect(player).startGame(5, 5, CLIENT_SEED, NO_REFERRER, { value: maxBet })).to.emit(
+        minesGame,
+        "GameStarted"
+      );
+
+      // The first game reserved the whole pool, so nothing is left for a second one
+      expect(await minesGame.getMaxBet(NATIVE, 5, 5)).to.be.lessThan(maxBet / 1000n);
+      await expect(minesGame.connect(other).startGame(5, 5, CLIENT_SEED, NO_REFERRER, { value: maxBet / 2n })).to.be.revertedWith(
+        "Bet exceeds max for this mine count"
+      );
+    });
+
+    it("rejects every bet when the pool is empty", async function () {
+      const MinesGame = await ethers.getContractFactory("MinesGame");
+      const minesGame = await upgrades.deployProxy(MinesGame);
+      await minesGame.commitServerSeeds([ethers.id("seed")]);
+      expect(await minesGame.getMaxBet(NATIVE, 5, 1)).to.equal(0);
+      await expect(minesGame.startGame(5, 1, CLIENT_SEED, NO_REFERRER, { value: 1 })).to.be.revertedWith(
+        "Bet exceeds max for this mine count"
+      );
+    });
+
+    it("reserves the worst-case payout until the game settles", async function () {
+      const { minesGame, player, serverSeed, mines } = await loadFixture(startedGameFixture);
+      const reserved = (await minesGame.calculatePayout(BET, 25, 3, 22, 100)) - BET;
+      expect((await minesGame.pools(NATIVE)).reservedPayouts).to.equal(reserved);
+      expect((await minesGame.getGameStatus(player.address)).reservedPayout).to.equal(reserved);
+      expect(await minesGame.freeLiquidity(NATIVE)).to.equal(HOUSE_FUNDS - reserved);
+
+      await minesGame.connect(player).revealTile(mines[0]);
+      await minesGame.connect(player).cashOut();
+      await minesGame.settleGame(player.address, serverSeed);
+      expect((await minesGame.pools(NATIVE)).reservedPayouts).to.equal(0);
+      expect(await minesGame.freeLiquidity(NATIVE)).to.equal(HOUSE_FUNDS + BET);
+    });
+
+    it("keeps reserved liquidity from being withdrawn", async function () {
+      const { minesGame } = await loadFixture(startedGameFixture);
+      await time.increase(await minesGame.withdrawCooldown());
+      await expect(minesGame.withdrawHouseFunds(NATIVE, HOUSE_FUNDS)).to.be.revertedWith(
+        "Liquidity reserved for active games"
+      );
+    });
+
+    it("lets the admin set the max payout", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      await expect(minesGame.setMaxPayout(NATIVE, 50)).to.emit(minesGame, "MaxPayoutUpdated").withArgs(NATIVE, 50);
+      expect(await minesGame.maxPayout(NATIVE)).to.equal((HOUSE_FUNDS * 50n) / 10000n);
+      await expect(minesGame.setMaxPayout(NATIVE, 10001)).to.be.revertedWith("Invalid max payout");
+      await expect(minesGame.connect(other).setMaxPayout(NATIVE, 50)).to.be.revertedWithCustomError(
+        minesGame,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("calculateMultiplier and calculatePayout", function () {
+    it("returns zero before any safe tile", async function () {
+      const { minesGame } = await loadFixture(deployFixture);
+      expect(await minesGame.calculatePayout(BET, 25, 3, 0, 100)).to.equal(0);
+    });
+
+    it("is the inverse probability of the picks less the house edge", async function () {
+      const { minesGame } = await loadFixture(deployFixture);
+      // 1 mine, 1 pick: 25/24 before the edge
+      expect(await minesGame.calculateMultiplier(25, 1, 1, 0)).to.equal((10n ** 18n * 25n) / 24n);
+      expect(await minesGame.calculateMultiplier(25, 1, 1, 100)).to.equal(((10n ** 18n * 25n) / 24n * 9900n) / 10000n);
+      // 24 mines, 1 pick: 25x before the edge
+      expect(await minesGame.calculateMultiplier(25, 24, 1, 0)).to.equal(25n * 10n ** 18n);
+      // 1 mine, every safe tile: 25x less rounding, never more
+      const payout = await minesGame.calculatePayout(BET, 25, 1, 24, 0);
+      expect(payout).to.be.lessThanOrEqual(25n * BET);
+      expect(payout).to.be.closeTo(25n * BET, 1000n);
+    });
+
+    it("rejects more picks than safe tiles", async function () {
+      const { minesGame } = await loadFixture(deployFixture);
+      await expect(minesGame.calculateMultiplier(25, 3, 23, 100)).to.be.revertedWith("Too many safe tiles");
+    });
+  });
+
+  describe("setHouseEdge", function () {
+    it("lets the operator change the edge for new games only", async function () {
+      const { minesGame, player } = await loadFixture(startedGameFixture);
+      await expect(minesGame.setHouseEdge(250)).to.emit(minesGame, "HouseEdgeUpdated").withArgs(250);
+      expect(await minesGame.houseEdgeBps()).to.equal(250);
+      expect((await minesGame.getGameStatus(player.address)).houseEdgeBps).to.equal(100);
+    });
+
+    it("rejects edges above the maximum and other callers", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      await expect(minesGame.setHouseEdge(1001)).to.be.revertedWith("House edge too high");
+      await expect(minesGame.connect(other).setHouseEdge(50)).to.be.revertedWithCustomError(
+        minesGame,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("operator controls", function () {
+    const OPERATOR_ROLE = ethers.id("OPERATOR_ROLE");
+
+    it("pauses new games but lets running games finish", async function () {
+      const { minesGame, player, other, serverSeed, safeTiles } = await loadFixture(startedGameFixture);
+      await expect(minesGame.pause()).to.emit(minesGame, "Paused");
+      await expect(minesGame.connect(other).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWithCustomError(
+        minesGame,
+        "EnforcedPause"
+      );
+
+      await minesGame.connect(player).revealTiles(safeTiles.slice(0, 2), 2);
+      await expect(minesGame.settleGame(player.address, serverSeed)).to.emit(minesGame, "GameWon");
+
+      await expect(minesGame.unpause()).to.emit(minesGame, "Unpaused");
+      await expect(minesGame.connect(other).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET })).to.emit(minesGame, "GameStarted");
+    });
+
+    it("applies the pool's bet limits to new games", async function () {
+      const { minesGame, player } = await loadFixture(deployFixture);
+      await expect(minesGame.setBetLimits(NATIVE, BET, BET * 2n))
+        .to.emit(minesGame, "BetLimitsUpdated")
+        .withArgs(NATIVE, BET, BET * 2n);
+      expect(await minesGame.getMaxBet(NATIVE, 5, 3)).to.equal(BET * 2n);
+
+      await expect(minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET - 1n })).to.be.revertedWith(
+        "Bet below min bet"
+      );
+      await expect(minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET * 2n + 1n })).to.be.revertedWith(
+        "Bet exceeds max for this mine count"
+      );
+      await expect(minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET * 2n })).to.emit(minesGame, "GameStarted");
+    });
+
+    it("rejects inverted bet limits and unknown tokens", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      await expect(minesGame.setBetLimits(NATIVE, BET * 2n, BET)).to.be.revertedWith("Invalid bet limits");
+      await expect(minesGame.setBetLimits(other.address, 0, 0)).to.be.revertedWith("Unknown token");
+      // A zero max bet only removes the cap
+      await minesGame.setBetLimits(NATIVE, BET, 0);
+      expect((await minesGame.pools(NATIVE)).maxBet).to.equal(0);
+    });
+
+    it("limits new games to the mine range", async function () {
+      const { minesGame, player } = await loadFixture(deployFixture);
+      await expect(minesGame.setMineRange(2, 3)).to.emit(minesGame, "MineRangeUpdated").withArgs(2, 3);
+      await expect(minesGame.connect(player).startGame(5, 1, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith(
+        "Mine count out of range"
+      );
+      await expect(minesGame.connect(player).startGame(5, 4, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith(
+        "Mine count out of range"
+      );
+      await expect(minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET })).to.emit(minesGame, "GameStarted");
+
+      // The board still caps the range: 3x3 takes at most 8 mines
+      await minesGame.setMineRange(1, 63);
+      await expect(minesGame.startGame(3, 9, CLIENT_SEED, NO_REFERRER, { value: BET })).to.be.revertedWith("Invalid mine count");
+
+      await expect(minesGame.setMineRange(0, 10)).to.be.revertedWith("Invalid mine range");
+      await expect(minesGame.setMineRange(5, 4)).to.be.revertedWith("Invalid mine range");
+      await expect(minesGame.setMineRange(64, 64)).to.be.revertedWith("Invalid mine range");
+    });
+
+    it("only lets operators change the game", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      for (const call of [
+        () => minesGame.connect(other).pause(),
+        () => minesGame.connect(other).setBetLimits(NATIVE, 0, 0),
+        () => minesGame.connect(other).setMineRange(1, 5),
+      ]) {
+        await expect(call()).to.be.revertedWithCustomError(minesGame, "AccessControlUnauthorizedAccount");
+      }
+
+      await minesGame.grantRole(OPERATOR_ROLE, other.address);
+      await expect(minesGame.connect(other).setMineRange(1, 5)).to.emit(minesGame, "MineRangeUpdated");
+      await expect(minesGame.connect(other).setTokenAllowed(other.address, true)).to.be.revertedWithCustomError(
+        minesGame,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("generateMineLocations", function () {
+    it("returns the requested number of distinct tiles", async function () {
+      const { minesGame } = await loadFixture(deployFixture);
+      const mines = (await minesGame.generateMineLocations(ethers.id("s"), CLIENT_SEED, 25, 24)).map(Number);
+      expect(new Set(mines).size).to.equal(24);
+      expect(mines.every((tile) => tile >= 0 && tile < 25)).to.equal(true);
+    });
+  });
+
+  describe("bankroll", function () {
+    it("mints shares for deposits at the current share price", async function () {
+      const { minesGame, house, other } = await loadFixture(deployFixture);
+      expect(await minesGame.lpShares(NATIVE, house.address)).to.equal(HOUSE_FUNDS);
+
+      await expect(minesGame.connect(other).addHouseFunds({ value: BET }))
+        .to.emit(minesGame, "LiquidityAdded")
+        .withArgs(other.address, NATIVE, BET, BET);
+      expect((await minesGame.pools(NATIVE)).totalShares).to.equal(HOUSE_FUNDS + BET);
+      expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(HOUSE_FUNDS + BET);
+    });
+
+    it("keeps active bets out of the pool equity", async function () {
+      const { minesGame } = await loadFixture(startedGameFixture);
+      expect((await minesGame.pools(NATIVE)).activeBets).to.equal(BET);
+      expect(await minesGame.poolEquity(NATIVE)).to.equal(HOUSE_FUNDS);
+    });
+
+    it("blocks withdrawals until the cooldown has passed", async function () {
+      const { minesGame, house } = await loadFixture(deployFixture);
+      await expect(minesGame.withdrawHouseFunds(NATIVE, HOUSE_FUNDS)).to.be.revertedWith("Withdraw cooldown active");
+
+      const [, , unlockTime] = await minesGame.getLiquidityPosition(NATIVE, house.address);
+      await time.increaseTo(unlockTime);
+      await expect(minesGame.withdrawHouseFunds(NATIVE, HOUSE_FUNDS))
+        .to.emit(minesGame, "FundsCredited")
+        .withArgs(house.address, NATIVE, HOUSE_FUNDS);
+      expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(0);
+      await expect(minesGame.withdraw(NATIVE)).to.changeEtherBalance(house, HOUSE_FUNDS);
+    });
+
+    it("pays providers their share of the house profit", async function () {
+      const { minesGame, house, other, player, serverSeed, mines } = await loadFixture(startedGameFixture);
+      await minesGame.connect(other).addHouseFunds({ value: HOUSE_FUNDS });
+
+      // The player hits a mine: the bet becomes profit split across both providers
+      await minesGame.connect(player).revealTile(mines[0]);
+      await minesGame.connect(player).cashOut();
+      await minesGame.settleGame(player.address, serverSeed);
+
+      await time.increase(await minesGame.withdrawCooldown());
+      const [shares, value] = await minesGame.getLiquidityPosition(NATIVE, other.address);
+      expect(value).to.be.closeTo(HOUSE_FUNDS + BET / 2n, 1n);
+
+      await expect(minesGame.connect(other).withdrawHouseFunds(NATIVE, shares))
+        .to.emit(minesGame, "LiquidityRemoved")
+        .withArgs(other.address, NATIVE, value, shares);
+      const [, houseValue] = await minesGame.getLiquidityPosition(NATIVE, house.address);
+      expect(houseValue).to.be.closeTo(HOUSE_FUNDS + BET / 2n, 1n);
+    });
+
+    it("only lets providers withdraw their own shares", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      await time.increase(await minesGame.withdrawCooldown());
+      await expect(minesGame.connect(other).withdrawHouseFunds(NATIVE, 1)).to.be.revertedWith("Insufficient shares");
+      await expect(minesGame.withdrawHouseFunds(NATIVE, HOUSE_FUNDS + 1n)).to.be.revertedWith("Insufficient shares");
+    });
+
+    it("lets the admin set the cooldown", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      await expect(minesGame.setWithdrawCooldown(3600)).to.emit(minesGame, "WithdrawCooldownUpdated").withArgs(3600);
+      await expect(minesGame.setWithdrawCooldown(31 * 24 * 3600)).to.be.revertedWith("Cooldown too long");
+      await expect(minesGame.connect(other).setWithdrawCooldown(0)).to.be.revertedWithCustomError(
+        minesGame,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("token betting", function () {
+    const TOKEN_FUNDS = 10_000n * 10n ** 6n;
+    const TOKEN_BET = 10n ** 6n;
+
+    async function tokenFixture() {
+      const fixture = await deployFixture();
+      const { minesGame, house, player } = fixture;
+      const TestToken = await ethers.getContractFactory("TestToken");
+      const token = await TestToken.deploy("Test USD", "TUSD", 6);
+      const tokenAddress = await token.getAddress();
+
+      await minesGame.setTokenAllowed(tokenAddress, true);
+      await minesGame.setMaxPayout(tokenAddress, 10000);
+      await token.mint(house.address, TOKEN_FUNDS);
+      await token.approve(await minesGame.getAddress(), TOKEN_FUNDS);
+      await minesGame.addTokenFunds(tokenAddress, TOKEN_FUNDS);
+
+      await token.mint(player.address, TOKEN_BET * 10n);
+      await token.connect(player).approve(await minesGame.getAddress(), TOKEN_BET * 10n);
+      return { ...fixture, token, tokenAddress };
+    }
+
+    it("whitelists tokens with their own pool", async function () {
+      const { minesGame, tokenAddress, house, other } = await loadFixture(tokenFixture);
+      expect(await minesGame.getTokens()).to.deep.equal([tokenAddress]);
+      expect(await minesGame.getSharedPoolBalance(tokenAddress)).to.equal(TOKEN_FUNDS);
+      expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(HOUSE_FUNDS);
+      expect(await minesGame.lpShares(tokenAddress, house.address)).to.equal(TOKEN_FUNDS);
+      expect(await minesGame.maxPayout(tokenAddress)).to.equal(TOKEN_FUNDS);
+
+      await expect(minesGame.connect(other).setTokenAllowed(tokenAddress, false)).to.be.revertedWithCustomError(
+        minesGame,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(minesGame.setTokenAllowed(NATIVE, false)).to.be.revertedWith("Native pool is always allowed");
+      await expect(minesGame.setMaxPayout(other.address, 50)).to.be.revertedWith("Unknown token");
+    });
+
+    it("takes an approved token bet and pays the win in the same token", async function () {
+      const { minesGame, token, tokenAddress, player, serverSeeds } = await loadFixture(tokenFixture);
+      const serverSeed = serverSeeds[0];
+
+      await expect(minesGame.connect(player).startTokenGame(tokenAddress, TOKEN_BET, 5, 3, CLIENT_SEED, NO_REFERRER))
+        .to.emit(minesGame, "GameStarted")
+        .withArgs(player.address, tokenAddress, TOKEN_BET, 5, 3, ethers.keccak256(serverSeed), CLIENT_SEED);
+      expect((await minesGame.getGameStatus(player.address)).token).to.equal(tokenAddress);
+      expect((await minesGame.pools(tokenAddress)).activeBets).to.equal(TOKEN_BET);
+      expect((await minesGame.pools(NATIVE)).activeBets).to.equal(0);
+
+      const mines = (await minesGame.generateMineLocations(serverSeed, CLIENT_SEED, 25, 3)).map(Number);
+      const safeTiles = [...Array(25).keys()].filter((tile) => !mines.includes(tile));
+      await minesGame.connect(player).revealTiles(safeTiles.slice(0, 4), 0);
+
+      const payout = await minesGame.calculatePayout(TOKEN_BET, 25, 3, 4, 100);
+      await expect(minesGame.settleGame(player.address, serverSeed))
+        .to.emit(minesGame, "FundsCredited")
+        .withArgs(player.address, tokenAddress, payout);
+      expect(await minesGame.getSharedPoolBalance(tokenAddress)).to.equal(TOKEN_FUNDS + TOKEN_BET - payout);
+      expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(HOUSE_FUNDS);
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(0);
+
+      await expect(minesGame.connect(player).withdraw(tokenAddress)).to.changeTokenBalances(
+        token,
+        [player, minesGame],
+        [payout, -payout]
+      );
+    });
+
+    it("applies the token pool's own max bet", async function () {
+      const { minesGame, tokenAddress, player } = await loadFixture(tokenFixture);
+      await minesGame.setMaxPayout(tokenAddress, 1);
+      const maxBet = await minesGame.getMaxBet(tokenAddress, 5, 24);
+      expect(maxBet).to.be.lessThan(TOKEN_BET);
+      await expect(minesGame.connect(player).startTokenGame(tokenAddress, TOKEN_BET, 5, 24, CLIENT_SEED, NO_REFERRER)).to.be.revertedWith(
+        "Bet exceeds max for this mine count"
+      );
+    });
+
+    it("rejects unlisted tokens, missing approvals and native bets through the token path", async function () {
+      const { minesGame, token, tokenAddress, player, other } = await loadFixture(tokenFixture);
+      await expect(minesGame.connect(player).startTokenGame(other.address, TOKEN_BET, 5, 3, CLIENT_SEED, NO_REFERRER)).to.be.revertedWith(
+        "Token not allowed"
+      );
+      await expect(minesGame.connect(player).startTokenGame(NATIVE, TOKEN_BET, 5, 3, CLIENT_SEED, NO_REFERRER)).to.be.revertedWith(
+        "Use startGame for native bets"
+      );
+
+      await token.connect(player).approve(await minesGame.getAddress(), 0);
+      await expect(
+        minesGame.connect(player).startTokenGame(tokenAddress, TOKEN_BET, 5, 3, CLIENT_SEED, NO_REFERRER)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("stops new bets on a delisted token but still lets providers withdraw", async function () {
+      const { minesGame, token, tokenAddress, house, player } = await loadFixture(tokenFixture);
+      await expect(minesGame.setTokenAllowed(tokenAddress, false))
+        .to.emit(minesGame, "TokenAllowed")
+        .withArgs(tokenAddress, false);
+      await expect(minesGame.connect(player).startTokenGame(tokenAddress, TOKEN_BET, 5, 3, CLIENT_SEED, NO_REFERRER)).to.be.revertedWith(
+        "Token not allowed"
+      );
+
+      await time.increase(await minesGame.withdrawCooldown());
+      await minesGame.withdrawHouseFunds(tokenAddress, TOKEN_FUNDS);
+      await expect(minesGame.withdraw(tokenAddress)).to.changeTokenBalance(
+        token,
+        house,
+        TOKEN_FUNDS
+      );
+
+      // Listing it again keeps a single entry
+      await minesGame.setTokenAllowed(tokenAddress, true);
+      expect(await minesGame.getTokens()).to.deep.equal([tokenAddress]);
+    });
+  });
+
+  describe("session keys", function () {
+    const TYPES = {
+      Session: [
+        { name: "player", type: "address" },
+        { name: "key", type: "address" },
+        { name: "token", type: "address" },
+        { name: "spendCap", type: "uint256" },
+        { name: "expiry", type: "uint64" },
+        { name: "nonce", type: "uint256" },
+      ],
+      RevealTile: [
+        { name: "player", type: "address" },
+        { name: "tileIndex", type: "uint8" },
+        { name: "nonce", type: "uint256" },
+      ],
+      RevealTiles: [
+        { name: "player", type: "address" },
+        { name: "tileIndices", type: "uint8[]" },
+        { name: "cashOutAt", type: "uint8" },
+        { name: "nonce", type: "uint256" },
+      ],
+      CashOut: [
+        { name: "player", type: "address" },
+        { name: "nonce", type: "uint256" },
+      ],
+    };
+
+    const sign = async (minesGame, signer, type, value) => {
+      const domain = {
+        name: "MinesGame",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await minesGame.getAddress(),
+      };
+      return signer.signTypedData(domain, { [type]: TYPES[type] }, value);
+    };
+
+    // The player signs a session for a fresh key; `other` plays the relayer and submits everything
+    async function sessionFixture() {
+      const fixture = await startedGameFixture();
+      const { minesGame, player, other } = fixture;
+      const key = ethers.Wallet.createRandom();
+      const session = {
+        player: player.address,
+        key: key.address,
+        token: NATIVE,
+        spendCap: BET * 2n,
+        expiry: BigInt(await time.latest()) + 3600n,
+        nonce: 0n,
+      };
+      const signature = await sign(minesGame, player, "Session", session);
+      await minesGame
+        .connect(other)
+        .openSession(player.address, key.address, NATIVE, session.spendCap, session.expiry, signature);
+      return { ...fixture, key, session };
+    }
+
+    it("opens a session from the player's signature", async function () {
+      const { minesGame, player, other } = await loadFixture(startedGameFixture);
+      const key = ethers.Wallet.createRandom();
+      const expiry = BigInt(await time.latest()) + 3600n;
+      const value = { player: player.address, key: key.address, token: NATIVE, spendCap: BET, expiry, nonce: 0n };
+
+      const forged = await sign(minesGame, other, "Session", value);
+      await expect(
+        minesGame.connect(other).openSession(player.address, key.address, NATIVE, BET, expiry, forged)
+      ).to.be.revertedWith("Invalid player signature");
+
+      const signature = await sign(minesGame, player, "Session", value);
+      await expect(minesGame.connect(other).openSession(player.address, key.address, NATIVE, BET, expiry, signature))
+        .to.emit(minesGame, "SessionOpened")
+        .withArgs(player.address, key.address, NATIVE, BET, expiry);
+      expect((await minesGame.sessions(player.address)).key).to.equal(key.address);
+
+      // The nonce moved on, so the same signature cannot open it again
+      await expect(
+        minesGame.connect(other).openSession(player.address, key.address, NATIVE, BET, expiry, signature)
+      ).to.be.revertedWith("Invalid player signature");
+    });
+
+    it("rejects expiries in the past or beyond the maximum duration", async function () {
+      const { minesGame, player } = await loadFixture(startedGameFixture);
+      const key = ethers.Wallet.createRandom();
+      for (const expiry of [BigInt(await time.latest()), BigInt(await time.latest()) + 2n * 86400n]) {
+        const value = { player: player.address, key: key.address, token: NATIVE, spendCap: BET, expiry, nonce: 0n };
+        const signature = await sign(minesGame, player, "Session", value);
+        await expect(
+          minesGame.openSession(player.address, key.address, NATIVE, BET, expiry, signature)
+        ).to.be.revertedWith("Invalid session expiry");
+      }
+    });
+
+    it("plays the game with moves signed by the session key", async function () {
+      const { minesGame, player, other, key, safeTiles, serverSeed } = await loadFixture(sessionFixture);
+
+      const reveal = await sign(minesGame, key, "RevealTile", { player: player.address, tileIndex: safeTiles[0], nonce: 1n });
+      await expect(minesGame.connect(other).sessionRevealTile(player.address, safeTiles[0], reveal))
+        .to.emit(minesGame, "TileSelected")
+        .withArgs(player.address, safeTiles[0]);
+
+      const tiles = safeTiles.slice(1, 3);
+      const batch = await sign(minesGame, key, "RevealTiles", { player: player.address, tileIndices: tiles, cashOutAt: 0, nonce: 2n });
+      await expect(minesGame.connect(other).sessionRevealTiles(player.address, tiles, 0, batch))
+        .to.emit(minesGame, "CashOutRequested");
+
+      const payout = await minesGame.calculatePayout(BET, 25, 3, 3, 100);
+      await minesGame.settleGame(player.address, serverSeed);
+      expect(await minesGame.claimable(NATIVE, player.address)).to.equal(payout);
+      expect((await minesGame.sessions(player.address)).spent).to.equal(BET);
+    });
+
+    it("rejects moves not signed by the session key and replayed moves", async function () {
+      const { minesGame, player, other, key, safeTiles } = await loadFixture(sessionFixture);
+
+      const forged = await sign(minesGame, other, "RevealTile", { player: player.address, tileIndex: safeTiles[0], nonce: 1n });
+      await expect(
+        minesGame.connect(other).sessionRevealTile(player.address, safeTiles[0], forged)
+      ).to.be.revertedWith("Invalid session signature");
+
+      const reveal = await sign(minesGame, key, "RevealTile", { player: player.address, tileIndex: safeTiles[0], nonce: 1n });
+      await minesGame.connect(other).sessionRevealTile(player.address, safeTiles[0], reveal);
+      await expect(
+        minesGame.connect(other).sessionRevealTile(player.address, safeTiles[0], reveal)
+      ).to.be.revertedWith("Invalid session signature");
+    });
+
+    it("stops at the spend cap, at expiry and after a revoke", async function () {
+      const { minesGame, player, other, key, safeTiles, serverSeed, serverSeeds } = await loadFixture(sessionFixture);
+      const cashOut = async (nonce) => minesGame
+        .connect(other)
+        .sessionCashOut(player.address, await sign(minesGame, key, "CashOut", { player: player.address, nonce }));
+
+      // Moves on the same game are only counted once
+      await minesGame.connect(player).revealTile(safeTiles[0]);
+      await cashOut(1n);
+      await minesGame.settleGame(player.address, serverSeed);
+
+      // A bigger second game does not fit in what is left of the cap
+      await minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET * 2n });
+      await minesGame.connect(player).revealTile(0);
+      await expect(cashOut(2n)).to.be.revertedWith("Session spend cap reached");
+      await minesGame.connect(player).cashOut();
+      await minesGame.settleGame(player.address, serverSeeds[1]);
+
+      await minesGame.connect(player).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET });
+      await minesGame.connect(player).revealTile(0);
+      await time.increase(3600);
+      await expect(cashOut(2n)).to.be.revertedWith("No active session");
+
+      await expect(minesGame.connect(player).revokeSession()).to.emit(minesGame, "SessionRevoked").withArgs(player.address);
+      expect((await minesGame.sessions(player.address)).key).to.equal(ethers.ZeroAddress);
+      expect(await minesGame.sessionNonces(player.address)).to.equal(3n);
+    });
+  });
+
+  describe("upgrades", function () {
+    // A game mid-round, a credited win and a liquidity position, all of which must survive
+    async function liveStateFixture() {
+      const fixture = await loadFixture(startedGameFixture);
+      const { minesGame, house, player, other, serverSeeds, safeTiles } = fixture;
+      await minesGame.connect(player).revealTiles(safeTiles.slice(0, 2), 0);
+
+      await minesGame.connect(other).startGame(5, 3, CLIENT_SEED, NO_REFERRER, { value: BET });
+      const mines = (await minesGame.generateMineLocations(serverSeeds[1], CLIENT_SEED, 25, 3)).map(Number);
+      const [safeTile] = [...Array(25).keys()].filter((tile) => !mines.includes(tile));
+      await minesGame.connect(other).revealTile(safeTile);
+      await minesGame.connect(other).cashOut();
+      await minesGame.settleGame(other.address, serverSeeds[1]);
+
+      const snapshot = {
+        game: await minesGame.getGameStatus(player.address),
+        pool: await minesGame.pools(NATIVE),
+        claimable: await minesGame.claimable(NATIVE, other.address),
+        shares: await minesGame.lpShares(NATIVE, house.address),
+        commitments: await minesGame.availableCommitments(),
+      };
+      return { ...fixture, snapshot };
+    }
+
+    it("keeps games, pools and balances at the same address", async function () {
+      const { minesGame, player, other, house, serverSeed, snapshot } = await loadFixture(liveStateFixture);
+      const address = await minesGame.getAddress();
+      const MinesGameV2 = await ethers.getContractFactory("MinesGameV2");
+      const upgraded = await upgrades.upgradeProxy(minesGame, MinesGameV2, { call: { fn: "setVersion", args: [2] } });
+
+      expect(await upgraded.getAddress()).to.equal(address);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.getGameStatus(player.address)).to.deep.equal(snapshot.game);
+      expect(await upgraded.pools(NATIVE)).to.deep.equal(snapshot.pool);
+      expect(await upgraded.claimable(NATIVE, other.address)).to.equal(snapshot.claimable);
+      expect(await upgraded.lpShares(NATIVE, house.address)).to.equal(snapshot.shares);
+      expect(await upgraded.availableCommitments()).to.equal(snapshot.commitments);
+      expect(await upgraded.hasRole(await upgraded.HOUSE_ROLE(), house.address)).to.equal(true);
+
+      // The running game settles and the credited win withdraws through the new implementation
+      await expect(upgraded.settleGame(player.address, serverSeed)).to.emit(upgraded, "GameWon");
+      await expect(upgraded.connect(other).withdraw(NATIVE)).to.changeEtherBalance(other, snapshot.claimable);
+    });
+
+    it("rejects an implementation that moves existing storage", async function () {
+      const { minesGame } = await loadFixture(deployFixture);
+      const MinesGameShifted = await ethers.getContractFactory("MinesGameShifted");
+      await expect(upgrades.validateUpgrade(minesGame, MinesGameShifted)).to.be.rejectedWith(/storage layout is incompatible/);
+    });
+
+    it("only lets the proxy admin owner upgrade", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      const MinesGameV2 = await ethers.getContractFactory("MinesGameV2", other);
+      await expect(upgrades.upgradeProxy(minesGame, MinesGameV2)).to.be.rejected;
+    });
+
+    it("cannot be initialized again", async function () {
+      const { minesGame, other } = await loadFixture(deployFixture);
+      await expect(minesGame.connect(other).initialize()).to.be.revertedWithCustomError(minesGame, "InvalidInitialization");
+
+      const implementation = await ethers.getContractAt(
+        "MinesGame", await upgrades.erc1967.getImplementationAddress(await minesGame.getAddress())
+      );
+      await expect(implementation.initialize()).to.be.revertedWithCustomError(minesGame, "InvalidInitialization");
+    });
+  });
+});
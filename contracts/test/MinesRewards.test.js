@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const HOUSE_FUNDS = ethers.parseEther("10");
+const BUDGET = ethers.parseEther("1");
+// Bets go on a 24-mine board, whose max bet is well above this
+const BET = ethers.parseEther("0.1");
+const CLIENT_SEED = ethers.id("player seed");
+const NO_REFERRER = ethers.ZeroAddress;
+const NATIVE = ethers.ZeroAddress;
+// The house edge is 1% of the bet, and each side gets 10% of it by default
+const EDGE = BET / 100n;
+const SHARE = EDGE / 10n;
+
+describe("MinesRewards", function () {
+  async function deployFixture() {
+    const [house, player, referrer, other] = await ethers.getSigners();
+
+    const MinesGame = await ethers.getContractFactory("MinesGame");
+    const minesGame = await upgrades.deployProxy(MinesGame);
+    await minesGame.addHouseFunds({ value: HOUSE_FUNDS });
+    await minesGame.setMaxPayout(NATIVE, 10000);
+    await minesGame.commitServerSeeds(Array.from({ length: 5 }, (_, i) => ethers.keccak256(ethers.id(`server seed ${i}`))));
+
+    const MinesRewards = await ethers.getContractFactory("MinesRewards");
+    const rewards = await upgrades.deployProxy(MinesRewards, [await minesGame.getAddress()]);
+    await minesGame.setRewards(await rewards.getAddress());
+    await rewards.fund({ value: BUDGET });
+
+    return { minesGame, rewards, house, player, referrer, other };
+  }
+
+  // A first bet made through the referrer's ?ref= link
+  async function referredFixture() {
+    const fixture = await deployFixture();
+    const { minesGame, player, referrer } = fixture;
+    await minesGame.connect(player).startGame(5, 24, CLIENT_SEED, referrer.address, { value: BET });
+    return fixture;
+  }
+
+  it("credits the referrer and the player a share of the house edge on every bet", async function () {
+    const { minesGame, rewards, player, referrer } = await loadFixture(deployFixture);
+
+    await expect(minesGame.connect(player).startGame(5, 24, CLIENT_SEED, referrer.address, { value: BET }))
+      .to.emit(rewards, "ReferrerSet")
+      .withArgs(player.address, referrer.address)
+      .and.to.emit(rewards, "RefereeJoined")
+      .withArgs(referrer.address, player.address)
+      .and.to.emit(rewards, "ReferralRewarded")
+      .withArgs(referrer.address, player.address, NATIVE, SHARE)
+      .and.to.emit(rewards, "RakebackRewarded")
+      .withArgs(player.address, NATIVE, SHARE);
+
+    expect(await rewards.getReferees(referrer.address)).to.deep.equal([player.address]);
+    expect(await rewards.wagered(NATIVE, player.address)).to.equal(BET);
+    expect(await rewards.referralEarned(NATIVE, referrer.address)).to.equal(SHARE);
+    expect(await rewards.rakebackEarned(NATIVE, player.address)).to.equal(SHARE);
+    expect(await rewards.budget(NATIVE)).to.equal(BUDGET - 2n * SHARE);
+    // The pool keeps the whole bet
+    expect(await minesGame.getSharedPoolBalance(NATIVE)).to.equal(HOUSE_FUNDS + BET);
+  });
+
+  it("makes the referrer final at the first bet", async function () {
+    const { minesGame, rewards, player, referrer, other } = await loadFixture(referredFixture);
+
+    // A later link is ignored, and the same referrer is paid without listing the player twice
+    await minesGame.connect(player).forfeitGame(player.address);
+    await expect(minesGame.connect(player).startGame(5, 24, CLIENT_SEED, other.address, { value: BET }))
+      .to.emit(rewards, "ReferralRewarded")
+      .withArgs(referrer.address, player.address, NATIVE, SHARE)
+      .and.not.to.emit(rewards, "ReferrerSet");
+    expect(await rewards.referrerOf(player.address)).to.equal(referrer.address);
+    expect(await rewards.getReferees(referrer.address)).to.have.length(1);
+    expect(await rewards.getReferees(other.address)).to.have.length(0);
+    expect(await rewards.wagered(NATIVE, player.address)).to.equal(BET * 2n);
+  });
+
+  it("ignores self referrals and links used after the first bet", async function () {
+    const { minesGame, rewards, player, referrer } = await loadFixture(deployFixture);
+    await expect(minesGame.connect(player).startGame(5, 24, CLIENT_SEED, player.address, { value: BET })).not.to.emit(
+      rewards,
+      "ReferrerSet"
+    );
+    expect(await rewards.referrerOf(player.address)).to.equal(NATIVE);
+
+    await minesGame.connect(player).forfeitGame(player.address);
+    await minesGame.connect(player).startGame(5, 24, CLIENT_SEED, referrer.address, { value: BET });
+    expect(await rewards.referrerOf(player.address)).to.equal(NATIVE);
+    expect(await rewards.claimable(NATIVE, referrer.address)).to.equal(0);
+  });
+
+  it("gives players without a referrer only rakeback", async function () {
+    const { minesGame, rewards, player } = await loadFixture(deployFixture);
+    await expect(minesGame.connect(player).startGame(5, 24, CLIENT_SEED, NO_REFERRER, { value: BET })).not.to.emit(
+      rewards,
+      "ReferralRewarded"
+    );
+    expect(await rewards.claimable(NATIVE, player.address)).to.equal(SHARE);
+    expect(await rewards.budget(NATIVE)).to.equal(BUDGET - SHARE);
+  });
+
+  it("pays out claimable rewards once", async function () {
+    const { rewards, referrer } = await loadFixture(referredFixture);
+    const tx = rewards.connect(referrer).claim(NATIVE);
+    await expect(tx).to.emit(rewards, "RewardsClaimed").withArgs(referrer.address, NATIVE, SHARE);
+    await expect(tx).to.changeEtherBalances([referrer, rewards], [SHARE, -SHARE]);
+    await expect(rewards.connect(referrer).claim(NATIVE)).to.be.revertedWith("Nothing to claim");
+  });
+
+  it("stops accruing when the budget runs out instead of blocking bets", async function () {
+    const { minesGame, rewards, house, player, referrer } = await loadFixture(deployFixture);
+    await rewards.withdrawBudget(NATIVE, BUDGET - SHARE);
+
+    await minesGame.connect(player).startGame(5, 24, CLIENT_SEED, referrer.address, { value: BET });
+    expect(await rewards.claimable(NATIVE, referrer.address)).to.equal(SHARE);
+    expect(await rewards.claimable(NATIVE, player.address)).to.equal(0);
+    expect(await rewards.budget(NATIVE)).to.equal(0);
+
+    // Credited rewards cannot be taken back
+    await expect(rewards.connect(house).withdrawBudget(NATIVE, 1)).to.be.revertedWith("Invalid amount");
+  });
+
+  it("leaves the rates and budget to the game's operators and admins", async function () {
+    const { minesGame, rewards, other } = await loadFixture(deployFixture);
+    await expect(rewards.connect(other).setRewardRates(500, 500))
+      .to.be.revertedWithCustomError(rewards, "AccessControlUnauthorizedAccount")
+      .withArgs(other.address, await minesGame.OPERATOR_ROLE());
+    await expect(rewards.connect(other).withdrawBudget(NATIVE, 1))
+      .to.be.revertedWithCustomError(rewards, "AccessControlUnauthorizedAccount")
+      .withArgs(other.address, await minesGame.DEFAULT_ADMIN_ROLE());
+    await expect(rewards.connect(other).recordBet(other.address, NATIVE, BET, 100, NO_REFERRER)).to.be.revertedWith(
+      "Only the game records bets"
+    );
+
+    await expect(rewards.setRewardRates(2000, 500)).to.emit(rewards, "RewardRatesUpdated").withArgs(2000, 500);
+    await expect(rewards.setRewardRates(6000, 5000)).to.be.revertedWith("Invalid reward rates");
+    await expect(minesGame.connect(other).setRewards(other.address)).to.be.revertedWithCustomError(
+      minesGame,
+      "AccessControlUnauthorizedAccount"
+    );
+  });
+
+  it("accrues in the token the bet was made in", async function () {
+    const { minesGame, rewards, house, player } = await loadFixture(deployFixture);
+    const TestToken = await ethers.getContractFactory("TestToken");
+    const token = await TestToken.deploy("Test USD", "TUSD", 6);
+    const tokenAddress = await token.getAddress();
+    const tokenBet = 100n * 10n ** 6n;
+
+    await minesGame.setTokenAllowed(tokenAddress, true);
+    await minesGame.setMaxPayout(tokenAddress, 10000);
+    await token.mint(house.address, tokenBet * 200n);
+    await token.approve(await minesGame.getAddress(), tokenBet * 100n);
+    await minesGame.addTokenFunds(tokenAddress, tokenBet * 100n);
+    await token.approve(await rewards.getAddress(), tokenBet);
+    await expect(rewards.fundToken(tokenAddress, tokenBet))
+      .to.emit(rewards, "BudgetFunded")
+      .withArgs(house.address, tokenAddress, tokenBet);
+
+    await token.mint(player.address, tokenBet);
+    await token.connect(player).approve(await minesGame.getAddress(), tokenBet);
+    await minesGame.connect(player).startTokenGame(tokenAddress, tokenBet, 5, 24, CLIENT_SEED, NO_REFERRER);
+
+    const share = tokenBet / 1000n;
+    expect(await rewards.claimable(tokenAddress, player.address)).to.equal(share);
+    expect(await rewards.claimable(NATIVE, player.address)).to.equal(0);
+    await expect(rewards.connect(player).claim(tokenAddress)).to.changeTokenBalance(token, player, share);
+  });
+
+  it("lets the admin turn the program off", async function () {
+    const { minesGame, rewards, player } = await loadFixture(deployFixture);
+    await expect(minesGame.setRewards(NATIVE)).to.emit(minesGame, "RewardsUpdated").withArgs(NATIVE);
+    await minesGame.connect(player).startGame(5, 24, CLIENT_SEED, NO_REFERRER, { value: BET });
+    expect(await rewards.wagered(NATIVE, player.address)).to.equal(0);
+  });
+});
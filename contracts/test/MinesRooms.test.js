@@ -0,0 +1,358 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time, mine: mineBlocks, takeSnapshot } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const BUY_IN = ethers.parseEther("1");
+const BOND = ethers.parseEther("5");
+const Status = { None: 0, Waiting: 1, Playing: 2, Finished: 3, Cancelled: 4 };
+const Player = { None: 0, Active: 1, Left: 2, Eliminated: 3 };
+
+const popCount = (bits) => bits.toString(2).split("").filter((bit) => bit === "1").length;
+
+describe("MinesRooms", function () {
+  async function deployFixture() {
+    const [house, alice, bob, carol, other] = await ethers.getSigners();
+
+    const MinesGame = await ethers.getContractFactory("MinesGame");
+    const minesGame = await upgrades.deployProxy(MinesGame);
+    const MinesRooms = await ethers.getContractFactory("MinesRooms");
+    const rooms = await upgrades.deployProxy(MinesRooms, [await minesGame.getAddress()]);
+
+    const serverSeeds = Array.from({ length: 10 }, (_, i) => ethers.id(`room seed ${i}`));
+    await rooms.commitServerSeeds(serverSeeds.map((seed) => ethers.keccak256(seed)));
+    await rooms.depositBond({ value: BOND });
+    return { minesGame, rooms, house, alice, bob, carol, other, serverSeeds };
+  }
+
+  // Alice, Bob and Carol in room 1 on a 5x5 board with 3 mines, started
+  async function playingFixture() {
+    const fixture = await deployFixture();
+    const { rooms, alice, bob, carol } = fixture;
+    await rooms.connect(alice).createRoom(5, 3, 4, { value: BUY_IN });
+    await rooms.connect(bob).joinRoom(1, { value: BUY_IN });
+    await rooms.connect(carol).joinRoom(1, { value: BUY_IN });
+    await rooms.connect(alice).startRoom(1);
+    return fixture;
+  }
+
+  // Hash of the block after the pending pick, which the roll mixes in
+  async function pickBlockHash(rooms, roomId) {
+    const [room] = await rooms.getRoom(roomId);
+    return (await ethers.provider.getBlock(Number(room.pickBlock) + 1)).hash;
+  }
+
+  // The roll depends on a block that only exists after the pick, so a tile with the wanted
+  // outcome is found by picking, sealing the next block and rolling back until one lands.
+  // Leaves the pick pending with that block sealed.
+  async function pickWithOutcome(rooms, player, serverSeed, mine, roomId = 1) {
+    const [room] = await rooms.getRoom(roomId);
+    const revealed = room.safeTiles | room.mineTiles;
+    const tiles = Number(room.boardSize) ** 2;
+    const hidden = tiles - popCount(revealed);
+    const minesLeft = Number(room.totalMines) - popCount(room.mineTiles);
+    const candidates = [...Array(tiles).keys()].filter((tile) => !(revealed & (1n << BigInt(tile))));
+    const start = await time.latest();
+
+    for (let attempt = 0; attempt < 200; attempt++) {
+      const tile = candidates[attempt % candidates.length];
+      const snapshot = await takeSnapshot();
+      // A new timestamp each attempt, so a retried tile lands in a different block
+      await time.setNextBlockTimestamp(start + 1 + attempt);
+      await rooms.connect(player).pickTile(roomId, tile);
+      await mineBlocks();
+      const hash = await pickBlockHash(rooms, roomId);
+      if ((await rooms.isMineRoll(serverSeed, hash, roomId, tile, hidden, minesLeft)) === mine) return tile;
+      await snapshot.restore();
+    }
+    throw new Error("No pick landed the wanted outcome");
+  }
+
+  // Picks a tile with the given outcome and has the house resolve it
+  async function play(rooms, player, serverSeed, mine) {
+    const tile = await pickWithOutcome(rooms, player, serverSeed, mine);
+    await rooms.resolvePick(1, serverSeed);
+    return tile;
+  }
+
+  describe("lobby", function () {
+    it("creates a room with the creator in it and lets others join with the same buy-in", async function () {
+      const { rooms, alice, bob } = await loadFixture(deployFixture);
+      await expect(rooms.connect(alice).createRoom(5, 3, 2, { value: BUY_IN }))
+        .to.emit(rooms, "RoomCreated")
+        .withArgs(1, alice.address, BUY_IN, 5, 3, 2)
+        .and.to.emit(rooms, "PlayerJoined")
+        .withArgs(1, alice.address);
+
+      await expect(rooms.connect(bob).joinRoom(1, { value: BUY_IN / 2n })).to.be.revertedWith("Send the exact buy-in");
+      await rooms.connect(bob).joinRoom(1, { value: BUY_IN });
+      await expect(rooms.connect(bob).joinRoom(1, { value: BUY_IN })).to.be.revertedWith("Room is full");
+
+      const [room, statuses] = await rooms.getRoom(1);
+      expect(room.players).to.deep.equal([alice.address, bob.address]);
+      expect(statuses).to.deep.equal([Player.Active, Player.Active]);
+      expect(room.pot).to.equal(BUY_IN * 2n);
+      expect(room.status).to.equal(Status.Waiting);
+      expect(await ethers.provider.getBalance(await rooms.getAddress())).to.equal(BOND + BUY_IN * 2n);
+    });
+
+    it("rejects rooms that cannot be played", async function () {
+      const { rooms, alice } = await loadFixture(deployFixture);
+      await expect(rooms.connect(alice).createRoom(5, 3, 2)).to.be.revertedWith("Buy-in must be greater than 0");
+      await expect(rooms.connect(alice).createRoom(2, 1, 2, { value: BUY_IN })).to.be.revertedWith("Invalid board size");
+      await expect(rooms.connect(alice).createRoom(3, 9, 2, { value: BUY_IN })).to.be.revertedWith("Invalid mine count");
+      await expect(rooms.connect(alice).createRoom(5, 3, 1, { value: BUY_IN })).to.be.revertedWith("Invalid player count");
+      await expect(rooms.connect(alice).createRoom(5, 3, 9, { value: BUY_IN })).to.be.revertedWith("Invalid player count");
+    });
+
+    it("refunds a player who leaves before the start and frees the seat", async function () {
+      const { rooms, alice, bob, carol } = await loadFixture(deployFixture);
+      await rooms.connect(alice).createRoom(5, 3, 2, { value: BUY_IN });
+      await rooms.connect(bob).joinRoom(1, { value: BUY_IN });
+
+      await expect(rooms.connect(alice).leaveRoom(1)).to.emit(rooms, "PlayerLeft").withArgs(1, alice.address, BUY_IN);
+      expect(await rooms.claimable(alice.address)).to.equal(BUY_IN);
+      await rooms.connect(carol).joinRoom(1, { value: BUY_IN });
+
+      // Anyone in the room may start it once the creator is gone
+      await expect(rooms.connect(alice).startRoom(1)).to.be.revertedWith("Not in this room");
+      await expect(rooms.connect(carol).startRoom(1)).to.emit(rooms, "RoomStarted").withArgs(1);
+      const [room] = await rooms.getRoom(1);
+      expect(room.players).to.deep.equal([bob.address, carol.address]);
+      expect(room.players[room.turn]).to.equal(bob.address);
+    });
+
+    it("needs two players to start", async function () {
+      const { rooms, alice, bob } = await loadFixture(deployFixture);
+      await rooms.connect(alice).createRoom(5, 3, 2, { value: BUY_IN });
+      await expect(rooms.connect(alice).startRoom(1)).to.be.revertedWith("Need at least 2 players");
+      await expect(rooms.connect(alice).pickTile(1, 0)).to.be.revertedWith("Room is not playing");
+
+      await rooms.connect(bob).joinRoom(1, { value: BUY_IN });
+      await rooms.connect(bob).startRoom(1);
+      await expect(rooms.connect(bob).joinRoom(1, { value: BUY_IN })).to.be.revertedWith("Room is not open");
+    });
+
+    it("stops new rooms and joins while MinesGame is paused", async function () {
+      const { minesGame, rooms, alice, bob } = await loadFixture(deployFixture);
+      await rooms.connect(alice).createRoom(5, 3, 2, { value: BUY_IN });
+      await minesGame.pause();
+      await expect(rooms.connect(alice).createRoom(5, 3, 2, { value: BUY_IN })).to.be.revertedWith("New games are paused");
+      await expect(rooms.connect(bob).joinRoom(1, { value: BUY_IN })).to.be.revertedWith("New games are paused");
+    });
+  });
+
+  describe("turns", function () {
+    it("takes picks in join order and reveals each one with its own seed", async function () {
+      const { rooms, alice, bob, serverSeeds } = await loadFixture(playingFixture);
+      await expect(rooms.connect(bob).pickTile(1, 0)).to.be.revertedWith("Not your turn");
+
+      const tile = await pickWithOutcome(rooms, alice, serverSeeds[0], false);
+      await expect(rooms.connect(bob).pickTile(1, 0)).to.be.revertedWith("Waiting for the house");
+      await expect(rooms.resolvePick(1, serverSeeds[1])).to.be.revertedWith("Server seed does not match commitment");
+
+      await expect(rooms.resolvePick(1, serverSeeds[0]))
+        .to.emit(rooms, "TileResolved")
+        .withArgs(1, alice.address, tile, false, serverSeeds[0], await pickBlockHash(rooms, 1));
+      const [room] = await rooms.getRoom(1);
+      expect(room.safeTiles).to.equal(1n << BigInt(tile));
+      expect(room.players[room.turn]).to.equal(bob.address);
+      await expect(rooms.connect(bob).pickTile(1, tile)).to.be.revertedWith("Tile already revealed");
+      expect(await rooms.availableCommitments()).to.equal(9);
+    });
+
+    it("rolls with the block after the pick, so a known seed does not predict the board", async function () {
+      const { rooms, alice, serverSeeds } = await loadFixture(playingFixture);
+      await expect(rooms.connect(alice).pickTile(1, 0))
+        .to.emit(rooms, "TilePicked")
+        .withArgs(1, alice.address, 0, ethers.keccak256(serverSeeds[0]));
+      // The block that feeds the roll is not sealed while the pick's own block is the latest
+      await expect(rooms.resolvePick(1, serverSeeds[0])).to.be.revertedWith("Pick block not sealed yet");
+
+      // The house knows the seed, but each possible next block gives another board
+      const layout = (hash) => Promise.all([...Array(25).keys()].map((tile) => rooms.isMineRoll(serverSeeds[0], hash, 1, tile, 25, 3)));
+      const blocks = Array.from({ length: 5 }, (_, i) => ethers.id(`block ${i}`));
+      const layouts = await Promise.all(blocks.map(layout));
+      expect(new Set(layouts.map((mines) => mines.join())).size).to.be.greaterThan(1);
+
+      await mineBlocks();
+      const hash = await pickBlockHash(rooms, 1);
+      const isMine = await rooms.isMineRoll(serverSeeds[0], hash, 1, 0, 25, 3);
+      await expect(rooms.resolvePick(1, serverSeeds[0]))
+        .to.emit(rooms, "TileResolved")
+        .withArgs(1, alice.address, 0, isMine, serverSeeds[0], hash);
+    });
+
+    it("cannot resolve a pick once the block after it is out of blockhash range", async function () {
+      const { rooms, alice, serverSeeds } = await loadFixture(playingFixture);
+      await rooms.connect(alice).pickTile(1, 0);
+      await mineBlocks(257);
+      await expect(rooms.resolvePick(1, serverSeeds[0])).to.be.revertedWith("Pick is too old to resolve");
+    });
+
+    it("eliminates only the player who hit a mine and keeps their buy-in in the pot", async function () {
+      const { rooms, alice, bob, carol, serverSeeds } = await loadFixture(playingFixture);
+      await play(rooms, alice, serverSeeds[0], false);
+      await play(rooms, bob, serverSeeds[1], true);
+
+      const [room, statuses] = await rooms.getRoom(1);
+      expect(statuses).to.deep.equal([Player.Active, Player.Eliminated, Player.Active]);
+      expect(room.status).to.equal(Status.Playing);
+      expect(room.pot).to.equal(BUY_IN * 3n);
+      expect(room.players[room.turn]).to.equal(carol.address);
+      await expect(rooms.connect(bob).leaveRoom(1)).to.be.revertedWith("Not in this room");
+
+      // Bob's turns are skipped from now on
+      await play(rooms, carol, serverSeeds[2], false);
+      const [next] = await rooms.getRoom(1);
+      expect(next.players[next.turn]).to.equal(alice.address);
+    });
+
+    it("pays a leaving player an equal share of the pot, but not while their pick is open", async function () {
+      const { rooms, alice, bob, carol, serverSeeds } = await loadFixture(playingFixture);
+      await play(rooms, alice, serverSeeds[0], true);
+
+      await pickWithOutcome(rooms, bob, serverSeeds[1], false);
+      await expect(rooms.connect(bob).leaveRoom(1)).to.be.revertedWith("Waiting for the house");
+      await expect(rooms.connect(carol).leaveRoom(1)).to.be.revertedWith("Waiting for the house");
+      await rooms.resolvePick(1, serverSeeds[1]);
+
+      const share = (BUY_IN * 3n) / 2n;
+      await expect(rooms.connect(bob).leaveRoom(1)).to.emit(rooms, "PlayerLeft").withArgs(1, bob.address, share);
+      // Carol is the last one in and takes the rest
+      expect(await rooms.claimable(carol.address)).to.equal(BUY_IN * 3n - share);
+      const [room] = await rooms.getRoom(1);
+      expect(room.status).to.equal(Status.Finished);
+      expect(room.pot).to.equal(0);
+
+      await expect(rooms.connect(bob).withdraw()).to.changeEtherBalances([bob, rooms], [share, -share]);
+      await expect(rooms.connect(bob).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("gives the pot to the last player standing", async function () {
+      const { rooms, alice, bob, carol, serverSeeds } = await loadFixture(playingFixture);
+      await play(rooms, alice, serverSeeds[0], true);
+      await pickWithOutcome(rooms, bob, serverSeeds[1], true);
+      await expect(rooms.resolvePick(1, serverSeeds[1])).to.emit(rooms, "RoomFinished").withArgs(1);
+
+      expect(await rooms.claimable(carol.address)).to.equal(BUY_IN * 3n);
+      expect(await rooms.claimable(alice.address)).to.equal(0);
+      await expect(rooms.connect(carol).pickTile(1, 0)).to.be.revertedWith("Room is not playing");
+    });
+
+    it("splits the pot once no safe tile is left", async function () {
+      const { rooms, alice, bob, serverSeeds } = await loadFixture(deployFixture);
+      // A 3x3 board with 8 mines has a single safe tile
+      await rooms.connect(alice).createRoom(3, 8, 2, { value: BUY_IN });
+      await rooms.connect(bob).joinRoom(1, { value: BUY_IN });
+      await rooms.connect(alice).startRoom(1);
+
+      await play(rooms, alice, serverSeeds[0], false);
+      const [room] = await rooms.getRoom(1);
+      expect(room.status).to.equal(Status.Finished);
+      expect(await rooms.claimable(alice.address)).to.equal(BUY_IN);
+      expect(await rooms.claimable(bob.address)).to.equal(BUY_IN);
+    });
+  });
+
+  describe("timeouts", function () {
+    it("sends an idle player off with their share once their turn times out", async function () {
+      const { rooms, alice, bob, other } = await loadFixture(playingFixture);
+      await expect(rooms.connect(other).timeoutTurn(1)).to.be.revertedWith("Turn has not timed out");
+
+      await time.increase(await rooms.turnTimeout());
+      await expect(rooms.connect(other).timeoutTurn(1)).to.emit(rooms, "PlayerLeft").withArgs(1, alice.address, BUY_IN);
+      const [room, statuses] = await rooms.getRoom(1);
+      expect(statuses[0]).to.equal(Player.Left);
+      expect(room.players[room.turn]).to.equal(bob.address);
+    });
+
+    it("counts a pick the house never reveals as lost and pays the picker from the house bond", async function () {
+      const { rooms, alice, bob, carol, other } = await loadFixture(playingFixture);
+      await rooms.connect(alice).pickTile(1, 0);
+      expect(await rooms.lockedBond()).to.equal(BUY_IN);
+
+      await time.increase(await rooms.turnTimeout());
+      await expect(rooms.connect(other).timeoutTurn(1))
+        .to.emit(rooms, "PickTimedOut").withArgs(1, alice.address, 0, BUY_IN)
+        .and.not.to.emit(rooms, "RoomCancelled");
+
+      // Holding back the pick neither frees the picker's buy-in nor ends the room for the others
+      const [room, statuses] = await rooms.getRoom(1);
+      expect(room.status).to.equal(Status.Playing);
+      expect(room.pickPending).to.equal(false);
+      expect(room.pot).to.equal(BUY_IN * 3n);
+      expect(statuses[0]).to.equal(Player.Eliminated);
+      expect(room.players[room.turn]).to.equal(bob.address);
+      expect(room.safeTiles | room.mineTiles).to.equal(0n);
+
+      expect(await rooms.claimable(alice.address)).to.equal(BUY_IN);
+      expect(await rooms.claimable(bob.address)).to.equal(0n);
+      expect(await rooms.claimable(carol.address)).to.equal(0n);
+      expect(await rooms.houseBond()).to.equal(BOND - BUY_IN);
+      expect(await rooms.lockedBond()).to.equal(0n);
+    });
+
+    it("gives the pot to the last player once a timed-out pick leaves one standing", async function () {
+      const { rooms, alice, bob, other } = await loadFixture(deployFixture);
+      await rooms.connect(alice).createRoom(5, 3, 2, { value: BUY_IN });
+      await rooms.connect(bob).joinRoom(1, { value: BUY_IN });
+      await rooms.connect(alice).startRoom(1);
+      await rooms.connect(alice).pickTile(1, 0);
+
+      await time.increase(await rooms.turnTimeout());
+      await expect(rooms.connect(other).timeoutTurn(1)).to.emit(rooms, "RoomFinished").withArgs(1);
+      expect(await rooms.claimable(alice.address)).to.equal(BUY_IN);
+      expect(await rooms.claimable(bob.address)).to.equal(BUY_IN * 2n);
+    });
+  });
+
+  describe("house bond", function () {
+    it("needs enough free bond to cover the buy-in of every open pick", async function () {
+      const { minesGame, rooms, house, alice, bob, other, serverSeeds } = await loadFixture(playingFixture);
+      await expect(rooms.connect(other).depositBond({ value: BUY_IN }))
+        .to.be.revertedWithCustomError(rooms, "AccessControlUnauthorizedAccount")
+        .withArgs(other.address, await minesGame.HOUSE_ROLE());
+
+      await expect(rooms.withdrawBond(BOND - BUY_IN / 2n))
+        .to.emit(rooms, "BondWithdrawn").withArgs(BOND - BUY_IN / 2n, BUY_IN / 2n);
+      await expect(rooms.connect(alice).pickTile(1, 0)).to.be.revertedWith("House bond too low");
+
+      await expect(rooms.connect(house).depositBond({ value: BUY_IN }))
+        .to.emit(rooms, "BondDeposited").withArgs(BUY_IN, BUY_IN + BUY_IN / 2n);
+      await rooms.connect(alice).pickTile(1, 0);
+      await expect(rooms.withdrawBond(BUY_IN)).to.be.revertedWith("Bond backs open picks");
+      await expect(rooms.connect(bob).withdrawBond(1n)).to.be.revertedWithCustomError(rooms, "AccessControlUnauthorizedAccount");
+
+      // Resolving the pick frees its share again
+      await mineBlocks();
+      await rooms.resolvePick(1, serverSeeds[0]);
+      expect(await rooms.lockedBond()).to.equal(0n);
+      await expect(rooms.withdrawBond(BUY_IN + BUY_IN / 2n)).to.changeEtherBalance(house, BUY_IN + BUY_IN / 2n);
+    });
+  });
+
+  describe("roles", function () {
+    it("takes the house and admin roles from MinesGame", async function () {
+      const { minesGame, rooms, other } = await loadFixture(deployFixture);
+      await expect(rooms.connect(other).commitServerSeeds([ethers.id("x")]))
+        .to.be.revertedWithCustomError(rooms, "AccessControlUnauthorizedAccount")
+        .withArgs(other.address, await minesGame.HOUSE_ROLE());
+      await expect(rooms.connect(other).setTurnTimeout(600))
+        .to.be.revertedWithCustomError(rooms, "AccessControlUnauthorizedAccount")
+        .withArgs(other.address, await minesGame.DEFAULT_ADMIN_ROLE());
+
+      await expect(rooms.setTurnTimeout(600)).to.emit(rooms, "TurnTimeoutUpdated").withArgs(600);
+      await expect(rooms.setTurnTimeout(30)).to.be.revertedWith("Invalid turn timeout");
+    });
+
+    it("needs a committed seed for every pick", async function () {
+      const { minesGame, alice, bob } = await loadFixture(deployFixture);
+      const MinesRooms = await ethers.getContractFactory("MinesRooms");
+      const rooms = await upgrades.deployProxy(MinesRooms, [await minesGame.getAddress()]);
+      await rooms.connect(alice).createRoom(5, 3, 2, { value: BUY_IN });
+      await rooms.connect(bob).joinRoom(1, { value: BUY_IN });
+      await rooms.connect(alice).startRoom(1);
+      await expect(rooms.connect(alice).pickTile(1, 0)).to.be.revertedWith("No house seed available");
+    });
+  });
+});
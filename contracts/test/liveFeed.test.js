@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { fetchRounds, queryFilterInChunks, mergeRounds, buildLeaderboards, createLiveFeed } = require("../../src/liveFeed");
+
+const BET = ethers.parseEther("0.001");
+const NO_REFERRER = ethers.ZeroAddress;
+
+// The app's live feed and leaderboards read src/liveFeed.js; here it is fed from
+// the Hardhat node to check it rebuilds every player's rounds from the events
+describe("src/liveFeed.js", function () {
+  async function deployFixture() {
+    const [house, alice, bob] = await ethers.getSigners();
+    const MinesGame = await ethers.getContractFactory("MinesGame");
+    const minesGame = await upgrades.deployProxy(MinesGame);
+    await minesGame.addHouseFunds({ value: ethers.parseEther("1000") });
+    await minesGame.setMaxPayout(ethers.ZeroAddress, 10000);
+
+    const serverSeeds = Array.from({ length: 10 }, (_, i) => ethers.id(`server seed ${i}`));
+    await minesGame.commitServerSeeds(serverSeeds.map((seed) => ethers.keccak256(seed)));
+
+    // Plays and settles one round, picking `safePicks` safe tiles and then a mine if `hitMine`
+    const play = async (player, mineCount, safePicks, hitMine) => {
+      const seedIndex = Number(await minesGame.nextCommitmentIndex());
+      const clientSeed = ethers.id(`client seed ${seedIndex}`);
+      const serverSeed = serverSeeds[seedIndex];
+      await minesGame.connect(player).startGame(5, mineCount, clientSeed, NO_REFERRER, { value: BET });
+
+      const mines = (await minesGame.generateMineLocations(serverSeed, clientSeed, 25, mineCount)).map(Number);
+      const safeTiles = [...Array(25).keys()].filter((tile) => !mines.includes(tile));
+      const picks = safeTiles.slice(0, safePicks);
+      if (hitMine) picks.push(mines[0]);
+
+      await minesGame.connect(player).revealTiles(picks, 0);
+      await minesGame.settleGame(player.address, serverSeed);
+      return minesGame.calculatePayout(BET, 25, mineCount, safePicks, 100);
+    };
+
+    return { minesGame, house, alice, bob, play };
+  }
+
+  it("rebuilds every player's settled rounds, newest first", async function () {
+    const { minesGame, alice, bob, play } = await loadFixture(deployFixture);
+    const alicePayout = await play(alice, 3, 4, false);
+    await play(bob, 5, 2, true);
+    // Started but not settled rounds are not in the feed
+    await minesGame.connect(alice).startGame(5, 1, ethers.id("open"), NO_REFERRER, { value: BET });
+
+    const rounds = await fetchRounds(minesGame, 0, await ethers.provider.getBlockNumber());
+    expect(rounds).to.have.length(2);
+
+    const [bobRound, aliceRound] = rounds;
+    expect(bobRound).to.include({ player: bob.address, token: ethers.ZeroAddress, mineCount: 5, won: false, betAmount: BET, payout: 0n });
+    expect(bobRound.profit).to.equal(-BET);
+
+    expect(aliceRound).to.include({ player: alice.address, mineCount: 3, won: true, payout: alicePayout });
+    expect(aliceRound.profit).to.equal(alicePayout - BET);
+    expect(aliceRound.multiplier).to.be.closeTo(Number(alicePayout) / Number(BET), 0.0001);
+    expect(aliceRound.timestamp).to.be.a("number");
+  });
+
+  it("counts a forfeited round as a loss", async function () {
+    const { minesGame, alice } = await loadFixture(deployFixture);
+    await minesGame.connect(alice).startGame(5, 3, ethers.id("given up"), NO_REFERRER, { value: BET });
+    await minesGame.connect(alice).forfeitGame(alice.address);
+
+    const [round] = await fetchRounds(minesGame, 0, await ethers.provider.getBlockNumber());
+    expect(round).to.include({ player: alice.address, mineCount: 3, won: false, betAmount: BET, payout: 0n, multiplier: 0 });
+    expect(round.profit).to.equal(-BET);
+  });
+
+  it("counts a cash out paid after the house stalled as a win", async function () {
+    const { minesGame, alice, bob } = await loadFixture(deployFixture);
+    await minesGame.connect(alice).startGame(5, 3, ethers.id("stalled"), NO_REFERRER, { value: BET });
+    // Cashes out after both picks
+    await minesGame.connect(alice).revealTiles([0, 1], 0);
+    await time.increase(await minesGame.gameTimeout());
+    await minesGame.connect(bob).resolveStalledCashOut(alice.address);
+
+    // The seed stays unrevealed, so the pay is for every pick counted safe
+    const payout = await minesGame.calculatePayout(BET, 25, 3, 2, 100);
+    const [round] = await fetchRounds(minesGame, 0, await ethers.provider.getBlockNumber());
+    expect(round).to.include({ player: alice.address, won: true, payout });
+    expect(round.profit).to.equal(payout - BET);
+  });
+
+  it("matches rounds whose start is outside the queried range", async function () {
+    const { minesGame, alice, play } = await loadFixture(deployFixture);
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const payout = await play(alice, 2, 3, false);
+
+    // Only the settlement block is queried, so the bet comes from the cached start or the stored game
+    const latest = await ethers.provider.getBlockNumber();
+    const startedGames = new Map();
+    await fetchRounds(minesGame, startBlock, startBlock, startedGames);
+    const [cached] = await fetchRounds(minesGame, latest, latest, startedGames);
+    const [lookedUp] = await fetchRounds(minesGame, latest, latest);
+
+    for (const round of [cached, lookedUp]) {
+      expect(round).to.include({ player: alice.address, mineCount: 2, betAmount: BET, payout });
+    }
+  });
+
+  it("queries logs a chunk of blocks at a time", async function () {
+    const { minesGame, alice, bob, play } = await loadFixture(deployFixture);
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await play(alice, 3, 1, false);
+    await play(bob, 3, 1, true);
+    await play(alice, 3, 2, false);
+
+    const [started, settled] = await queryFilterInChunks(
+      minesGame,
+      [minesGame.filters.GameStarted(alice.address), minesGame.filters.GameSettled()],
+      fromBlock,
+      { chunkSize: 2 }
+    );
+    expect(started.map((event) => event.args.player)).to.deep.equal([alice.address, alice.address]);
+    expect(settled).to.have.length(3);
+  });
+
+  it("merges batches without duplicates", async function () {
+    const { minesGame, alice, play } = await loadFixture(deployFixture);
+    await play(alice, 3, 1, false);
+    const first = await fetchRounds(minesGame, 0, await ethers.provider.getBlockNumber());
+    await play(alice, 3, 1, true);
+    const second = await fetchRounds(minesGame, 0, await ethers.provider.getBlockNumber());
+
+    const merged = mergeRounds(first, second);
+    expect(merged).to.have.length(2);
+    expect(merged[0].won).to.equal(false);
+    expect(mergeRounds(merged, second)).to.equal(merged);
+  });
+
+  it("ranks players by profit and rounds by multiplier, daily and all time", async function () {
+    const { minesGame, alice, bob, play } = await loadFixture(deployFixture);
+    await play(alice, 5, 5, false);
+    await time.increase(2 * 24 * 60 * 60);
+    await play(bob, 3, 2, false);
+    await play(alice, 3, 1, true);
+
+    const rounds = await fetchRounds(minesGame, 0, await ethers.provider.getBlockNumber());
+    const { daily, allTime } = buildLeaderboards(rounds, { now: await time.latest() });
+
+    expect(allTime.byProfit.map((entry) => entry.player)).to.deep.equal([alice.address, bob.address]);
+    expect(allTime.byProfit[0]).to.include({ games: 2, wins: 1 });
+    expect(allTime.byMultiplier[0].player).to.equal(alice.address);
+    expect(allTime.byMultiplier).to.have.length(2);
+
+    // Alice's big win was two days ago, so only today's rounds count
+    expect(daily.byProfit.map((entry) => entry.player)).to.deep.equal([bob.address, alice.address]);
+    expect(daily.byMultiplier.map((round) => round.player)).to.deep.equal([bob.address]);
+  });
+
+  it("streams new rounds and keeps its place after a failed poll", async function () {
+    const { minesGame, alice, bob, play } = await loadFixture(deployFixture);
+    await play(alice, 3, 1, false);
+
+    const received = [];
+    const errors = [];
+    let failNextPoll = false;
+    const provider = minesGame.runner.provider;
+    const flakyProvider = Object.create(provider, {
+      getBlockNumber: {
+        value: async () => {
+          if (failNextPoll) {
+            failNextPoll = false;
+            throw new Error("connection lost");
+          }
+          return provider.getBlockNumber();
+        },
+      },
+    });
+    const contract = minesGame.connect({ provider: flakyProvider });
+
+    const waitFor = async (condition) => {
+      while (!condition()) await new Promise((resolve) => setTimeout(resolve, 10));
+    };
+
+    const stop = createLiveFeed({
+      contract,
+      pollInterval: 10,
+      onRounds: (rounds) => received.push(...rounds),
+      onError: (error) => errors.push(error.message),
+    });
+    try {
+      await waitFor(() => received.length === 1);
+
+      failNextPoll = true;
+      await waitFor(() => errors.length === 1);
+      await play(bob, 3, 1, true);
+      await waitFor(() => received.length === 2);
+
+      expect(errors).to.deep.equal(["connection lost"]);
+      expect(received.map((round) => round.player)).to.deep.equal([alice.address, bob.address]);
+    } finally {
+      stop();
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const payout = require("../../src/payout");
+
+// The frontend computes odds and live payouts with src/payout.js; these must
+// match the contract to the wei or the app would show the wrong amounts
+describe("src/payout.js", function () {
+  async function deployFixture() {
+    const MinesGame = await ethers.getContractFactory("MinesGame");
+    return { minesGame: await upgrades.deployProxy(MinesGame) };
+  }
+
+  it("uses the contract's constants", async function () {
+    const { minesGame } = await loadFixture(deployFixture);
+    expect(await minesGame.MIN_BOARD_SIZE()).to.equal(payout.MIN_BOARD_SIZE);
+    expect(await minesGame.MAX_BOARD_SIZE()).to.equal(payout.MAX_BOARD_SIZE);
+    expect(await minesGame.MULTIPLIER_PRECISION()).to.equal(payout.MULTIPLIER_PRECISION);
+    expect(await minesGame.BASIS_POINTS()).to.equal(payout.BASIS_POINTS);
+  });
+
+  for (const edgeBps of [0, 100, 1000]) {
+    it(`matches calculateMultiplier for every mine count and pick count at ${edgeBps} bps`, async function () {
+      const { minesGame } = await loadFixture(deployFixture);
+      for (let mines = 1; mines < 25; mines++) {
+        for (let safe = 0; safe <= 25 - mines; safe++) {
+          expect(payout.calculateMultiplier(25, mines, safe, edgeBps)).to.equal(
+            await minesGame.calculateMultiplier(25, mines, safe, edgeBps),
+            `${mines} mines, ${safe} safe`
+          );
+        }
+      }
+    });
+  }
+
+  it("matches calculateMultiplier on every board size", async function () {
+    const { minesGame } = await loadFixture(deployFixture);
+    for (let boardSize = payout.MIN_BOARD_SIZE; boardSize <= payout.MAX_BOARD_SIZE; boardSize++) {
+      const tiles = payout.tileCount(boardSize);
+      expect(await minesGame.tileCount(boardSize)).to.equal(tiles);
+      // The easiest, middle and hardest mine counts, each picked clean
+      for (const mines of [1, Math.floor(tiles / 2), tiles - 1]) {
+        for (let safe = 0; safe <= tiles - mines; safe++) {
+          expect(payout.calculateMultiplier(tiles, mines, safe, 100)).to.equal(
+            await minesGame.calculateMultiplier(tiles, mines, safe, 100),
+            `${boardSize}x${boardSize}, ${mines} mines, ${safe} safe`
+          );
+        }
+      }
+    }
+  });
+
+  it("matches calculatePayout for awkward bet sizes", async function () {
+    const { minesGame } = await loadFixture(deployFixture);
+    const bets = [1n, 333n, ethers.parseEther("0.123456789"), ethers.parseEther("1000")];
+    for (const bet of bets) {
+      for (const [mines, safe] of [[1, 1], [3, 5], [12, 13], [24, 1], [5, 0]]) {
+        expect(payout.calculatePayout(bet, 25, mines, safe, 100)).to.equal(
+          await minesGame.calculatePayout(bet, 25, mines, safe, 100)
+        );
+      }
+    }
+  });
+});
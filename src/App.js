@@ -1,11 +1,17 @@
 import Game from './components/Game';
+import AdminPanel from './components/AdminPanel';
+import RoomsPage from './components/RoomsPage';
+
+// The operator console lives at /admin and multiplayer rooms at /rooms; every other path is the game
+const isAdminPath = () => /\/admin\/?$/.test(window.location.pathname);
+const isRoomsPath = () => /\/rooms\/?$/.test(window.location.pathname);
 
 function App() {
   return (
     <div className="min-h-screen bg-[#0f212e] flex items-center justify-center p-4">
-      <Game />
+      {isAdminPath() ? <AdminPanel /> : isRoomsPath() ? <RoomsPage /> : <Game />}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,101 @@
+import { NATIVE_TOKEN, getContractWithSigner, getMaxBet, getStartGameCall, waitForSettlement } from './config';
+import { ensureAllowance, parseTokenAmount } from './tokens';
+import { getBetReferrer, forgetReferrer } from './rewards';
+import { generateClientSeed } from './fairness';
+import { calculatePayout, tileCount } from './payout';
+import { sendTransaction } from './transactions';
+
+export const DEFAULT_AUTO_STRATEGY = {
+  rounds: 10,
+  onWin: { mode: 'reset', percent: 0 },
+  onLoss: { mode: 'reset', percent: 0 },
+  stopOnProfit: '',
+  stopOnLoss: '',
+};
+
+const toUnits = (amount, token) => {
+  if (!amount || !(parseFloat(amount) > 0)) return null;
+  return parseTokenAmount(amount, token);
+};
+
+// Bet for the next round after a win or loss: back to the base bet, or the
+// current bet increased by a percentage
+export const getNextBet = (strategy, baseBet, currentBet, won) => {
+  const adjustment = won ? strategy.onWin : strategy.onLoss;
+  if (adjustment.mode !== 'increase') return baseBet;
+
+  const increaseBps = window.BigInt(Math.round(Number(adjustment.percent || 0) * 100));
+  return (currentBet * (10000n + increaseBps)) / 10000n;
+};
+
+// Profit and loss limits are entered in the bet token
+export const getStopReason = (strategy, token, round, netProfit) => {
+  const stopOnProfit = toUnits(strategy.stopOnProfit, token);
+  const stopOnLoss = toUnits(strategy.stopOnLoss, token);
+
+  if (stopOnProfit !== null && netProfit >= stopOnProfit) return 'Profit target reached';
+  if (stopOnLoss !== null && -netProfit >= stopOnLoss) return 'Loss limit reached';
+  if (strategy.rounds > 0 && round >= strategy.rounds) return 'All rounds played';
+  return null;
+};
+
+// Plays one full round: start, pick every tile and cash out, then wait for the house to settle.
+// onStep is told what happens next so the UI can refresh between transactions.
+const playRound = async ({ account, token, boardSize, mineCount, bet, tiles, onStep }) => {
+  const contract = await getContractWithSigner();
+  if (!contract) throw new Error('No contract instance available');
+
+  // A grown bet can outrun the last approval, so token bets re-check it every round
+  if (token.address !== NATIVE_TOKEN) {
+    await onStep('Approving');
+    await ensureAllowance(token, bet);
+  }
+
+  await onStep('Starting');
+  await sendTransaction({
+    label: 'Start game',
+    ...getStartGameCall(contract, token.address, boardSize, mineCount, generateClientSeed(), bet, getBetReferrer()),
+  });
+  forgetReferrer();
+
+  // Picks every tile and cashes out in a single transaction
+  await onStep('Picking tiles');
+  await sendTransaction({ label: `Pick ${tiles.length} tiles & cash out`, method: contract.revealTiles, args: [tiles, 0] });
+
+  await onStep('Waiting for house');
+  const settled = await waitForSettlement(account);
+  await onStep('Settled');
+
+  const won = !settled.pickedTiles.some(tile => settled.mineLocations.includes(tile));
+  const payout = won
+    ? calculatePayout(
+      bet, tileCount(settled.boardSize), settled.totalMines, settled.revealedSafeTiles, settled.houseEdgeBps
+    )
+    : 0n;
+  return { won, payout };
+};
+
+// Runs rounds until a stop condition is met, the player cancels or a transaction fails.
+// Returns the reason the run ended.
+export const runAutoBet = async ({
+  account, token, boardSize, mineCount, baseBet, tiles, strategy, isCancelled, onRound, onStep,
+}) => {
+  let bet = baseBet;
+  let netProfit = 0n;
+
+  for (let round = 1; ; round++) {
+    if (isCancelled()) return 'Stopped';
+
+    const maxBet = await getMaxBet(boardSize, mineCount, token.address);
+    if (maxBet !== null && bet > maxBet) return 'Next bet exceeds max bet';
+
+    const { won, payout } = await playRound({ account, token, boardSize, mineCount, bet, tiles, onStep });
+    netProfit += payout - bet;
+    onRound({ round, bet, won, payout, netProfit });
+
+    const stopReason = getStopReason(strategy, token, round, netProfit);
+    if (stopReason) return stopReason;
+
+    bet = getNextBet(strategy, baseBet, bet, won);
+  }
+};
@@ -0,0 +1,129 @@
+import { ethers } from 'ethers';
+import { getNextBet, getStopReason, runAutoBet, DEFAULT_AUTO_STRATEGY } from './autoBet';
+import { NATIVE_TOKEN } from './config';
+import { createFakeMinesGame } from './testing/fakeMinesGame';
+import { createMockEthereum, installMockEthereum, GAME_ADDRESS, PLAYER } from './testing/mockEthereum';
+
+const NATIVE = { address: NATIVE_TOKEN, symbol: 'STT', decimals: 18, allowed: true };
+const BASE_BET = ethers.parseEther('0.01');
+const MARTINGALE = { ...DEFAULT_AUTO_STRATEGY, onLoss: { mode: 'increase', percent: 100 } };
+
+// Every round picks tile 0 only, so a layout with 0 in it loses and any other wins
+const SAFE = [22, 23, 24];
+const MINED = [0, 1, 2];
+
+let game;
+let uninstall;
+
+afterEach(() => {
+  uninstall?.();
+  uninstall = null;
+});
+
+// Plays rounds against the fake, with the house laying out `layouts[n]` for round n + 1
+const autoBet = async (strategy, layouts, { isCancelled = () => false } = {}) => {
+  game = createFakeMinesGame({ mines: layouts[0] });
+  uninstall = installMockEthereum(createMockEthereum({ contracts: { [GAME_ADDRESS]: game } }));
+
+  const rounds = [];
+  const reason = await runAutoBet({
+    account: PLAYER,
+    token: NATIVE,
+    boardSize: 5,
+    mineCount: 3,
+    baseBet: BASE_BET,
+    tiles: [0],
+    strategy,
+    isCancelled,
+    onRound: (round) => {
+      rounds.push(round);
+      game.state.mines = layouts[rounds.length] || SAFE;
+    },
+    onStep: async () => {},
+  });
+  return { reason, rounds };
+};
+
+describe('getNextBet', () => {
+  it('doubles after a loss and goes back to the base bet after a win', () => {
+    expect(getNextBet(MARTINGALE, BASE_BET, BASE_BET, false)).toBe(ethers.parseEther('0.02'));
+    expect(getNextBet(MARTINGALE, BASE_BET, ethers.parseEther('0.02'), false)).toBe(ethers.parseEther('0.04'));
+    expect(getNextBet(MARTINGALE, BASE_BET, ethers.parseEther('0.04'), true)).toBe(BASE_BET);
+  });
+
+  it('grows by fractional percents', () => {
+    const strategy = { ...DEFAULT_AUTO_STRATEGY, onWin: { mode: 'increase', percent: 12.5 } };
+    expect(getNextBet(strategy, BASE_BET, ethers.parseEther('0.08'), true)).toBe(ethers.parseEther('0.09'));
+    expect(getNextBet(strategy, BASE_BET, ethers.parseEther('0.08'), false)).toBe(BASE_BET);
+  });
+});
+
+describe('getStopReason', () => {
+  const strategy = { ...DEFAULT_AUTO_STRATEGY, rounds: 5, stopOnProfit: '0.05', stopOnLoss: '0.03' };
+
+  it('stops once the net profit reaches the target', () => {
+    expect(getStopReason(strategy, NATIVE, 1, ethers.parseEther('0.049'))).toBeNull();
+    expect(getStopReason(strategy, NATIVE, 1, ethers.parseEther('0.05'))).toBe('Profit target reached');
+  });
+
+  it('stops once the net loss reaches the limit', () => {
+    expect(getStopReason(strategy, NATIVE, 1, -ethers.parseEther('0.029'))).toBeNull();
+    expect(getStopReason(strategy, NATIVE, 1, -ethers.parseEther('0.03'))).toBe('Loss limit reached');
+  });
+
+  it('stops after the last round, or never with 0 rounds', () => {
+    expect(getStopReason(strategy, NATIVE, 4, 0n)).toBeNull();
+    expect(getStopReason(strategy, NATIVE, 5, 0n)).toBe('All rounds played');
+    expect(getStopReason({ ...DEFAULT_AUTO_STRATEGY, rounds: 0 }, NATIVE, 1000, 0n)).toBeNull();
+  });
+
+  it('ignores limits left empty or at zero', () => {
+    const open = { ...DEFAULT_AUTO_STRATEGY, rounds: 0, stopOnProfit: '', stopOnLoss: '0' };
+    expect(getStopReason(open, NATIVE, 1, ethers.parseEther('100'))).toBeNull();
+    expect(getStopReason(open, NATIVE, 1, -ethers.parseEther('100'))).toBeNull();
+  });
+});
+
+describe('runAutoBet', () => {
+  it('doubles the bet through losses, resets on a win and stops after the last round', async () => {
+    const { reason, rounds } = await autoBet({ ...MARTINGALE, rounds: 4 }, [MINED, MINED, SAFE, SAFE]);
+
+    expect(reason).toBe('All rounds played');
+    expect(rounds.map(round => [ethers.formatEther(round.bet), round.won])).toEqual([
+      ['0.01', false], ['0.02', false], ['0.04', true], ['0.01', true],
+    ]);
+    expect(game.state.sent.filter(tx => tx.name === 'startGame').map(tx => tx.value)).toEqual(rounds.map(round => round.bet));
+    expect(rounds.at(-1).netProfit).toBe(rounds.reduce((sum, round) => sum + round.payout - round.bet, 0n));
+  });
+
+  it('stops at the loss limit', async () => {
+    const { reason, rounds } = await autoBet({ ...DEFAULT_AUTO_STRATEGY, rounds: 0, stopOnLoss: '0.025' }, [MINED, MINED, MINED]);
+
+    expect(reason).toBe('Loss limit reached');
+    expect(rounds.map(round => round.netProfit)).toEqual([-BASE_BET, -BASE_BET * 2n, -BASE_BET * 3n]);
+  });
+
+  it('stops at the profit target', async () => {
+    // One safe pick out of 25 with 3 mines pays about 1.12x, so each win makes about 0.0012
+    const { reason, rounds } = await autoBet({ ...DEFAULT_AUTO_STRATEGY, rounds: 0, stopOnProfit: '0.002' }, [SAFE]);
+
+    expect(reason).toBe('Profit target reached');
+    expect(rounds).toHaveLength(2);
+    expect(rounds[1].netProfit).toBeGreaterThanOrEqual(ethers.parseEther('0.002'));
+  });
+
+  it('stops before the next round once cancelled partway through', async () => {
+    let cancelled = false;
+    const { reason, rounds } = await autoBet({ ...DEFAULT_AUTO_STRATEGY, rounds: 10 }, [SAFE], {
+      isCancelled: () => {
+        const stop = cancelled;
+        cancelled = true;
+        return stop;
+      },
+    });
+
+    expect(reason).toBe('Stopped');
+    expect(rounds).toHaveLength(1);
+    expect(game.state.sent.map(tx => tx.name)).toEqual(['startGame', 'revealTiles']);
+  });
+});
@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  NATIVE_TOKEN, getAccount, hasWallet, getWalletChainId, setActiveChainId, getNetwork, getNetworkIssue,
+  getContractWithSigner, getHouseEdge, readGameSettings, readRoles
+} from '../config';
+import { getNativeToken, fetchBetTokens, findToken, formatTokenAmount, parseTokenAmount } from '../tokens';
+import { sendTransaction, describeError } from '../transactions';
+import { watchWallet } from '../sync';
+import TransactionToasts from './TransactionToasts';
+
+const inputClass = 'w-full bg-[#0f1419]/80 border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50';
+const buttonClass = 'w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-xl py-2 text-sm';
+const sectionClass = 'bg-[#181f2a]/40 rounded-2xl p-4 border border-[#3d4656]/30 space-y-3';
+
+// The form shows what the contract holds until the operator edits it
+const toForm = (houseEdgeBps, settings, token) => ({
+  houseEdge: houseEdgeBps === null ? '' : String(houseEdgeBps / 100),
+  minMines: String(settings.minMines),
+  maxMines: String(settings.maxMines),
+  minBet: formatTokenAmount(settings.minBet, token),
+  maxBet: settings.maxBet === 0n ? '' : formatTokenAmount(settings.maxBet, token),
+});
+
+// Operator console at /admin. The contract checks the role of every change itself; the
+// view only keeps its forms from accounts without OPERATOR_ROLE.
+function AdminPanel() {
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [roles, setRoles] = useState(null);
+  const [tokens, setTokens] = useState(() => [getNativeToken()]);
+  const [tokenAddress, setTokenAddress] = useState(NATIVE_TOKEN);
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(null);
+  // Label of the change being sent
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const token = findToken(tokens, tokenAddress);
+  const networkIssue = chainId === null ? null : getNetworkIssue(chainId);
+
+  const selectChain = useCallback((newChainId) => {
+    setActiveChainId(newChainId);
+    setChainId(newChainId);
+  }, []);
+
+  useEffect(() => {
+    if (!hasWallet()) return undefined;
+    getWalletChainId().then(selectChain);
+    return watchWallet({
+      onAccountsChanged: (accounts) => setAccount(accounts[0] || null),
+      onChainChanged: selectChain,
+    });
+  }, [selectChain]);
+
+  useEffect(() => {
+    setTokenAddress(NATIVE_TOKEN);
+    setTokens([getNativeToken()]);
+    if (chainId !== null) fetchBetTokens().then(setTokens);
+  }, [chainId]);
+
+  useEffect(() => {
+    setRoles(null);
+    if (account && chainId !== null) readRoles(account).then(setRoles);
+  }, [account, chainId]);
+
+  const refresh = useCallback(async () => {
+    const [houseEdgeBps, gameSettings] = await Promise.all([getHouseEdge(), readGameSettings(tokenAddress)]);
+    setSettings(gameSettings && { ...gameSettings, houseEdgeBps });
+    setForm(gameSettings && toForm(houseEdgeBps, gameSettings, findToken(tokens, tokenAddress)));
+  }, [tokens, tokenAddress]);
+
+  useEffect(() => {
+    if (chainId !== null && networkIssue === null) refresh();
+  }, [chainId, networkIssue, refresh]);
+
+  const connectWallet = async () => {
+    try {
+      setError(null);
+      setAccount(await getAccount());
+    } catch (err) {
+      setError("Failed to connect wallet: " + describeError(err));
+    }
+  };
+
+  // Inputs are parsed inside the try, so a malformed value is reported like a revert
+  const submit = async (label, buildCall) => {
+    setBusy(label);
+    setError(null);
+    try {
+      const contract = await getContractWithSigner();
+      if (!contract) throw new Error('No contract instance available');
+
+      await sendTransaction({ label, ...buildCall(contract) });
+      await refresh();
+    } catch (err) {
+      setError(`${label} failed: ${describeError(err)}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const onTogglePause = () => submit(
+    settings.paused ? 'Unpause new games' : 'Pause new games',
+    contract => ({ method: settings.paused ? contract.unpause : contract.pause })
+  );
+
+  const onSaveHouseEdge = () => submit('Set house edge', contract => {
+    const bps = Math.round(parseFloat(form.houseEdge) * 100);
+    if (!Number.isInteger(bps) || bps < 0) throw new Error('Enter the house edge as a percentage.');
+    return { method: contract.setHouseEdge, args: [bps] };
+  });
+
+  const onSaveMineRange = () => submit('Set mine range', contract => ({
+    method: contract.setMineRange,
+    args: [Number(form.minMines), Number(form.maxMines)],
+  }));
+
+  const onSaveBetLimits = () => submit(`Set ${token.symbol} bet limits`, contract => ({
+    method: contract.setBetLimits,
+    args: [token.address, parseTokenAmount(form.minBet || '0', token), parseTokenAmount(form.maxBet || '0', token)],
+  }));
+
+  const setField = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+  const renderGate = () => {
+    if (!hasWallet()) return 'Install a wallet to use the admin console.';
+    if (!account) {
+      return (
+        <button onClick={connectWallet} className={buttonClass}>🔗 Connect Wallet</button>
+      );
+    }
+    if (networkIssue) return 'Switch your wallet to a network mineSomnia is deployed on.';
+    if (!roles || !settings || !form) return 'Loading...';
+    if (!roles.isOperator) {
+      return `🔒 ${account.slice(0, 6)}...${account.slice(-4)} is not an operator on ${getNetwork(chainId).name}. An admin grants OPERATOR_ROLE.`;
+    }
+    return null;
+  };
+
+  const gate = renderGate();
+  const disabled = busy !== null;
+
+  return (
+    <div className="w-full max-w-2xl bg-gradient-to-br from-[#232b39]/90 to-[#1a1f2a]/90 rounded-3xl shadow-2xl p-4 sm:p-8 border border-[#3d4656]/50 space-y-4">
+      <TransactionToasts />
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-white">🛠️ mineSomnia Admin</h1>
+        <a href={window.location.pathname.replace(/admin\/?$/, '')} className="text-gray-400 hover:text-white text-sm">← Back to the game</a>
+      </div>
+
+      {error && (
+        <div role="alert" className="bg-red-900/40 border border-red-600/60 rounded-xl p-3 text-red-300 text-sm break-words">{error}</div>
+      )}
+
+      {gate ? (
+        <div className="text-gray-300 text-sm text-center py-6">{gate}</div>
+      ) : (
+        <>
+          <div className="text-gray-400 text-xs">
+            {getNetwork(chainId).name} · {account.slice(0, 6)}...{account.slice(-4)} · Operator{roles.isAdmin ? ' and admin' : ''}
+          </div>
+
+          <div className={sectionClass}>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-200 font-medium">New games</span>
+              <span className={settings.paused ? 'text-red-400 font-semibold' : 'text-green-400 font-semibold'}>
+                {settings.paused ? '⏸️ Paused' : '▶️ Open'}
+              </span>
+            </div>
+            <p className="text-gray-400 text-xs">Pausing only stops new games. Running games can still be played, settled and forfeited.</p>
+            <button onClick={onTogglePause} disabled={disabled} className={buttonClass}>
+              {settings.paused ? 'Unpause new games' : 'Pause new games'}
+            </button>
+          </div>
+
+          <div className={sectionClass}>
+            <label htmlFor="admin-house-edge" className="block text-gray-200 font-medium">House edge (%)</label>
+            <p className="text-gray-400 text-xs">At most 10%. Running games keep the edge they started with.</p>
+            <input id="admin-house-edge" type="number" min="0" max="10" step="0.01" value={form.houseEdge} onChange={setField('houseEdge')} disabled={disabled} className={inputClass} />
+            <button onClick={onSaveHouseEdge} disabled={disabled} className={buttonClass}>Save house edge</button>
+          </div>
+
+          <div className={sectionClass}>
+            <span className="block text-gray-200 font-medium">Mine range</span>
+            <p className="text-gray-400 text-xs">Every board still keeps at least one safe tile, whatever the range allows.</p>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-gray-400 text-xs">
+                Min mines
+                <input type="number" min="1" max="63" value={form.minMines} onChange={setField('minMines')} disabled={disabled} className={inputClass} />
+              </label>
+              <label className="text-gray-400 text-xs">
+                Max mines
+                <input type="number" min="1" max="63" value={form.maxMines} onChange={setField('maxMines')} disabled={disabled} className={inputClass} />
+              </label>
+            </div>
+            <button onClick={onSaveMineRange} disabled={disabled} className={buttonClass}>Save mine range</button>
+          </div>
+
+          <div className={sectionClass}>
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-gray-200 font-medium">Bet limits</span>
+              <select
+                value={tokenAddress}
+                onChange={e => setTokenAddress(e.target.value)}
+                disabled={disabled}
+                aria-label="Pool"
+                className="bg-[#0f1419]/80 border border-[#3d4656]/50 text-white rounded-xl px-3 py-1 text-sm"
+              >
+                {tokens.map(option => (
+                  <option key={option.address} value={option.address}>{option.symbol}</option>
+                ))}
+              </select>
+            </div>
+            <p className="text-gray-400 text-xs">In {token.symbol}. Leave the max empty to only apply the pool's max payout.</p>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-gray-400 text-xs">
+                Min bet
+                <input type="number" min="0" step="any" value={form.minBet} onChange={setField('minBet')} disabled={disabled} className={inputClass} />
+              </label>
+              <label className="text-gray-400 text-xs">
+                Max bet
+                <input type="number" min="0" step="any" value={form.maxBet} onChange={setField('maxBet')} disabled={disabled} placeholder="No cap" className={inputClass} />
+              </label>
+            </div>
+            <button onClick={onSaveBetLimits} disabled={disabled} className={buttonClass}>Save bet limits</button>
+          </div>
+
+          {busy && <div className="text-gray-400 text-xs text-center">{busy}...</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AdminPanel;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import AdminPanel from './AdminPanel';
+import { createFakeMinesGame } from '../testing/fakeMinesGame';
+import { createMockEthereum, installMockEthereum, GAME_ADDRESS, PLAYER } from '../testing/mockEthereum';
+
+let minesGame;
+let uninstall;
+
+const renderConnected = async ({ operators = [PLAYER] } = {}) => {
+  minesGame = createFakeMinesGame({ operators });
+  uninstall = installMockEthereum(createMockEthereum({ contracts: { [GAME_ADDRESS]: minesGame } }));
+  render(<AdminPanel />);
+  fireEvent.click(screen.getByRole('button', { name: /Connect Wallet/ }));
+};
+
+afterEach(() => {
+  uninstall();
+});
+
+it('keeps accounts without the operator role out', async () => {
+  await renderConnected({ operators: [] });
+
+  expect(await screen.findByText(/is not an operator on Somnia Testnet/)).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Pause new games' })).not.toBeInTheDocument();
+});
+
+it('shows the current settings to operators', async () => {
+  await renderConnected();
+
+  expect(await screen.findByLabelText('House edge (%)')).toHaveValue(1);
+  expect(screen.getByLabelText('Min mines')).toHaveValue(1);
+  expect(screen.getByLabelText('Max mines')).toHaveValue(63);
+  expect(screen.getByText('▶️ Open')).toBeInTheDocument();
+});
+
+it('pauses and unpauses new games', async () => {
+  await renderConnected();
+  fireEvent.click(await screen.findByRole('button', { name: 'Pause new games' }));
+
+  expect(await screen.findByText('⏸️ Paused')).toBeInTheDocument();
+  expect(minesGame.state.paused).toBe(true);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Unpause new games' }));
+  expect(await screen.findByText('▶️ Open')).toBeInTheDocument();
+  expect(minesGame.state.paused).toBe(false);
+});
+
+it('submits the house edge in basis points', async () => {
+  await renderConnected();
+  fireEvent.change(await screen.findByLabelText('House edge (%)'), { target: { value: '2.5' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save house edge' }));
+
+  await waitFor(() => expect(minesGame.state.houseEdgeBps).toBe(250));
+  await waitFor(() => expect(screen.getByLabelText('House edge (%)')).toHaveValue(2.5));
+});
+
+it('reports contract reverts', async () => {
+  await renderConnected();
+  fireEvent.change(await screen.findByLabelText('House edge (%)'), { target: { value: '12' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save house edge' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Set house edge failed: House edge too high');
+  expect(minesGame.state.houseEdgeBps).toBe(100);
+});
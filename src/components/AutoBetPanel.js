@@ -0,0 +1,135 @@
+import React from 'react';
+import { formatTokenAmount } from '../tokens';
+
+const inputClass = "w-full bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50";
+
+function AdjustmentControl({ label, adjustment, onChange, disabled }) {
+  return (
+    <div>
+      <label className="block text-gray-300 text-xs mb-1">{label}</label>
+      <div className="flex gap-2">
+        <div className="flex bg-[#0f1419]/80 rounded-xl p-1 border border-[#3d4656]/50">
+          {['reset', 'increase'].map(mode => (
+            <button
+              key={mode}
+              onClick={() => onChange({ ...adjustment, mode })}
+              disabled={disabled}
+              className={`px-2 py-1 rounded-lg text-xs font-semibold ${adjustment.mode === mode ? 'text-white bg-[#2d3646]' : 'text-gray-400 hover:text-white'}`}
+            >
+              {mode === 'reset' ? 'Reset' : 'Increase'}
+            </button>
+          ))}
+        </div>
+        <input
+          type="number"
+          value={adjustment.percent}
+          onChange={e => onChange({ ...adjustment, percent: e.target.value })}
+          disabled={disabled || adjustment.mode !== 'increase'}
+          className={inputClass}
+          min="0"
+          step="1"
+        />
+        <span className="text-gray-400 text-sm self-center">%</span>
+      </div>
+    </div>
+  );
+}
+
+function AutoBetPanel({ strategy, onStrategyChange, selectedCount, running, progress, token }) {
+  const update = (changes) => onStrategyChange({ ...strategy, ...changes });
+  const netProfit = progress ? progress.netProfit : 0n;
+
+  return (
+    <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30 space-y-3">
+      <div className="flex justify-between items-center">
+        <span className="text-gray-200 text-sm font-medium">🤖 Auto Bet</span>
+        <span className={`text-xs ${selectedCount > 0 ? 'text-green-400' : 'text-yellow-400'}`}>
+          {selectedCount > 0 ? `${selectedCount} tiles selected` : 'Select tiles on the board'}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <label className="block text-gray-300 text-xs mb-1">Rounds (0 = ∞)</label>
+          <input
+            type="number"
+            value={strategy.rounds}
+            onChange={e => update({ rounds: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+            disabled={running}
+            className={inputClass}
+            min="0"
+          />
+        </div>
+        <div>
+          <label className="block text-gray-300 text-xs mb-1">Stop on profit</label>
+          <input
+            type="number"
+            value={strategy.stopOnProfit}
+            onChange={e => update({ stopOnProfit: e.target.value })}
+            disabled={running}
+            className={inputClass}
+            min="0"
+            placeholder={token.symbol}
+          />
+        </div>
+        <div>
+          <label className="block text-gray-300 text-xs mb-1">Stop on loss</label>
+          <input
+            type="number"
+            value={strategy.stopOnLoss}
+            onChange={e => update({ stopOnLoss: e.target.value })}
+            disabled={running}
+            className={inputClass}
+            min="0"
+            placeholder={token.symbol}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <AdjustmentControl
+          label="On win"
+          adjustment={strategy.onWin}
+          onChange={onWin => update({ onWin })}
+          disabled={running}
+        />
+        <AdjustmentControl
+          label="On loss"
+          adjustment={strategy.onLoss}
+          onChange={onLoss => update({ onLoss })}
+          disabled={running}
+        />
+      </div>
+
+      {progress && (
+        <div className="bg-[#0f1419]/60 backdrop-blur-sm rounded-xl p-2 border border-[#3d4656]/30 text-xs">
+          <div className="flex justify-between text-gray-200 font-medium mb-1">
+            <span>
+              Round {progress.rounds.length}{strategy.rounds > 0 ? ` / ${strategy.rounds}` : ''}
+              {running && progress.stage ? ` · ${progress.stage}` : ''}
+            </span>
+            <span className={netProfit >= 0n ? 'text-green-400' : 'text-red-400'}>
+              {netProfit >= 0n ? '+' : ''}{formatTokenAmount(netProfit, token)} {token.symbol}
+            </span>
+          </div>
+          {progress.stopReason && (
+            <div className="text-yellow-400 mb-1">{progress.stopReason}</div>
+          )}
+          <div className="max-h-24 overflow-y-auto space-y-0.5">
+            {[...progress.rounds].reverse().map(round => (
+              <div key={round.round} className="grid grid-cols-3 gap-2">
+                <span className="text-gray-400">#{round.round}</span>
+                <span className="text-white text-center">{formatTokenAmount(round.bet, token)}</span>
+                <span className={`text-right ${round.won ? 'text-green-400' : 'text-red-400'}`}>
+                  {round.won ? `+${formatTokenAmount(round.payout - round.bet, token)}` : '💥'}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AutoBetPanel;
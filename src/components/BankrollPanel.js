@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { NATIVE_TOKEN, getContractWithSigner, readBankrollState } from '../config';
+import { ensureAllowance, findToken, formatTokenAmount, parseTokenAmount } from '../tokens';
+import { sendTransaction, describeError } from '../transactions';
+
+const formatAmount = (amount, token) => `${parseFloat(formatTokenAmount(amount, token)).toFixed(4)} ${token.symbol}`;
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.ceil((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// Every token has its own pool; delisted tokens stay selectable so providers can withdraw
+function BankrollPanel({ account, chainId, refreshKey, tokens, onBalanceChange }) {
+  const [tokenAddress, setTokenAddress] = useState(NATIVE_TOKEN);
+  const [bankroll, setBankroll] = useState(null);
+  const [depositAmount, setDepositAmount] = useState('1');
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  const token = findToken(tokens, tokenAddress);
+
+  const refresh = useCallback(async () => {
+    setBankroll(await readBankrollState(account, tokenAddress));
+  }, [account, tokenAddress]);
+
+  // Token addresses differ per chain, so start from the native pool again
+  useEffect(() => {
+    setTokenAddress(NATIVE_TOKEN);
+  }, [chainId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, chainId, refreshKey]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const onDeposit = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const contract = await getContractWithSigner();
+      if (!contract) throw new Error('No contract instance available');
+
+      const amount = parseTokenAmount(depositAmount, token);
+      const label = `Deposit ${token.symbol}`;
+      if (token.address === NATIVE_TOKEN) {
+        await sendTransaction({ label, method: contract.addHouseFunds, overrides: { value: amount } });
+      } else {
+        await ensureAllowance(token, amount);
+        await sendTransaction({ label, method: contract.addTokenFunds, args: [token.address, amount] });
+      }
+      await refresh();
+      onBalanceChange?.();
+    } catch (err) {
+      setError("Deposit failed: " + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onWithdraw = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const contract = await getContractWithSigner();
+      if (!contract) throw new Error('No contract instance available');
+
+      // Mirrors MinesGame.sharesForAmount, capped at what the provider owns
+      const amount = parseTokenAmount(withdrawAmount, token);
+      let shares = (amount * (bankroll.totalShares + 1n)) / (bankroll.poolEquity + 1n);
+      if (shares > bankroll.shares || amount >= bankroll.value) {
+        shares = bankroll.shares;
+      }
+
+      await sendTransaction({
+        label: `Withdraw ${token.symbol}`,
+        method: contract.withdrawHouseFunds,
+        args: [token.address, shares],
+      });
+      setWithdrawAmount('');
+      await refresh();
+      onBalanceChange?.();
+    } catch (err) {
+      setError("Withdraw failed: " + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!bankroll) {
+    return (
+      <div className="text-gray-400 text-sm text-center py-8">Loading bankroll...</div>
+    );
+  }
+
+  const sharePercent = bankroll.totalShares > 0n
+    ? Number((bankroll.shares * 10000n) / bankroll.totalShares) / 100
+    : 0;
+  const cooldownRemaining = Math.max(0, bankroll.unlockTime - now);
+  const canWithdraw = account && bankroll.shares > 0n && cooldownRemaining === 0;
+  // Liquidity reserved for running games cannot leave the pool
+  const withdrawable = bankroll.value < bankroll.freeLiquidity ? bankroll.value : bankroll.freeLiquidity;
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-200 text-sm font-medium">🏦 House Pool</span>
+          {tokens.length > 1 && (
+            <select
+              value={tokenAddress}
+              onChange={e => {
+                setTokenAddress(e.target.value);
+                setBankroll(null);
+                setWithdrawAmount('');
+              }}
+              disabled={loading}
+              className="bg-[#0f1419]/80 border border-[#3d4656]/50 text-gray-200 rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-green-400/50"
+            >
+              {tokens.map(option => (
+                <option key={option.address} value={option.address}>
+                  {option.symbol}{option.allowed ? '' : ' (delisted)'}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div className="space-y-1 text-sm">
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Pool size:</span>
+            <span className="text-white font-semibold">{formatAmount(bankroll.poolBalance, token)}</span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Liquidity:</span>
+            <span className="text-green-400 font-semibold">{formatAmount(bankroll.poolEquity, token)}</span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">In play:</span>
+            <span className="text-yellow-400 font-semibold">{formatAmount(bankroll.poolBalance - bankroll.poolEquity, token)}</span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Reserved for payouts:</span>
+            <span className="text-yellow-400 font-semibold">{formatAmount(bankroll.poolEquity - bankroll.freeLiquidity, token)}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+        <div className="text-gray-200 text-sm mb-2 font-medium">📜 Your Share</div>
+        {account ? (
+          <div className="space-y-1 text-sm">
+            <div className="flex justify-between items-center">
+              <span className="text-gray-300">Value:</span>
+              <span className="text-white font-semibold">{formatAmount(bankroll.value, token)}</span>
+            </div>
+            <div className="flex justify-between items-center">
+              <span className="text-gray-300">Share of pool:</span>
+              <span className="text-green-400 font-semibold">{sharePercent.toFixed(2)}%</span>
+            </div>
+            {bankroll.shares > 0n && cooldownRemaining > 0 && (
+              <div className="flex justify-between items-center">
+                <span className="text-gray-300">Unlocks in:</span>
+                <span className="text-yellow-400 font-semibold">{formatDuration(cooldownRemaining)}</span>
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="text-gray-400 text-sm text-center py-2">Connect your wallet to provide liquidity</div>
+        )}
+      </div>
+
+      {account && (
+        <div className="grid grid-cols-2 gap-4">
+          <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+            <label className="block text-gray-200 text-sm mb-2 font-medium">Deposit</label>
+            <input
+              type="number"
+              value={depositAmount}
+              onChange={e => setDepositAmount(e.target.value)}
+              disabled={loading}
+              className="w-full bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50 mb-2"
+              min="0"
+              step="0.01"
+            />
+            <button
+              onClick={onDeposit}
+              disabled={loading || !token.allowed || !(parseFloat(depositAmount) > 0)}
+              className="w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-xl py-2 text-sm"
+            >
+              Deposit
+            </button>
+          </div>
+
+          <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+            <label className="block text-gray-200 text-sm mb-2 font-medium">Withdraw</label>
+            <div className="flex gap-2 mb-2">
+              <input
+                type="number"
+                value={withdrawAmount}
+                onChange={e => setWithdrawAmount(e.target.value)}
+                disabled={loading || !canWithdraw}
+                className="flex-1 min-w-0 bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50"
+                min="0"
+                step="0.01"
+              />
+              <button
+                onClick={() => setWithdrawAmount(formatTokenAmount(withdrawable, token))}
+                disabled={loading || !canWithdraw}
+                className="bg-[#232b39]/60 text-gray-300 rounded-xl px-2 text-xs hover:text-white border border-[#3d4656]/30 disabled:opacity-50"
+              >
+                Max
+              </button>
+            </div>
+            <button
+              onClick={onWithdraw}
+              disabled={loading || !canWithdraw || !(parseFloat(withdrawAmount) > 0)}
+              className="w-full bg-gradient-to-r from-yellow-500 to-yellow-600 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-xl py-2 text-sm"
+            >
+              Withdraw
+            </button>
+            <div className="text-gray-400 text-xs mt-2">Withdrawals are added to your claimable balance, under your wallet balance.</div>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="text-red-400 text-xs break-words">{error}</div>
+      )}
+
+      <div className="text-gray-500 text-xs">
+        Deposits mint pool shares. Shares grow with the house profit and can be withdrawn {formatDuration(bankroll.withdrawCooldown)} after your last deposit, as long as the liquidity is not reserved for running games.
+      </div>
+    </div>
+  );
+}
+
+export default BankrollPanel;
@@ -1,75 +1,195 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
-  getAccount, getContractWithSigner, getProvider,
-  readGameStatus, getWalletBalance, calculateCurrentWinnings, getSharedPoolBalance,
-  switchToSomniaTestnet
+  getAccount, getContract, getContractWithSigner, getProvider, hasWallet,
+  readGameStatus, getWalletBalance, getHouseEdge, getGameTimeout, getMaxBet, readGameSettings,
+  switchToNetwork, waitForSettlement, networks, getNetwork, getNetworkIssue,
+  getSupportedNetworks, getActiveChainId, setActiveChainId, getWalletChainId,
+  NATIVE_TOKEN, getStartGameCall
 } from '../config';
+import {
+  getNativeToken, fetchBetTokens, fetchTokenBalances, fetchClaimable, fetchAllowance, ensureAllowance,
+  findToken, formatTokenAmount, parseTokenAmount
+} from '../tokens';
+import { generateClientSeed, toClientSeed } from '../fairness';
+import {
+  calculateMultiplier, calculatePayout, multiplierToNumber, tileCount,
+  DEFAULT_BOARD_SIZE, MIN_BOARD_SIZE, MAX_BOARD_SIZE
+} from '../payout';
+import { DEFAULT_AUTO_STRATEGY, runAutoBet } from '../autoBet';
+import { sendTransaction, resumePendingTransactions, describeError } from '../transactions';
+import { watchWallet, watchContract } from '../sync';
+import { loadSession, openSession, endSession, sessionRevealTile, sessionRevealTiles, sessionCashOut } from '../session';
+import { playSound, isMuted, toggleMuted } from '../sounds';
+import { getSharedReplayTx, findSettlementTx } from '../replay';
+import { captureReferrer, getBetReferrer, forgetReferrer } from '../rewards';
+import VerifyPanel from './VerifyPanel';
+import BankrollPanel from './BankrollPanel';
+import RewardsPanel from './RewardsPanel';
+import AutoBetPanel from './AutoBetPanel';
+import HistoryPanel from './HistoryPanel';
+import LiveFeedPanel from './LiveFeedPanel';
+import TransactionToasts from './TransactionToasts';
+import SessionPanel from './SessionPanel';
+import ReplayPanel from './ReplayPanel';
 import { ethers } from 'ethers';
 
-const GRID_SIZE = 25;
-const GRID_COLS = 5;
-
-const calculateMultiplier = (mines, safeTiles) => {
-  if (safeTiles === 0) return 1;
-  
-  const totalTiles = 25;
-  const safeTilesRemaining = totalTiles - mines;
-  
-  let probability = 1;
-  for (let i = 0; i < safeTiles; i++) {
-    probability *= (safeTilesRemaining - i) / (totalTiles - i);
-  }
-  
-  return probability > 0 ? 1 / probability : 1;
+const BOARD_SIZES = Array.from({ length: MAX_BOARD_SIZE - MIN_BOARD_SIZE + 1 }, (_, i) => MIN_BOARD_SIZE + i);
+// Tiles fill their column, so the board shrinks with the screen. On wide screens every
+// board stays about the same size, with smaller tiles on bigger boards.
+const BOARD_LAYOUTS = {
+  3: { width: 'max-w-[26rem]', gap: 'gap-2 sm:gap-4', tile: 'rounded-2xl text-4xl' },
+  4: { width: 'max-w-[31rem]', gap: 'gap-2 sm:gap-4', tile: 'rounded-2xl text-3xl' },
+  5: { width: 'max-w-[34rem]', gap: 'gap-2 sm:gap-4', tile: 'rounded-2xl text-3xl' },
+  6: { width: 'max-w-[32.5rem]', gap: 'gap-1.5 sm:gap-2', tile: 'rounded-xl text-2xl' },
+  7: { width: 'max-w-[31rem]', gap: 'gap-1 sm:gap-2', tile: 'rounded-xl text-2xl' },
+  8: { width: 'max-w-[31.5rem]', gap: 'gap-1 sm:gap-2', tile: 'rounded-lg text-xl' },
+};
+
+// Digits typed within this long of each other add up to one tile number
+const TILE_NUMBER_DELAY = 800;
+
+// Shortcuts work anywhere except while typing in a field
+const HOTKEYS = { bet: 'b', cashOut: 'c', halve: 'h', double: 'd' };
+
+const isTyping = (target) => (
+  ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable
+);
+
+// Revealed tiles turn over one after another, this far apart
+const FLIP_STAGGER = 90;
+
+// Games started before this were left unfinished on an earlier visit
+const PAGE_LOADED_AT = Math.floor(Date.now() / 1000);
+
+const formatCountdown = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${hours > 0 ? `${hours}:` : ''}${pad(minutes)}:${pad(seconds % 60)}`;
+};
+
+// ?address=0x... opens a read-only view of that player's game
+const getSpectatedAddress = () => {
+  const address = new URLSearchParams(window.location.search).get('address');
+  return address && ethers.isAddress(address) ? ethers.getAddress(address) : null;
 };
 
 function Game() {
   const [account, setAccount] = useState(null);
+  const [spectatedAddress] = useState(getSpectatedAddress);
+  const [chainId, setChainId] = useState(getActiveChainId);
   const [walletBalance, setWalletBalance] = useState('0');
+  const [tokens, setTokens] = useState(() => [getNativeToken()]);
+  const [betTokenAddress, setBetTokenAddress] = useState(NATIVE_TOKEN);
+  const [tokenBalances, setTokenBalances] = useState({});
+  // Credited by the contract and paid out on Claim, per token
+  const [claimable, setClaimable] = useState({});
+  const [claimingToken, setClaimingToken] = useState(null);
+  const [allowance, setAllowance] = useState(null);
   const [game, setGame] = useState(null);
   const [loading, setLoading] = useState(false);
   const [liveProfit, setLiveProfit] = useState('0');
   const [betAmount, setBetAmount] = useState('0.1');
+  const [boardSize, setBoardSize] = useState(DEFAULT_BOARD_SIZE);
   const [mineCount, setMineCount] = useState(3);
   const [pendingTile, setPendingTile] = useState(null);
   const [error, setError] = useState(null);
-  const [modalState, setModalState] = useState({ isOpen: false, isWin: false, amount: '0' });
+  const [modalState, setModalState] = useState({ isOpen: false, isWin: false, amount: '0', token: null });
+  const [clientSeed, setClientSeed] = useState(generateClientSeed);
+  const [settledGame, setSettledGame] = useState(null);
+  const [showVerify, setShowVerify] = useState(false);
+  // The layout of the round that just ended, shown on the board until the next one
+  const [boardResult, setBoardResult] = useState(null);
+  const [replayTx, setReplayTx] = useState(getSharedReplayTx);
+  const [replayLoading, setReplayLoading] = useState(false);
+  const [muted, setMuted] = useState(isMuted);
+  const [houseEdgeBps, setHouseEdgeBps] = useState(null);
+  const [gameTimeout, setGameTimeout] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  // The unfinished game whose resume prompt was answered
+  const [resumeDismissed, setResumeDismissed] = useState(null);
+  const [activeTab, setActiveTab] = useState('manual');
+  const [maxBet, setMaxBet] = useState(null);
+  // Pause, mine range and bet limits set by the operators
+  const [gameSettings, setGameSettings] = useState(null);
+  // Bumped whenever the contract reports a pool or settings change, to re-read what depends on them
+  const [poolVersion, setPoolVersion] = useState(0);
+  const [multiSelect, setMultiSelect] = useState(false);
+  const [batchSelection, setBatchSelection] = useState([]);
+  const [autoStrategy, setAutoStrategy] = useState(DEFAULT_AUTO_STRATEGY);
+  const [autoSelection, setAutoSelection] = useState([]);
+  const [autoRunning, setAutoRunning] = useState(false);
+  const [autoProgress, setAutoProgress] = useState(null);
+  const [autoStopping, setAutoStopping] = useState(false);
+  const autoCancelled = useRef(false);
+  const [session, setSession] = useState(null);
+  const [sessionBusy, setSessionBusy] = useState(false);
+  const [focusedTile, setFocusedTile] = useState(0);
+  // Read out by screen readers whenever it changes
+  const [announcement, setAnnouncement] = useState('');
+  const tileRefs = useRef([]);
+  const typedTileNumber = useRef({ digits: '', timer: null });
+  const onHotkey = useRef(null);
+
+  const viewedAddress = spectatedAddress || account;
+  const networkIssue = getNetworkIssue(chainId);
+  const canPlay = account !== null && spectatedAddress === null && networkIssue === null;
+  const betToken = findToken(tokens, betTokenAddress);
+  // A running game is shown in the token it was bet in, whatever is picked for the next one
+  const gameToken = game ? findToken(tokens, game.token) : betToken;
+  const formatAmount = (amount, token = gameToken) => `${formatTokenAmount(amount, token)} ${token.symbol}`;
+  // The board on screen: the running game's, then the one that just ended, otherwise the
+  // one picked for the next game
+  const shownBoardSize = game ? game.boardSize : boardResult ? boardResult.boardSize : boardSize;
+  const boardTiles = tileCount(boardSize);
+  // Mine counts the next game may pick: the operators' range, within what the board allows
+  const minMines = gameSettings?.minMines ?? 1;
+  const maxMines = Math.min(gameSettings?.maxMines ?? boardTiles - 1, boardTiles - 1);
+  const shownTiles = tileCount(shownBoardSize);
+  // The tile that takes Tab focus; it survives the board getting smaller
+  const activeTile = Math.min(focusedTile, shownTiles - 1);
+  // Moves of the running game go through the session key when the session covers its token
+  const playsWithSession = session !== null && game !== null && session.token === game.token;
+  // A running game times out gameTimeout after it started, and a requested cash out as long
+  // after the request if the house has not settled it by then
+  const expiresAt = game && gameTimeout !== null
+    ? (game.cashOutRequested ? game.cashOutRequestedAt : game.startedAt) + gameTimeout
+    : null;
+  const timedOut = expiresAt !== null && now >= expiresAt;
+  const showResumePrompt = canPlay && expiresAt !== null && !game.cashOutRequested && game.startedAt < PAGE_LOADED_AT
+    && resumeDismissed !== game.serverSeedHash;
+
+  const selectChain = useCallback((newChainId) => {
+    setActiveChainId(newChainId);
+    setChainId(newChainId);
+  }, []);
 
   const fetchAndUpdateState = useCallback(async (acc) => {
     if (!acc) return;
     try {
-      const [walletBal, status, poolBalanceBN] = await Promise.all([
+      const [walletBal, status] = await Promise.all([
         getWalletBalance(acc),
-        readGameStatus(acc),
-        getSharedPoolBalance()
+        readGameStatus(acc)
       ]);
 
       setWalletBalance(walletBal);
 
       if (status && status.isActive) {
         setGame(status);
-        const theoreticalProfitBN = await calculateCurrentWinnings(status);
+        // startGame reserved the full payout, so the contract always pays this amount
         const betAmountBN = window.BigInt(status.betAmount);
-        const theoreticalPayoutBN = betAmountBN + theoreticalProfitBN;
-        
-        let actualPayoutBN;
-        const effectivePoolBalance = poolBalanceBN - betAmountBN;
-
-        if (theoreticalPayoutBN > effectivePoolBalance) {
-          actualPayoutBN = effectivePoolBalance;
-        } else {
-          actualPayoutBN = theoreticalPayoutBN;
-        }
-        
-        let actualProfitBN = actualPayoutBN - betAmountBN;
-        if (actualProfitBN < 0n) {
-          actualProfitBN = 0n;
-        }
+        const payoutBN = calculatePayout(
+          betAmountBN, tileCount(status.boardSize), status.totalMines, status.revealedSafeTiles, status.houseEdgeBps
+        );
+        const profitBN = payoutBN > betAmountBN ? payoutBN - betAmountBN : 0n;
         
-        setLiveProfit(actualProfitBN.toString());
+        setLiveProfit(profitBN.toString());
       } else {
         setGame(null);
         setLiveProfit('0');
+        if (status && status.serverSeed !== ethers.ZeroHash) {
+          setSettledGame(status);
+        }
       }
       return status;
     } catch (err) {
@@ -80,51 +200,58 @@ function Game() {
   const connectWallet = async () => {
     try {
       setError(null);
+      if (!hasWallet()) {
+        setError("No wallet found. Install MetaMask to play; you can still watch games without one.");
+        return;
+      }
       const account = await getAccount();
       if (account) {
         setAccount(account);
-        try {
-          await switchToSomniaTestnet();
-        } catch (networkError) {
-          console.log('Network switch failed, continuing with current network');
+        const [supportedNetwork] = getSupportedNetworks();
+        if (getNetworkIssue(await getWalletChainId()) !== null && supportedNetwork) {
+          try {
+            await switchToNetwork(supportedNetwork);
+          } catch (networkError) {
+            console.log('Network switch failed, continuing with current network');
+          }
         }
-        await fetchAndUpdateState(account);
+        await fetchAndUpdateState(spectatedAddress || account);
       }
     } catch (err) {
-      setError("Failed to connect wallet: " + (err?.reason || err?.message || err));
+      setError("Failed to connect wallet: " + describeError(err));
     }
   };
 
   const onStartGame = async () => {
-    if (!account) return;
+    if (!canPlay) return;
     setLoading(true);
     setError(null);
+    setShowVerify(false);
+    setBoardResult(null);
     try {
-      console.log('Starting game with:', { mineCount, betAmount, account });
-      
       const contract = await getContractWithSigner();
       if (!contract) throw new Error('No contract instance available');
       
-      console.log('Contract address:', await contract.getAddress());
-      const valueInWei = ethers.parseEther(betAmount);
-      console.log('Parsed bet amount:', valueInWei.toString());
-      
-      const estimatedGas = await contract.startGame.estimateGas(mineCount, { value: valueInWei });
-      console.log('Estimated gas:', estimatedGas.toString());
-      const gasLimit = (estimatedGas * 12n) / 10n;
-      const tx = await contract.startGame(mineCount, { 
-        value: valueInWei,
-        gasLimit
+      const amount = parseTokenAmount(betAmount, betToken);
+      const seed = toClientSeed(clientSeed);
+
+      // Token bets are pulled by the contract, so it needs an allowance first
+      await ensureAllowance(betToken, amount);
+
+      await sendTransaction({
+        label: 'Start game',
+        ...getStartGameCall(contract, betToken.address, boardSize, mineCount, seed, amount, getBetReferrer()),
       });
-      console.log('Transaction sent:', tx.hash);
-      
-      await tx.wait();
-      console.log('Transaction confirmed');
+      forgetReferrer();
       
+      setClientSeed(generateClientSeed());
+      setBatchSelection([]);
       await fetchAndUpdateState(account);
+      playSound('start');
+      setAnnouncement(`Game started on a ${boardSize} by ${boardSize} board with ${mineCount} mines. Pick a tile.`);
     } catch (err) {
       console.error('Start game error:', err);
-      setError("Start game failed: " + (err?.reason || err?.message || err));
+      setError("Start game failed: " + describeError(err));
       setGame(null);
     } finally {
       setLoading(false);
@@ -132,80 +259,603 @@ function Game() {
   };
 
   const onRevealTile = async (index) => {
-    if (!game?.isActive || loading || pendingTile !== null) return;
+    if (!game?.isActive || game.cashOutRequested || loading || pendingTile !== null) return;
     setPendingTile(index);
     setError(null);
     try {
       const contract = await getContractWithSigner();
       if (!contract) throw new Error('No contract instance available');
       
-      const tx = await contract.revealTile(index);
-      await tx.wait();
-      const newStatus = await fetchAndUpdateState(account);
-      if (!newStatus || !newStatus.isActive) {
-        setModalState({ isOpen: true, isWin: false, amount: '0' });
+      if (playsWithSession) {
+        await sessionRevealTile(session, account, index);
+      } else {
+        await sendTransaction({ label: `Pick tile ${index + 1}`, method: contract.revealTile, args: [index] });
       }
+      const status = await fetchAndUpdateState(account);
+      playSound('pick');
+      setAnnouncement(`Tile ${index + 1} picked. ${status?.revealedSafeTiles ?? 0} picked in total.`);
     } catch (err) {
-      setError("Reveal failed: " + (err?.reason || err?.message || err));
+      setError("Reveal failed: " + describeError(err));
     } finally {
       setPendingTile(null);
     }
   };
 
+  // The outcome is only known once the house reveals its seed
+  const showSettlement = async (expectedPayout) => {
+    const settled = await waitForSettlement(account);
+    await fetchAndUpdateState(account);
+    // The contract checks picks in order and stops at the first mine
+    const firstMine = settled.pickedTiles.findIndex(tile => settled.mineLocations.includes(tile));
+    const hitMine = firstMine !== -1;
+    const token = findToken(tokens, settled.token);
+    setBoardResult({
+      boardSize: settled.boardSize,
+      mineLocations: settled.mineLocations,
+      picks: hitMine ? settled.pickedTiles.slice(0, firstMine + 1) : settled.pickedTiles,
+    });
+    playSound(hitMine ? 'mine' : 'win');
+    setAnnouncement(hitMine
+      ? 'You hit a mine. Game over.'
+      : `You won ${formatTokenAmount(expectedPayout, token)} ${token.symbol}.`);
+    setModalState({
+      isOpen: true,
+      isWin: !hitMine,
+      amount: hitMine ? '0' : expectedPayout,
+      token,
+    });
+  };
+
   const onCashOut = async () => {
     if (!game || game.revealedSafeTiles === 0) return;
     setLoading(true);
     setError(null);
     const expectedPayout = (window.BigInt(game.betAmount) + window.BigInt(liveProfit)).toString();
+    try {
+      if (!game.cashOutRequested && playsWithSession) {
+        await sessionCashOut(session, account);
+      } else if (!game.cashOutRequested) {
+        const contract = await getContractWithSigner();
+        if (!contract) throw new Error('No contract instance available');
+        
+        await sendTransaction({ label: 'Cash out', method: contract.cashOut });
+      }
+
+      await showSettlement(expectedPayout);
+    } catch (err) {
+      setError("Cashout failed: " + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const batchPayout = game && batchSelection.length > 0
+    ? calculatePayout(
+      window.BigInt(game.betAmount), tileCount(game.boardSize), game.totalMines,
+      game.revealedSafeTiles + batchSelection.length, game.houseEdgeBps
+    )
+    : 0n;
+
+  // Picks the selected tiles and cashes out in a single transaction
+  const onConfirmBatch = async () => {
+    if (!game?.isActive || game.cashOutRequested || batchSelection.length === 0) return;
+    setLoading(true);
+    setError(null);
     try {
       const contract = await getContractWithSigner();
       if (!contract) throw new Error('No contract instance available');
-      
-      const tx = await contract.cashOut();
-      await tx.wait();
+
+      if (playsWithSession) {
+        await sessionRevealTiles(session, account, batchSelection, 0);
+      } else {
+        await sendTransaction({
+          label: `Pick ${batchSelection.length} tiles & cash out`,
+          method: contract.revealTiles,
+          args: [batchSelection, 0],
+        });
+      }
+      setBatchSelection([]);
+
+      await showSettlement(batchPayout.toString());
+    } catch (err) {
+      setError("Reveal failed: " + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onReplayLastGame = async () => {
+    setReplayLoading(true);
+    setError(null);
+    try {
+      const txHash = await findSettlementTx(viewedAddress, settledGame.serverSeedHash);
+      if (!txHash) throw new Error('The settlement of this game was not found.');
+      setReplayTx(txHash);
+    } catch (err) {
+      setError("Replay failed: " + describeError(err));
+    } finally {
+      setReplayLoading(false);
+    }
+  };
+
+  const onClaim = async (token) => {
+    setClaimingToken(token.address);
+    setError(null);
+    try {
+      const contract = await getContractWithSigner();
+      if (!contract) throw new Error('No contract instance available');
+
+      await sendTransaction({ label: `Claim ${token.symbol}`, method: contract.withdraw, args: [token.address] });
+      setClaimable(await fetchClaimable(account, tokens));
       await fetchAndUpdateState(account);
-      setModalState({ isOpen: true, isWin: true, amount: expectedPayout });
     } catch (err) {
-      setError("Cashout failed: " + (err?.reason || err?.message || err));
+      setError("Claim failed: " + describeError(err));
+    } finally {
+      setClaimingToken(null);
+    }
+  };
+
+  // Players may give up their own game at any time, anyone else once it timed out.
+  // The bet stays in the pool either way.
+  const onForfeitGame = async () => {
+    if (!game || account === null || networkIssue !== null) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const contract = await getContractWithSigner();
+      if (!contract) throw new Error('No contract instance available');
+
+      await sendTransaction({ label: 'Forfeit game', method: contract.forfeitGame, args: [viewedAddress] });
+      setResumeDismissed(game.serverSeedHash);
+      setBatchSelection([]);
+      await fetchAndUpdateState(viewedAddress);
+      setAnnouncement('Game forfeited.');
+    } catch (err) {
+      setError("Forfeit failed: " + describeError(err));
     } finally {
       setLoading(false);
     }
   };
 
+  // A cash out the house left unsettled past the timeout can be paid out by anyone, as if
+  // every pick was safe
+  const onResolveStalledCashOut = async () => {
+    if (!game || account === null || networkIssue !== null) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const contract = await getContractWithSigner();
+      if (!contract) throw new Error('No contract instance available');
+
+      await sendTransaction({ label: 'Pay out cash out', method: contract.resolveStalledCashOut, args: [viewedAddress] });
+      await fetchAndUpdateState(viewedAddress);
+      setAnnouncement('The house did not settle in time, so the cash out was paid out.');
+    } catch (err) {
+      setError("Pay out failed: " + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onStartSession = async (spendCap, duration) => {
+    setSessionBusy(true);
+    setError(null);
+    try {
+      await openSession({
+        player: account,
+        token: betToken,
+        spendCap: parseTokenAmount(spendCap, betToken),
+        duration,
+      });
+      setSession(await loadSession(account));
+    } catch (err) {
+      setError("Starting the session failed: " + describeError(err));
+    } finally {
+      setSessionBusy(false);
+    }
+  };
+
+  const onEndSession = async () => {
+    setSessionBusy(true);
+    setError(null);
+    try {
+      await endSession(account, session);
+      setSession(null);
+    } catch (err) {
+      setError("Ending the session failed: " + describeError(err));
+    } finally {
+      setSessionBusy(false);
+    }
+  };
+
+  const onStartAutoBet = async () => {
+    if (!canPlay || autoSelection.length === 0) return;
+    autoCancelled.current = false;
+    setAutoStopping(false);
+    setAutoRunning(true);
+    setAutoProgress({ rounds: [], netProfit: 0n, stage: null, stopReason: null });
+    setError(null);
+    setShowVerify(false);
+    try {
+      const stopReason = await runAutoBet({
+        account,
+        boardSize,
+        mineCount,
+        token: betToken,
+        baseBet: parseTokenAmount(betAmount, betToken),
+        tiles: autoSelection,
+        strategy: autoStrategy,
+        isCancelled: () => autoCancelled.current,
+        onStep: async (stage) => {
+          setAutoProgress(progress => ({ ...progress, stage }));
+          await fetchAndUpdateState(account);
+        },
+        onRound: (round) => setAutoProgress(progress => ({
+          ...progress,
+          rounds: [...progress.rounds, round],
+          netProfit: round.netProfit,
+        })),
+      });
+      setAutoProgress(progress => ({ ...progress, stopReason }));
+    } catch (err) {
+      setError("Auto bet failed: " + describeError(err));
+      setAutoProgress(progress => ({ ...progress, stopReason: 'Stopped on error' }));
+    } finally {
+      setAutoRunning(false);
+      await fetchAndUpdateState(account);
+    }
+  };
+
+  // The current round always finishes so no game is left half played
+  const onStopAutoBet = () => {
+    autoCancelled.current = true;
+    setAutoStopping(true);
+  };
+
+  const handleTileClick = (index) => {
+    if (!canPlay) return;
+    if (game?.isActive) {
+      if (activeTab !== 'manual') return;
+      if (!multiSelect) {
+        onRevealTile(index);
+      } else if (!game.cashOutRequested && !game.revealedTiles[index] && !loading) {
+        const safeTilesLeft = tileCount(game.boardSize) - game.totalMines - game.revealedSafeTiles;
+        setBatchSelection(selection => {
+          if (selection.includes(index)) return selection.filter(tile => tile !== index);
+          return selection.length < safeTilesLeft ? [...selection, index] : selection;
+        });
+      }
+      return;
+    }
+    if (activeTab !== 'auto' || autoRunning) return;
+    setBoardResult(null);
+    setAutoSelection(selection => selection.includes(index)
+      ? selection.filter(tile => tile !== index)
+      : [...selection, index]);
+  };
+
+  const focusTile = (index) => {
+    setFocusedTile(index);
+    tileRefs.current[index]?.focus();
+  };
+
+  // Arrow keys, Home and End move between tiles and typing a tile's number jumps to it.
+  // Enter or Space then picks the focused tile like a click.
+  const onBoardKeyDown = (event) => {
+    const column = activeTile % shownBoardSize;
+    const targets = {
+      ArrowLeft: column > 0 ? activeTile - 1 : activeTile,
+      ArrowRight: column < shownBoardSize - 1 ? activeTile + 1 : activeTile,
+      ArrowUp: activeTile >= shownBoardSize ? activeTile - shownBoardSize : activeTile,
+      ArrowDown: activeTile + shownBoardSize < shownTiles ? activeTile + shownBoardSize : activeTile,
+      Home: activeTile - column,
+      End: activeTile - column + shownBoardSize - 1,
+    };
+    if (event.key in targets) {
+      event.preventDefault();
+      focusTile(targets[event.key]);
+      return;
+    }
+    if (!/^[0-9]$/.test(event.key) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    event.preventDefault();
+    const typed = typedTileNumber.current;
+    clearTimeout(typed.timer);
+    typed.digits += event.key;
+    if (Number(typed.digits) > shownTiles) typed.digits = event.key;
+    typed.timer = setTimeout(() => { typed.digits = ''; }, TILE_NUMBER_DELAY);
+    const number = Number(typed.digits);
+    if (number >= 1) focusTile(number - 1);
+  };
+
+  const canEditBet = !game?.isActive && !loading && !autoRunning;
+  const halveBet = () => setBetAmount((parseFloat(betAmount) / 2).toString());
+  const doubleBet = () => setBetAmount((parseFloat(betAmount) * 2).toString());
+
+  // Replaced every render so the listener below always sees the current state
+  onHotkey.current = (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey || isTyping(event.target)) return;
+    if (event.key === 'Escape') {
+      if (modalState.isOpen) setModalState({ isOpen: false, isWin: false, amount: '0', token: null });
+      else setError(null);
+      return;
+    }
+    if (modalState.isOpen || showResumePrompt || activeTab !== 'manual') return;
+
+    const key = event.key.toLowerCase();
+    if (key === HOTKEYS.bet && canPlay && !game?.isActive && !loading && !betIssue) {
+      onStartGame();
+    } else if (key === HOTKEYS.cashOut && canPlay && game && !loading) {
+      if (batchSelection.length > 0) onConfirmBatch();
+      else if (game.revealedSafeTiles > 0) onCashOut();
+    } else if (key === HOTKEYS.halve && canEditBet) {
+      halveBet();
+    } else if (key === HOTKEYS.double && canEditBet) {
+      doubleBet();
+    }
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => onHotkey.current(event);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // A ?ref= link is kept until the first bet sends it to the rewards program
+  useEffect(() => {
+    captureReferrer();
+  }, []);
+
+  useEffect(() => {
+    getHouseEdge().then(setHouseEdgeBps);
+  }, [chainId, poolVersion]);
+
+  useEffect(() => {
+    getGameTimeout().then(setGameTimeout);
+  }, [chainId, poolVersion]);
+
+  // Ticks the timeout countdown of the running game
+  useEffect(() => {
+    if (expiresAt === null) return undefined;
+    setNow(Math.floor(Date.now() / 1000));
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  // The limit moves with the pool, so re-read it whenever a game starts or ends
+  useEffect(() => {
+    getMaxBet(boardSize, mineCount, betTokenAddress).then(setMaxBet);
+  }, [boardSize, mineCount, betTokenAddress, game?.isActive, chainId, poolVersion]);
+
+  useEffect(() => {
+    readGameSettings(betTokenAddress).then(setGameSettings);
+  }, [betTokenAddress, chainId, poolVersion]);
+
+  // Keep the picked mine count inside the range when the operators or the board change it
+  useEffect(() => {
+    setMineCount(count => Math.min(Math.max(count, minMines), Math.max(maxMines, minMines)));
+  }, [minMines, maxMines]);
+
+  // Each chain whitelists its own tokens
+  useEffect(() => {
+    setBetTokenAddress(NATIVE_TOKEN);
+    setTokens([getNativeToken()]);
+    fetchBetTokens().then(setTokens);
+  }, [chainId]);
+
+  // The native balance changes with every transaction, so it doubles as the refresh signal
+  useEffect(() => {
+    fetchTokenBalances(viewedAddress, tokens).then(setTokenBalances);
+  }, [viewedAddress, tokens, walletBalance]);
+
+  // Wins are credited by the house's settlement and withdrawn liquidity by a pool change
+  useEffect(() => {
+    fetchClaimable(viewedAddress, tokens).then(setClaimable);
+  }, [viewedAddress, tokens, walletBalance, settledGame, poolVersion]);
+
+  useEffect(() => {
+    setAllowance(null);
+    if (!account) return;
+    fetchAllowance(account, findToken(tokens, betTokenAddress)).then(setAllowance);
+  }, [account, tokens, betTokenAddress, walletBalance]);
+
+  const parsedBet = (() => {
+    try {
+      return parseTokenAmount(betAmount || '0', betToken);
+    } catch {
+      return null;
+    }
+  })();
+  const betExceedsMax = maxBet !== null && parsedBet !== null && parsedBet > maxBet;
+  const minBet = gameSettings?.minBet ?? 0n;
+  // Why a bet as it stands would be rejected, shown on the bet buttons
+  const betIssue = gameSettings?.paused ? 'New games are paused'
+    : betExceedsMax ? 'Bet exceeds max'
+    : parsedBet !== null && parsedBet < minBet ? 'Bet below min'
+    : minMines > maxMines ? 'No mine count fits this board'
+    : null;
+  const needsApproval = allowance !== null && parsedBet !== null && parsedBet > allowance;
+
+  // With a wallet the app follows the wallet's account and chain; without one the selector picks the chain
   useEffect(() => {
-    if (typeof window !== 'undefined' && window.ethereum) {
-      window.ethereum.on('accountsChanged', (accounts) => {
+    if (!hasWallet()) return undefined;
+    getWalletChainId().then(selectChain);
+    return watchWallet({
+      onAccountsChanged: (accounts) => {
         if (accounts.length > 0) {
           setAccount(accounts[0]);
-          fetchAndUpdateState(accounts[0]);
+          if (!spectatedAddress) fetchAndUpdateState(accounts[0]);
         } else {
           setAccount(null);
-          setGame(null);
+          if (!spectatedAddress) setGame(null);
         }
-      });
+      },
+      onChainChanged: selectChain,
+    });
+  }, [selectChain, fetchAndUpdateState, spectatedAddress]);
+
+  // Every chain has its own contract, so drop what was read from the previous one
+  useEffect(() => {
+    setGame(null);
+    setSettledGame(null);
+    setBoardResult(null);
+    setBatchSelection([]);
+    setAutoSelection([]);
+    if (viewedAddress) fetchAndUpdateState(viewedAddress);
+  }, [chainId, viewedAddress, fetchAndUpdateState]);
+
+  const onSelectNetwork = async (newChainId) => {
+    if (!hasWallet()) {
+      selectChain(newChainId);
+      return;
+    }
+    try {
+      await switchToNetwork(getNetwork(newChainId));
+    } catch (err) {
+      setError("Network switch failed: " + describeError(err));
+    }
+  };
+
+  // Re-read whenever a game starts or ends, which is when the spent amount can move
+  useEffect(() => {
+    if (!canPlay) {
+      setSession(null);
+      return;
     }
-  }, [fetchAndUpdateState]);
+    loadSession(account).then(setSession);
+  }, [canPlay, account, chainId, game?.serverSeedHash]);
+
+  // Transactions a reload interrupted keep the game busy until they settle
+  useEffect(() => {
+    const pending = resumePendingTransactions(chainId);
+    if (pending.length === 0) return;
+    setLoading(true);
+    Promise.allSettled(pending).then(() => {
+      setLoading(false);
+      if (viewedAddress) fetchAndUpdateState(viewedAddress);
+    });
+  }, [chainId, viewedAddress, fetchAndUpdateState]);
+
+  // Keeps the viewed game, balances and pool in step with the contract, including
+  // games played in another tab and other players' bets and deposits
+  useEffect(() => {
+    const contract = getContract();
+    if (!contract) return undefined;
+    return watchContract({
+      contract,
+      player: viewedAddress,
+      onGameChange: () => fetchAndUpdateState(viewedAddress),
+      onPoolChange: () => setPoolVersion(version => version + 1),
+      onError: (error) => console.error('Contract sync error:', error),
+    });
+  }, [chainId, viewedAddress, fetchAndUpdateState]);
+
+  // Native balance first, then every whitelisted token the wallet can bet with, then
+  // whatever the contract holds for the account to claim
+  const renderBalances = () => (
+    <div className="space-y-1">
+      {tokens.map(token => (
+        <div key={token.address} className="flex items-center justify-between">
+          <span className="text-gray-400 text-xs">{token.address === NATIVE_TOKEN ? 'Balance' : token.symbol}</span>
+          <span className="text-green-400 text-base font-bold">
+            {token.address === NATIVE_TOKEN
+              ? `${parseFloat(walletBalance).toFixed(4)} ${token.symbol}`
+              : `${parseFloat(formatTokenAmount(tokenBalances[token.address] ?? 0n, token)).toFixed(4)} ${token.symbol}`}
+          </span>
+        </div>
+      ))}
+      {tokens.filter(token => claimable[token.address] > 0n).map(token => (
+        <div key={`claimable-${token.address}`} className="flex items-center justify-between gap-2">
+          <span className="text-gray-400 text-xs">Claimable</span>
+          <span className="flex items-center gap-2">
+            <span className="text-yellow-400 text-sm font-bold">
+              {parseFloat(formatTokenAmount(claimable[token.address], token)).toFixed(4)} {token.symbol}
+            </span>
+            {canPlay && (
+              <button
+                onClick={() => onClaim(token)}
+                disabled={claimingToken !== null}
+                className="bg-yellow-500 hover:bg-yellow-400 text-[#181f2a] rounded-lg px-2 py-0.5 text-xs font-bold disabled:opacity-50"
+              >
+                {claimingToken === token.address ? 'Claiming...' : `Claim ${token.symbol}`}
+              </button>
+            )}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+
+  // Where a tile stands in the ended round: its pick order, and whether it hid a mine
+  const resultOf = (index) => ({
+    order: boardResult.picks.indexOf(index),
+    isMine: boardResult.mineLocations.includes(index),
+  });
 
   const renderTileContent = (index) => {
-    if (!game) return null;
+    if (!game && boardResult) {
+      const { order, isMine } = resultOf(index);
+      // Picks turn over in the order they were checked, then the rest of the board at once
+      const delay = (order === -1 ? boardResult.picks.length : order) * FLIP_STAGGER;
+      return (
+        <span
+          aria-hidden="true"
+          className={`inline-block motion-safe:animate-flip-in ${order === -1 ? 'grayscale' : ''}`}
+          style={{ animationDelay: `${delay}ms` }}
+        >
+          {isMine ? (order === -1 ? '💣' : '💥') : '💎'}
+        </span>
+      );
+    }
+
+    if (!game) {
+      return activeTab === 'auto' && autoSelection.includes(index)
+        ? <span aria-hidden="true">💎</span>
+        : null;
+    }
     
     if (pendingTile === index) {
       return <div className="w-6 h-6 border-2 border-t-green-400 border-gray-600 rounded-full animate-spin"></div>;
     }
     
     if (game.revealedTiles[index]) {
-      if (game.mineLocations.includes(index)) {
-        return <span className="text-3xl">💥</span>;
-      } else {
-        return <span className="text-3xl">💎</span>;
-      }
+      return <span aria-hidden="true">❔</span>;
+    }
+
+    if (batchSelection.includes(index)) {
+      return <span aria-hidden="true">💎</span>;
     }
     
     return null;
   };
 
+  // What a screen reader says for a tile: where it is and what has happened to it
+  const describeTile = (index) => {
+    const position = `Tile ${index + 1}, row ${Math.floor(index / shownBoardSize) + 1}, column ${(index % shownBoardSize) + 1}`;
+    if (!game && boardResult) {
+      const { order, isMine } = resultOf(index);
+      return `${position}, ${order === -1 ? '' : 'picked, '}${isMine ? 'mine' : 'safe'}`;
+    }
+    if (pendingTile === index) return `${position}, picking`;
+    if (game?.revealedTiles[index]) return `${position}, picked, revealed at cash out`;
+    return position;
+  };
+
+  const isTileSelected = (index) => (
+    game ? batchSelection.includes(index) : activeTab === 'auto' && autoSelection.includes(index)
+  );
+
   const getTileStyle = (index) => {
+    if (!game && boardResult) {
+      const { order, isMine } = resultOf(index);
+      if (order !== -1) return isMine ? "bg-red-900 border-red-500" : "bg-green-900/60 border-green-500";
+      return isMine ? "bg-red-900/20 border-red-900/60" : "bg-[#181f2a] border-[#232b39]";
+    }
+
     if (!game) {
+      if (activeTab === 'auto' && autoSelection.includes(index)) {
+        return "bg-[#2d3646] border-green-400 text-green-400 cursor-pointer";
+      }
       return "bg-[#181f2a] border-[#232b39] text-green-400 hover:bg-[#222b38]";
     }
     
@@ -214,23 +864,27 @@ function Game() {
     }
     
     if (game.revealedTiles[index]) {
-      if (game.mineLocations.includes(index)) {
-        return "bg-red-900 border-red-600 text-red-400 animate-pulse";
-      } else {
-        return "bg-green-900 border-green-600 text-green-400";
-      }
+      return "bg-[#2d3646] border-yellow-500 text-yellow-400";
+    }
+
+    if (batchSelection.includes(index)) {
+      return "bg-[#2d3646] border-green-400 text-green-400 cursor-pointer";
     }
     
     return "bg-[#181f2a] border-[#232b39] text-green-400 hover:bg-[#222b38] cursor-pointer";
   };
 
   return (
-    <div className="min-h-screen w-full bg-[#181f2a] flex items-center justify-center py-8">
+    <div className="min-h-screen w-full bg-[#181f2a] flex items-center justify-center py-4 sm:py-8">
+      <TransactionToasts />
+      <div aria-live="polite" className="sr-only">{announcement}</div>
+
       {error && (
-        <div className="fixed top-4 left-1/2 transform -translate-x-1/2 z-50 bg-red-600 text-white px-6 py-3 rounded-lg shadow-lg">
+        <div role="alert" className="fixed top-4 left-1/2 transform -translate-x-1/2 z-50 bg-red-600 text-white px-6 py-3 rounded-lg shadow-lg w-[calc(100%-2rem)] sm:w-auto">
           {error}
           <button 
             onClick={() => setError(null)}
+            aria-label="Dismiss error"
             className="ml-4 text-white hover:text-gray-200"
           >
             ✕
@@ -239,224 +893,623 @@ function Game() {
       )}
 
       {modalState.isOpen && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-          <div className="bg-[#232b39] text-white rounded-2xl p-8 text-center">
-            <div className="text-6xl mb-4">
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 px-4">
+          <div role="dialog" aria-modal="true" aria-labelledby="result-title" className="bg-[#232b39] text-white rounded-2xl p-8 text-center">
+            <div className="text-6xl mb-4" aria-hidden="true">
               {modalState.isWin ? '🎉' : '💥'}
             </div>
-            <h2 className="text-2xl font-bold mb-4">
+            <h2 id="result-title" className="text-2xl font-bold mb-4">
               {modalState.isWin ? 'Congratulations!' : 'Game Over!'}
             </h2>
             <p className="mb-6">
               {modalState.isWin 
-                ? `You won ${ethers.formatEther(modalState.amount)} STT!`
+                ? `You won ${formatAmount(modalState.amount, modalState.token || gameToken)}!`
                 : 'Better luck next time!'
               }
             </p>
-            <button
-              onClick={() => setModalState({ isOpen: false, isWin: false, amount: '0' })}
-              className="bg-[#7fff6a] text-[#181f2a] px-6 py-2 rounded-lg font-bold"
-            >
-              {modalState.isWin ? 'Play Again' : 'Try Again'}
-            </button>
+            {modalState.isWin && (
+              <p className="-mt-4 mb-6 text-sm opacity-80">Your winnings are in your claimable balance.</p>
+            )}
+            <div className="flex gap-3 justify-center">
+              <button
+                autoFocus
+                onClick={() => setModalState({ isOpen: false, isWin: false, amount: '0', token: null })}
+                className="bg-[#7fff6a] text-[#181f2a] px-6 py-3 sm:py-2 rounded-lg font-bold"
+              >
+                {modalState.isWin ? 'Play Again' : 'Try Again'}
+              </button>
+              {settledGame && (
+                <button
+                  onClick={() => {
+                    setModalState({ isOpen: false, isWin: false, amount: '0', token: null });
+                    setShowVerify(true);
+                  }}
+                  className="bg-[#2d3646] text-white px-6 py-3 sm:py-2 rounded-lg font-bold border border-[#3d4656]"
+                >
+                  🔍 Verify
+                </button>
+              )}
+            </div>
           </div>
         </div>
       )}
 
-      <div className="w-full max-w-7xl flex flex-col lg:flex-row gap-8 items-center justify-center px-6">
-        <aside className="w-full max-w-xl bg-gradient-to-b from-[#232b39]/90 to-[#1a1f2a]/90 backdrop-blur-sm rounded-3xl shadow-2xl p-5 flex flex-col h-[700px] border border-[#3d4656]/50">
-          <div className="flex flex-col gap-4 flex-1">
-            <div className="grid grid-cols-2 gap-4">
-              <div className="bg-gradient-to-r from-[#181f2a]/80 to-[#232b39]/80 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/50 shadow-lg">
-                {account ? (
-                  <div>
-                    <div className="flex items-center justify-between mb-2">
-                      <div className="text-gray-300 text-sm font-medium">💼 Wallet</div>
-                      <div className="text-green-400 text-xs font-semibold">Connected</div>
-                    </div>
-                    <div className="bg-[#0f1419]/60 backdrop-blur-sm rounded-xl p-2 border border-[#3d4656]/30">
-                      <div className="text-gray-400 text-xs mb-1">Address</div>
-                      <div className="text-white text-sm font-mono mb-2">{account.slice(0, 6)}...{account.slice(-4)}</div>
-                      <div className="flex items-center justify-between">
-                        <span className="text-gray-400 text-xs">Balance</span>
-                        <span className="text-green-400 text-base font-bold">{parseFloat(walletBalance).toFixed(4)} STT</span>
+      {showResumePrompt && !modalState.isOpen && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 px-4">
+          <div role="dialog" aria-modal="true" aria-labelledby="resume-title" className="bg-[#232b39] text-white rounded-2xl p-8 text-center max-w-md">
+            <div className="text-6xl mb-4" aria-hidden="true">⏳</div>
+            <h2 id="resume-title" className="text-2xl font-bold mb-4">Unfinished game</h2>
+            <p className="mb-2">
+              You have a {formatAmount(game.betAmount)} game running on {game.boardSize}x{game.boardSize} with {game.totalMines} mines
+              and {game.revealedSafeTiles} {game.revealedSafeTiles === 1 ? 'tile' : 'tiles'} picked.
+            </p>
+            <p className="mb-6 text-gray-400 text-sm">
+              {timedOut
+                ? 'It has timed out, so anyone can forfeit it now. Cash out soon to keep your winnings.'
+                : `Anyone can forfeit it in ${formatCountdown(expiresAt - now)}, and your bet stays with the pool.`}
+            </p>
+            <div className="flex gap-3 justify-center">
+              <button
+                autoFocus
+                onClick={() => setResumeDismissed(game.serverSeedHash)}
+                className="bg-[#7fff6a] text-[#181f2a] px-6 py-3 sm:py-2 rounded-lg font-bold"
+              >
+                Resume
+              </button>
+              <button
+                onClick={onForfeitGame}
+                disabled={loading}
+                className="bg-[#2d3646] text-white px-6 py-3 sm:py-2 rounded-lg font-bold border border-[#3d4656] disabled:opacity-50"
+              >
+                🏳️ Forfeit
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="w-full max-w-7xl flex flex-col lg:flex-row gap-4 sm:gap-8 items-center justify-center px-3 sm:px-6">
+        <aside className="w-full max-w-xl bg-gradient-to-b from-[#232b39]/90 to-[#1a1f2a]/90 backdrop-blur-sm rounded-3xl shadow-2xl p-4 sm:p-5 flex flex-col lg:h-[700px] border border-[#3d4656]/50">
+          <div className="flex flex-col gap-4 flex-1 overflow-y-auto">
+            {activeTab === 'bankroll' ? (
+              <BankrollPanel
+                account={account}
+                chainId={chainId}
+                refreshKey={poolVersion}
+                tokens={tokens}
+                onBalanceChange={() => fetchAndUpdateState(account)}
+              />
+            ) : activeTab === 'rewards' ? (
+              <RewardsPanel
+                account={account}
+                chainId={chainId}
+                refreshKey={game?.serverSeedHash}
+                tokens={tokens}
+                onBalanceChange={() => fetchAndUpdateState(account)}
+              />
+            ) : activeTab === 'history' ? (
+              <HistoryPanel
+                account={viewedAddress}
+                chainId={chainId}
+                refreshKey={settledGame?.serverSeedHash}
+                tokens={tokens}
+                token={betToken}
+                onReplay={setReplayTx}
+              />
+            ) : (
+              <>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="bg-gradient-to-r from-[#181f2a]/80 to-[#232b39]/80 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/50 shadow-lg">
+                    {spectatedAddress ? (
+                      <div>
+                        <div className="flex items-center justify-between mb-2">
+                          <div className="text-gray-300 text-sm font-medium">👀 Spectating</div>
+                          <a href={window.location.pathname} className="text-gray-400 hover:text-white text-xs font-semibold">Stop</a>
+                        </div>
+                        <div className="bg-[#0f1419]/60 backdrop-blur-sm rounded-xl p-2 border border-[#3d4656]/30">
+                          <div className="text-gray-400 text-xs mb-1">Address</div>
+                          <div className="text-white text-sm font-mono mb-2">{spectatedAddress.slice(0, 6)}...{spectatedAddress.slice(-4)}</div>
+                          {renderBalances()}
+                        </div>
                       </div>
-                    </div>
+                    ) : account ? (
+                      <div>
+                        <div className="flex items-center justify-between mb-2">
+                          <div className="text-gray-300 text-sm font-medium">💼 Wallet</div>
+                          <div className="text-green-400 text-xs font-semibold">Connected</div>
+                        </div>
+                        <div className="bg-[#0f1419]/60 backdrop-blur-sm rounded-xl p-2 border border-[#3d4656]/30">
+                          <div className="text-gray-400 text-xs mb-1">Address</div>
+                          <div className="text-white text-sm font-mono mb-2">{account.slice(0, 6)}...{account.slice(-4)}</div>
+                          {renderBalances()}
+                        </div>
+                      </div>
+                    ) : (
+                      <button 
+                        onClick={connectWallet}
+                        className="w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] hover:from-[#aaff99] hover:to-[#7fff6a] text-[#181f2a] font-bold rounded-2xl py-3 text-lg transition-all duration-150 shadow-lg"
+                      >
+                        🔗 Connect Wallet
+                      </button>
+                    )}
                   </div>
-                ) : (
-                  <button 
-                    onClick={connectWallet}
-                    className="w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] hover:from-[#aaff99] hover:to-[#7fff6a] text-[#181f2a] font-bold rounded-2xl py-3 text-lg transition-all duration-150 shadow-lg"
-                  >
-                    🔗 Connect Wallet
-                  </button>
-                )}
-              </div>
 
-              <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
-                <label className="block text-gray-200 text-sm mb-2 font-medium">💰 Bet Amount</label>
-                <div className="flex items-center gap-2 mb-2">
-                  <input
-                    type="number"
-                    value={betAmount}
-                    onChange={e => setBetAmount(e.target.value)}
-                    disabled={game?.isActive || loading}
-                    className="flex-1 bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50"
-                    min="0"
-                    step="0.00000001"
-                    style={{ width: 'calc(100% - 60px)' }}
-                  />
-                  <span className="text-yellow-400 text-sm font-semibold bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 rounded-xl px-3 py-2 whitespace-nowrap">STT</span>
-                </div>
-                <div className="flex gap-2">
-                  <button 
-                    onClick={() => setBetAmount((parseFloat(betAmount) / 2).toString())}
-                    className="flex-1 bg-[#232b39]/60 backdrop-blur-sm text-gray-300 rounded-xl py-1 text-xs hover:text-white hover:bg-[#2d3646]/60 border border-[#3d4656]/30 transition-all"
-                  >
-                    ½
-                  </button>
-                  <button 
-                    onClick={() => setBetAmount((parseFloat(betAmount) * 2).toString())}
-                    className="flex-1 bg-[#232b39]/60 backdrop-blur-sm text-gray-300 rounded-xl py-1 text-xs hover:text-white hover:bg-[#2d3646]/60 border border-[#3d4656]/30 transition-all"
-                  >
-                    2x
-                  </button>
+                  <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+                    <label className="block text-gray-200 text-sm mb-2 font-medium">💰 Bet Amount</label>
+                    <div className="flex items-center gap-2 mb-2">
+                      <input
+                        type="number"
+                        value={betAmount}
+                        onChange={e => setBetAmount(e.target.value)}
+                        disabled={game?.isActive || loading || autoRunning}
+                        className="flex-1 bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50"
+                        min="0"
+                        step="0.00000001"
+                        style={{ width: 'calc(100% - 60px)' }}
+                      />
+                      {tokens.filter(token => token.allowed).length > 1 ? (
+                        <select
+                          value={betTokenAddress}
+                          onChange={e => setBetTokenAddress(e.target.value)}
+                          disabled={game?.isActive || loading || autoRunning}
+                          className="text-yellow-400 text-sm font-semibold bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 rounded-xl px-2 py-2 focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50"
+                        >
+                          {tokens.filter(token => token.allowed).map(token => (
+                            <option key={token.address} value={token.address}>{token.symbol}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="text-yellow-400 text-sm font-semibold bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 rounded-xl px-3 py-2 whitespace-nowrap">{betToken.symbol}</span>
+                      )}
+                    </div>
+                    <div className="flex gap-2">
+                      <button 
+                        onClick={halveBet}
+                        aria-label="Halve bet"
+                        aria-keyshortcuts={HOTKEYS.halve.toUpperCase()}
+                        title={`Halve bet (${HOTKEYS.halve.toUpperCase()})`}
+                        className="flex-1 bg-[#232b39]/60 backdrop-blur-sm text-gray-300 rounded-xl py-2 sm:py-1 text-xs hover:text-white hover:bg-[#2d3646]/60 border border-[#3d4656]/30 transition-all"
+                      >
+                        ½
+                      </button>
+                      <button 
+                        onClick={doubleBet}
+                        aria-label="Double bet"
+                        aria-keyshortcuts={HOTKEYS.double.toUpperCase()}
+                        title={`Double bet (${HOTKEYS.double.toUpperCase()})`}
+                        className="flex-1 bg-[#232b39]/60 backdrop-blur-sm text-gray-300 rounded-xl py-2 sm:py-1 text-xs hover:text-white hover:bg-[#2d3646]/60 border border-[#3d4656]/30 transition-all"
+                      >
+                        2x
+                      </button>
+                    </div>
+                    {maxBet !== null && (
+                      <div className={`flex justify-between items-center text-xs mt-2 ${betExceedsMax ? 'text-red-400' : 'text-gray-400'}`}>
+                        <span>Max bet</span>
+                        <button
+                          onClick={() => setBetAmount(formatTokenAmount(maxBet, betToken))}
+                          disabled={game?.isActive || loading || autoRunning}
+                          className="font-semibold hover:text-white"
+                        >
+                          {parseFloat(formatTokenAmount(maxBet, betToken)).toFixed(6)} {betToken.symbol}
+                        </button>
+                      </div>
+                    )}
+                    {minBet > 0n && (
+                      <div className={`flex justify-between items-center text-xs mt-1 ${betIssue === 'Bet below min' ? 'text-red-400' : 'text-gray-400'}`}>
+                        <span>Min bet</span>
+                        <button
+                          onClick={() => setBetAmount(formatTokenAmount(minBet, betToken))}
+                          disabled={game?.isActive || loading || autoRunning}
+                          className="font-semibold hover:text-white"
+                        >
+                          {parseFloat(formatTokenAmount(minBet, betToken)).toFixed(6)} {betToken.symbol}
+                        </button>
+                      </div>
+                    )}
+                  </div>
                 </div>
-              </div>
-            </div>
 
-            <div className="grid grid-cols-2 gap-4">
-              <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
-                <label className="block text-gray-200 text-sm mb-2 font-medium">💣 Mines</label>
-                <select
-                  value={mineCount}
-                  onChange={e => setMineCount(Number(e.target.value))}
-                  disabled={game?.isActive || loading}
-                  className="w-full bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50 mb-3"
-                >
-                  {Array.from({ length: 24 }, (_, i) => i + 1).map(num => (
-                    <option key={num} value={num}>{num}</option>
-                  ))}
-                </select>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+                    <div className="grid grid-cols-2 gap-2 mb-3">
+                      <div>
+                        <label className="block text-gray-200 text-sm mb-2 font-medium">🔲 Board</label>
+                        <select
+                          value={boardSize}
+                          onChange={e => {
+                            const size = Number(e.target.value);
+                            setBoardSize(size);
+                            setBoardResult(null);
+                            // Keep at least one safe tile, and drop tile picks that may be off the new board
+                            setMineCount(count => Math.min(count, tileCount(size) - 1));
+                            setAutoSelection([]);
+                          }}
+                          disabled={game?.isActive || loading || autoRunning}
+                          className="w-full bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50"
+                        >
+                          {BOARD_SIZES.map(size => (
+                            <option key={size} value={size}>{size}x{size}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-gray-200 text-sm mb-2 font-medium">💣 Mines</label>
+                        <select
+                          value={mineCount}
+                          onChange={e => {
+                            setMineCount(Number(e.target.value));
+                            setBoardResult(null);
+                          }}
+                          disabled={game?.isActive || loading || autoRunning}
+                          className="w-full bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50"
+                        >
+                          {Array.from({ length: Math.max(maxMines - minMines + 1, 0) }, (_, i) => minMines + i).map(num => (
+                            <option key={num} value={num}>{num}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
                 
-                <div className="bg-[#0f1419]/60 backdrop-blur-sm rounded-xl p-2 border border-[#3d4656]/30">
-                  <div className="text-gray-200 text-xs mb-2 font-medium">📊 Multipliers</div>
-                  <div className="space-y-1 text-xs">
-                    <div className="grid grid-cols-3 gap-2 text-gray-200 font-medium">
-                      <span>Mines</span>
-                      <span className="text-center">Safe</span>
-                      <span className="text-right">Multiplier</span>
+                    <div className="bg-[#0f1419]/60 backdrop-blur-sm rounded-xl p-2 border border-[#3d4656]/30">
+                      <div className="flex justify-between text-gray-200 text-xs mb-2 font-medium">
+                        <span>📊 Multipliers</span>
+                        {houseEdgeBps !== null && (
+                          <span className="text-gray-400">{houseEdgeBps / 100}% edge</span>
+                        )}
+                      </div>
+                      <div className="space-y-1 text-xs">
+                        <div className="grid grid-cols-3 gap-2 text-gray-200 font-medium">
+                          <span>Mines</span>
+                          <span className="text-center">Safe</span>
+                          <span className="text-right">Multiplier</span>
+                        </div>
+                        {houseEdgeBps !== null && [1, 2, 3, 4, 5].filter(safeCount => safeCount <= boardTiles - mineCount).map(safeCount => {
+                          const multiplier = multiplierToNumber(calculateMultiplier(boardTiles, mineCount, safeCount, houseEdgeBps));
+                          return (
+                            <div key={safeCount} className="grid grid-cols-3 gap-2">
+                              <span className="text-red-400">{mineCount}</span>
+                              <span className="text-green-400 text-center">{safeCount}</span>
+                              <span className="text-yellow-400 text-right">{multiplier.toFixed(2)}x</span>
+                            </div>
+                          );
+                        })}
+                      </div>
                     </div>
-                    {[1, 2, 3, 4, 5].map(safeCount => {
-                      const multiplier = calculateMultiplier(mineCount, safeCount);
-                      return (
-                        <div key={safeCount} className="grid grid-cols-3 gap-2">
-                          <span className="text-red-400">{mineCount}</span>
-                          <span className="text-green-400 text-center">{safeCount}</span>
-                          <span className="text-yellow-400 text-right">{multiplier.toFixed(2)}x</span>
+                  </div>
+
+                  <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+                    <div className="text-gray-200 text-sm mb-2 font-medium">📈 Game Stats</div>
+                    {game ? (
+                      <dl className="space-y-1 text-sm">
+                        <div className="flex justify-between items-center">
+                          <dt id="game-stat-bet" className="text-gray-300">Bet:</dt>
+                          <dd aria-labelledby="game-stat-bet" className="text-white font-semibold">{formatAmount(game.betAmount)}</dd>
                         </div>
-                      );
-                    })}
+                        <div className="flex justify-between items-center">
+                          <dt id="game-stat-mines" className="text-gray-300">Mines:</dt>
+                          <dd aria-labelledby="game-stat-mines" className="text-red-400 font-semibold">{game.totalMines} on {game.boardSize}x{game.boardSize}</dd>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <dt id="game-stat-picked" className="text-gray-300">Picked:</dt>
+                          <dd aria-labelledby="game-stat-picked" className="text-green-400 font-semibold">{game.revealedSafeTiles}</dd>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <dt id="game-stat-profit" className="text-gray-300">Profit:</dt>
+                          <dd aria-labelledby="game-stat-profit" className="text-yellow-400 font-semibold">{formatAmount(liveProfit)}</dd>
+                        </div>
+                        {expiresAt !== null && (
+                          <div className="flex justify-between items-center">
+                            <dt id="game-stat-times-out" className="text-gray-300">Times out:</dt>
+                            <dd aria-labelledby="game-stat-times-out">
+                              {timedOut && game.cashOutRequested ? (
+                                <button
+                                  onClick={onResolveStalledCashOut}
+                                  disabled={loading || account === null || networkIssue !== null}
+                                  title="The house did not settle in time; anyone can pay the cash out as if every pick was safe"
+                                  className="text-green-400 font-semibold hover:text-green-300 disabled:opacity-50"
+                                >
+                                  Pay out now
+                                </button>
+                              ) : timedOut ? (
+                                <button
+                                  onClick={onForfeitGame}
+                                  disabled={loading || account === null || networkIssue !== null}
+                                  title="Anyone can end a timed-out game; the bet stays with the pool"
+                                  className="text-red-400 font-semibold hover:text-red-300 disabled:opacity-50"
+                                >
+                                  Forfeit now
+                                </button>
+                              ) : (
+                                <span className="text-gray-200 font-semibold font-mono">{formatCountdown(expiresAt - now)}</span>
+                              )}
+                            </dd>
+                          </div>
+                        )}
+                      </dl>
+                    ) : (
+                      <div className="text-gray-400 text-sm text-center py-4">
+                        No active game
+                      </div>
+                    )}
                   </div>
                 </div>
-              </div>
 
-              <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
-                <div className="text-gray-200 text-sm mb-2 font-medium">📈 Game Stats</div>
-                {game ? (
-                  <div className="space-y-1 text-sm">
-                    <div className="flex justify-between items-center">
-                      <span className="text-gray-300">Bet:</span>
-                      <span className="text-white font-semibold">{ethers.formatEther(game.betAmount)} STT</span>
-                    </div>
-                    <div className="flex justify-between items-center">
-                      <span className="text-gray-300">Mines:</span>
-                      <span className="text-red-400 font-semibold">{game.totalMines}</span>
-                    </div>
-                    <div className="flex justify-between items-center">
-                      <span className="text-gray-300">Safe:</span>
-                      <span className="text-green-400 font-semibold">{game.revealedSafeTiles}</span>
-                    </div>
-                    <div className="flex justify-between items-center">
-                      <span className="text-gray-300">Profit:</span>
-                      <span className="text-yellow-400 font-semibold">{ethers.formatEther(liveProfit)} STT</span>
-                    </div>
-                  </div>
+                {activeTab === 'auto' ? (
+                  <AutoBetPanel
+                    strategy={autoStrategy}
+                    onStrategyChange={setAutoStrategy}
+                    selectedCount={autoSelection.length}
+                    running={autoRunning}
+                    progress={autoProgress}
+                    token={betToken}
+                  />
                 ) : (
-                  <div className="text-gray-400 text-sm text-center py-4">
-                    No active game
-                  </div>
+                  <>
+                    <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+                      <label className="block text-gray-200 text-sm mb-2 font-medium">🎲 Client Seed</label>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          value={clientSeed}
+                          onChange={e => setClientSeed(e.target.value)}
+                          disabled={game?.isActive || loading}
+                          className="flex-1 min-w-0 bg-[#0f1419]/80 backdrop-blur-sm border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50"
+                        />
+                        <button
+                          onClick={() => setClientSeed(generateClientSeed())}
+                          disabled={game?.isActive || loading}
+                          className="bg-[#232b39]/60 backdrop-blur-sm text-gray-300 rounded-xl px-3 py-2 text-xs hover:text-white hover:bg-[#2d3646]/60 border border-[#3d4656]/30 transition-all disabled:opacity-50"
+                        >
+                          New
+                        </button>
+                      </div>
+                      <div className="flex items-center justify-between mt-3">
+                        <span className="text-gray-200 text-sm font-medium">🖱️ Pick Mode</span>
+                        <div className="flex bg-[#0f1419]/80 rounded-xl p-1 border border-[#3d4656]/50">
+                          {[[false, 'One by one'], [true, 'Multi-select']].map(([mode, label]) => (
+                            <button
+                              key={label}
+                              onClick={() => {
+                                setMultiSelect(mode);
+                                setBatchSelection([]);
+                              }}
+                              disabled={loading}
+                              className={`px-3 py-1 rounded-lg text-xs font-semibold ${multiSelect === mode ? 'text-white bg-[#2d3646]' : 'text-gray-400 hover:text-white'}`}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
+                    {canPlay && (
+                      <SessionPanel
+                        session={session}
+                        token={session ? findToken(tokens, session.token) : betToken}
+                        defaultSpendCap={(parseFloat(betAmount || '0') * 10).toString()}
+                        disabled={sessionBusy || loading || pendingTile !== null}
+                        onStart={onStartSession}
+                        onEnd={onEndSession}
+                      />
+                    )}
+                  </>
                 )}
-              </div>
-            </div>
+              </>
+            )}
 
             <div className="flex bg-[#2d3646]/60 backdrop-blur-sm rounded-xl p-1 border border-[#3d4656]/30">
-              <button className="flex-1 py-2 rounded-lg text-sm font-semibold text-white bg-gradient-to-r from-[#232b39] to-[#2d3646]">Manual</button>
-              <button className="flex-1 py-2 rounded-lg text-sm font-semibold text-gray-400 hover:text-white">Auto</button>
+              {[['manual', 'Manual'], ['auto', 'Auto'], ['history', 'History'], ['bankroll', 'Bankroll'], ['rewards', 'Rewards']].map(([tab, label]) => (
+                <button
+                  key={tab}
+                  onClick={() => setActiveTab(tab)}
+                  disabled={autoRunning}
+                  className={`flex-1 py-2 rounded-lg text-sm font-semibold ${activeTab === tab ? 'text-white bg-gradient-to-r from-[#232b39] to-[#2d3646]' : 'text-gray-400 hover:text-white'}`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
           </div>
 
-          <div className="mt-3 flex-shrink-0 space-y-2">
-            {game && game.revealedSafeTiles > 0 && (
+          {activeTab === 'auto' && (
+            <div className="mt-3 flex-shrink-0 space-y-2">
+              {autoRunning ? (
+                <button
+                  onClick={onStopAutoBet}
+                  disabled={autoStopping}
+                  className="w-full bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 disabled:from-gray-600 disabled:to-gray-700 text-white font-bold rounded-2xl py-3 text-lg transition-all duration-150 shadow-lg"
+                >
+                  {autoStopping ? 'Stopping after this round...' : '⏹ Stop Autobet'}
+                </button>
+              ) : (
+                <button
+                  onClick={onStartAutoBet}
+                  disabled={!canPlay || game?.isActive || loading || betIssue !== null || autoSelection.length === 0 || autoSelection.length > boardTiles - mineCount}
+                  className="w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] hover:from-[#aaff99] hover:to-[#7fff6a] disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-2xl py-3 text-lg transition-all duration-150 shadow-lg"
+                >
+                  {betIssue || (autoSelection.length > boardTiles - mineCount ? 'Too many tiles selected' : '🤖 Start Autobet')}
+                </button>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'manual' && (
+            <div className="mt-3 flex-shrink-0 space-y-2">
+              {game && batchSelection.length > 0 && (
+                <button
+                  onClick={onConfirmBatch}
+                  disabled={loading}
+                  aria-keyshortcuts={HOTKEYS.cashOut.toUpperCase()}
+                  className="w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] hover:from-[#aaff99] hover:to-[#7fff6a] text-[#181f2a] font-bold rounded-2xl py-3 text-base transition-all duration-150 shadow-lg"
+                >
+                  {loading ? 'Waiting for house...' : `✅ Reveal ${batchSelection.length} & Cash Out (${formatAmount(batchPayout)})`}
+                </button>
+              )}
+              {canPlay && game && game.revealedSafeTiles > 0 && (
+                <button 
+                  onClick={onCashOut}
+                  disabled={loading}
+                  aria-keyshortcuts={HOTKEYS.cashOut.toUpperCase()}
+                  className="w-full bg-gradient-to-r from-yellow-500 to-yellow-600 hover:from-yellow-600 hover:to-yellow-700 text-[#181f2a] font-bold rounded-2xl py-3 text-base transition-all duration-150 shadow-lg"
+                >
+                  {loading ? 'Waiting for house...' : '💰 Cash Out'} 
+                </button>
+              )}
               <button 
-                onClick={onCashOut}
-                disabled={loading}
-                className="w-full bg-gradient-to-r from-yellow-500 to-yellow-600 hover:from-yellow-600 hover:to-yellow-700 text-[#181f2a] font-bold rounded-2xl py-3 text-base transition-all duration-150 shadow-lg"
+                onClick={onStartGame}
+                disabled={!canPlay || game?.isActive || loading || betIssue !== null}
+                aria-keyshortcuts={HOTKEYS.bet.toUpperCase()}
+                className="w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] hover:from-[#aaff99] hover:to-[#7fff6a] disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-2xl py-3 text-lg transition-all duration-150 shadow-lg"
               >
-                {loading ? 'Cashing Out...' : '💰 Cash Out'} 
+                {loading ? 'Starting...' : betIssue || (needsApproval ? `🔓 Approve ${betToken.symbol} & Bet` : '🎯 Bet')} 
               </button>
-            )}
-            <button 
-              onClick={onStartGame}
-              disabled={!account || game?.isActive || loading}
-              className="w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] hover:from-[#aaff99] hover:to-[#7fff6a] disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-2xl py-3 text-lg transition-all duration-150 shadow-lg"
-            >
-              {loading ? 'Starting...' : '🎯 Bet'} 
-            </button>
-          </div>
+            </div>
+          )}
         </aside>
 
-        <main className="flex-1 flex flex-col items-center justify-center min-h-[700px]">
-          <div className="bg-gradient-to-br from-[#232b39]/90 to-[#1a1f2a]/90 backdrop-blur-sm rounded-3xl shadow-2xl p-12 flex flex-col items-center justify-center border border-[#3d4656]/50 relative overflow-hidden w-full max-w-4xl">
+        <main className="w-full lg:w-auto flex-1 flex flex-col items-center justify-center lg:min-h-[700px] order-first lg:order-none">
+          <div className="bg-gradient-to-br from-[#232b39]/90 to-[#1a1f2a]/90 backdrop-blur-sm rounded-3xl shadow-2xl p-3 sm:p-8 lg:p-12 flex flex-col items-center justify-center border border-[#3d4656]/50 relative overflow-hidden w-full max-w-4xl">
             <div className="absolute inset-0 bg-gradient-to-br from-white/5 to-transparent rounded-3xl pointer-events-none"></div>
             
-            <div className="text-center mb-10">
-              <h1 className="text-4xl font-bold text-white mb-3">🎮 mineSomnia</h1>
-              <p className="text-gray-400 text-lg">Find the gems, avoid the mines!</p>
+            <div className="text-center mb-6 sm:mb-10">
+              <h1 className="text-3xl sm:text-4xl font-bold text-white mb-3">🎮 mineSomnia</h1>
+              <p className="text-gray-400 text-base sm:text-lg">Find the gems, avoid the mines!</p>
+              <a href={`${window.location.pathname.replace(/\/$/, '')}/rooms`} className="block mt-2 text-green-400 hover:text-green-300 text-sm">👥 Play a shared board in multiplayer rooms</a>
+              <select
+                value={networks.some(network => network.chainId === chainId) ? chainId : ''}
+                onChange={e => onSelectNetwork(Number(e.target.value))}
+                className="mt-4 bg-[#0f1419]/80 border border-[#3d4656]/50 text-gray-200 rounded-xl px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50"
+              >
+                {!networks.some(network => network.chainId === chainId) && (
+                  <option value="" disabled>Unknown network ({chainId})</option>
+                )}
+                {networks.map(network => (
+                  <option key={network.chainId} value={network.chainId}>
+                    🌐 {network.name}{getNetworkIssue(network.chainId) === 'not-deployed' ? ' (not deployed)' : ''}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => setMuted(toggleMuted())}
+                aria-pressed={muted}
+                aria-label="Mute sounds"
+                title={muted ? 'Sounds off' : 'Sounds on'}
+                className="mt-4 ml-2 bg-[#0f1419]/80 border border-[#3d4656]/50 text-gray-200 rounded-xl px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50"
+              >
+                {muted ? '🔇' : '🔊'}
+              </button>
             </div>
 
-            <div className="grid grid-cols-5 gap-4 relative z-10 mb-8">
-              {Array.from({ length: GRID_SIZE }).map((_, i) => (
+            {networkIssue && (
+              <div className="w-full max-w-xl mb-8 bg-red-900/40 border border-red-600/60 rounded-2xl p-4 text-center relative z-10">
+                <div className="text-red-300 font-semibold mb-1">⚠️ Unsupported network</div>
+                <div className="text-gray-300 text-sm mb-3">
+                  {networkIssue === 'unsupported' && `mineSomnia does not run on chain ${chainId}.`}
+                  {networkIssue === 'not-deployed' && `mineSomnia is not deployed on ${getNetwork(chainId).name} yet.`}
+                  {networkIssue === 'outdated' && `The contract on ${getNetwork(chainId).name} is from a different version of mineSomnia, or its version was never recorded.`}
+                  {' '}Nothing is read from or sent to this network.
+                </div>
+                <div className="flex flex-wrap gap-2 justify-center">
+                  {getSupportedNetworks().map(network => (
+                    <button
+                      key={network.chainId}
+                      onClick={() => onSelectNetwork(network.chainId)}
+                      className="bg-[#7fff6a] text-[#181f2a] px-4 py-1 rounded-lg text-sm font-bold"
+                    >
+                      Switch to {network.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div
+              role="grid"
+              aria-label={`${shownBoardSize} by ${shownBoardSize} board${game ? `, ${game.totalMines} mines` : ''}`}
+              aria-describedby="board-help"
+              onKeyDown={onBoardKeyDown}
+              className={`w-full ${BOARD_LAYOUTS[shownBoardSize].width} flex flex-col ${BOARD_LAYOUTS[shownBoardSize].gap} relative z-10 mb-8 sm:mb-3`}
+            >
+              {Array.from({ length: shownBoardSize }).map((_, row) => (
                 <div
-                  key={i}
-                  onClick={() => !game?.isActive ? null : onRevealTile(i)}
-                  className={`w-24 h-24 rounded-2xl flex items-center justify-center border-2 shadow-xl transition-all duration-300 text-3xl backdrop-blur-sm relative overflow-hidden hover:scale-105 ${getTileStyle(i)}`}
+                  key={row}
+                  role="row"
+                  className={`grid ${BOARD_LAYOUTS[shownBoardSize].gap}`}
+                  style={{ gridTemplateColumns: `repeat(${shownBoardSize}, minmax(0, 1fr))` }}
                 >
-                  <div className="absolute inset-0 bg-gradient-to-br from-white/10 to-transparent rounded-2xl pointer-events-none"></div>
-                  <div className="relative z-10">
-                    {renderTileContent(i)}
-                  </div>
+                  {Array.from({ length: shownBoardSize }).map((_, column) => {
+                    const i = row * shownBoardSize + column;
+                    return (
+                      <button
+                        key={i}
+                        ref={element => { tileRefs.current[i] = element; }}
+                        type="button"
+                        role="gridcell"
+                        tabIndex={i === activeTile ? 0 : -1}
+                        aria-label={describeTile(i)}
+                        aria-selected={isTileSelected(i)}
+                        aria-busy={pendingTile === i}
+                        onClick={() => handleTileClick(i)}
+                        onFocus={() => setFocusedTile(i)}
+                        className={`${BOARD_LAYOUTS[shownBoardSize].tile} w-full aspect-square min-h-[2.75rem] flex items-center justify-center border-2 shadow-xl transition-all duration-300 backdrop-blur-sm relative overflow-hidden hover:scale-105 focus:outline-none focus-visible:ring-4 focus-visible:ring-green-400/60 ${getTileStyle(i)}`}
+                      >
+                        <div className="absolute inset-0 bg-gradient-to-br from-white/10 to-transparent rounded-[inherit] pointer-events-none"></div>
+                        <div className="relative z-10">
+                          {renderTileContent(i)}
+                        </div>
+                      </button>
+                    );
+                  })}
                 </div>
               ))}
             </div>
+            <p id="board-help" className="hidden sm:block text-gray-500 text-xs mb-8 text-center relative z-10">
+              ⌨️ Arrow keys or a tile number to move, Enter to pick · {HOTKEYS.bet.toUpperCase()} bet
+              · {HOTKEYS.cashOut.toUpperCase()} cash out · {HOTKEYS.halve.toUpperCase()} / {HOTKEYS.double.toUpperCase()} halve or double the bet
+            </p>
             
             {game && game.revealedSafeTiles > 0 && (
               <div className="w-full bg-gradient-to-r from-[#2d3646]/80 to-[#232b39]/80 backdrop-blur-sm rounded-3xl p-8 border border-[#3d4656]/50 shadow-xl relative overflow-hidden">
                 <div className="absolute inset-0 bg-gradient-to-br from-white/5 to-transparent rounded-3xl pointer-events-none"></div>
                 <div className="text-center relative z-10">
-                  <div className="text-gray-200 text-lg mb-4 font-medium">💰 Current Profit</div>
-                  <div className="text-yellow-400 text-5xl font-bold mb-4">{ethers.formatEther(liveProfit)} STT</div>
+                  <div className="text-gray-200 text-lg mb-1 font-medium">💰 Potential Profit</div>
+                  <div className="text-gray-400 text-sm mb-4">if every picked tile is safe</div>
+                  <div className="text-yellow-400 text-5xl font-bold mb-4">{formatAmount(liveProfit)}</div>
                   <div className="bg-[#181f2a]/60 backdrop-blur-sm rounded-2xl p-6 border border-[#3d4656]/30">
                     <div className="text-green-400 text-lg font-semibold mb-3">
-                      🎯 {game.revealedSafeTiles} safe tiles revealed
+                      🎯 {game.revealedSafeTiles} tiles picked
                     </div>
                     <div className="text-gray-300 text-base">
-                      Keep going to increase your winnings! 🚀
+                      Tiles are revealed when you cash out. A mine among your picks means no payout, and each extra pick raises the stakes.
                     </div>
                   </div>
                 </div>
               </div>
             )}
+
+            {replayTx ? (
+              <ReplayPanel txHash={replayTx} tokens={tokens} onClose={() => setReplayTx(null)} />
+            ) : settledGame && !game && (showVerify ? (
+              <VerifyPanel game={settledGame} onClose={() => setShowVerify(false)} />
+            ) : (
+              <div className="flex gap-6 justify-center">
+                <button
+                  onClick={() => setShowVerify(true)}
+                  className="text-gray-400 hover:text-white text-sm underline"
+                >
+                  🔍 Verify your last game
+                </button>
+                <button
+                  onClick={onReplayLastGame}
+                  disabled={replayLoading}
+                  className="text-gray-400 hover:text-white text-sm underline disabled:opacity-50"
+                >
+                  {replayLoading ? 'Finding replay...' : '▶️ Replay your last game'}
+                </button>
+              </div>
+            ))}
+
+            <LiveFeedPanel account={viewedAddress} chainId={chainId} tokens={tokens} token={betToken} />
           </div>
         </main>
       </div>
@@ -0,0 +1,331 @@
+import React from 'react';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { ethers } from 'ethers';
+import Game from './Game';
+import { calculatePayout } from '../payout';
+import { createFakeMinesGame, SERVER_SEED } from '../testing/fakeMinesGame';
+import { createFakeMinesRewards } from '../testing/fakeMinesRewards';
+import { createMockEthereum, installMockEthereum, GAME_ADDRESS, PLAYER } from '../testing/mockEthereum';
+
+const BET = ethers.parseEther('0.1');
+
+let minesGame;
+let ethereum;
+let uninstall;
+
+const setUp = ({ chainId, chains, ...gameOptions } = {}) => {
+  minesGame = createFakeMinesGame(gameOptions);
+  const contracts = { [GAME_ADDRESS]: minesGame };
+  if (gameOptions.rewards) contracts[gameOptions.rewards.address] = gameOptions.rewards;
+  ethereum = createMockEthereum({ chainId, chains, contracts });
+  uninstall = installMockEthereum(ethereum);
+};
+
+const renderConnected = async () => {
+  render(<Game />);
+  fireEvent.click(screen.getByRole('button', { name: /Connect Wallet/ }));
+  await screen.findByText('Connected');
+};
+
+// Game Stats values are labelled by their "Label:" term
+const statValue = (label) => screen.getByRole('definition', { name: `${label}:` });
+
+const tile = (number) => screen.getByRole('gridcell', { name: new RegExp(`^Tile ${number},`) });
+
+const startGame = async () => {
+  fireEvent.click(await screen.findByRole('button', { name: /Bet$/ }));
+  await screen.findByText('Mines:');
+};
+
+const pickTile = async (number) => {
+  fireEvent.click(tile(number));
+  await screen.findByRole('gridcell', { name: new RegExp(`^Tile ${number},.*picked`) });
+};
+
+afterEach(() => {
+  uninstall();
+});
+
+describe('connectWallet', () => {
+  it('shows the connected account and its balance', async () => {
+    setUp();
+    await renderConnected();
+
+    expect(screen.getByText(`${PLAYER.slice(0, 6)}...${PLAYER.slice(-4)}`)).toBeInTheDocument();
+    expect(await screen.findByText('10.0000 STT')).toBeInTheDocument();
+  });
+
+  it('adds and switches to Somnia Testnet when the wallet does not know it', async () => {
+    setUp({ chainId: 1, chains: [1] });
+    await renderConnected();
+
+    expect(ethereum.requestsFor('wallet_addEthereumChain')).toHaveLength(1);
+    expect(ethereum.chainId).toBe(50312);
+    expect(await screen.findByRole('button', { name: /Bet$/ })).toBeEnabled();
+  });
+
+  it('reports a rejected connection', async () => {
+    setUp();
+    ethereum.override('eth_requestAccounts', () => {
+      throw Object.assign(new Error('User rejected the request.'), { code: 4001 });
+    });
+    render(<Game />);
+    fireEvent.click(screen.getByRole('button', { name: /Connect Wallet/ }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('You rejected the request in your wallet.');
+    expect(screen.getByRole('button', { name: /Connect Wallet/ })).toBeInTheDocument();
+  });
+});
+
+describe('playing a round', () => {
+  it('starts a game with the chosen bet, board and mines', async () => {
+    setUp();
+    await renderConnected();
+    await startGame();
+
+    expect(minesGame.state.sent).toEqual([
+      expect.objectContaining({ name: 'startGame', from: PLAYER, value: BET }),
+    ]);
+    const [boardSize, mineCount] = minesGame.state.sent[0].args;
+    expect([Number(boardSize), Number(mineCount)]).toEqual([5, 3]);
+    expect(statValue('Bet')).toHaveTextContent('0.1 STT');
+    expect(statValue('Mines')).toHaveTextContent('3 on 5x5');
+  });
+
+  it('picks tiles and shows the profit the contract would pay', async () => {
+    setUp();
+    await renderConnected();
+    await startGame();
+    await pickTile(1);
+    await pickTile(7);
+
+    expect(minesGame.gameOf(PLAYER).pickedTiles).toEqual([0, 6]);
+    expect(statValue('Picked')).toHaveTextContent('2');
+    const profit = calculatePayout(BET, 25, 3, 2, 100) - BET;
+    expect(statValue('Profit')).toHaveTextContent(`${ethers.formatEther(profit)} STT`);
+    // The picks are only checked at cash out, so the profit is what they would pay if all safe
+    expect(screen.getByText('if every picked tile is safe')).toBeInTheDocument();
+  });
+
+  it('cashes out and shows the win', async () => {
+    setUp();
+    await renderConnected();
+    await startGame();
+    await pickTile(1);
+    fireEvent.click(screen.getByRole('button', { name: /Cash Out/ }));
+
+    const dialog = await screen.findByRole('dialog');
+    const payout = calculatePayout(BET, 25, 3, 1, 100);
+    expect(within(dialog).getByText('Congratulations!')).toBeInTheDocument();
+    expect(within(dialog).getByText(`You won ${ethers.formatEther(payout)} STT!`)).toBeInTheDocument();
+    expect(screen.getByText('No active game')).toBeInTheDocument();
+  });
+
+  it('credits the win to the claimable balance and claims it', async () => {
+    setUp();
+    await renderConnected();
+    await startGame();
+    await pickTile(1);
+    fireEvent.click(screen.getByRole('button', { name: /Cash Out/ }));
+    fireEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Play Again' }));
+
+    const payout = calculatePayout(BET, 25, 3, 1, 100);
+    expect(await screen.findByText(`${parseFloat(ethers.formatEther(payout)).toFixed(4)} STT`)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Claim STT' }));
+
+    await waitFor(() => expect(screen.queryByText('Claimable')).not.toBeInTheDocument());
+    expect(minesGame.state.sent.at(-1)).toMatchObject({ name: 'withdraw', args: [ethers.ZeroAddress], from: PLAYER });
+  });
+
+  it('shows the loss when a pick was a mine', async () => {
+    setUp({ mines: [0, 1, 2] });
+    await renderConnected();
+    await startGame();
+    await pickTile(1);
+    fireEvent.click(screen.getByRole('button', { name: /Cash Out/ }));
+
+    const dialog = await screen.findByRole('dialog');
+    expect(within(dialog).getByText('Game Over!')).toBeInTheDocument();
+    expect(within(dialog).getByText('Better luck next time!')).toBeInTheDocument();
+  });
+
+  it('reveals the mine layout once the round is settled', async () => {
+    setUp({ mines: [0, 1, 2] });
+    await renderConnected();
+    await startGame();
+    await pickTile(5);
+    fireEvent.click(screen.getByRole('button', { name: /Cash Out/ }));
+    await screen.findByRole('dialog');
+
+    expect(screen.getByRole('gridcell', { name: 'Tile 5, row 1, column 5, picked, safe' })).toBeInTheDocument();
+    expect(screen.getByRole('gridcell', { name: 'Tile 1, row 1, column 1, mine' })).toBeInTheDocument();
+    expect(screen.getByRole('gridcell', { name: 'Tile 6, row 2, column 1, safe' })).toBeInTheDocument();
+  });
+
+  it('surfaces contract reverts in plain words', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setUp();
+    await renderConnected();
+    await screen.findByText('1.000000 STT');
+    // The pool shrank after the app read the max bet, so only the contract catches it
+    minesGame.state.maxBet = ethers.parseEther('0.01');
+    fireEvent.click(screen.getByRole('button', { name: /Bet$/ }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'Start game failed: The bet is above the max bet for this board and mine count.'
+    );
+    expect(minesGame.state.sent).toHaveLength(0);
+  });
+});
+
+describe('result modal', () => {
+  const winRound = async () => {
+    setUp();
+    await renderConnected();
+    await startGame();
+    await pickTile(1);
+    fireEvent.click(screen.getByRole('button', { name: /Cash Out/ }));
+    return screen.findByRole('dialog');
+  };
+
+  it('closes with Play Again', async () => {
+    const dialog = await winRound();
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Play Again' }));
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('closes with Escape', async () => {
+    await winRound();
+    fireEvent.keyDown(window, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('opens the verifier for the settled game', async () => {
+    const dialog = await winRound();
+    fireEvent.click(within(dialog).getByRole('button', { name: /Verify/ }));
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(await screen.findByText('🔍 Verify this game')).toBeInTheDocument();
+    expect(screen.getByTitle(SERVER_SEED)).toBeInTheDocument();
+  });
+});
+
+describe('fetchAndUpdateState', () => {
+  const resumeGame = (game) => {
+    minesGame.setGame(PLAYER, {
+      betAmount: BET,
+      boardSize: 5,
+      revealedTiles: Array(25).fill(false),
+      isActive: true,
+      serverSeedHash: ethers.keccak256(SERVER_SEED),
+      ...game,
+    });
+  };
+
+  it('shows no profit before the first pick', async () => {
+    setUp();
+    resumeGame({ totalMines: 3, houseEdgeBps: 100 });
+    await renderConnected();
+
+    expect(statValue('Profit')).toHaveTextContent('0.0 STT');
+  });
+
+  it('never shows a negative profit when the payout is below the bet', async () => {
+    setUp();
+    // One safe pick against one mine pays 25/24 of the bet, less a 10% edge
+    resumeGame({ totalMines: 1, houseEdgeBps: 1000, revealedSafeTiles: 1, pickedTiles: [0] });
+    await renderConnected();
+
+    expect(calculatePayout(BET, 25, 1, 1, 1000)).toBeLessThan(BET);
+    expect(statValue('Profit')).toHaveTextContent('0.0 STT');
+  });
+
+  it('prices the profit with the edge the game started with', async () => {
+    setUp({ houseEdgeBps: 500 });
+    resumeGame({ totalMines: 5, houseEdgeBps: 200, revealedSafeTiles: 3, pickedTiles: [0, 1, 2] });
+    await renderConnected();
+
+    const profit = calculatePayout(BET, 25, 5, 3, 200) - BET;
+    expect(statValue('Profit')).toHaveTextContent(`${ethers.formatEther(profit)} STT`);
+  });
+});
+
+describe('stalled cash outs', () => {
+  const NOW = Math.floor(Date.now() / 1000);
+
+  // A cash out the house has not settled, requested `ago` seconds earlier
+  const requestCashOut = (ago) => {
+    minesGame.setGame(PLAYER, {
+      betAmount: BET,
+      totalMines: 3,
+      boardSize: 5,
+      revealedTiles: Array(25).fill(false).map((_, i) => i < 2),
+      revealedSafeTiles: 2,
+      pickedTiles: [0, 1],
+      isActive: true,
+      cashOutRequested: true,
+      houseEdgeBps: 100,
+      serverSeedHash: ethers.keccak256(SERVER_SEED),
+    }, NOW - 2 * 24 * 60 * 60);
+    minesGame.state.cashOutRequestedAt[PLAYER.toLowerCase()] = NOW - ago;
+  };
+
+  it('counts down from the cash out request instead of the start', async () => {
+    setUp();
+    requestCashOut(60 * 60);
+    await renderConnected();
+
+    expect(statValue('Times out')).toHaveTextContent(/^2[23]:[0-9]{2}:[0-9]{2}$/);
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('pays out a cash out the house did not settle in time', async () => {
+    setUp();
+    requestCashOut(25 * 60 * 60);
+    await renderConnected();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pay out now' }));
+
+    expect(await screen.findByText('The house did not settle in time, so the cash out was paid out.')).toBeInTheDocument();
+    expect(minesGame.state.sent).toEqual([
+      expect.objectContaining({ name: 'resolveStalledCashOut', args: [PLAYER], from: PLAYER }),
+    ]);
+    expect(minesGame.state.claimable[PLAYER.toLowerCase()]).toBe(calculatePayout(BET, 25, 3, 2, 100));
+  });
+});
+
+describe('referrals', () => {
+  // Hardhat's second default account
+  const REFERRER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('sends the referrer of a ?ref= link with the first bet', async () => {
+    const rewards = createFakeMinesRewards();
+    setUp({ rewards });
+    window.history.replaceState(null, '', `/?ref=${REFERRER}`);
+    await renderConnected();
+    await startGame();
+
+    expect(minesGame.state.sent).toEqual([
+      expect.objectContaining({ name: 'startGame', args: [5n, 3n, expect.any(String), REFERRER] }),
+    ]);
+    expect(rewards.state.referrerOf[PLAYER.toLowerCase()]).toBe(REFERRER);
+    expect(rewards.state.referees[REFERRER.toLowerCase()]).toEqual([PLAYER]);
+    expect(localStorage.getItem('minesomnia:referrer')).toBeNull();
+  });
+
+  it('leaves the referrer of a player who already played alone', async () => {
+    const rewards = createFakeMinesRewards();
+    rewards.recordBet(PLAYER, BET, 100);
+    setUp({ rewards });
+    window.history.replaceState(null, '', `/?ref=${REFERRER}`);
+    await renderConnected();
+    await startGame();
+
+    expect(minesGame.state.sent).toEqual([expect.objectContaining({ name: 'startGame' })]);
+    expect(rewards.state.referrerOf[PLAYER.toLowerCase()]).toBeUndefined();
+  });
+});
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { fetchGameHistory, computeStats, roundsToCSV, roundsToJSON } from '../history';
+import { findToken, formatTokenAmount } from '../tokens';
+
+const formatAmount = (amount, token) => parseFloat(formatTokenAmount(amount, token)).toFixed(4);
+
+const formatSigned = (amount, token) => `${amount >= 0n ? '+' : ''}${formatAmount(amount, token)}`;
+
+const formatWithSymbol = (amount, token) => `${formatAmount(amount, token)} ${token.symbol}`;
+
+const OUTCOME_STYLES = {
+  won: 'text-green-400',
+  lost: 'text-red-400',
+  forfeited: 'text-gray-400',
+  active: 'text-yellow-400',
+};
+
+const OUTCOME_LABELS = { lost: '💥', forfeited: 'Forfeited', active: 'Active' };
+
+const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Stats only count rounds of the selected token; the rounds list and exports cover every token
+function HistoryPanel({ account, chainId, refreshKey, tokens, token, onReplay }) {
+  const [rounds, setRounds] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!account) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setRounds(await fetchGameHistory(account));
+    } catch (err) {
+      setError("Could not load history: " + (err?.reason || err?.message || err));
+    } finally {
+      setLoading(false);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, chainId, refreshKey]);
+
+  const stats = useMemo(() => (
+    rounds ? computeStats(rounds.filter(round => round.token === token.address)) : null
+  ), [rounds, token.address]);
+
+  if (!account) {
+    return (
+      <div className="text-gray-400 text-sm text-center py-8">Connect your wallet to see your games</div>
+    );
+  }
+
+  if (!rounds) {
+    return (
+      <div className="text-gray-400 text-sm text-center py-8">{error || 'Loading history...'}</div>
+    );
+  }
+
+  const exportName = `minesomnia-${account.slice(0, 8)}`;
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-200 text-sm font-medium">📊 Your Stats · {token.symbol}</span>
+          <button
+            onClick={refresh}
+            disabled={loading}
+            className="text-gray-400 hover:text-white text-xs disabled:opacity-50"
+          >
+            {loading ? 'Refreshing...' : '↻ Refresh'}
+          </button>
+        </div>
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Games:</span>
+            <span className="text-white font-semibold">{stats.games}</span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Win rate:</span>
+            <span className="text-green-400 font-semibold">{(stats.winRate * 100).toFixed(1)}%</span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Wagered:</span>
+            <span className="text-white font-semibold">{formatAmount(stats.wagered, token)}</span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Net P&amp;L:</span>
+            <span className={`font-semibold ${stats.netProfit >= 0n ? 'text-green-400' : 'text-red-400'}`}>
+              {formatSigned(stats.netProfit, token)}
+            </span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Best:</span>
+            <span className="text-yellow-400 font-semibold">{stats.biggestMultiplier.toFixed(2)}x</span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">W / L:</span>
+            <span className="text-white font-semibold">{stats.wins} / {stats.losses}</span>
+          </div>
+        </div>
+      </div>
+
+      {stats.byBoard.length > 0 && (
+        <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+          <div className="text-gray-200 text-sm mb-2 font-medium">💣 By Board &amp; Mines</div>
+          <div className="space-y-1 text-xs">
+            <div className="grid grid-cols-4 gap-2 text-gray-200 font-medium">
+              <span>Board · Mines</span>
+              <span className="text-center">Games</span>
+              <span className="text-center">Win rate</span>
+              <span className="text-right">P&amp;L</span>
+            </div>
+            {stats.byBoard.map(group => (
+              <div key={`${group.boardSize}:${group.mineCount}`} className="grid grid-cols-4 gap-2">
+                <span className="text-red-400">{group.boardSize}x{group.boardSize} · {group.mineCount}</span>
+                <span className="text-white text-center">{group.games}</span>
+                <span className="text-green-400 text-center">{((group.wins / group.games) * 100).toFixed(0)}%</span>
+                <span className={`text-right ${group.netProfit >= 0n ? 'text-green-400' : 'text-red-400'}`}>
+                  {formatSigned(group.netProfit, token)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-200 text-sm font-medium">📜 Rounds</span>
+          <div className="flex gap-2">
+            {[['CSV', () => downloadFile(roundsToCSV(rounds, tokens), `${exportName}.csv`, 'text/csv')],
+              ['JSON', () => downloadFile(roundsToJSON(rounds, tokens), `${exportName}.json`, 'application/json')]].map(([label, onExport]) => (
+              <button
+                key={label}
+                onClick={onExport}
+                disabled={rounds.length === 0}
+                className="bg-[#232b39]/60 text-gray-300 rounded-lg px-2 py-1 text-xs hover:text-white border border-[#3d4656]/30 disabled:opacity-50"
+              >
+                ⬇ {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {rounds.length === 0 ? (
+          <div className="text-gray-400 text-sm text-center py-4">No games yet</div>
+        ) : (
+          <div className="space-y-1 text-xs max-h-64 overflow-y-auto">
+            <div className="grid grid-cols-5 gap-2 text-gray-200 font-medium">
+              <span>Date</span>
+              <span className="text-center">Bet</span>
+              <span className="text-center">Mines</span>
+              <span className="text-center">Tiles</span>
+              <span className="text-right">Result</span>
+            </div>
+            {[...rounds].reverse().map(round => (
+              <div key={round.serverSeedHash} className="grid grid-cols-5 gap-2">
+                <span className="text-gray-400">
+                  {round.timestamp ? new Date(round.timestamp * 1000).toLocaleDateString() : `#${round.blockNumber}`}
+                </span>
+                <span className="text-white text-center">{formatWithSymbol(round.betAmount, findToken(tokens, round.token))}</span>
+                <span className="text-red-400 text-center">{round.boardSize}x{round.boardSize} · {round.mineCount}</span>
+                <span className="text-green-400 text-center">{round.tilesRevealed}</span>
+                <span className={`text-right ${OUTCOME_STYLES[round.outcome]}`}>
+                  {round.outcome === 'won' ? `${round.multiplier.toFixed(2)}x` : OUTCOME_LABELS[round.outcome]}
+                  {onReplay && round.serverSeed && (
+                    <button
+                      onClick={() => onReplay(round.settleTx)}
+                      aria-label="Replay this game"
+                      className="ml-1 text-gray-400 hover:text-white"
+                    >
+                      ▶
+                    </button>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="text-red-400 text-xs break-words">{error}</div>
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { getContract, getDeploymentBlock } from '../config';
+import { createLiveFeed, mergeRounds, buildLeaderboards } from '../liveFeed';
+import { findToken, formatTokenAmount } from '../tokens';
+
+const FEED_LENGTH = 15;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Player addresses open the read-only ?address= view of their game
+const PlayerLink = ({ address, className }) => (
+  <a href={`?address=${address}`} className={`font-mono hover:underline ${className}`} title={address}>
+    {shortAddress(address)}
+  </a>
+);
+
+const formatAmount = (amount, token) => `${parseFloat(formatTokenAmount(amount, token)).toFixed(4)} ${token.symbol}`;
+
+function LeaderboardTable({ title, rows, renderValue }) {
+  return (
+    <div className="flex-1 min-w-0">
+      <div className="text-gray-200 text-sm mb-2 font-medium">{title}</div>
+      {rows.length === 0 ? (
+        <div className="text-gray-500 text-xs">No rounds yet</div>
+      ) : (
+        <div className="space-y-1 text-xs">
+          {rows.map((row, i) => (
+            <div key={row.txHash || row.player} className="flex justify-between gap-2">
+              <span className="text-gray-400">{i + 1}. <PlayerLink address={row.player} className="text-white" /></span>
+              {renderValue(row)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The feed shows every token; leaderboards rank the rounds of the selected token
+function LiveFeedPanel({ account, chainId, tokens, token }) {
+  const [rounds, setRounds] = useState([]);
+  const [view, setView] = useState('feed');
+  const [connected, setConnected] = useState(false);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  // Where the feed left off, so a new provider after a reconnect resumes instead of rescanning
+  const nextBlock = useRef(null);
+  const feedChainId = useRef(null);
+
+  useEffect(() => {
+    // Another chain means another contract, so start over from its deployment block
+    if (feedChainId.current !== chainId) {
+      feedChainId.current = chainId;
+      nextBlock.current = getDeploymentBlock();
+      setRounds([]);
+      setConnected(false);
+    }
+
+    const contract = getContract();
+    if (!contract) return undefined;
+
+    const stop = createLiveFeed({
+      contract,
+      fromBlock: nextBlock.current,
+      onRounds: (incoming) => setRounds(current => mergeRounds(current, incoming)),
+      onSynced: (block) => {
+        nextBlock.current = block;
+        setConnected(true);
+      },
+      onError: (error) => {
+        console.error('Live feed error:', error);
+        setConnected(false);
+      },
+    });
+    return stop;
+  }, [account, chainId]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const leaderboards = useMemo(() => (
+    buildLeaderboards(rounds.filter(round => round.token === token.address), { now })
+  ), [rounds, token.address, now]);
+  const board = view === 'daily' ? leaderboards.daily : leaderboards.allTime;
+
+  return (
+    <div className="w-full mt-8 bg-gradient-to-r from-[#2d3646]/80 to-[#232b39]/80 backdrop-blur-sm rounded-3xl p-6 border border-[#3d4656]/50 shadow-xl">
+      <div className="flex items-center justify-between mb-4">
+        <div className="text-gray-200 text-lg font-medium flex items-center gap-2">
+          <span className={`w-2 h-2 rounded-full ${connected ? 'bg-green-400 animate-pulse' : 'bg-gray-500'}`}></span>
+          Live
+        </div>
+        <div className="flex bg-[#181f2a]/60 rounded-xl p-1 border border-[#3d4656]/30">
+          {[['feed', 'Recent'], ['daily', 'Today'], ['allTime', 'All time']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-3 py-1 rounded-lg text-xs font-semibold ${view === key ? 'text-white bg-[#2d3646]' : 'text-gray-400 hover:text-white'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {view === 'feed' ? (
+        rounds.length === 0 ? (
+          <div className="text-gray-400 text-sm text-center py-4">Waiting for rounds...</div>
+        ) : (
+          <div className="space-y-1 text-sm">
+            {rounds.slice(0, FEED_LENGTH).map(round => (
+              <div key={`${round.txHash}:${round.logIndex}`} className="grid grid-cols-4 gap-2">
+                <PlayerLink
+                  address={round.player}
+                  className={round.player.toLowerCase() === account?.toLowerCase() ? 'text-green-400' : 'text-white'}
+                />
+                <span className="text-gray-400 text-center">{formatAmount(round.betAmount, findToken(tokens, round.token))}</span>
+                <span className="text-red-400 text-center">💣 {round.mineCount} · {round.boardSize}x{round.boardSize}</span>
+                <span className={`text-right font-semibold ${round.won ? 'text-green-400' : 'text-red-400'}`}>
+                  {round.won ? `${round.multiplier.toFixed(2)}x` : '💥'}
+                </span>
+              </div>
+            ))}
+          </div>
+        )
+      ) : (
+        <div className="flex flex-col md:flex-row gap-6">
+          <LeaderboardTable
+            title={`🏆 Top profit · ${token.symbol}`}
+            rows={board.byProfit}
+            renderValue={entry => (
+              <span className={entry.profit >= 0n ? 'text-green-400' : 'text-red-400'}>
+                {entry.profit >= 0n ? '+' : ''}{formatAmount(entry.profit, token)}
+              </span>
+            )}
+          />
+          <LeaderboardTable
+            title={`🚀 Biggest multipliers · ${token.symbol}`}
+            rows={board.byMultiplier}
+            renderValue={round => (
+              <span className="text-yellow-400">{round.multiplier.toFixed(2)}x</span>
+            )}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LiveFeedPanel;
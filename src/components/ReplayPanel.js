@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { fetchReplay, getReplayUrl } from '../replay';
+import { playSound } from '../sounds';
+import { describeError } from '../transactions';
+import { findToken, formatTokenAmount } from '../tokens';
+import { tileCount } from '../payout';
+
+const STEP_DURATION = 700;
+
+// Steps through a settled round pick by pick, as the contract checked them, then shows
+// the whole mine layout. Loaded from the settlement transaction, so any round can be
+// shared by link.
+function ReplayPanel({ txHash, tokens, onClose }) {
+  const [round, setRound] = useState(null);
+  const [error, setError] = useState(null);
+  // Picks shown so far; one past the last pick uncovers the mines
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setRound(null);
+    setError(null);
+    setStep(0);
+    fetchReplay(txHash)
+      .then(loaded => {
+        setRound(loaded);
+        setPlaying(true);
+      })
+      .catch(err => setError(describeError(err)));
+  }, [txHash]);
+
+  const lastStep = round ? round.reveals.length + 1 : 0;
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= lastStep) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setStep(current => current + 1), STEP_DURATION);
+    return () => clearTimeout(timer);
+  }, [playing, step, lastStep]);
+
+  useEffect(() => {
+    if (!round || step === 0) return;
+    if (step <= round.reveals.length) {
+      playSound(round.reveals[step - 1].isMine ? 'mine' : 'gem');
+    } else if (round.won) {
+      playSound('win');
+    }
+  }, [round, step]);
+
+  const onCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getReplayUrl(txHash));
+      setCopied(true);
+    } catch (err) {
+      setError('Copying the link failed. The address bar link works too.');
+    }
+  };
+
+  const onRestart = () => {
+    setStep(0);
+    setPlaying(true);
+  };
+
+  if (error || !round) {
+    return (
+      <div className="w-full bg-gradient-to-r from-[#2d3646]/80 to-[#232b39]/80 rounded-3xl p-6 border border-[#3d4656]/50 text-center">
+        <div className={error ? 'text-red-400 text-sm' : 'text-gray-400 text-sm'}>{error || 'Loading replay...'}</div>
+        {onClose && (
+          <button onClick={onClose} className="mt-3 text-gray-400 hover:text-white text-sm underline">Close</button>
+        )}
+      </div>
+    );
+  }
+
+  const token = findToken(tokens, round.token);
+  const shown = round.reveals.slice(0, step);
+  const showMines = step >= lastStep;
+  const mines = new Set(round.mineLocations);
+
+  const renderTile = (index) => {
+    const reveal = shown.find(pick => pick.tile === index);
+    if (reveal) {
+      return {
+        style: reveal.isMine ? 'bg-red-900 border-red-500' : 'bg-green-900 border-green-500',
+        content: reveal.isMine ? '💥' : '💎',
+        label: reveal.isMine ? 'picked, mine' : 'picked, safe',
+      };
+    }
+    if (showMines && mines.has(index)) {
+      return { style: 'bg-red-900/30 border-red-900', content: '💣', label: 'mine' };
+    }
+    return { style: 'bg-[#181f2a] border-[#232b39]', content: '', label: showMines ? 'safe' : 'hidden' };
+  };
+
+  return (
+    <div className="w-full bg-gradient-to-r from-[#2d3646]/80 to-[#232b39]/80 backdrop-blur-sm rounded-3xl p-4 sm:p-6 border border-[#3d4656]/50 shadow-xl">
+      <div className="flex items-center justify-between mb-4">
+        <div className="text-gray-200 text-lg font-medium">▶️ Replay</div>
+        {onClose && (
+          <button onClick={onClose} aria-label="Close replay" className="text-gray-400 hover:text-white">✕</button>
+        )}
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-6 items-center">
+        <div
+          role="grid"
+          aria-label={`Replay of a ${round.boardSize} by ${round.boardSize} round`}
+          className="grid gap-1 w-full max-w-[16rem]"
+          style={{ gridTemplateColumns: `repeat(${round.boardSize}, minmax(0, 1fr))` }}
+        >
+          {Array.from({ length: tileCount(round.boardSize) }).map((_, i) => {
+            const tile = renderTile(i);
+            return (
+              <div
+                key={i}
+                role="gridcell"
+                aria-label={`Tile ${i + 1}, ${tile.label}`}
+                className={`aspect-square rounded-md border flex items-center justify-center text-sm ${tile.style}`}
+              >
+                {tile.content && (
+                  <span key={tile.content} aria-hidden="true" className="motion-safe:animate-flip-in">{tile.content}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex-1 w-full space-y-2 text-sm">
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Player</span>
+            <span className="text-white font-mono">{round.player.slice(0, 6)}...{round.player.slice(-4)}</span>
+          </div>
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Bet</span>
+            <span className="text-white font-semibold">{formatTokenAmount(round.betAmount, token)} {token.symbol}</span>
+          </div>
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Mines</span>
+            <span className="text-red-400 font-semibold">{round.totalMines} on {round.boardSize}x{round.boardSize}</span>
+          </div>
+          <div className="flex justify-between gap-4" aria-live="polite">
+            <span className="text-gray-400">Pick</span>
+            <span className="text-white font-semibold">{Math.min(step, round.reveals.length)} / {round.reveals.length}</span>
+          </div>
+          {showMines && (
+            <div className={`text-center font-bold pt-2 ${round.won ? 'text-green-400' : 'text-red-400'}`}>
+              {round.won ? `Won ${formatTokenAmount(round.payout, token)} ${token.symbol}` : 'Hit a mine'}
+            </div>
+          )}
+
+          <div className="flex gap-2 pt-2">
+            <button
+              onClick={() => setStep(current => Math.max(0, current - 1))}
+              disabled={step === 0}
+              aria-label="Previous pick"
+              className="flex-1 bg-[#232b39]/60 text-gray-300 rounded-xl py-2 text-xs hover:text-white border border-[#3d4656]/30 disabled:opacity-50"
+            >
+              ⏮
+            </button>
+            <button
+              onClick={() => (step >= lastStep ? onRestart() : setPlaying(!playing))}
+              className="flex-[2] bg-[#7fff6a] text-[#181f2a] rounded-xl py-2 text-xs font-bold"
+            >
+              {step >= lastStep ? '↻ Watch again' : playing ? '⏸ Pause' : '▶ Play'}
+            </button>
+            <button
+              onClick={() => setStep(current => Math.min(lastStep, current + 1))}
+              disabled={step >= lastStep}
+              aria-label="Next pick"
+              className="flex-1 bg-[#232b39]/60 text-gray-300 rounded-xl py-2 text-xs hover:text-white border border-[#3d4656]/30 disabled:opacity-50"
+            >
+              ⏭
+            </button>
+          </div>
+          <button
+            onClick={onCopyLink}
+            className="w-full bg-[#232b39]/60 text-gray-300 rounded-xl py-2 text-xs hover:text-white border border-[#3d4656]/30"
+          >
+            {copied ? '✅ Link copied' : '🔗 Copy link to this replay'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReplayPanel;
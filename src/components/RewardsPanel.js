@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { NATIVE_TOKEN } from '../config';
+import { findToken, formatTokenAmount } from '../tokens';
+import { readRewards, claimRewards, getReferralLink } from '../rewards';
+import { describeError } from '../transactions';
+
+const formatAmount = (amount, token) => `${parseFloat(formatTokenAmount(amount, token)).toFixed(4)} ${token.symbol}`;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Referral link, referees and what the account earned in one token. Every bet accrues
+// at once, so the panel re-reads whenever a new game starts.
+function RewardsPanel({ account, chainId, refreshKey, tokens, onBalanceChange }) {
+  const [tokenAddress, setTokenAddress] = useState(NATIVE_TOKEN);
+  // null while loading, false when the network has no rewards program
+  const [rewards, setRewards] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const token = findToken(tokens, tokenAddress);
+
+  const refresh = useCallback(async () => {
+    if (!account) return;
+    setRewards((await readRewards(account, tokenAddress)) || false);
+  }, [account, tokenAddress]);
+
+  // Token addresses differ per chain, so start from the native token again
+  useEffect(() => {
+    setTokenAddress(NATIVE_TOKEN);
+  }, [chainId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, chainId, refreshKey]);
+
+  const onCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getReferralLink(account));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      setError("Copy failed: " + describeError(err));
+    }
+  };
+
+  const onClaim = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      await claimRewards(token);
+      await refresh();
+      onBalanceChange?.();
+    } catch (err) {
+      setError("Claim failed: " + describeError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!account) {
+    return (
+      <div className="text-gray-400 text-sm text-center py-8">Connect your wallet to see your referral link and rewards</div>
+    );
+  }
+  if (rewards === null) {
+    return (
+      <div className="text-gray-400 text-sm text-center py-8">Loading rewards...</div>
+    );
+  }
+  if (rewards === false) {
+    return (
+      <div className="text-gray-400 text-sm text-center py-8">There is no rewards program on this network.</div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+        <div className="text-gray-200 text-sm mb-2 font-medium">🔗 Referral Link</div>
+        <div className="flex gap-2">
+          <input
+            readOnly
+            value={getReferralLink(account)}
+            aria-label="Referral link"
+            onFocus={e => e.target.select()}
+            className="flex-1 min-w-0 bg-[#0f1419]/80 border border-[#3d4656]/50 text-gray-300 rounded-xl px-3 py-2 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-green-400/50"
+          />
+          <button
+            onClick={onCopy}
+            className="bg-[#232b39]/60 text-gray-300 rounded-xl px-3 text-xs hover:text-white border border-[#3d4656]/30"
+          >
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+        <div className="text-gray-400 text-xs mt-2">
+          You earn {rewards.referralBps / 100}% of the house edge on every bet of players who start with your link. Every player gets {rewards.rakebackBps / 100}% of it back as rakeback.
+        </div>
+        {rewards.referrer && (
+          <div className="text-gray-400 text-xs mt-1">Referred by <span className="font-mono">{shortAddress(rewards.referrer)}</span></div>
+        )}
+      </div>
+
+      <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-200 text-sm font-medium">🎁 Your Rewards</span>
+          {tokens.length > 1 && (
+            <select
+              value={tokenAddress}
+              onChange={e => {
+                setTokenAddress(e.target.value);
+                setRewards(null);
+              }}
+              disabled={loading}
+              aria-label="Rewards token"
+              className="bg-[#0f1419]/80 border border-[#3d4656]/50 text-gray-200 rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-green-400/50"
+            >
+              {tokens.map(option => (
+                <option key={option.address} value={option.address}>{option.symbol}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        <dl className="space-y-1 text-sm">
+          <div className="flex justify-between items-center">
+            <dt id="rewards-stat-wagered" className="text-gray-300">Wagered:</dt>
+            <dd aria-labelledby="rewards-stat-wagered" className="text-white font-semibold">{formatAmount(rewards.wagered, token)}</dd>
+          </div>
+          <div className="flex justify-between items-center">
+            <dt id="rewards-stat-referral" className="text-gray-300">Referral earnings:</dt>
+            <dd aria-labelledby="rewards-stat-referral" className="text-green-400 font-semibold">{formatAmount(rewards.referralEarned, token)}</dd>
+          </div>
+          <div className="flex justify-between items-center">
+            <dt id="rewards-stat-rakeback" className="text-gray-300">Rakeback:</dt>
+            <dd aria-labelledby="rewards-stat-rakeback" className="text-green-400 font-semibold">{formatAmount(rewards.rakebackEarned, token)}</dd>
+          </div>
+          <div className="flex justify-between items-center">
+            <dt id="rewards-stat-claimable" className="text-gray-300">Claimable:</dt>
+            <dd aria-labelledby="rewards-stat-claimable" className="text-yellow-400 font-semibold">{formatAmount(rewards.claimable, token)}</dd>
+          </div>
+        </dl>
+        <button
+          onClick={onClaim}
+          disabled={loading || rewards.claimable === 0n}
+          className="w-full mt-3 bg-gradient-to-r from-[#7fff6a] to-[#aaff99] disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-xl py-2 text-sm"
+        >
+          Claim {token.symbol} rewards
+        </button>
+      </div>
+
+      <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+        <div className="text-gray-200 text-sm mb-2 font-medium">👥 Referees ({rewards.referees.length})</div>
+        {rewards.referees.length > 0 ? (
+          <ul className="space-y-1 text-sm font-mono text-gray-300 max-h-32 overflow-y-auto">
+            {rewards.referees.map(referee => (
+              <li key={referee}>{shortAddress(referee)}</li>
+            ))}
+          </ul>
+        ) : (
+          <div className="text-gray-400 text-sm text-center py-2">Nobody has played through your link yet</div>
+        )}
+      </div>
+
+      {error && (
+        <div className="text-red-400 text-xs break-words">{error}</div>
+      )}
+
+      <div className="text-gray-500 text-xs">
+        Rewards come from a budget the house funds, not from the pools. A referrer is set by the first bet after opening a link and cannot change afterwards.
+      </div>
+    </div>
+  );
+}
+
+export default RewardsPanel;
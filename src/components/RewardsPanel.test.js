@@ -0,0 +1,65 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { ethers } from 'ethers';
+import RewardsPanel from './RewardsPanel';
+import { somniaTestnet } from '../config';
+import { getNativeToken } from '../tokens';
+import { createFakeMinesGame } from '../testing/fakeMinesGame';
+import { createFakeMinesRewards, REWARDS_ADDRESS } from '../testing/fakeMinesRewards';
+import { createMockEthereum, installMockEthereum, GAME_ADDRESS, PLAYER } from '../testing/mockEthereum';
+
+// Hardhat's second default account, playing through PLAYER's link
+const REFEREE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BET = ethers.parseEther('0.1');
+
+let rewards;
+let uninstall;
+
+// Bets are recorded before the panel reads the contract. They all come through PLAYER's link,
+// which only refers REFEREE since the contract ignores PLAYER's own.
+const renderPanel = ({ withRewards = true, bets = [] } = {}) => {
+  rewards = createFakeMinesRewards();
+  bets.forEach(player => rewards.recordBet(player, BET, 100, PLAYER));
+  const minesGame = createFakeMinesGame({ rewards: withRewards ? rewards : null });
+  uninstall = installMockEthereum(createMockEthereum({
+    contracts: { [GAME_ADDRESS]: minesGame, [REWARDS_ADDRESS]: rewards },
+  }));
+  render(<RewardsPanel account={PLAYER} chainId={somniaTestnet.chainId} tokens={[getNativeToken()]} />);
+};
+
+afterEach(() => {
+  uninstall();
+});
+
+// Reward values are labelled by their "Label:" term
+const statValue = (label) => screen.getByRole('definition', { name: `${label}:` });
+
+it('shows the referral link, the rates and who played through it', async () => {
+  renderPanel({ bets: [REFEREE] });
+
+  expect(await screen.findByLabelText('Referral link')).toHaveValue(`http://localhost/?ref=${PLAYER}`);
+  expect(screen.getByText(/You earn 10% of the house edge/)).toHaveTextContent('Every player gets 10% of it back');
+  expect(screen.getByText('👥 Referees (1)')).toBeInTheDocument();
+  expect(screen.getByText('0x7099...79C8')).toBeInTheDocument();
+});
+
+it('shows what the account earned and claims it', async () => {
+  renderPanel({ bets: [REFEREE, PLAYER] });
+
+  // 10% of a 1% edge on each 0.1 STT bet
+  await screen.findByLabelText('Referral link');
+  expect(statValue('Referral earnings')).toHaveTextContent('0.0001 STT');
+  expect(statValue('Rakeback')).toHaveTextContent('0.0001 STT');
+  expect(statValue('Claimable')).toHaveTextContent('0.0002 STT');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Claim STT rewards' }));
+  await waitFor(() => expect(statValue('Claimable')).toHaveTextContent('0.0000 STT'));
+  expect(rewards.state.sent).toEqual([expect.objectContaining({ name: 'claim', args: [ethers.ZeroAddress], from: PLAYER })]);
+  expect(screen.getByRole('button', { name: 'Claim STT rewards' })).toBeDisabled();
+});
+
+it('says when the network has no rewards program', async () => {
+  renderPanel({ withRewards: false });
+
+  expect(await screen.findByText('There is no rewards program on this network.')).toBeInTheDocument();
+});
@@ -0,0 +1,143 @@
+import React from 'react';
+import { ethers } from 'ethers';
+import { RoomStatus, PlayerStatus } from '../rooms';
+
+const buttonClass = 'flex-1 bg-gradient-to-r from-[#7fff6a] to-[#aaff99] disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-xl py-2 text-sm';
+const secondaryButtonClass = 'flex-1 bg-[#232b39]/60 text-gray-200 hover:text-white border border-[#3d4656]/50 disabled:opacity-50 disabled:cursor-not-allowed rounded-xl py-2 text-sm font-semibold';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+export const ROOM_STATUS_LABELS = {
+  [RoomStatus.Waiting]: 'Waiting for players',
+  [RoomStatus.Playing]: 'Playing',
+  [RoomStatus.Finished]: 'Finished',
+  [RoomStatus.Cancelled]: 'Cancelled',
+};
+
+const PLAYER_STATUS_LABELS = {
+  [PlayerStatus.Active]: 'In',
+  [PlayerStatus.Left]: 'Left',
+  [PlayerStatus.Eliminated]: '💥 Hit a mine',
+};
+
+// One shared board. The contract decides every action; the view only offers the ones that
+// can succeed for this account right now. `now` is in seconds, for the turn timeout.
+function RoomView({ room, account, symbol, turnTimeout, now, busy, onJoin, onStart, onPick, onLeave, onTimeout }) {
+  const formatAmount = (amount) => `${parseFloat(ethers.formatEther(amount)).toFixed(4)} ${symbol}`;
+
+  const me = room.players.find(player => sameAddress(player.address, account));
+  const isActive = me?.status === PlayerStatus.Active;
+  const isPlaying = room.status === RoomStatus.Playing;
+  const current = isPlaying ? room.players[room.turn] : null;
+  const isMyTurn = isActive && sameAddress(current?.address, account);
+  const canPick = isMyTurn && !room.pickPending && !busy;
+  const timedOut = isPlaying && now >= room.turnStartedAt + turnTimeout;
+  const share = room.activePlayers > 0 ? room.pot / window.BigInt(room.activePlayers) : 0n;
+
+  const canJoin = room.status === RoomStatus.Waiting && !me && room.players.length < room.maxPlayers;
+  const canStart = room.status === RoomStatus.Waiting && isActive && room.players.length >= 2;
+  const canLeave = isActive && (room.status === RoomStatus.Waiting || (isPlaying && !room.pickPending));
+
+  const describeTurn = () => {
+    if (room.status === RoomStatus.Waiting) return `Waiting for players (${room.players.length}/${room.maxPlayers}). Anyone in the room can start it once 2 have joined.`;
+    if (room.status === RoomStatus.Finished) return 'The room is over. The pot went to the players still in.';
+    if (room.status === RoomStatus.Cancelled) return 'The room was cancelled and its pot split between the players still in.';
+    if (room.pickPending) return `Waiting for the house to reveal tile ${room.pendingTile + 1}...`;
+    if (isMyTurn) return 'Your turn: pick a tile.';
+    return `Waiting for ${shortAddress(current.address)} to pick.`;
+  };
+
+  const renderTile = (index) => {
+    const bit = 1n << window.BigInt(index);
+    const isSafe = (room.safeTiles & bit) !== 0n;
+    const isMine = (room.mineTiles & bit) !== 0n;
+    const isPending = room.pickPending && room.pendingTile === index;
+    const hidden = !isSafe && !isMine && !isPending;
+    return (
+      <button
+        key={index}
+        onClick={() => onPick(index)}
+        disabled={!canPick || !hidden}
+        aria-label={`Tile ${index + 1}`}
+        className={`aspect-square rounded-xl text-xl flex items-center justify-center border ${
+          isMine ? 'bg-red-900/60 border-red-600/60'
+            : isSafe ? 'bg-green-900/40 border-green-600/50'
+              : isPending ? 'bg-yellow-900/40 border-yellow-600/50 animate-pulse'
+                : `bg-[#2d3646] border-[#3d4656]/50 ${canPick ? 'hover:bg-[#3d4656] cursor-pointer' : 'cursor-default'}`
+        }`}
+      >
+        {isMine ? '💣' : isSafe ? '💎' : isPending ? '⏳' : ''}
+      </button>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-bold text-white">Room #{room.id}</h2>
+        <span className="text-gray-300 text-sm font-semibold">{ROOM_STATUS_LABELS[room.status]}</span>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+        {[
+          ['Buy-in', formatAmount(room.buyIn)],
+          ['Pot', formatAmount(room.pot)],
+          ['Board', `${room.boardSize}×${room.boardSize}`],
+          ['Mines', `${room.totalMines}`],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-[#0f1419]/60 rounded-xl p-2 border border-[#3d4656]/30">
+            <div className="text-gray-400 text-xs">{label}</div>
+            <div className="text-white font-semibold">{value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div role="status" className="text-gray-200 text-sm">{describeTurn()}</div>
+
+      <div
+        className="grid gap-2 mx-auto w-full max-w-md"
+        style={{ gridTemplateColumns: `repeat(${room.boardSize}, minmax(0, 1fr))` }}
+      >
+        {Array.from({ length: room.boardSize * room.boardSize }, (_, index) => renderTile(index))}
+      </div>
+
+      <ul className="space-y-1 text-sm" aria-label="Players">
+        {room.players.map((player, index) => (
+          <li key={player.address} className="flex justify-between items-center bg-[#0f1419]/40 rounded-lg px-3 py-1">
+            <span className="font-mono text-gray-300">
+              {isPlaying && index === room.turn ? '▶ ' : ''}{shortAddress(player.address)}{sameAddress(player.address, account) ? ' (you)' : ''}
+            </span>
+            <span className={player.status === PlayerStatus.Active ? 'text-green-400' : 'text-gray-400'}>
+              {PLAYER_STATUS_LABELS[player.status]}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-2">
+        {canJoin && (
+          <button onClick={onJoin} disabled={busy} className={buttonClass}>Join for {formatAmount(room.buyIn)}</button>
+        )}
+        {canStart && (
+          <button onClick={onStart} disabled={busy} className={buttonClass}>Start room</button>
+        )}
+        {canLeave && (
+          <button onClick={onLeave} disabled={busy} className={secondaryButtonClass}>Leave with {formatAmount(share)}</button>
+        )}
+        {timedOut && (
+          <button onClick={onTimeout} disabled={busy} className={secondaryButtonClass}>
+            {room.pickPending ? 'Void stalled pick' : 'Skip idle player'}
+          </button>
+        )}
+      </div>
+
+      <div className="text-gray-500 text-xs">
+        A mine only knocks out the player who picked it; their buy-in stays in the pot. Leaving between picks pays an equal share of the pot. A turn left idle for {Math.round(turnTimeout / 60)} minutes can be skipped by anyone, which sends that player off with their share. A pick the house never reveals knocks the picker out, and the house bond pays them back their buy-in.
+      </div>
+    </div>
+  );
+}
+
+export default RoomView;
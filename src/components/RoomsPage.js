@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { getAccount, hasWallet, getWalletChainId, setActiveChainId, getNetworkIssue } from '../config';
+import { getNativeToken } from '../tokens';
+import {
+  RoomStatus, getRoomsAddress, readLobby, readRoom, readRoomsAccount, createRoom, joinRoom, startRoom,
+  pickRoomTile, leaveRoom, timeoutRoomTurn, withdrawRoomWinnings
+} from '../rooms';
+import { describeError } from '../transactions';
+import { watchWallet } from '../sync';
+import TransactionToasts from './TransactionToasts';
+import RoomView, { ROOM_STATUS_LABELS } from './RoomView';
+
+const inputClass = 'w-full bg-[#0f1419]/80 border border-[#3d4656]/50 text-white rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50';
+const buttonClass = 'w-full bg-gradient-to-r from-[#7fff6a] to-[#aaff99] disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-[#181f2a] font-bold rounded-xl py-2 text-sm';
+const sectionClass = 'bg-[#181f2a]/40 rounded-2xl p-4 border border-[#3d4656]/30 space-y-3';
+
+// Other players act between our reads, so open rooms are re-read on this interval
+const POLL_INTERVAL = 3000;
+
+const getRoomParam = () => Number(new URLSearchParams(window.location.search).get('room')) || null;
+
+const roomLink = (roomId) => `${window.location.pathname}?room=${roomId}`;
+
+// Multiplayer lobby at /rooms and, with ?room=<id>, the room itself
+function RoomsPage() {
+  const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [roomId, setRoomId] = useState(getRoomParam);
+  // null while loading
+  const [lobby, setLobby] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [roomsAccount, setRoomsAccount] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const [form, setForm] = useState({ buyIn: '0.1', boardSize: '5', numberOfMines: '3', maxPlayers: '4' });
+  // Label of the action being sent
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const networkIssue = chainId === null ? null : getNetworkIssue(chainId);
+  const hasRooms = chainId !== null && networkIssue === null && getRoomsAddress() !== null;
+  const { symbol } = getNativeToken();
+
+  const selectChain = useCallback((newChainId) => {
+    setActiveChainId(newChainId);
+    setChainId(newChainId);
+  }, []);
+
+  useEffect(() => {
+    if (!hasWallet()) return undefined;
+    getWalletChainId().then(selectChain);
+    return watchWallet({
+      onAccountsChanged: (accounts) => setAccount(accounts[0] || null),
+      onChainChanged: selectChain,
+    });
+  }, [selectChain]);
+
+  const refresh = useCallback(async () => {
+    setNow(Math.floor(Date.now() / 1000));
+    const [loaded, accountState] = await Promise.all([
+      roomId ? readRoom(roomId) : readLobby(),
+      readRoomsAccount(account),
+    ]);
+    if (roomId) setRoom(loaded || false);
+    else setLobby(loaded || []);
+    setRoomsAccount(accountState);
+  }, [roomId, account]);
+
+  useEffect(() => {
+    if (!hasRooms) return undefined;
+    refresh();
+    const interval = setInterval(refresh, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [hasRooms, refresh]);
+
+  const connectWallet = async () => {
+    try {
+      setError(null);
+      setAccount(await getAccount());
+    } catch (err) {
+      setError("Failed to connect wallet: " + describeError(err));
+    }
+  };
+
+  const run = async (label, action) => {
+    setBusy(label);
+    setError(null);
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(`${label} failed: ${describeError(err)}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Opens the new room right away when its ID is known, otherwise it shows up in the lobby
+  const onCreate = () => run('Create room', async () => {
+    const createdId = await createRoom({
+      boardSize: Number(form.boardSize),
+      numberOfMines: Number(form.numberOfMines),
+      maxPlayers: Number(form.maxPlayers),
+      buyIn: ethers.parseEther(form.buyIn || '0'),
+    });
+    if (createdId) {
+      window.history.pushState(null, '', roomLink(createdId));
+      setRoomId(createdId);
+    }
+  });
+
+  const setField = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+  const renderGate = () => {
+    if (!hasWallet()) return 'Install a wallet to play in rooms.';
+    if (!account) {
+      return (
+        <button onClick={connectWallet} className={buttonClass}>🔗 Connect Wallet</button>
+      );
+    }
+    if (networkIssue) return 'Switch your wallet to a network mineSomnia is deployed on.';
+    if (!hasRooms) return 'There are no multiplayer rooms on this network.';
+    return null;
+  };
+
+  const renderRoom = () => {
+    if (room === null) return <div className="text-gray-400 text-sm text-center py-6">Loading room...</div>;
+    if (room === false) return <div className="text-gray-400 text-sm text-center py-6">Room #{roomId} does not exist.</div>;
+    return (
+      <RoomView
+        room={room}
+        account={account}
+        symbol={symbol}
+        turnTimeout={roomsAccount?.turnTimeout || 0}
+        now={now}
+        busy={busy !== null}
+        onJoin={() => run('Join room', () => joinRoom(room))}
+        onStart={() => run('Start room', () => startRoom(room.id))}
+        onPick={(tile) => run('Pick tile', () => pickRoomTile(room.id, tile))}
+        onLeave={() => run('Leave room', () => leaveRoom(room.id))}
+        onTimeout={() => run('End turn', () => timeoutRoomTurn(room.id))}
+      />
+    );
+  };
+
+  const renderLobby = () => (
+    <>
+      <div className={sectionClass}>
+        <span className="block text-gray-200 font-medium">Create a room</span>
+        <p className="text-gray-400 text-xs">You join with the buy-in, and everyone who joins pays the same. Boards go from 3×3 to 8×8 with up to 8 players.</p>
+        <div className="grid grid-cols-2 gap-2">
+          <label className="text-gray-400 text-xs">
+            Buy-in ({symbol})
+            <input type="number" min="0" step="any" value={form.buyIn} onChange={setField('buyIn')} disabled={busy !== null} className={inputClass} />
+          </label>
+          <label className="text-gray-400 text-xs">
+            Board size
+            <input type="number" min="3" max="8" value={form.boardSize} onChange={setField('boardSize')} disabled={busy !== null} className={inputClass} />
+          </label>
+          <label className="text-gray-400 text-xs">
+            Mines
+            <input type="number" min="1" max="63" value={form.numberOfMines} onChange={setField('numberOfMines')} disabled={busy !== null} className={inputClass} />
+          </label>
+          <label className="text-gray-400 text-xs">
+            Max players
+            <input type="number" min="2" max="8" value={form.maxPlayers} onChange={setField('maxPlayers')} disabled={busy !== null} className={inputClass} />
+          </label>
+        </div>
+        <button onClick={onCreate} disabled={busy !== null} className={buttonClass}>Create room</button>
+      </div>
+
+      <div className={sectionClass}>
+        <span className="block text-gray-200 font-medium">Rooms</span>
+        {lobby === null ? (
+          <div className="text-gray-400 text-sm text-center py-2">Loading rooms...</div>
+        ) : lobby.length === 0 ? (
+          <div className="text-gray-400 text-sm text-center py-2">No rooms yet. Create the first one.</div>
+        ) : (
+          <ul className="space-y-2 text-sm">
+            {lobby.map(entry => (
+              <li key={entry.id}>
+                <a href={roomLink(entry.id)} className="flex justify-between items-center bg-[#0f1419]/60 hover:bg-[#0f1419] rounded-xl px-3 py-2 border border-[#3d4656]/30">
+                  <span className="text-white font-semibold">Room #{entry.id}</span>
+                  <span className="text-gray-300">
+                    {parseFloat(ethers.formatEther(entry.buyIn)).toFixed(4)} {symbol} · {entry.boardSize}×{entry.boardSize}, {entry.totalMines} mines · {entry.players.length}/{entry.maxPlayers}
+                  </span>
+                  <span className={entry.status === RoomStatus.Waiting ? 'text-green-400' : 'text-gray-400'}>{ROOM_STATUS_LABELS[entry.status]}</span>
+                </a>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </>
+  );
+
+  const gate = renderGate();
+
+  return (
+    <div className="w-full max-w-2xl bg-gradient-to-br from-[#232b39]/90 to-[#1a1f2a]/90 rounded-3xl shadow-2xl p-4 sm:p-8 border border-[#3d4656]/50 space-y-4">
+      <TransactionToasts />
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-white">👥 mineSomnia Rooms</h1>
+        <div className="flex gap-3 text-sm">
+          {roomId && <a href={window.location.pathname} className="text-gray-400 hover:text-white">← All rooms</a>}
+          <a href={window.location.pathname.replace(/rooms\/?$/, '')} className="text-gray-400 hover:text-white">Back to the game</a>
+        </div>
+      </div>
+
+      {error && (
+        <div role="alert" className="bg-red-900/40 border border-red-600/60 rounded-xl p-3 text-red-300 text-sm break-words">{error}</div>
+      )}
+
+      {gate ? (
+        <div className="text-gray-300 text-sm text-center py-6">{gate}</div>
+      ) : (
+        <>
+          {roomsAccount?.claimable > 0n && (
+            <div className="flex items-center justify-between gap-3 bg-green-900/30 border border-green-600/50 rounded-xl p-3 text-sm">
+              <span className="text-green-300">You have {parseFloat(ethers.formatEther(roomsAccount.claimable)).toFixed(4)} {symbol} of room winnings and shares.</span>
+              <button
+                onClick={() => run('Withdraw', withdrawRoomWinnings)}
+                disabled={busy !== null}
+                className="bg-gradient-to-r from-[#7fff6a] to-[#aaff99] disabled:from-gray-600 disabled:to-gray-700 text-[#181f2a] font-bold rounded-xl px-3 py-1"
+              >
+                Withdraw
+              </button>
+            </div>
+          )}
+
+          {roomId ? renderRoom() : renderLobby()}
+
+          {busy && <div className="text-gray-400 text-xs text-center">{busy}...</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RoomsPage;
@@ -0,0 +1,168 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { ethers } from 'ethers';
+import RoomsPage from './RoomsPage';
+import MinesRoomsContract from '../MinesRooms.json';
+import { somniaTestnet, getDeployment } from '../config';
+import { createFakeMinesGame } from '../testing/fakeMinesGame';
+import { createFakeMinesRooms, ROOMS_ADDRESS } from '../testing/fakeMinesRooms';
+import { createMockEthereum, installMockEthereum, GAME_ADDRESS, PLAYER } from '../testing/mockEthereum';
+
+// Hardhat's second and third default accounts, at the same table
+const BOB = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const CAROL = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BUY_IN = ethers.parseEther('0.1');
+
+const roomsInterface = new ethers.Interface(MinesRoomsContract.abi);
+
+let rooms;
+let uninstall;
+
+// What players in other browsers do, straight on the fake
+const playAs = (from, name, args = [], value = 0n) => {
+  rooms.send({ from, data: roomsInterface.encodeFunctionData(name, args), value }, { timestamp: Math.floor(Date.now() / 1000) });
+};
+
+const renderPage = async ({ path = '/rooms', withRooms = true, turnTimeout, setUpRooms = () => {} } = {}) => {
+  rooms = createFakeMinesRooms({ turnTimeout });
+  setUpRooms();
+  // The testnet deployment has no rooms recorded
+  getDeployment(somniaTestnet.chainId).rooms = withRooms ? ROOMS_ADDRESS : undefined;
+  window.history.replaceState(null, '', path);
+  uninstall = installMockEthereum(createMockEthereum({
+    contracts: { [GAME_ADDRESS]: createFakeMinesGame(), [ROOMS_ADDRESS]: rooms },
+  }));
+  render(<RoomsPage />);
+  fireEvent.click(screen.getByRole('button', { name: /Connect Wallet/ }));
+};
+
+// PLAYER opens room 1 and Bob joins; started unless asked not to
+const openRoom = ({ start = true, players = [BOB] } = {}) => () => {
+  playAs(PLAYER, 'createRoom', [5, 3, 4], BUY_IN);
+  players.forEach(player => playAs(player, 'joinRoom', [1], BUY_IN));
+  if (start) playAs(PLAYER, 'startRoom', [1]);
+};
+
+afterEach(() => {
+  uninstall();
+  delete getDeployment(somniaTestnet.chainId).rooms;
+  window.history.replaceState(null, '', '/');
+});
+
+it('creates a room from the lobby and lists it', async () => {
+  await renderPage();
+  expect(await screen.findByText('No rooms yet. Create the first one.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Buy-in (STT)'), { target: { value: '0.5' } });
+  fireEvent.change(screen.getByLabelText('Max players'), { target: { value: '3' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create room' }));
+
+  expect(await screen.findByText('Room #1')).toBeInTheDocument();
+  expect(screen.getByText(/0\.5000 STT · 5×5, 3 mines · 1\/3/)).toBeInTheDocument();
+  expect(rooms.state.sent).toEqual([expect.objectContaining({ name: 'createRoom', args: [5n, 3n, 3n], from: PLAYER, value: ethers.parseEther('0.5') })]);
+});
+
+it('joins and starts a waiting room', async () => {
+  await renderPage({
+    path: '/rooms?room=1',
+    setUpRooms: () => playAs(BOB, 'createRoom', [5, 3, 4], BUY_IN),
+  });
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Join for 0.1000 STT' }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Start room' }));
+
+  expect(await screen.findByText('Waiting for 0x7099...79C8 to pick.')).toBeInTheDocument();
+  expect(rooms.state.rooms[1].pot).toBe(BUY_IN * 2n);
+  expect(screen.getByRole('button', { name: 'Tile 1' })).toBeDisabled();
+});
+
+it('picks a tile on the account\'s turn and waits for the house', async () => {
+  await renderPage({ path: '/rooms?room=1', setUpRooms: openRoom() });
+
+  expect(await screen.findByText('Your turn: pick a tile.')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Tile 7' }));
+
+  expect(await screen.findByText('Waiting for the house to reveal tile 7...')).toBeInTheDocument();
+  expect(rooms.state.sent.at(-1)).toEqual(expect.objectContaining({ name: 'pickTile', args: [1n, 6n], from: PLAYER }));
+  // Nobody can leave until the pick is revealed
+  expect(screen.queryByRole('button', { name: /^Leave/ })).not.toBeInTheDocument();
+});
+
+it('shows who hit a mine and leaves with an equal share of the pot', async () => {
+  await renderPage({
+    path: '/rooms?room=1',
+    setUpRooms: () => {
+      openRoom({ players: [BOB, CAROL] })();
+      playAs(PLAYER, 'pickTile', [1, 4]);
+      rooms.resolve(1, false);
+      playAs(BOB, 'pickTile', [1, 6]);
+      rooms.resolve(1, true);
+    },
+  });
+
+  expect(await screen.findByText('Waiting for 0x3C44...93BC to pick.')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Tile 5' })).toHaveTextContent('💎');
+  expect(screen.getByRole('button', { name: 'Tile 7' })).toHaveTextContent('💣');
+  expect(screen.getByText('💥 Hit a mine')).toBeInTheDocument();
+
+  // Bob's buy-in stays in the pot for the two players still in
+  fireEvent.click(screen.getByRole('button', { name: 'Leave with 0.1500 STT' }));
+  expect(await screen.findByText('The room is over. The pot went to the players still in.')).toBeInTheDocument();
+  expect(rooms.state.claimable[PLAYER.toLowerCase()]).toBe(ethers.parseEther('0.15'));
+  expect(rooms.state.claimable[CAROL.toLowerCase()]).toBe(ethers.parseEther('0.15'));
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Withdraw' }));
+  await waitFor(() => expect(rooms.state.claimable[PLAYER.toLowerCase()]).toBe(0n));
+});
+
+it('lets anyone skip a player whose turn timed out', async () => {
+  await renderPage({
+    path: '/rooms?room=1',
+    turnTimeout: 0,
+    setUpRooms: () => {
+      playAs(BOB, 'createRoom', [5, 3, 4], BUY_IN);
+      playAs(PLAYER, 'joinRoom', [1], BUY_IN);
+      playAs(CAROL, 'joinRoom', [1], BUY_IN);
+      playAs(BOB, 'startRoom', [1]);
+    },
+  });
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Skip idle player' }));
+
+  expect(await screen.findByText('Your turn: pick a tile.')).toBeInTheDocument();
+  expect(screen.getByText('Left')).toBeInTheDocument();
+  expect(rooms.state.claimable[BOB.toLowerCase()]).toBe(BUY_IN);
+});
+
+it('counts a pick the house stalls on as lost and refunds the picker from the bond', async () => {
+  await renderPage({
+    path: '/rooms?room=1',
+    turnTimeout: 0,
+    setUpRooms: () => {
+      openRoom({ players: [BOB, CAROL] })();
+      playAs(PLAYER, 'pickTile', [1, 4]);
+    },
+  });
+
+  fireEvent.click(await screen.findByRole('button', { name: 'Void stalled pick' }));
+
+  expect(await screen.findByText('Waiting for 0x7099...79C8 to pick.')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Tile 5' })).not.toHaveTextContent('💣');
+  expect(rooms.state.claimable[PLAYER.toLowerCase()]).toBe(BUY_IN);
+  expect(rooms.state.claimable[BOB.toLowerCase()]).toBeUndefined();
+});
+
+it('reports contract reverts', async () => {
+  await renderPage();
+  fireEvent.change(await screen.findByLabelText('Board size'), { target: { value: '9' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Create room' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Create room failed: Invalid board size');
+  expect(rooms.state.sent).toEqual([]);
+});
+
+it('says when the network has no rooms', async () => {
+  await renderPage({ withRooms: false });
+
+  expect(await screen.findByText('There are no multiplayer rooms on this network.')).toBeInTheDocument();
+});
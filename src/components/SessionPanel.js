@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { RELAYER_URL } from '../config';
+import { SESSION_DURATIONS } from '../session';
+import { formatTokenAmount } from '../tokens';
+
+const formatRemaining = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.ceil((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// Opt-in session: one signature lets a browser key pick tiles and cash out without wallet prompts
+function SessionPanel({ session, token, defaultSpendCap, disabled, onStart, onEnd }) {
+  const [spendCap, setSpendCap] = useState(defaultSpendCap);
+  const [duration, setDuration] = useState(SESSION_DURATIONS[1][1]);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="bg-[#181f2a]/40 backdrop-blur-sm rounded-2xl p-3 border border-[#3d4656]/30">
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-gray-200 text-sm font-medium">⚡ Session</span>
+        <span className="text-gray-400 text-xs">{RELAYER_URL ? 'Gasless via relayer' : 'Key pays its own gas'}</span>
+      </div>
+      {session ? (
+        <div className="space-y-1 text-sm">
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Spent:</span>
+            <span className="text-white font-semibold">
+              {formatTokenAmount(session.spent, token)} / {formatTokenAmount(session.spendCap, token)} {token.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-300">Ends in:</span>
+            <span className="text-green-400 font-semibold">{formatRemaining(Math.max(0, session.expiry - now))}</span>
+          </div>
+          <button
+            onClick={onEnd}
+            disabled={disabled}
+            className="w-full mt-2 bg-[#232b39]/60 text-gray-300 rounded-xl py-1 text-xs hover:text-white border border-[#3d4656]/30 disabled:opacity-50"
+          >
+            End session
+          </button>
+        </div>
+      ) : (
+        <div>
+          <div className="text-gray-400 text-xs mb-2">
+            Sign once to pick tiles and cash out without confirming each move in your wallet.
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              value={spendCap}
+              onChange={e => setSpendCap(e.target.value)}
+              disabled={disabled}
+              min="0"
+              title="Total bet of the games the session may play"
+              className="flex-1 min-w-0 bg-[#0f1419]/80 border border-[#3d4656]/50 text-white rounded-xl px-3 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-green-400/50 disabled:opacity-50"
+            />
+            <span className="text-yellow-400 text-xs font-semibold">{token.symbol}</span>
+            <select
+              value={duration}
+              onChange={e => setDuration(Number(e.target.value))}
+              disabled={disabled}
+              className="bg-[#0f1419]/80 border border-[#3d4656]/50 text-white rounded-xl px-2 py-1 text-xs focus:outline-none disabled:opacity-50"
+            >
+              {SESSION_DURATIONS.map(([label, seconds]) => (
+                <option key={seconds} value={seconds}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onStart(spendCap, duration)}
+              disabled={disabled || !(parseFloat(spendCap) > 0)}
+              className="bg-[#7fff6a] text-[#181f2a] rounded-xl px-3 py-1 text-xs font-bold disabled:opacity-50"
+            >
+              Start
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SessionPanel;
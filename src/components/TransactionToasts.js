@@ -0,0 +1,57 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeToTransactions, dismissTransaction } from '../transactions';
+
+const STATUS_STYLES = {
+  pending: { icon: '⏳', text: 'Pending', className: 'border-yellow-500/60' },
+  confirmed: { icon: '✅', text: 'Confirmed', className: 'border-green-400/60' },
+  failed: { icon: '❌', text: 'Failed', className: 'border-red-500/60' },
+  replaced: { icon: '🔁', text: 'Replaced', className: 'border-red-500/60' },
+  dropped: { icon: '🕳️', text: 'Dropped', className: 'border-red-500/60' },
+};
+
+// Every transaction the app sends, newest at the bottom, with a link to the explorer
+function TransactionToasts() {
+  const [toasts, setToasts] = useState([]);
+
+  useEffect(() => subscribeToTransactions(setToasts), []);
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80">
+      {toasts.map(toast => {
+        const style = STATUS_STYLES[toast.status];
+        return (
+          <div
+            key={toast.hash}
+            className={`bg-[#232b39]/95 backdrop-blur-sm text-white rounded-xl p-3 border shadow-xl text-sm ${style.className}`}
+          >
+            <div className="flex justify-between items-start gap-2">
+              <div className="font-semibold">
+                {style.icon} {toast.label} · <span className="text-gray-300 font-normal">{style.text}</span>
+              </div>
+              {toast.status !== 'pending' && (
+                <button onClick={() => dismissTransaction(toast.hash)} className="text-gray-400 hover:text-white">
+                  ✕
+                </button>
+              )}
+            </div>
+            {toast.message && (
+              <div className="text-gray-300 text-xs mt-1 break-words">{toast.message}</div>
+            )}
+            <div className="flex justify-between items-center text-xs mt-1">
+              <span className="text-gray-500 font-mono">{toast.hash.slice(0, 10)}...{toast.hash.slice(-6)}</span>
+              {toast.url && (
+                <a href={toast.url} target="_blank" rel="noreferrer" className="text-green-400 hover:underline">
+                  View on explorer ↗
+                </a>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default TransactionToasts;
@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+import { verifyGame } from '../fairness';
+import { tileCount } from '../payout';
+
+const shorten = (value) => `${value.slice(0, 10)}...${value.slice(-8)}`;
+
+function VerifyPanel({ game, onClose }) {
+  const result = useMemo(() => verifyGame(game), [game]);
+
+  const getCellStyle = (index) => {
+    const isMine = result.computedMines.includes(index);
+    if (game.revealedTiles[index]) {
+      return isMine ? 'bg-red-900 border-red-600' : 'bg-green-900 border-green-600';
+    }
+    return isMine ? 'bg-red-900/30 border-red-900' : 'bg-[#181f2a] border-[#232b39]';
+  };
+
+  return (
+    <div className="w-full bg-gradient-to-r from-[#2d3646]/80 to-[#232b39]/80 backdrop-blur-sm rounded-3xl p-6 border border-[#3d4656]/50 shadow-xl">
+      <div className="flex items-center justify-between mb-4">
+        <div className="text-gray-200 text-lg font-medium">🔍 Verify this game</div>
+        {onClose && (
+          <button onClick={onClose} className="text-gray-400 hover:text-white">✕</button>
+        )}
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-6">
+        <div className="flex-1 space-y-2 text-sm">
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Server seed hash</span>
+            <span className="text-white font-mono" title={game.serverSeedHash}>{shorten(game.serverSeedHash)}</span>
+          </div>
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Server seed</span>
+            <span className="text-white font-mono" title={game.serverSeed}>{shorten(game.serverSeed)}</span>
+          </div>
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Client seed</span>
+            <span className="text-white font-mono" title={game.clientSeed}>{shorten(game.clientSeed)}</span>
+          </div>
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Board</span>
+            <span className="text-white font-semibold">{game.boardSize}x{game.boardSize}</span>
+          </div>
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Mines</span>
+            <span className="text-red-400 font-semibold">{game.totalMines}</span>
+          </div>
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Seed matches commitment</span>
+            <span>{result.hashMatches ? '✅' : '❌'}</span>
+          </div>
+          <div className="flex justify-between gap-4">
+            <span className="text-gray-400">Board matches contract</span>
+            <span>{result.boardMatches ? '✅' : '❌'}</span>
+          </div>
+          <div className={`text-center font-bold pt-2 ${result.isValid ? 'text-green-400' : 'text-red-400'}`}>
+            {result.isValid ? 'This game was provably fair' : 'Verification failed'}
+          </div>
+        </div>
+
+        <div
+          className="grid gap-1 self-center"
+          style={{ gridTemplateColumns: `repeat(${game.boardSize}, minmax(0, 1fr))` }}
+        >
+          {Array.from({ length: tileCount(game.boardSize) }).map((_, i) => (
+            <div
+              key={i}
+              className={`w-8 h-8 rounded-md border flex items-center justify-center text-sm ${getCellStyle(i)}`}
+            >
+              {result.computedMines.includes(i) ? '💣' : game.revealedTiles[i] ? '💎' : ''}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyPanel;
@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import MinesGameContract from './MinesGame.json';
+import deploymentManifest from './deployments.json';
 
 // Local Hardhat Network Configuration
 export const hardhatNetwork = {
@@ -35,19 +36,124 @@ export const somniaTestnet = {
   blockExplorerUrls: ['https://shannon-explorer.somnia.network']
 };
 
-// Contract address - latest deployed to Somnia Testnet
-const MINES_GAME_CONTRACT_ADDRESS = '0x3a8d19bedca566e04B10D829580Df4a039683b37';
+// Somnia Mainnet Configuration
+export const somniaMainnet = {
+  chainId: 5031,
+  name: 'Somnia Mainnet',
+  nativeCurrency: {
+    name: 'Somnia',
+    symbol: 'SOMI',
+    decimals: 18
+  },
+  rpcUrls: {
+    default: {
+      http: ['https://api.infra.mainnet.somnia.network']
+    }
+  },
+  blockExplorerUrls: ['https://explorer.somnia.network']
+};
+
+export const networks = [somniaTestnet, somniaMainnet, hardhatNetwork];
+
+export const DEFAULT_CHAIN_ID = somniaTestnet.chainId;
+
+// MinesGame keys its pools by token address; the zero address is the native currency
+export const NATIVE_TOKEN = ethers.ZeroAddress;
+
+// contracts/scripts/deploy.js records every deployment in src/deployments.json, keyed by
+// chain ID, with the MinesRooms proxy as `rooms` where one is deployed. `npm run local`
+// passes its throwaway deployment in through the environment.
+const deployments = { ...deploymentManifest };
+if (process.env.REACT_APP_LOCAL_MINES_GAME_ADDRESS) {
+  deployments[hardhatNetwork.chainId] = {
+    network: 'localhost',
+    address: process.env.REACT_APP_LOCAL_MINES_GAME_ADDRESS,
+    blockNumber: Number(process.env.REACT_APP_LOCAL_DEPLOYMENT_BLOCK || 0),
+    abiHash: process.env.REACT_APP_LOCAL_ABI_HASH || null,
+    rooms: process.env.REACT_APP_LOCAL_MINES_ROOMS_ADDRESS || null,
+  };
+}
+
+// Same hash deploy.js records, so a deployment built from another version of the
+// contract is reported instead of being called with the wrong ABI. A deployment without
+// a hash cannot be checked and is reported the same way.
+const ABI_HASH = ethers.id(JSON.stringify(MinesGameContract.abi));
+
+export const getNetwork = (chainId) => networks.find(network => network.chainId === chainId) || null;
+
+export const getDeployment = (chainId) => deployments[chainId] || null;
+
+// Why the app cannot play on a chain, or null when it can
+export const getNetworkIssue = (chainId) => {
+  if (!getNetwork(chainId)) return 'unsupported';
+  const deployment = getDeployment(chainId);
+  if (!deployment) return 'not-deployed';
+  if (deployment.abiHash !== ABI_HASH) return 'outdated';
+  return null;
+};
+
+export const getSupportedNetworks = () => networks.filter(network => getNetworkIssue(network.chainId) === null);
+
+// The chain every read and write goes to: the wallet's chain when one is connected,
+// otherwise the one picked in the network selector
+let activeChainId = DEFAULT_CHAIN_ID;
+
+export const getActiveChainId = () => activeChainId;
+
+export const setActiveChainId = (chainId) => {
+  activeChainId = chainId;
+};
+
+export const getActiveNetwork = () => getNetwork(activeChainId);
+
+// Explorer page of a transaction, or null on networks without an explorer
+export const getExplorerTxUrl = (chainId, hash) => {
+  const [explorerUrl] = getNetwork(chainId)?.blockExplorerUrls || [];
+  return explorerUrl ? `${explorerUrl}/tx/${hash}` : null;
+};
+
+// Optional relayer that submits session moves and pays their gas (contracts/scripts/relayer.js).
+// Without one, the session key sends its moves itself.
+export const RELAYER_URL = process.env.REACT_APP_RELAYER_URL || null;
+
+// Event queries for game history start at the deployment block to keep them fast
+export const getDeploymentBlock = () => getDeployment(activeChainId)?.blockNumber || 0;
+
+const getContractAddress = () => (
+  getNetworkIssue(activeChainId) === null ? getDeployment(activeChainId).address : null
+);
 
 // Provider and signer setup
-export const getProvider = () => {
+export const getWalletProvider = () => {
   if (typeof window !== 'undefined' && window.ethereum) {
     return new ethers.BrowserProvider(window.ethereum);
   }
   return null;
 };
 
+const readOnlyProviders = {};
+
+// Reads fall back to the network's public RPC so the app works without a wallet;
+// only transactions need one
+export const getReadOnlyProvider = (chainId = activeChainId) => {
+  const network = getNetwork(chainId);
+  if (!network) return null;
+  if (!readOnlyProviders[network.chainId]) {
+    readOnlyProviders[network.chainId] = new ethers.JsonRpcProvider(
+      network.rpcUrls.default.http[0],
+      network.chainId,
+      { staticNetwork: true }
+    );
+  }
+  return readOnlyProviders[network.chainId];
+};
+
+export const getProvider = () => getWalletProvider() || getReadOnlyProvider();
+
+export const hasWallet = () => getWalletProvider() !== null;
+
 export const getSigner = async () => {
-  const provider = getProvider();
+  const provider = getWalletProvider();
   if (provider) {
     return await provider.getSigner();
   }
@@ -57,10 +163,11 @@ export const getSigner = async () => {
 // Contract instance
 export const getContract = () => {
   const provider = getProvider();
-  if (!provider) return null;
+  const address = getContractAddress();
+  if (!provider || !address) return null;
   
   return new ethers.Contract(
-    MINES_GAME_CONTRACT_ADDRESS, 
+    address, 
     MinesGameContract.abi, 
     provider
   );
@@ -68,10 +175,11 @@ export const getContract = () => {
 
 export const getContractWithSigner = async () => {
   const signer = await getSigner();
-  if (!signer) return null;
+  const address = getContractAddress();
+  if (!signer || !address) return null;
   
   return new ethers.Contract(
-    MINES_GAME_CONTRACT_ADDRESS, 
+    address, 
     MinesGameContract.abi, 
     signer
   );
@@ -98,13 +206,24 @@ export const getWalletBalance = async (address) => {
   return ethers.formatEther(balance);
 };
 
+// Native bets are sent as value to startGame; ERC-20 bets go through startTokenGame,
+// which pulls the approved amount
+export const getStartGameCall = (contract, token, boardSize, numberOfMines, clientSeed, amount, referrer = ethers.ZeroAddress) => (
+  token === NATIVE_TOKEN
+    ? { method: contract.startGame, args: [boardSize, numberOfMines, clientSeed, referrer], overrides: { value: amount } }
+    : { method: contract.startTokenGame, args: [token, amount, boardSize, numberOfMines, clientSeed, referrer], overrides: {} }
+);
+
 // Transaction creation functions
-export const createStartGameTransaction = async (numberOfMines, betAmountInEth) => {
+export const createStartGameTransaction = async (boardSize, numberOfMines, betAmountInEth, clientSeed) => {
   const contract = await getContractWithSigner();
   if (!contract) throw new Error('No contract instance available');
   
   const tx = await contract.startGame.populateTransaction(
+    boardSize,
     numberOfMines, 
+    clientSeed,
+    ethers.ZeroAddress,
     { value: ethers.parseEther(betAmountInEth) }
   );
   return tx;
@@ -132,7 +251,11 @@ export const readGameStatus = async (playerAddress) => {
   if (!contract) return null;
   
   try {
-    const game = await contract.getGameStatus(playerAddress);
+    const [game, startedAt, cashOutRequestedAt] = await Promise.all([
+      contract.getGameStatus(playerAddress),
+      contract.gameStartedAt(playerAddress),
+      contract.cashOutRequestedAt(playerAddress),
+    ]);
     return {
       player: game.player,
       betAmount: game.betAmount.toString(),
@@ -141,6 +264,16 @@ export const readGameStatus = async (playerAddress) => {
       revealedTiles: game.revealedTiles,
       mineLocations: game.mineLocations.map(loc => Number(loc)),
       isActive: game.isActive,
+      serverSeedHash: game.serverSeedHash,
+      clientSeed: game.clientSeed,
+      serverSeed: game.serverSeed,
+      pickedTiles: game.pickedTiles.map(tile => Number(tile)),
+      cashOutRequested: game.cashOutRequested,
+      houseEdgeBps: Number(game.houseEdgeBps),
+      token: game.token,
+      boardSize: Number(game.boardSize),
+      startedAt: Number(startedAt),
+      cashOutRequestedAt: Number(cashOutRequestedAt),
     };
   } catch (error) {
     console.error('Error reading game status:', error);
@@ -148,12 +281,12 @@ export const readGameStatus = async (playerAddress) => {
   }
 };
 
-export const getSharedPoolBalance = async () => {
+export const getSharedPoolBalance = async (token = NATIVE_TOKEN) => {
   const contract = getContract();
   if (!contract) return 0n;
   
   try {
-    const balance = await contract.getSharedPoolBalance();
+    const balance = await contract.getSharedPoolBalance(token);
     return balance;
   } catch (error) {
     console.error('Error reading shared pool balance:', error);
@@ -161,32 +294,143 @@ export const getSharedPoolBalance = async () => {
   }
 };
 
-export const calculateCurrentWinnings = async (gameData) => {
-  if (!gameData || gameData.revealedSafeTiles === 0) return 0n;
-  
+// Largest bet the pool can cover for this board and mine count if every safe tile is picked
+export const getMaxBet = async (boardSize, numberOfMines, token = NATIVE_TOKEN) => {
+  const contract = getContract();
+  if (!contract) return null;
+
+  try {
+    return await contract.getMaxBet(token, boardSize, numberOfMines);
+  } catch (error) {
+    console.error('Error reading max bet:', error);
+    return null;
+  }
+};
+
+export const readBankrollState = async (providerAddress, token = NATIVE_TOKEN) => {
+  const contract = getContract();
+  if (!contract) return null;
+
+  try {
+    const [pool, poolEquity, freeLiquidity, withdrawCooldown, position] = await Promise.all([
+      contract.pools(token),
+      contract.poolEquity(token),
+      contract.freeLiquidity(token),
+      contract.withdrawCooldown(),
+      providerAddress ? contract.getLiquidityPosition(token, providerAddress) : null,
+    ]);
+    return {
+      poolBalance: pool.balance,
+      poolEquity,
+      freeLiquidity,
+      totalShares: pool.totalShares,
+      withdrawCooldown: Number(withdrawCooldown),
+      shares: position ? position.shares : 0n,
+      value: position ? position.value : 0n,
+      unlockTime: position ? Number(position.unlockTime) : 0,
+    };
+  } catch (error) {
+    console.error('Error reading bankroll state:', error);
+    return null;
+  }
+};
+
+export const getAvailableCommitments = async () => {
   const contract = getContract();
   if (!contract) return 0n;
-  
+
   try {
-    const winnings = await contract.calculateWinnings(
-      gameData.betAmount,
-      gameData.totalMines,
-      gameData.revealedSafeTiles
-    );
-    return winnings;
+    return await contract.availableCommitments();
   } catch (error) {
-    console.error('Error calculating winnings:', error);
+    console.error('Error reading house seed commitments:', error);
     return 0n;
   }
 };
 
+// Polls until the house has revealed its seed and settled the player's game
+export const waitForSettlement = async (playerAddress, { interval = 2000, timeout = 120000 } = {}) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const status = await readGameStatus(playerAddress);
+    if (status && !status.isActive) return status;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error('The house has not settled this game yet. It will be settled once the house reveals its seed.');
+};
+
+// Seconds after its start when anyone may forfeit a game that was not cashed out, and after
+// a cash out request when anyone may pay out a cash out the house did not settle
+export const getGameTimeout = async () => {
+  const contract = getContract();
+  if (!contract) return null;
+
+  try {
+    return Number(await contract.gameTimeout());
+  } catch (error) {
+    console.error('Error reading game timeout:', error);
+    return null;
+  }
+};
+
+// Tunes the game and pauses new games; the admin view is for accounts holding it
+export const OPERATOR_ROLE = ethers.id('OPERATOR_ROLE');
+
+// What operators allow new games to be: paused or not, the mine range and the pool's bet limits
+export const readGameSettings = async (token = NATIVE_TOKEN) => {
+  const contract = getContract();
+  if (!contract) return null;
+
+  try {
+    const [paused, minMines, maxMines, pool] = await Promise.all([
+      contract.paused(),
+      contract.minMines(),
+      contract.maxMines(),
+      contract.pools(token),
+    ]);
+    return { paused, minMines: Number(minMines), maxMines: Number(maxMines), minBet: pool.minBet, maxBet: pool.maxBet };
+  } catch (error) {
+    console.error('Error reading game settings:', error);
+    return null;
+  }
+};
+
+// Which of the contract's management roles the account holds
+export const readRoles = async (account) => {
+  const contract = getContract();
+  if (!contract || !account) return { isOperator: false, isAdmin: false };
+
+  try {
+    const [isOperator, isAdmin] = await Promise.all([
+      contract.hasRole(OPERATOR_ROLE, account),
+      contract.hasRole(ethers.ZeroHash, account),
+    ]);
+    return { isOperator, isAdmin };
+  } catch (error) {
+    console.error('Error reading roles:', error);
+    return { isOperator: false, isAdmin: false };
+  }
+};
+
+export const getHouseEdge = async () => {
+  const contract = getContract();
+  if (!contract) return null;
+
+  try {
+    return Number(await contract.houseEdgeBps());
+  } catch (error) {
+    console.error('Error reading house edge:', error);
+    return null;
+  }
+};
+
 // Network switching
-export const switchToSomniaTestnet = async () => {
+export const switchToNetwork = async (network) => {
   if (typeof window !== 'undefined' && window.ethereum) {
+    const chainId = `0x${network.chainId.toString(16)}`;
     try {
       await window.ethereum.request({
         method: 'wallet_switchEthereumChain',
-        params: [{ chainId: `0x${somniaTestnet.chainId.toString(16)}` }],
+        params: [{ chainId }],
       });
     } catch (switchError) {
       // This error code indicates that the chain has not been added to MetaMask
@@ -194,12 +438,27 @@ export const switchToSomniaTestnet = async () => {
         try {
           await window.ethereum.request({
             method: 'wallet_addEthereumChain',
-            params: [somniaTestnet],
+            params: [{
+              chainId,
+              chainName: network.name,
+              nativeCurrency: network.nativeCurrency,
+              rpcUrls: network.rpcUrls.default.http,
+              blockExplorerUrls: network.blockExplorerUrls.length > 0 ? network.blockExplorerUrls : undefined,
+            }],
           });
         } catch (addError) {
-          console.error('Error adding Somnia Testnet to MetaMask:', addError);
+          console.error(`Error adding ${network.name} to MetaMask:`, addError);
         }
       }
     }
   }
+};
+
+export const switchToSomniaTestnet = () => switchToNetwork(somniaTestnet);
+
+export const getWalletChainId = async () => {
+  if (typeof window !== 'undefined' && window.ethereum) {
+    return Number(await window.ethereum.request({ method: 'eth_chainId' }));
+  }
+  return null;
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+import {
+  getAccount, getWalletChainId, readGameStatus, switchToSomniaTestnet, somniaTestnet, somniaMainnet,
+  getDeployment, getNetworkIssue
+} from './config';
+import { createFakeMinesGame } from './testing/fakeMinesGame';
+import { createMockEthereum, installMockEthereum, GAME_ADDRESS, PLAYER } from './testing/mockEthereum';
+
+const SOMNIA_TESTNET_HEX = '0xc488';
+
+let uninstall = null;
+
+const useWallet = (options) => {
+  const ethereum = createMockEthereum(options);
+  uninstall = installMockEthereum(ethereum);
+  return ethereum;
+};
+
+afterEach(() => {
+  uninstall?.();
+  uninstall = null;
+});
+
+describe('getAccount', () => {
+  it('asks the wallet for its accounts and returns the first', async () => {
+    const ethereum = useWallet();
+    expect(await getAccount()).toBe(PLAYER);
+    expect(ethereum.requestsFor('eth_requestAccounts')).toHaveLength(1);
+  });
+
+  it('returns null without a wallet', async () => {
+    expect(await getAccount()).toBeNull();
+  });
+
+  it('passes on a rejected connection', async () => {
+    const ethereum = useWallet();
+    ethereum.override('eth_requestAccounts', () => {
+      throw Object.assign(new Error('User rejected the request.'), { code: 4001 });
+    });
+    await expect(getAccount()).rejects.toMatchObject({ code: 4001 });
+  });
+});
+
+describe('switchToSomniaTestnet', () => {
+  it('switches a wallet that knows the chain', async () => {
+    const ethereum = useWallet({ chainId: 1, chains: [1, somniaTestnet.chainId] });
+    await switchToSomniaTestnet();
+
+    expect(ethereum.requestsFor('wallet_switchEthereumChain')[0].params).toEqual([{ chainId: SOMNIA_TESTNET_HEX }]);
+    expect(ethereum.requestsFor('wallet_addEthereumChain')).toHaveLength(0);
+    expect(await getWalletChainId()).toBe(somniaTestnet.chainId);
+  });
+
+  it('adds the chain when the wallet answers 4902', async () => {
+    const ethereum = useWallet({ chainId: 1, chains: [1] });
+    await switchToSomniaTestnet();
+
+    expect(ethereum.requestsFor('wallet_addEthereumChain')[0].params).toEqual([{
+      chainId: SOMNIA_TESTNET_HEX,
+      chainName: 'Somnia Testnet',
+      nativeCurrency: { name: 'Somnia Token', symbol: 'STT', decimals: 18 },
+      rpcUrls: ['https://dream-rpc.somnia.network'],
+      blockExplorerUrls: ['https://shannon-explorer.somnia.network'],
+    }]);
+    expect(await getWalletChainId()).toBe(somniaTestnet.chainId);
+  });
+
+  it('does not add the chain when the switch is rejected', async () => {
+    const ethereum = useWallet({ chainId: 1, chains: [1] });
+    ethereum.override('wallet_switchEthereumChain', () => {
+      throw Object.assign(new Error('User rejected the request.'), { code: 4001 });
+    });
+    await switchToSomniaTestnet();
+
+    expect(ethereum.requestsFor('wallet_addEthereumChain')).toHaveLength(0);
+    expect(await getWalletChainId()).toBe(1);
+  });
+});
+
+describe('getNetworkIssue', () => {
+  it('plays on a deployment recorded with the app\'s ABI', () => {
+    expect(getNetworkIssue(somniaTestnet.chainId)).toBeNull();
+    expect(getNetworkIssue(somniaMainnet.chainId)).toBe('not-deployed');
+    expect(getNetworkIssue(1)).toBe('unsupported');
+  });
+
+  it('does not trust a deployment without an ABI hash', () => {
+    const deployment = getDeployment(somniaTestnet.chainId);
+    const { abiHash } = deployment;
+    deployment.abiHash = null;
+    try {
+      expect(getNetworkIssue(somniaTestnet.chainId)).toBe('outdated');
+    } finally {
+      deployment.abiHash = abiHash;
+    }
+  });
+});
+
+describe('readGameStatus', () => {
+  it('reads the game and when it started', async () => {
+    const minesGame = createFakeMinesGame();
+    minesGame.setGame(PLAYER, {
+      betAmount: 10n ** 17n,
+      totalMines: 3,
+      boardSize: 5,
+      isActive: true,
+      revealedTiles: Array(25).fill(false),
+      houseEdgeBps: 100,
+    }, 1700000000);
+    useWallet({ contracts: { [GAME_ADDRESS]: minesGame } });
+
+    expect(await readGameStatus(PLAYER)).toMatchObject({
+      player: PLAYER,
+      betAmount: '100000000000000000',
+      totalMines: 3,
+      boardSize: 5,
+      isActive: true,
+      startedAt: 1700000000,
+    });
+  });
+});
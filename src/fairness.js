@@ -0,0 +1,41 @@
+/* global BigInt */
+import { ethers } from 'ethers';
+import { tileCount } from './payout';
+
+export const generateClientSeed = () => ethers.hexlify(ethers.randomBytes(32));
+
+// Any phrase works as a client seed; it is hashed unless already a bytes32 value
+export const toClientSeed = (value) => (
+  ethers.isHexString(value, 32) ? value : ethers.id(value)
+);
+
+// Mirrors MinesGame.generateMineLocations: a partial Fisher-Yates shuffle
+// driven by keccak256(serverSeed, clientSeed)
+export const computeMineLocations = (serverSeed, clientSeed, totalTiles, mineCount) => {
+  const seed = ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [serverSeed, clientSeed]);
+  const tiles = Array.from({ length: totalTiles }, (_, i) => i);
+
+  const mineLocations = [];
+  for (let i = 0; i < mineCount; i++) {
+    const roll = BigInt(ethers.solidityPackedKeccak256(['bytes32', 'uint8'], [seed, i]));
+    const j = i + Number(roll % BigInt(totalTiles - i));
+    [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+    mineLocations.push(tiles[i]);
+  }
+  return mineLocations;
+};
+
+// Checks a settled game against its commitment and recomputes the board
+export const verifyGame = ({ serverSeed, serverSeedHash, clientSeed, boardSize, totalMines, mineLocations }) => {
+  const hashMatches = ethers.keccak256(serverSeed).toLowerCase() === serverSeedHash.toLowerCase();
+  const computedMines = computeMineLocations(serverSeed, clientSeed, tileCount(boardSize), totalMines);
+  const onChainMines = [...(mineLocations || [])].sort((a, b) => a - b);
+  const boardMatches = [...computedMines].sort((a, b) => a - b).join(',') === onChainMines.join(',');
+
+  return {
+    hashMatches,
+    boardMatches,
+    computedMines,
+    isValid: hashMatches && boardMatches,
+  };
+};
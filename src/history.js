@@ -0,0 +1,183 @@
+import { getContract, getProvider, getDeploymentBlock } from './config';
+import { MULTIPLIER_PRECISION, multiplierToNumber } from './payout';
+import { findToken, formatTokenAmount } from './tokens';
+import { queryFilterInChunks } from './liveFeed';
+
+const byChainOrder = (a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index);
+
+// Rebuilds a player's rounds from raw contract logs. Rounds are matched to their
+// settlement, forfeit or timed-out cash out through the server seed hash; the TileRevealed and
+// GameWon/GameLost logs of a settlement share its transaction.
+export const buildRounds = ({ started, settled, revealed, won, lost, forfeited = [], timedOut = [] }, timestamps = {}) => {
+  const byTx = (events) => events.reduce((acc, event) => {
+    (acc[event.transactionHash] ||= []).push(event);
+    return acc;
+  }, {});
+  const revealedByTx = byTx(revealed);
+  const wonByTx = byTx(won);
+  const lostByTx = byTx(lost);
+  const settledByHash = Object.fromEntries(settled.map(event => [event.args.serverSeedHash, event]));
+  const forfeitedByHash = Object.fromEntries(forfeited.map(event => [event.args.serverSeedHash, event]));
+  const timedOutByHash = Object.fromEntries(timedOut.map(event => [event.args.serverSeedHash, event]));
+
+  return [...started].sort(byChainOrder).map(event => {
+    const betAmount = event.args.betAmount;
+    const settlement = settledByHash[event.args.serverSeedHash];
+    const round = {
+      serverSeedHash: event.args.serverSeedHash,
+      clientSeed: event.args.clientSeed,
+      serverSeed: null,
+      token: event.args.token,
+      betAmount,
+      boardSize: Number(event.args.boardSize),
+      mineCount: Number(event.args.mineCount),
+      tilesRevealed: 0,
+      pickedTiles: [],
+      outcome: 'active',
+      payout: 0n,
+      profit: 0n,
+      multiplier: 0,
+      blockNumber: event.blockNumber,
+      timestamp: timestamps[event.blockNumber] ?? null,
+      startTx: event.transactionHash,
+      settleTx: null,
+    };
+    // A forfeited game never reveals its seed, so its picks and mines stay unknown
+    const forfeit = forfeitedByHash[event.args.serverSeedHash];
+    if (forfeit) return { ...round, outcome: 'forfeited', profit: -betAmount, settleTx: forfeit.transactionHash };
+    // Neither does a cash out the house left unsettled, which pays out as a win
+    const timeout = timedOutByHash[event.args.serverSeedHash];
+    if (timeout) {
+      const payout = timeout.args.payout;
+      return {
+        ...round,
+        outcome: 'won',
+        payout,
+        profit: payout - betAmount,
+        multiplier: betAmount > 0n ? multiplierToNumber((payout * MULTIPLIER_PRECISION) / betAmount) : 0,
+        settleTx: timeout.transactionHash,
+      };
+    }
+    if (!settlement) return round;
+
+    const tx = settlement.transactionHash;
+    const reveals = (revealedByTx[tx] || []).sort(byChainOrder);
+    const payout = wonByTx[tx]?.[0]?.args.payout ?? 0n;
+
+    return {
+      ...round,
+      serverSeed: settlement.args.serverSeed,
+      tilesRevealed: reveals.filter(reveal => !reveal.args.isMine).length,
+      pickedTiles: reveals.map(reveal => Number(reveal.args.tileIndex)),
+      outcome: lostByTx[tx] ? 'lost' : 'won',
+      payout,
+      profit: payout - betAmount,
+      multiplier: betAmount > 0n ? multiplierToNumber((payout * MULTIPLIER_PRECISION) / betAmount) : 0,
+      settleTx: tx,
+    };
+  });
+};
+
+export const fetchGameHistory = async (player) => {
+  const contract = getContract();
+  if (!contract || !player) return [];
+
+  const [started, settled, revealed, won, lost, forfeited, timedOut] = await queryFilterInChunks(contract, [
+    contract.filters.GameStarted(player),
+    contract.filters.GameSettled(player),
+    contract.filters.TileRevealed(player),
+    contract.filters.GameWon(player),
+    contract.filters.GameLost(player),
+    contract.filters.GameForfeited(player),
+    contract.filters.CashOutTimedOut(player),
+  ], getDeploymentBlock());
+
+  const provider = getProvider();
+  const blockNumbers = [...new Set(started.map(event => event.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map(blockNumber => provider.getBlock(blockNumber)));
+  const timestamps = Object.fromEntries(blocks.filter(Boolean).map(block => [block.number, block.timestamp]));
+
+  return buildRounds({ started, settled, revealed, won, lost, forfeited, timedOut }, timestamps);
+};
+
+// Aggregates settled rounds; rounds still running are left out. Amounts are summed
+// as they are, so pass the rounds of a single token.
+export const computeStats = (rounds) => {
+  const finished = rounds.filter(round => round.outcome !== 'active');
+  const byBoard = {};
+  let wins = 0;
+  let wagered = 0n;
+  let paidOut = 0n;
+  let biggestMultiplier = 0;
+
+  for (const round of finished) {
+    const won = round.outcome === 'won';
+    if (won) wins++;
+    wagered += round.betAmount;
+    paidOut += round.payout;
+    biggestMultiplier = Math.max(biggestMultiplier, round.multiplier);
+
+    const key = `${round.boardSize}:${round.mineCount}`;
+    const group = (byBoard[key] ||= {
+      boardSize: round.boardSize, mineCount: round.mineCount, games: 0, wins: 0, netProfit: 0n,
+    });
+    group.games++;
+    if (won) group.wins++;
+    group.netProfit += round.profit;
+  }
+
+  return {
+    games: finished.length,
+    wins,
+    losses: finished.length - wins,
+    winRate: finished.length > 0 ? wins / finished.length : 0,
+    wagered,
+    paidOut,
+    netProfit: paidOut - wagered,
+    biggestMultiplier,
+    byBoard: Object.values(byBoard).sort((a, b) => (a.boardSize - b.boardSize) || (a.mineCount - b.mineCount)),
+  };
+};
+
+const EXPORT_COLUMNS = [
+  'startedAt', 'block', 'token', 'board', 'mines', 'bet', 'tilesRevealed', 'pickedTiles', 'outcome', 'payout',
+  'profit', 'multiplier', 'serverSeedHash', 'serverSeed', 'clientSeed', 'startTx', 'settleTx',
+];
+
+// Amounts are written in whole tokens of the round's token; tokens lists their symbols and decimals
+const exportRow = (round, tokens) => {
+  const token = findToken(tokens, round.token);
+  return {
+    startedAt: round.timestamp ? new Date(round.timestamp * 1000).toISOString() : '',
+    block: round.blockNumber,
+    token: token.symbol,
+    board: `${round.boardSize}x${round.boardSize}`,
+    mines: round.mineCount,
+    bet: formatTokenAmount(round.betAmount, token),
+    tilesRevealed: round.tilesRevealed,
+    pickedTiles: round.pickedTiles.join(' '),
+    outcome: round.outcome,
+    payout: formatTokenAmount(round.payout, token),
+    profit: formatTokenAmount(round.profit, token),
+    multiplier: round.multiplier,
+    serverSeedHash: round.serverSeedHash,
+    serverSeed: round.serverSeed || '',
+    clientSeed: round.clientSeed,
+    startTx: round.startTx,
+    settleTx: round.settleTx || '',
+  };
+};
+
+export const roundsToJSON = (rounds, tokens) => JSON.stringify(rounds.map(round => exportRow(round, tokens)), null, 2);
+
+export const roundsToCSV = (rounds, tokens) => {
+  const rows = rounds.map(round => exportRow(round, tokens));
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    EXPORT_COLUMNS.join(','),
+    ...rows.map(row => EXPORT_COLUMNS.map(column => escape(row[column])).join(',')),
+  ].join('\n');
+};
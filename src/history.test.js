@@ -0,0 +1,154 @@
+import { ethers } from 'ethers';
+import { buildRounds, computeStats, roundsToCSV, roundsToJSON } from './history';
+import { PLAYER } from './testing/mockEthereum';
+
+const ETH = (amount) => ethers.parseEther(amount);
+const NATIVE = { address: ethers.ZeroAddress, symbol: 'STT', decimals: 18, allowed: true };
+const TOKENS = [NATIVE];
+
+// Logs shaped like the ones ethers returns from queryFilter
+const log = (blockNumber, index, transactionHash, args) => ({ blockNumber, index, transactionHash, args: { player: PLAYER, ...args } });
+const hash = (name) => ethers.id(`server seed ${name}`);
+const tx = (name) => ethers.id(`tx ${name}`);
+
+const start = (name, blockNumber, { boardSize = 5n, mineCount = 3n, betAmount = ETH('1'), token = ethers.ZeroAddress } = {}) => log(
+  blockNumber, 0, tx(`start ${name}`),
+  { token, betAmount, boardSize, mineCount, serverSeedHash: hash(name), clientSeed: ethers.id(`client seed ${name}`) },
+);
+const settle = (name, blockNumber) => log(
+  blockNumber, 9, tx(name), { serverSeedHash: hash(name), serverSeed: ethers.id(`revealed ${name}`), clientSeed: ethers.id(`client seed ${name}`) },
+);
+const reveal = (name, blockNumber, index, tileIndex, isMine) => log(blockNumber, index, tx(name), { tileIndex: window.BigInt(tileIndex), isMine });
+
+// A win and a loss settled by the house, a forfeit, a cash out paid after the house
+// stalled and a round still running. Starts are passed out of order on purpose.
+const events = {
+  started: [
+    start('open', 16),
+    start('won', 10),
+    start('timed out', 15),
+    start('lost', 13),
+    start('forfeited', 14, { mineCount: 5n }),
+  ],
+  settled: [settle('won', 12), settle('lost', 13)],
+  revealed: [
+    reveal('won', 12, 2, 4, false),
+    reveal('won', 12, 1, 7, false),
+    reveal('lost', 13, 1, 2, false),
+    reveal('lost', 13, 2, 9, true),
+  ],
+  won: [log(12, 10, tx('won'), { payout: ETH('1.5') })],
+  lost: [log(13, 10, tx('lost'), {})],
+  forfeited: [log(14, 3, tx('forfeit'), { serverSeedHash: hash('forfeited'), caller: PLAYER })],
+  timedOut: [log(20, 0, tx('timeout'), { serverSeedHash: hash('timed out'), payout: ETH('2'), caller: PLAYER })],
+};
+
+describe('buildRounds', () => {
+  it('matches each start to how it ended, oldest first', () => {
+    const rounds = buildRounds(events, { 10: 1700000000 });
+
+    expect(rounds.map(round => round.outcome)).toEqual(['won', 'lost', 'forfeited', 'won', 'active']);
+    const [won, lost, forfeited, timedOut, open] = rounds;
+
+    expect(won).toEqual(expect.objectContaining({
+      serverSeed: ethers.id('revealed won'),
+      tilesRevealed: 2,
+      pickedTiles: [7, 4],
+      payout: ETH('1.5'),
+      profit: ETH('0.5'),
+      multiplier: 1.5,
+      timestamp: 1700000000,
+      startTx: tx('start won'),
+      settleTx: tx('won'),
+    }));
+
+    // The mine counts as a pick but not as a revealed tile
+    expect(lost).toEqual(expect.objectContaining({ tilesRevealed: 1, pickedTiles: [2, 9], payout: 0n, profit: -ETH('1'), multiplier: 0 }));
+
+    // Neither a forfeit nor a stalled cash out reveals the seed or the picks
+    expect(forfeited).toEqual(expect.objectContaining({
+      mineCount: 5, serverSeed: null, pickedTiles: [], payout: 0n, profit: -ETH('1'), settleTx: tx('forfeit'),
+    }));
+    expect(timedOut).toEqual(expect.objectContaining({
+      serverSeed: null, pickedTiles: [], payout: ETH('2'), profit: ETH('1'), multiplier: 2, settleTx: tx('timeout'),
+    }));
+
+    expect(open).toEqual(expect.objectContaining({ serverSeed: null, payout: 0n, profit: 0n, timestamp: null, settleTx: null }));
+  });
+
+  it('returns no rounds for a player who never started one', () => {
+    expect(buildRounds({ started: [], settled: [], revealed: [], won: [], lost: [] })).toEqual([]);
+  });
+});
+
+describe('computeStats', () => {
+  it('counts finished rounds only and groups them by board', () => {
+    const stats = computeStats(buildRounds(events));
+
+    expect(stats).toEqual({
+      games: 4,
+      wins: 2,
+      losses: 2,
+      winRate: 0.5,
+      wagered: ETH('4'),
+      paidOut: ETH('3.5'),
+      netProfit: -ETH('0.5'),
+      biggestMultiplier: 2,
+      byBoard: [
+        { boardSize: 5, mineCount: 3, games: 3, wins: 2, netProfit: ETH('0.5') },
+        { boardSize: 5, mineCount: 5, games: 1, wins: 0, netProfit: -ETH('1') },
+      ],
+    });
+  });
+
+  it('has a zero win rate before any round finishes', () => {
+    const stats = computeStats(buildRounds({ ...events, started: [start('open', 16)] }));
+    expect(stats).toEqual(expect.objectContaining({ games: 0, winRate: 0, wagered: 0n, byBoard: [] }));
+  });
+});
+
+describe('exports', () => {
+  it('writes one JSON object per round with amounts in whole tokens', () => {
+    const [won, , forfeited] = JSON.parse(roundsToJSON(buildRounds(events, { 10: 1700000000 }), TOKENS));
+
+    expect(won).toEqual({
+      startedAt: '2023-11-14T22:13:20.000Z',
+      block: 10,
+      token: 'STT',
+      board: '5x5',
+      mines: 3,
+      bet: '1.0',
+      tilesRevealed: 2,
+      pickedTiles: '7 4',
+      outcome: 'won',
+      payout: '1.5',
+      profit: '0.5',
+      multiplier: 1.5,
+      serverSeedHash: hash('won'),
+      serverSeed: ethers.id('revealed won'),
+      clientSeed: ethers.id('client seed won'),
+      startTx: tx('start won'),
+      settleTx: tx('won'),
+    });
+    expect(forfeited).toEqual(expect.objectContaining({ startedAt: '', outcome: 'forfeited', profit: '-1.0', serverSeed: '' }));
+  });
+
+  it('quotes CSV fields holding quotes, commas or line breaks', () => {
+    const token = { address: '0x1111111111111111111111111111111111111111', symbol: 'Odd "USD",\nv2', decimals: 6, allowed: true };
+    const rounds = buildRounds({
+      ...events,
+      started: [start('open', 16, { token: token.address, betAmount: 2500000n })],
+    });
+
+    const [header, ...rows] = roundsToCSV(rounds, [NATIVE, token]).split('\n');
+
+    expect(header).toBe(
+      'startedAt,block,token,board,mines,bet,tilesRevealed,pickedTiles,outcome,payout,profit,multiplier,serverSeedHash,serverSeed,clientSeed,startTx,settleTx'
+    );
+    // The symbol's line break stays inside its quoted field
+    expect(rows).toEqual([
+      ',16,"Odd ""USD"",',
+      `v2",5x5,3,2.5,0,,active,0.0,0.0,0,${hash('open')},,${ethers.id('client seed open')},${tx('start open')},`,
+    ]);
+  });
+});
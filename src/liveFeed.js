@@ -0,0 +1,205 @@
+// Live feed and leaderboards of every player's rounds, built from contract events.
+// Takes any ethers v6 MinesGame contract, so the contract tests can feed it from a
+// Hardhat node the same way the app feeds it from the wallet's provider. Kept in
+// CommonJS like payout.js for the same reason.
+const { MULTIPLIER_PRECISION, multiplierToNumber } = require('./payout');
+
+const DEFAULT_CHUNK_SIZE = 5000;
+const DEFAULT_POLL_INTERVAL = 4000;
+const DAY_SECONDS = 24 * 60 * 60;
+
+const byTransaction = (events) => {
+  const grouped = new Map();
+  for (const event of events) {
+    if (!grouped.has(event.transactionHash)) grouped.set(event.transactionHash, []);
+    grouped.get(event.transactionHash).push(event);
+  }
+  return grouped;
+};
+
+// Finished rounds of all players between two blocks, newest first: settled ones, forfeited
+// ones as losses and cash outs paid after the house stalled as wins. startedGames caches
+// GameStarted data by server seed hash so rounds started in an earlier range still match.
+const fetchRounds = async (contract, fromBlock, toBlock, startedGames = new Map()) => {
+  const provider = contract.runner.provider;
+  const [started, settled, won, lost, forfeited, timedOut] = await Promise.all([
+    contract.queryFilter(contract.filters.GameStarted(), fromBlock, toBlock),
+    contract.queryFilter(contract.filters.GameSettled(), fromBlock, toBlock),
+    contract.queryFilter(contract.filters.GameWon(), fromBlock, toBlock),
+    contract.queryFilter(contract.filters.GameLost(), fromBlock, toBlock),
+    contract.queryFilter(contract.filters.GameForfeited(), fromBlock, toBlock),
+    contract.queryFilter(contract.filters.CashOutTimedOut(), fromBlock, toBlock),
+  ]);
+
+  for (const event of started) {
+    startedGames.set(event.args.serverSeedHash, {
+      token: event.args.token,
+      betAmount: event.args.betAmount,
+      boardSize: Number(event.args.boardSize),
+      mineCount: Number(event.args.mineCount),
+    });
+  }
+
+  const wonByTx = byTransaction(won);
+  const lostByTx = byTransaction(lost);
+  const endings = [
+    ...settled.map(event => {
+      const { player } = event.args;
+      const winEvent = (wonByTx.get(event.transactionHash) || []).find(win => win.args.player === player);
+      const isLoss = (lostByTx.get(event.transactionHash) || []).some(loss => loss.args.player === player);
+      return { event, isWin: !isLoss, payout: !isLoss && winEvent ? winEvent.args.payout : 0n };
+    }),
+    ...forfeited.map(event => ({ event, isWin: false, payout: 0n })),
+    ...timedOut.map(event => ({ event, isWin: true, payout: event.args.payout })),
+  ];
+  const timestamps = new Map();
+  const rounds = [];
+
+  for (const { event, isWin, payout } of endings) {
+    const { player, serverSeedHash } = event.args;
+    let start = startedGames.get(serverSeedHash);
+    if (!start) {
+      // Started before the synced range: the finished game is still stored for the player.
+      // Nodes without historical state cannot answer, so such rounds are left out.
+      try {
+        const game = await contract.getGameStatus(player, { blockTag: event.blockNumber });
+        start = {
+          token: game.token,
+          betAmount: game.betAmount,
+          boardSize: Number(game.boardSize),
+          mineCount: Number(game.totalMines),
+        };
+      } catch {
+        continue;
+      }
+    }
+
+    if (!timestamps.has(event.blockNumber)) {
+      const block = await provider.getBlock(event.blockNumber);
+      timestamps.set(event.blockNumber, block ? block.timestamp : null);
+    }
+
+    rounds.push({
+      player,
+      token: start.token,
+      betAmount: start.betAmount,
+      boardSize: start.boardSize,
+      mineCount: start.mineCount,
+      won: isWin,
+      payout,
+      profit: payout - start.betAmount,
+      multiplier: start.betAmount > 0n ? multiplierToNumber((payout * MULTIPLIER_PRECISION) / start.betAmount) : 0,
+      blockNumber: event.blockNumber,
+      logIndex: event.index,
+      timestamp: timestamps.get(event.blockNumber),
+      txHash: event.transactionHash,
+    });
+  }
+
+  return rounds.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+};
+
+// Runs each filter from fromBlock to the latest block, chunkSize blocks per query, like the
+// feed below, since public RPCs cap the range eth_getLogs may span. Returns one event list
+// per filter.
+const queryFilterInChunks = async (contract, filters, fromBlock = 0, { chunkSize = DEFAULT_CHUNK_SIZE } = {}) => {
+  const latest = await contract.runner.provider.getBlockNumber();
+  const results = filters.map(() => []);
+  for (let start = fromBlock; start <= latest; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, latest);
+    const chunk = await Promise.all(filters.map(filter => contract.queryFilter(filter, start, end)));
+    chunk.forEach((events, i) => results[i].push(...events));
+  }
+  return results;
+};
+
+// Adds new rounds to a newest-first list, skipping any already present
+const mergeRounds = (rounds, incoming) => {
+  const seen = new Set(rounds.map(round => `${round.txHash}:${round.logIndex}`));
+  const fresh = incoming.filter(round => !seen.has(`${round.txHash}:${round.logIndex}`));
+  if (fresh.length === 0) return rounds;
+  return [...fresh, ...rounds].sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+};
+
+// Players ranked by net profit and single rounds ranked by multiplier, optionally
+// only counting rounds settled at or after `since` (unix seconds). Profits in different
+// tokens do not add up, so callers pass the rounds of a single token.
+const buildLeaderboard = (rounds, { since = null, limit = 10 } = {}) => {
+  const counted = since === null ? rounds : rounds.filter(round => round.timestamp !== null && round.timestamp >= since);
+
+  const players = new Map();
+  for (const round of counted) {
+    const entry = players.get(round.player) || { player: round.player, profit: 0n, games: 0, wins: 0 };
+    entry.profit += round.profit;
+    entry.games++;
+    if (round.won) entry.wins++;
+    players.set(round.player, entry);
+  }
+
+  const byProfit = [...players.values()]
+    .sort((a, b) => (a.profit === b.profit ? 0 : a.profit > b.profit ? -1 : 1))
+    .slice(0, limit);
+  const byMultiplier = counted
+    .filter(round => round.won)
+    .sort((a, b) => b.multiplier - a.multiplier)
+    .slice(0, limit);
+
+  return { byProfit, byMultiplier };
+};
+
+const buildLeaderboards = (rounds, { now = Math.floor(Date.now() / 1000), limit = 10 } = {}) => ({
+  daily: buildLeaderboard(rounds, { since: now - DAY_SECONDS, limit }),
+  allTime: buildLeaderboard(rounds, { limit }),
+});
+
+// Polls for new rounds from fromBlock on and hands each batch to onRounds. A failed
+// poll (dropped connection, RPC error) keeps its place and retries from the same
+// block, so nothing is missed across reconnects. Returns a function that stops it.
+const createLiveFeed = ({
+  contract,
+  fromBlock = 0,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  pollInterval = DEFAULT_POLL_INTERVAL,
+  onRounds,
+  onSynced,
+  onError,
+}) => {
+  const provider = contract.runner.provider;
+  const startedGames = new Map();
+  let nextBlock = fromBlock;
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    try {
+      const latest = await provider.getBlockNumber();
+      while (!stopped && nextBlock <= latest) {
+        const toBlock = Math.min(nextBlock + chunkSize - 1, latest);
+        const rounds = await fetchRounds(contract, nextBlock, toBlock, startedGames);
+        if (stopped) return;
+        if (rounds.length > 0) onRounds(rounds);
+        nextBlock = toBlock + 1;
+      }
+      if (!stopped && onSynced) onSynced(nextBlock);
+    } catch (error) {
+      if (!stopped && onError) onError(error);
+    } finally {
+      if (!stopped) timer = setTimeout(poll, pollInterval);
+    }
+  };
+
+  poll();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+module.exports = {
+  fetchRounds,
+  queryFilterInChunks,
+  mergeRounds,
+  buildLeaderboard,
+  buildLeaderboards,
+  createLiveFeed,
+};
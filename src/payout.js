@@ -0,0 +1,47 @@
+/* global BigInt */
+// Mirrors MinesGame.calculateMultiplier/calculatePayout step for step so the
+// app shows exactly what the contract pays. Kept in CommonJS so the contract
+// tests in contracts/test can require it and check the two agree.
+
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 8;
+const DEFAULT_BOARD_SIZE = 5;
+const MULTIPLIER_PRECISION = 10n ** 18n;
+const BASIS_POINTS = 10000n;
+
+// Boards are square; boardSize is the number of tiles per side
+const tileCount = (boardSize) => {
+  if (boardSize < MIN_BOARD_SIZE || boardSize > MAX_BOARD_SIZE) throw new Error('Invalid board size');
+  return boardSize * boardSize;
+};
+
+const calculateMultiplier = (totalTiles, totalMines, revealedSafeTiles, houseEdgeBps) => {
+  if (totalMines >= totalTiles) throw new Error('Too many mines');
+  if (revealedSafeTiles > totalTiles - totalMines) throw new Error('Too many safe tiles');
+
+  let multiplier = MULTIPLIER_PRECISION;
+  for (let i = 0; i < revealedSafeTiles; i++) {
+    multiplier = (multiplier * BigInt(totalTiles - i)) / BigInt(totalTiles - totalMines - i);
+  }
+  return (multiplier * (BASIS_POINTS - BigInt(houseEdgeBps))) / BASIS_POINTS;
+};
+
+const calculatePayout = (betAmount, totalTiles, totalMines, revealedSafeTiles, houseEdgeBps) => {
+  if (revealedSafeTiles === 0) return 0n;
+  return (BigInt(betAmount) * calculateMultiplier(totalTiles, totalMines, revealedSafeTiles, houseEdgeBps)) / MULTIPLIER_PRECISION;
+};
+
+// 18-decimal fixed point to a display number, e.g. 1.98e18 -> 1.98
+const multiplierToNumber = (multiplier) => Number((multiplier * 10000n) / MULTIPLIER_PRECISION) / 10000;
+
+module.exports = {
+  MIN_BOARD_SIZE,
+  MAX_BOARD_SIZE,
+  DEFAULT_BOARD_SIZE,
+  MULTIPLIER_PRECISION,
+  BASIS_POINTS,
+  tileCount,
+  calculateMultiplier,
+  calculatePayout,
+  multiplierToNumber,
+};
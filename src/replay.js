@@ -0,0 +1,74 @@
+import { ethers } from 'ethers';
+import { getContract, getProvider, getDeploymentBlock } from './config';
+import { computeMineLocations } from './fairness';
+import { queryFilterInChunks } from './liveFeed';
+import { tileCount } from './payout';
+
+// ?replay=0x... opens the replay of the round that transaction settled
+export const getSharedReplayTx = () => {
+  const txHash = new URLSearchParams(window.location.search).get('replay');
+  return txHash && ethers.isHexString(txHash, 32) ? txHash : null;
+};
+
+export const getReplayUrl = (txHash) => `${window.location.origin}${window.location.pathname}?replay=${txHash}`;
+
+// The settlement transaction of one of the player's rounds, or null while it is unsettled
+export const findSettlementTx = async (player, serverSeedHash) => {
+  const contract = getContract();
+  if (!contract) return null;
+  const [settled] = await queryFilterInChunks(contract, [contract.filters.GameSettled(player)], getDeploymentBlock());
+  return settled.find(event => event.args.serverSeedHash === serverSeedHash)?.transactionHash || null;
+};
+
+// Rebuilds a round from logs alone. `events` are the parsed logs of the settlement
+// transaction: its TileRevealed logs give the picks in the order the contract checked them,
+// and GameSettled the seeds the mine layout is derived from. `started` is the round's
+// GameStarted event, which gives the bet and the board.
+export const buildReplay = ({ txHash, events, started }) => {
+  const settled = events.find(event => event.name === 'GameSettled');
+  if (!settled) throw new Error('This transaction did not settle a game.');
+  const { player, serverSeed, clientSeed } = settled.args;
+  const { token, betAmount, boardSize, mineCount } = started.args;
+  const won = events.find(event => event.name === 'GameWon' && event.args.player === player);
+
+  return {
+    txHash,
+    player,
+    token,
+    betAmount,
+    boardSize: Number(boardSize),
+    totalMines: Number(mineCount),
+    mineLocations: computeMineLocations(serverSeed, clientSeed, tileCount(Number(boardSize)), Number(mineCount)),
+    reveals: events
+      .filter(event => event.name === 'TileRevealed' && event.args.player === player)
+      .map(event => ({ tile: Number(event.args.tileIndex), isMine: event.args.isMine })),
+    won: Boolean(won),
+    payout: won ? won.args.payout : 0n,
+  };
+};
+
+// Reads the settlement transaction and finds the GameStarted event with the same seed
+// hash. Only logs are used, so any RPC node can serve it, not just archive nodes.
+export const fetchReplay = async (txHash) => {
+  const contract = getContract();
+  const provider = getProvider();
+  if (!contract || !provider) throw new Error('No contract instance available');
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) throw new Error('Transaction not found on this network.');
+
+  const address = (await contract.getAddress()).toLowerCase();
+  const events = receipt.logs
+    .filter(log => log.address.toLowerCase() === address)
+    .map(log => contract.interface.parseLog(log))
+    .filter(Boolean);
+  const settled = events.find(event => event.name === 'GameSettled');
+  if (!settled) throw new Error('This transaction did not settle a game.');
+
+  const { player, serverSeedHash } = settled.args;
+  const [starts] = await queryFilterInChunks(contract, [contract.filters.GameStarted(player)], getDeploymentBlock());
+  const started = starts.find(event => event.args.serverSeedHash === serverSeedHash);
+  if (!started) throw new Error('The start of this round was not found.');
+
+  return buildReplay({ txHash, events, started });
+};
@@ -0,0 +1,68 @@
+import { ethers } from 'ethers';
+import { buildReplay } from './replay';
+import { computeMineLocations } from './fairness';
+import { PLAYER } from './testing/mockEthereum';
+
+const SERVER_SEED = ethers.id('replay server seed');
+const CLIENT_SEED = ethers.id('replay client seed');
+const BET = ethers.parseEther('0.1');
+const OTHER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const MINES = computeMineLocations(SERVER_SEED, CLIENT_SEED, 25, 3);
+const SAFE = [...Array(25).keys()].filter(tile => !MINES.includes(tile));
+
+const started = {
+  args: {
+    player: PLAYER, token: ethers.ZeroAddress, betAmount: BET, boardSize: 5n, mineCount: 3n,
+    serverSeedHash: ethers.keccak256(SERVER_SEED), clientSeed: CLIENT_SEED,
+  },
+};
+
+const settled = {
+  name: 'GameSettled',
+  args: { player: PLAYER, serverSeedHash: ethers.keccak256(SERVER_SEED), serverSeed: SERVER_SEED, clientSeed: CLIENT_SEED },
+};
+
+const revealed = (player, tile, isMine) => ({ name: 'TileRevealed', args: { player, tileIndex: window.BigInt(tile), isMine } });
+
+describe('buildReplay', () => {
+  it('derives the board from the settled seeds and keeps the picks in order', () => {
+    const events = [
+      revealed(PLAYER, SAFE[3], false),
+      revealed(PLAYER, SAFE[0], false),
+      // A relayed batch can settle someone else's round in the same transaction
+      revealed(OTHER, SAFE[1], false),
+      settled,
+      { name: 'GameWon', args: { player: OTHER, payout: BET } },
+      { name: 'GameWon', args: { player: PLAYER, payout: ethers.parseEther('0.12') } },
+    ];
+
+    expect(buildReplay({ txHash: '0xabc', events, started })).toEqual({
+      txHash: '0xabc',
+      player: PLAYER,
+      token: ethers.ZeroAddress,
+      betAmount: BET,
+      boardSize: 5,
+      totalMines: 3,
+      mineLocations: MINES,
+      reveals: [{ tile: SAFE[3], isMine: false }, { tile: SAFE[0], isMine: false }],
+      won: true,
+      payout: ethers.parseEther('0.12'),
+    });
+  });
+
+  it('shows a lost round with the mine that ended it on the board', () => {
+    const events = [revealed(PLAYER, SAFE[0], false), revealed(PLAYER, MINES[1], true), settled, { name: 'GameLost', args: { player: PLAYER } }];
+
+    const replay = buildReplay({ txHash: '0xabc', events, started });
+
+    expect(replay.won).toBe(false);
+    expect(replay.payout).toBe(0n);
+    expect(replay.mineLocations).toContain(replay.reveals[1].tile);
+  });
+
+  it('rejects a transaction that settled no game', () => {
+    expect(() => buildReplay({ txHash: '0xabc', events: [revealed(PLAYER, 0, false)], started }))
+      .toThrow('This transaction did not settle a game.');
+  });
+});
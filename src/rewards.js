@@ -0,0 +1,69 @@
+import { ethers } from 'ethers';
+import MinesRewardsContract from './MinesRewards.json';
+import { NATIVE_TOKEN, getContract, getProvider, getSigner } from './config';
+import { sendTransaction } from './transactions';
+
+// The referrer of a ?ref= link waits here until the player's first bet
+const REFERRER_KEY = 'minesomnia:referrer';
+
+export const captureReferrer = () => {
+  const referrer = new URLSearchParams(window.location.search).get('ref');
+  if (referrer && ethers.isAddress(referrer)) localStorage.setItem(REFERRER_KEY, ethers.getAddress(referrer));
+};
+
+export const getStoredReferrer = () => localStorage.getItem(REFERRER_KEY);
+
+export const getReferralLink = (account) => `${window.location.origin}${window.location.pathname}?ref=${account}`;
+
+// MinesGame points at the rewards program; the zero address means it is turned off
+const getRewardsContract = async (runner) => {
+  const game = getContract();
+  if (!game || !runner) return null;
+  const address = await game.rewards();
+  return address === ethers.ZeroAddress ? null : new ethers.Contract(address, MinesRewardsContract.abi, runner);
+};
+
+// Referrer, referees and the account's totals in one token, or null without a rewards program
+export const readRewards = async (account, token = NATIVE_TOKEN) => {
+  try {
+    const rewards = await getRewardsContract(getProvider());
+    if (!rewards) return null;
+
+    const [referralBps, rakebackBps, referrer, referees, wagered, referralEarned, rakebackEarned, claimable] = await Promise.all([
+      rewards.referralBps(),
+      rewards.rakebackBps(),
+      rewards.referrerOf(account),
+      rewards.getReferees(account),
+      rewards.wagered(token, account),
+      rewards.referralEarned(token, account),
+      rewards.rakebackEarned(token, account),
+      rewards.claimable(token, account),
+    ]);
+    return {
+      referralBps: Number(referralBps),
+      rakebackBps: Number(rakebackBps),
+      referrer: referrer === ethers.ZeroAddress ? null : referrer,
+      referees: [...referees],
+      wagered,
+      referralEarned,
+      rakebackEarned,
+      claimable,
+    };
+  } catch (error) {
+    console.error('Error reading rewards:', error);
+    return null;
+  }
+};
+
+// Referrer sent with a bet, or the zero address without a ?ref= link. The contract only counts it
+// on the player's first bet and ignores the player's own address.
+export const getBetReferrer = () => getStoredReferrer() || ethers.ZeroAddress;
+
+// After a bet the link has either set the referrer or been passed over for good
+export const forgetReferrer = () => localStorage.removeItem(REFERRER_KEY);
+
+export const claimRewards = async (token) => {
+  const rewards = await getRewardsContract(await getSigner());
+  if (!rewards) throw new Error('No rewards program on this network');
+  await sendTransaction({ label: `Claim ${token.symbol} rewards`, method: rewards.claim, args: [token.address] });
+};
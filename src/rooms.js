@@ -0,0 +1,121 @@
+import { ethers } from 'ethers';
+import MinesRoomsContract from './MinesRooms.json';
+import { getActiveChainId, getDeployment, getNetworkIssue, getProvider, getSigner } from './config';
+import { sendTransaction } from './transactions';
+
+// Same order as the contract's enums
+export const RoomStatus = { None: 0, Waiting: 1, Playing: 2, Finished: 3, Cancelled: 4 };
+export const PlayerStatus = { None: 0, Active: 1, Left: 2, Eliminated: 3 };
+
+// The lobby lists this many of the newest rooms
+const LOBBY_SIZE = 20;
+
+const roomsInterface = new ethers.Interface(MinesRoomsContract.abi);
+
+// Rooms are recorded next to MinesGame in the deployments manifest; not every network has them
+export const getRoomsAddress = () => {
+  const chainId = getActiveChainId();
+  return getNetworkIssue(chainId) === null ? getDeployment(chainId).rooms || null : null;
+};
+
+const getRoomsContract = (runner) => {
+  const address = getRoomsAddress();
+  return address && runner ? new ethers.Contract(address, roomsInterface, runner) : null;
+};
+
+const toRoom = (id, room, statuses) => ({
+  id,
+  creator: room.creator,
+  buyIn: room.buyIn,
+  pot: room.pot,
+  status: Number(room.status),
+  boardSize: Number(room.boardSize),
+  totalMines: Number(room.totalMines),
+  maxPlayers: Number(room.maxPlayers),
+  activePlayers: Number(room.activePlayers),
+  turn: Number(room.turn),
+  pickPending: room.pickPending,
+  pendingTile: Number(room.pendingTile),
+  turnStartedAt: Number(room.turnStartedAt),
+  safeTiles: room.safeTiles,
+  mineTiles: room.mineTiles,
+  players: room.players.map((address, i) => ({ address, status: Number(statuses[i]) })),
+});
+
+// One room with everyone who joined it, or null when it does not exist
+export const readRoom = async (roomId) => {
+  const rooms = getRoomsContract(getProvider());
+  if (!rooms) return null;
+
+  try {
+    const [room, statuses] = await rooms.getRoom(roomId);
+    return Number(room.status) === RoomStatus.None ? null : toRoom(roomId, room, statuses);
+  } catch (error) {
+    console.error('Error reading room:', error);
+    return null;
+  }
+};
+
+// The newest rooms first, or null without rooms on this network
+export const readLobby = async () => {
+  const rooms = getRoomsContract(getProvider());
+  if (!rooms) return null;
+
+  try {
+    const nextRoomId = Number(await rooms.nextRoomId());
+    const ids = [];
+    for (let id = nextRoomId - 1; id >= 1 && ids.length < LOBBY_SIZE; id--) ids.push(id);
+    return await Promise.all(ids.map(async (id) => {
+      const [room, statuses] = await rooms.getRoom(id);
+      return toRoom(id, room, statuses);
+    }));
+  } catch (error) {
+    console.error('Error reading rooms:', error);
+    return null;
+  }
+};
+
+// Seconds a turn may run before anyone can end it, and the account's unwithdrawn winnings
+export const readRoomsAccount = async (account) => {
+  const rooms = getRoomsContract(getProvider());
+  if (!rooms) return null;
+
+  try {
+    const [turnTimeout, claimable] = await Promise.all([
+      rooms.turnTimeout(),
+      account ? rooms.claimable(account) : 0n,
+    ]);
+    return { turnTimeout: Number(turnTimeout), claimable };
+  } catch (error) {
+    console.error('Error reading rooms account:', error);
+    return null;
+  }
+};
+
+const send = async (label, name, args = [], overrides = {}) => {
+  const rooms = getRoomsContract(await getSigner());
+  if (!rooms) throw new Error('No rooms on this network');
+  return await sendTransaction({ label, method: rooms[name], args, overrides });
+};
+
+// Resolves to the new room's ID, read from its RoomCreated event, or null if the receipt lacks it
+export const createRoom = async ({ boardSize, numberOfMines, maxPlayers, buyIn }) => {
+  const receipt = await send('Create room', 'createRoom', [boardSize, numberOfMines, maxPlayers], { value: buyIn });
+  for (const log of receipt?.logs || []) {
+    const event = roomsInterface.parseLog(log);
+    if (event?.name === 'RoomCreated') return Number(event.args.roomId);
+  }
+  return null;
+};
+
+export const joinRoom = (room) => send(`Join room #${room.id}`, 'joinRoom', [room.id], { value: room.buyIn });
+
+export const startRoom = (roomId) => send(`Start room #${roomId}`, 'startRoom', [roomId]);
+
+export const pickRoomTile = (roomId, tileIndex) => send(`Pick tile in room #${roomId}`, 'pickTile', [roomId, tileIndex]);
+
+export const leaveRoom = (roomId) => send(`Leave room #${roomId}`, 'leaveRoom', [roomId]);
+
+export const timeoutRoomTurn = (roomId) => send(`End turn in room #${roomId}`, 'timeoutTurn', [roomId]);
+
+export const withdrawRoomWinnings = () => send('Withdraw room winnings', 'withdraw');
@@ -0,0 +1,180 @@
+import { ethers } from 'ethers';
+import {
+  RELAYER_URL, getActiveChainId, getContract, getContractWithSigner, getReadOnlyProvider, getSigner
+} from './config';
+import { sendTransaction, watchTransaction } from './transactions';
+
+// MinesGame.MAX_SESSION_DURATION is a day; the longest option stays clear of it
+export const SESSION_DURATIONS = [
+  ['15 min', 15 * 60],
+  ['1 hour', 60 * 60],
+  ['4 hours', 4 * 60 * 60],
+  ['12 hours', 12 * 60 * 60],
+];
+
+// Gas money for the key when it sends its own moves because no relayer is configured
+const SESSION_GAS_FUNDS = ethers.parseEther('0.05');
+const TRANSFER_GAS = 21000n;
+
+// Must match the typehashes in MinesGame.sol
+const TYPES = {
+  Session: [
+    { name: 'player', type: 'address' },
+    { name: 'key', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'spendCap', type: 'uint256' },
+    { name: 'expiry', type: 'uint64' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+  RevealTile: [
+    { name: 'player', type: 'address' },
+    { name: 'tileIndex', type: 'uint8' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+  RevealTiles: [
+    { name: 'player', type: 'address' },
+    { name: 'tileIndices', type: 'uint8[]' },
+    { name: 'cashOutAt', type: 'uint8' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+  CashOut: [
+    { name: 'player', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+// The session key lives in localStorage so a session survives reloads. It can only play
+// the player's games up to the spend cap until the expiry.
+const storageKey = (player) => `minesomnia:session:${getActiveChainId()}:${player.toLowerCase()}`;
+
+const forgetSession = (player) => localStorage.removeItem(storageKey(player));
+
+// Binds every signature to this contract on this chain
+const getDomain = async (contract) => ({
+  name: 'MinesGame',
+  version: '1',
+  chainId: getActiveChainId(),
+  verifyingContract: await contract.getAddress(),
+});
+
+const relay = async (label, action, args, signature) => {
+  const response = await fetch(RELAYER_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action, args, signature }),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw Object.assign(new Error(result.error || `Relayer answered ${response.status}`), { reason: result.error });
+  }
+  return watchTransaction({ hash: result.hash, chainId: getActiveChainId(), from: result.from, nonce: result.nonce, label });
+};
+
+// Sends what gas is left on a key back to the player; keys used with a relayer hold none
+const returnSessionGas = async (wallet, player) => {
+  const provider = getReadOnlyProvider();
+  const [balance, feeData] = await Promise.all([provider.getBalance(wallet.address), provider.getFeeData()]);
+  const fees = feeData.maxFeePerGas
+    ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+    : { gasPrice: feeData.gasPrice };
+  const cost = (fees.maxFeePerGas ?? fees.gasPrice) * TRANSFER_GAS;
+  if (balance <= cost) return;
+  await wallet.connect(provider).sendTransaction({ to: player, value: balance - cost, gasLimit: TRANSFER_GAS, ...fees });
+};
+
+// The player's session on the active chain, or null when there is none this browser holds the key for
+export const loadSession = async (player) => {
+  const contract = getContract();
+  const stored = player && localStorage.getItem(storageKey(player));
+  if (!contract || !stored) return null;
+
+  try {
+    const wallet = new ethers.Wallet(JSON.parse(stored).privateKey);
+    const session = await contract.sessions(player);
+    // Expired, revoked, or replaced by a session opened in another browser
+    if (session.key !== wallet.address || Number(session.expiry) <= Date.now() / 1000) {
+      forgetSession(player);
+      returnSessionGas(wallet, player).catch(error => console.error('Error returning session gas:', error));
+      return null;
+    }
+    return {
+      wallet,
+      token: session.token,
+      spendCap: session.spendCap,
+      spent: session.spent,
+      expiry: Number(session.expiry),
+    };
+  } catch (error) {
+    console.error('Error reading session:', error);
+    return null;
+  }
+};
+
+// The player signs a Session for a fresh key. The relayer submits it when there is one;
+// otherwise the wallet does, sending the key some gas along with it.
+export const openSession = async ({ player, token, spendCap, duration }) => {
+  const [signer, contract] = await Promise.all([getSigner(), getContractWithSigner()]);
+  if (!signer || !contract) throw new Error('No contract instance available');
+
+  const wallet = ethers.Wallet.createRandom();
+  const expiry = Math.floor(Date.now() / 1000) + duration;
+  const value = {
+    player,
+    key: wallet.address,
+    token: token.address,
+    spendCap,
+    expiry,
+    nonce: await contract.sessionNonces(player),
+  };
+  const signature = await signer.signTypedData(await getDomain(contract), { Session: TYPES.Session }, value);
+
+  // Saved before submitting, so a reload while it is pending keeps the key
+  localStorage.setItem(storageKey(player), JSON.stringify({ privateKey: wallet.privateKey }));
+  if (RELAYER_URL) {
+    const { nonce, ...args } = value;
+    await relay('Start session', 'openSession', { ...args, spendCap: spendCap.toString() }, signature);
+  } else {
+    await sendTransaction({
+      label: 'Start session',
+      method: contract.openSession,
+      args: [player, wallet.address, token.address, spendCap, expiry, signature],
+      overrides: { value: SESSION_GAS_FUNDS },
+    });
+  }
+};
+
+// Revoking from the wallet invalidates the key at once, whatever it has signed
+export const endSession = async (player, session) => {
+  const contract = await getContractWithSigner();
+  if (!contract) throw new Error('No contract instance available');
+
+  await sendTransaction({ label: 'End session', method: contract.revokeSession });
+  forgetSession(player);
+  returnSessionGas(session.wallet, player).catch(error => console.error('Error returning session gas:', error));
+};
+
+// Signs a move with the session key, without a wallet prompt, and submits it
+const playMove = async (session, player, type, move, label) => {
+  const contract = getContract();
+  if (!contract) throw new Error('No contract instance available');
+
+  const nonce = await contract.sessionNonces(player);
+  const signature = await session.wallet.signTypedData(
+    await getDomain(contract), { [type]: TYPES[type] }, { player, ...move, nonce }
+  );
+  const action = `session${type}`;
+  if (RELAYER_URL) return relay(label, action, { player, ...move }, signature);
+
+  const keyContract = contract.connect(session.wallet.connect(getReadOnlyProvider()));
+  return sendTransaction({ label, method: keyContract[action], args: [player, ...Object.values(move), signature] });
+};
+
+export const sessionRevealTile = (session, player, tileIndex) => (
+  playMove(session, player, 'RevealTile', { tileIndex }, `Pick tile ${tileIndex + 1}`)
+);
+
+export const sessionRevealTiles = (session, player, tileIndices, cashOutAt = 0) => (
+  playMove(session, player, 'RevealTiles', { tileIndices, cashOutAt }, `Pick ${tileIndices.length} tiles & cash out`)
+);
+
+export const sessionCashOut = (session, player) => playMove(session, player, 'CashOut', {}, 'Cash out');
@@ -0,0 +1,20 @@
+// Loaded by react-scripts before every test file
+import '@testing-library/jest-dom';
+
+// No network has a deployment recorded yet; tests play against one on Somnia Testnet
+jest.mock('./deployments.json', () => {
+  const { ethers } = require('ethers');
+  const { abi } = require('./MinesGame.json');
+  return {
+    50312: {
+      network: 'somnia',
+      address: '0x0000000000000000000000000000000000001111',
+      abiHash: ethers.id(JSON.stringify(abi)),
+      blockNumber: 0,
+    },
+  };
+});
+
+afterEach(() => {
+  localStorage.clear();
+});
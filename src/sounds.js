@@ -0,0 +1,56 @@
+// Short synthesized effects, so the app ships no audio files. Browsers only start audio
+// after a user gesture, which every effect here follows.
+
+const MUTED_KEY = 'minesomnia:muted';
+
+// Each note: frequency in Hz, start and length in seconds, oscillator type
+const SOUNDS = {
+  start: [[440, 0, 0.08, 'triangle'], [660, 0.08, 0.1, 'triangle']],
+  pick: [[880, 0, 0.05, 'square']],
+  gem: [[988, 0, 0.08, 'sine'], [1319, 0.07, 0.12, 'sine']],
+  mine: [[110, 0, 0.35, 'sawtooth'], [70, 0.05, 0.4, 'square']],
+  win: [[523, 0, 0.1, 'triangle'], [659, 0.1, 0.1, 'triangle'], [784, 0.2, 0.1, 'triangle'], [1047, 0.3, 0.25, 'triangle']],
+};
+
+const VOLUME = 0.08;
+
+let context = null;
+
+const getContext = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+  context ||= new AudioContext();
+  return context;
+};
+
+export const isMuted = () => localStorage.getItem(MUTED_KEY) === 'true';
+
+// Flips the saved setting and returns the new one
+export const toggleMuted = () => {
+  const muted = !isMuted();
+  localStorage.setItem(MUTED_KEY, String(muted));
+  return muted;
+};
+
+export const playSound = (name) => {
+  if (isMuted() || !SOUNDS[name]) return;
+  const audio = getContext();
+  if (!audio) return;
+
+  try {
+    const now = audio.currentTime;
+    for (const [frequency, start, length, type] of SOUNDS[name]) {
+      const oscillator = audio.createOscillator();
+      const gain = audio.createGain();
+      oscillator.type = type;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(VOLUME, now + start);
+      gain.gain.exponentialRampToValueAtTime(0.001, now + start + length);
+      oscillator.connect(gain).connect(audio.destination);
+      oscillator.start(now + start);
+      oscillator.stop(now + start + length);
+    }
+  } catch (error) {
+    console.error('Error playing sound:', error);
+  }
+};
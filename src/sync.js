@@ -0,0 +1,135 @@
+import { hasWallet } from './config';
+
+const DEFAULT_POLL_INTERVAL = 4000;
+const CHUNK_SIZE = 5000;
+// Events of one transaction arrive one by one; they are answered with a single refresh
+const DEBOUNCE_DELAY = 250;
+
+// Events about a player's own game, matched on their indexed player argument
+const GAME_EVENTS = new Set([
+  'GameStarted', 'TileSelected', 'CashOutRequested', 'TileRevealed', 'GameSettled', 'GameWon', 'GameLost',
+  'GameForfeited', 'CashOutTimedOut',
+]);
+
+// Events that move a pool or its limits: bets reserve and release liquidity, providers
+// deposit and withdraw, admins change the settings
+const POOL_EVENTS = new Set([
+  'GameStarted', 'GameSettled', 'GameForfeited', 'CashOutTimedOut', 'LiquidityAdded', 'LiquidityRemoved',
+  'MaxPayoutUpdated', 'TokenAllowed', 'HouseEdgeUpdated', 'WithdrawCooldownUpdated', 'GameTimeoutUpdated',
+  'BetLimitsUpdated', 'MineRangeUpdated', 'Paused', 'Unpaused',
+]);
+
+// Follows the wallet's account and chain. Returns a function that removes the listeners.
+export const watchWallet = ({ onAccountsChanged, onChainChanged }) => {
+  if (!hasWallet()) return () => {};
+
+  const handleChainChanged = (hexChainId) => onChainChanged(Number(hexChainId));
+  window.ethereum.on('accountsChanged', onAccountsChanged);
+  window.ethereum.on('chainChanged', handleChainChanged);
+  return () => {
+    window.ethereum.removeListener('accountsChanged', onAccountsChanged);
+    window.ethereum.removeListener('chainChanged', handleChainChanged);
+  };
+};
+
+// Public RPCs often refuse log filters; those get polled with eth_getLogs instead
+const supportsFilters = async (provider, address) => {
+  try {
+    const filterId = await provider.send('eth_newFilter', [{ address }]);
+    await provider.send('eth_uninstallFilter', [filterId]).catch(() => {});
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Calls onGameChange when player's game changes and onPoolChange when a pool or its
+// limits change, from any tab or player. Subscribes to the contract's events where the
+// provider supports filters and polls its logs otherwise. Returns a function that stops it.
+export const watchContract = ({
+  contract,
+  player,
+  onGameChange,
+  onPoolChange,
+  onError,
+  pollInterval = DEFAULT_POLL_INTERVAL,
+}) => {
+  const provider = contract.runner.provider;
+  let stopped = false;
+  let stopWatching = () => {};
+  let pendingGame = false;
+  let pendingPool = false;
+  let debounceTimer = null;
+
+  const flush = () => {
+    debounceTimer = null;
+    if (stopped) return;
+    if (pendingGame) onGameChange();
+    if (pendingPool) onPoolChange();
+    pendingGame = false;
+    pendingPool = false;
+  };
+
+  const handleLog = (log) => {
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed) return;
+    if (player && GAME_EVENTS.has(parsed.name) && parsed.args.player.toLowerCase() === player.toLowerCase()) {
+      pendingGame = true;
+    }
+    if (POOL_EVENTS.has(parsed.name)) pendingPool = true;
+    if ((pendingGame || pendingPool) && !debounceTimer) {
+      debounceTimer = setTimeout(flush, DEBOUNCE_DELAY);
+    }
+  };
+
+  const subscribe = async () => {
+    const listener = (event) => handleLog(event.log);
+    await contract.on('*', listener);
+    return () => contract.off('*', listener);
+  };
+
+  // Same resume-from-last-block approach as the live feed: a failed poll retries its range
+  const poll = async (address) => {
+    let nextBlock = (await provider.getBlockNumber()) + 1;
+    let timer = null;
+
+    const tick = async () => {
+      try {
+        const latest = await provider.getBlockNumber();
+        while (!stopped && nextBlock <= latest) {
+          const toBlock = Math.min(nextBlock + CHUNK_SIZE - 1, latest);
+          const logs = await provider.getLogs({ address, fromBlock: nextBlock, toBlock });
+          if (stopped) return;
+          logs.forEach(handleLog);
+          nextBlock = toBlock + 1;
+        }
+      } catch (error) {
+        if (!stopped && onError) onError(error);
+      } finally {
+        if (!stopped) timer = setTimeout(tick, pollInterval);
+      }
+    };
+
+    timer = setTimeout(tick, pollInterval);
+    return () => clearTimeout(timer);
+  };
+
+  (async () => {
+    try {
+      const address = await contract.getAddress();
+      // A provider can take a filter and still fail to subscribe; polling covers both
+      const subscribed = (await supportsFilters(provider, address)) ? await subscribe().catch(() => null) : null;
+      const stop = subscribed || await poll(address);
+      if (stopped) stop();
+      else stopWatching = stop;
+    } catch (error) {
+      if (!stopped && onError) onError(error);
+    }
+  })();
+
+  return () => {
+    stopped = true;
+    clearTimeout(debounceTimer);
+    stopWatching();
+  };
+};
@@ -0,0 +1,149 @@
+import { ethers } from 'ethers';
+import MinesGameContract from './MinesGame.json';
+import { watchContract } from './sync';
+import { GAME_ADDRESS, PLAYER } from './testing/mockEthereum';
+
+const OTHER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const gameInterface = new ethers.Interface(MinesGameContract.abi);
+
+const encodeLog = (name, args) => ({ address: GAME_ADDRESS, ...gameInterface.encodeEventLog(name, args) });
+const tileRevealed = (player) => encodeLog('TileRevealed', [player, 3, false]);
+const gameStarted = (player) => encodeLog(
+  'GameStarted', [player, ethers.ZeroAddress, ethers.parseEther('0.1'), 5, 3, ethers.ZeroHash, ethers.ZeroHash],
+);
+
+// Just what watchContract touches of an ethers contract and its provider. `on` keeps the
+// listener so events can be pushed through it; `logs` are what the next eth_getLogs returns.
+const createFakeContract = ({ filters = true, subscribeError = null } = {}) => {
+  const listeners = new Set();
+  const chain = { blockNumber: 10, logs: [] };
+  const provider = {
+    send: jest.fn(async (method) => {
+      if (!filters && method === 'eth_newFilter') throw new Error('filter not found');
+      return '0x1';
+    }),
+    getBlockNumber: jest.fn(async () => chain.blockNumber),
+    getLogs: jest.fn(async () => chain.logs.splice(0)),
+  };
+  const contract = {
+    runner: { provider },
+    interface: gameInterface,
+    getAddress: async () => GAME_ADDRESS,
+    on: jest.fn(async (event, listener) => {
+      if (subscribeError) throw subscribeError;
+      listeners.add(listener);
+    }),
+    off: jest.fn(async (event, listener) => {
+      listeners.delete(listener);
+    }),
+  };
+  const emit = (log) => listeners.forEach(listener => listener({ log }));
+  return { contract, provider, chain, listeners, emit };
+};
+
+// Lets the awaits inside watchContract run without moving the fake clock
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+let stop;
+const watch = (contract) => {
+  const callbacks = { onGameChange: jest.fn(), onPoolChange: jest.fn(), onError: jest.fn() };
+  stop = watchContract({ contract, player: PLAYER, pollInterval: 4000, ...callbacks });
+  return callbacks;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  stop?.();
+  stop = null;
+  jest.useRealTimers();
+});
+
+describe('watchContract', () => {
+  it('answers a burst of events with a single refresh', async () => {
+    const { contract, emit } = createFakeContract();
+    const { onGameChange, onPoolChange } = watch(contract);
+    await flushPromises();
+    expect(contract.on).toHaveBeenCalledWith('*', expect.any(Function));
+
+    // One transaction's worth of logs, plus another player's reveal that is not ours
+    emit(gameStarted(PLAYER));
+    emit(tileRevealed(PLAYER));
+    emit(tileRevealed(OTHER));
+    emit(tileRevealed(PLAYER));
+    jest.advanceTimersByTime(249);
+    expect(onGameChange).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(onGameChange).toHaveBeenCalledTimes(1);
+    expect(onPoolChange).toHaveBeenCalledTimes(1);
+
+    // Another player's reveal on its own refreshes nothing
+    emit(tileRevealed(OTHER));
+    jest.advanceTimersByTime(1000);
+    expect(onGameChange).toHaveBeenCalledTimes(1);
+    expect(onPoolChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('polls the logs when subscribing to the contract fails', async () => {
+    const { contract, provider, chain } = createFakeContract({ subscribeError: new Error('method not supported') });
+    const { onGameChange, onPoolChange, onError } = watch(contract);
+    await flushPromises();
+
+    chain.blockNumber = 12;
+    chain.logs = [tileRevealed(PLAYER)];
+    jest.advanceTimersByTime(4000);
+    await flushPromises();
+    expect(provider.getLogs).toHaveBeenCalledWith({ address: GAME_ADDRESS, fromBlock: 11, toBlock: 12 });
+
+    jest.advanceTimersByTime(250);
+    expect(onGameChange).toHaveBeenCalledTimes(1);
+    expect(onPoolChange).not.toHaveBeenCalled();
+    expect(onError).not.toHaveBeenCalled();
+
+    // The next poll picks up where this one stopped
+    chain.blockNumber = 13;
+    jest.advanceTimersByTime(4000);
+    await flushPromises();
+    expect(provider.getLogs).toHaveBeenLastCalledWith({ address: GAME_ADDRESS, fromBlock: 13, toBlock: 13 });
+  });
+
+  it('removes its listener and its pending refresh when stopped', async () => {
+    const { contract, listeners, emit } = createFakeContract();
+    const { onGameChange, onPoolChange } = watch(contract);
+    await flushPromises();
+
+    emit(gameStarted(PLAYER));
+    stop();
+    await flushPromises();
+
+    expect(contract.off).toHaveBeenCalledWith('*', contract.on.mock.calls[0][1]);
+    expect(listeners.size).toBe(0);
+    expect(jest.getTimerCount()).toBe(0);
+    jest.advanceTimersByTime(10000);
+    expect(onGameChange).not.toHaveBeenCalled();
+    expect(onPoolChange).not.toHaveBeenCalled();
+  });
+
+  it('stops polling when stopped', async () => {
+    const { contract, provider, chain } = createFakeContract({ filters: false });
+    const { onGameChange } = watch(contract);
+    await flushPromises();
+    expect(contract.on).not.toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(1);
+
+    stop();
+    chain.blockNumber = 12;
+    chain.logs = [tileRevealed(PLAYER)];
+    jest.advanceTimersByTime(10000);
+    await flushPromises();
+
+    expect(jest.getTimerCount()).toBe(0);
+    expect(provider.getLogs).not.toHaveBeenCalled();
+    expect(onGameChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,220 @@
+import { ethers } from 'ethers';
+import MinesGameContract from '../MinesGame.json';
+import { tileCount, calculatePayout } from '../payout';
+
+const OPERATOR_ROLE = ethers.id('OPERATOR_ROLE');
+
+const gameInterface = new ethers.Interface(MinesGameContract.abi);
+
+export const SERVER_SEED = ethers.id('fake house seed');
+
+// Thrown by the fake the way require() reverts on chain
+export class Revert extends Error {}
+
+// The revert data of require(false, reason), as nodes return it
+export const encodeRevert = (reason) => ethers.concat([
+  ethers.id('Error(string)').slice(0, 10),
+  ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason]),
+]);
+
+const emptyGame = () => ({
+  player: ethers.ZeroAddress,
+  betAmount: 0n,
+  totalMines: 0,
+  revealedSafeTiles: 0,
+  revealedTiles: [],
+  mineLocations: [],
+  isActive: false,
+  serverSeedHash: ethers.ZeroHash,
+  clientSeed: ethers.ZeroHash,
+  serverSeed: ethers.ZeroHash,
+  pickedTiles: [],
+  cashOutRequested: false,
+  houseEdgeBps: 0,
+  reservedPayout: 0n,
+  token: ethers.ZeroAddress,
+  boardSize: 0,
+});
+
+// In-memory stand-in for the parts of MinesGame the app plays native games with. The
+// house settles every cash out at once, with `mines` as the layout, and credits wins
+// for withdraw. `operators` may pause and set the house edge, and `rewards`, a fake
+// MinesRewards, is told about every started game. Views it does not model answer with
+// zero values, like an empty contract would.
+export const createFakeMinesGame = ({
+  houseEdgeBps = 100,
+  maxBet = ethers.parseEther('1'),
+  gameTimeout = 24 * 60 * 60,
+  mines = [22, 23, 24],
+  operators = [],
+  rewards = null,
+} = {}) => {
+  const state = {
+    games: {}, startedAt: {}, cashOutRequestedAt: {}, claimable: {}, houseEdgeBps, maxBet, gameTimeout, mines, paused: false, sent: [],
+  };
+  const isOperator = (account) => operators.some(operator => operator.toLowerCase() === account.toLowerCase());
+  const gameOf = (player) => state.games[player.toLowerCase()] || emptyGame();
+
+  const activeGameOf = (player) => {
+    const game = gameOf(player);
+    if (!game.isActive) throw new Revert('No active game');
+    if (game.cashOutRequested) throw new Revert('Cash out already requested');
+    return game;
+  };
+
+  // Puts a game in place as if the player had started it earlier
+  const setGame = (player, game, startedAt = Math.floor(Date.now() / 1000)) => {
+    state.games[player.toLowerCase()] = { ...emptyGame(), player, ...game };
+    state.startedAt[player.toLowerCase()] = startedAt;
+  };
+
+  const views = {
+    getGameStatus: ([player]) => [gameOf(player)],
+    gameStartedAt: ([player]) => [state.startedAt[player.toLowerCase()] || 0],
+    cashOutRequestedAt: ([player]) => [state.cashOutRequestedAt[player.toLowerCase()] || 0],
+    houseEdgeBps: () => [state.houseEdgeBps],
+    gameTimeout: () => [state.gameTimeout],
+    getMaxBet: () => [state.maxBet],
+    minMines: () => [1],
+    paused: () => [state.paused],
+    hasRole: ([role, account]) => [role === OPERATOR_ROLE && isOperator(account)],
+    maxMines: () => [63],
+    rewards: () => [rewards ? rewards.address : ethers.ZeroAddress],
+    claimable: ([token, account]) => [token === ethers.ZeroAddress ? state.claimable[account.toLowerCase()] || 0n : 0n],
+  };
+
+  // Each write checks its requires, then returns the state change so gas estimates can
+  // run the checks without applying it
+  const writes = {
+    startGame: ([boardSize, numberOfMines, clientSeed, referrer], { from, value, timestamp }) => {
+      if (value === 0n) throw new Revert('Bet amount must be greater than 0');
+      if (gameOf(from).isActive) throw new Revert('Player already has an active game');
+      if (value > state.maxBet) throw new Revert('Bet exceeds max for this mine count');
+      const size = Number(boardSize);
+      return () => {
+        setGame(from, {
+          betAmount: value,
+          totalMines: Number(numberOfMines),
+          revealedTiles: Array(tileCount(size)).fill(false),
+          isActive: true,
+          serverSeedHash: ethers.keccak256(SERVER_SEED),
+          clientSeed,
+          houseEdgeBps: state.houseEdgeBps,
+          boardSize: size,
+        }, timestamp);
+        rewards?.recordBet(from, value, state.houseEdgeBps, referrer);
+      };
+    },
+    revealTile: ([tileIndex], { from }) => {
+      const game = activeGameOf(from);
+      const index = Number(tileIndex);
+      if (index >= game.revealedTiles.length) throw new Revert('Invalid tile index');
+      if (game.revealedTiles[index]) throw new Revert('Tile already revealed');
+      return () => {
+        game.revealedTiles[index] = true;
+        game.pickedTiles.push(index);
+        game.revealedSafeTiles++;
+      };
+    },
+    cashOut: (_, { from }) => {
+      const game = activeGameOf(from);
+      if (game.revealedSafeTiles === 0) throw new Revert('Must reveal at least one safe tile');
+      return () => {
+        game.cashOutRequested = true;
+        game.isActive = false;
+        game.serverSeed = SERVER_SEED;
+        game.mineLocations = [...state.mines];
+        if (!game.pickedTiles.some(tile => state.mines.includes(tile))) {
+          const payout = calculatePayout(
+            game.betAmount, tileCount(game.boardSize), game.totalMines, game.revealedSafeTiles, game.houseEdgeBps
+          );
+          state.claimable[from.toLowerCase()] = (state.claimable[from.toLowerCase()] || 0n) + payout;
+        }
+      };
+    },
+    // Picks in order and cashes out once cashOutAt tiles are picked, or after the last with 0
+    revealTiles: ([tileIndices, cashOutAt], { from }) => {
+      const game = activeGameOf(from);
+      if (tileIndices.length === 0) throw new Revert('No tiles to reveal');
+      const picks = tileIndices.map(Number);
+      if (picks.some(index => index >= game.revealedTiles.length)) throw new Revert('Invalid tile index');
+      if (picks.some(index => game.revealedTiles[index])) throw new Revert('Tile already revealed');
+      const target = Number(cashOutAt);
+      return () => {
+        for (const index of picks) {
+          writes.revealTile([index], { from })();
+          if (game.revealedSafeTiles === target) break;
+        }
+        if (target === 0 || game.revealedSafeTiles === target) writes.cashOut([], { from })();
+      };
+    },
+    // Only reachable through setGame, since the fake's house settles every cash out at once
+    resolveStalledCashOut: ([player], { timestamp }) => {
+      const game = gameOf(player);
+      if (!game.isActive) throw new Revert('No active game');
+      if (!game.cashOutRequested) throw new Revert('Cash out not requested');
+      if (timestamp < (state.cashOutRequestedAt[player.toLowerCase()] || 0) + state.gameTimeout) {
+        throw new Revert('Cash out has not timed out');
+      }
+      return () => {
+        game.isActive = false;
+        game.cashOutRequested = false;
+        const payout = calculatePayout(
+          game.betAmount, tileCount(game.boardSize), game.totalMines, game.revealedSafeTiles, game.houseEdgeBps
+        );
+        state.claimable[player.toLowerCase()] = (state.claimable[player.toLowerCase()] || 0n) + payout;
+      };
+    },
+    pause: (_, { from }) => {
+      if (!isOperator(from)) throw new Revert('Not an operator');
+      return () => {
+        state.paused = true;
+      };
+    },
+    unpause: (_, { from }) => {
+      if (!isOperator(from)) throw new Revert('Not an operator');
+      return () => {
+        state.paused = false;
+      };
+    },
+    setHouseEdge: ([newHouseEdgeBps], { from }) => {
+      if (!isOperator(from)) throw new Revert('Not an operator');
+      if (newHouseEdgeBps > 1000n) throw new Revert('House edge too high');
+      return () => {
+        state.houseEdgeBps = Number(newHouseEdgeBps);
+      };
+    },
+    withdraw: ([token], { from }) => {
+      if (token !== ethers.ZeroAddress || !state.claimable[from.toLowerCase()]) throw new Revert('Nothing to withdraw');
+      return () => {
+        state.claimable[from.toLowerCase()] = 0n;
+      };
+    },
+  };
+
+  return {
+    state,
+    setGame,
+    gameOf,
+
+    // Answers eth_call with the ABI-encoded result
+    call: ({ data }) => {
+      const { fragment, args } = gameInterface.parseTransaction({ data });
+      const result = views[fragment.name]
+        ? views[fragment.name](args)
+        : ethers.AbiCoder.defaultAbiCoder().getDefaultValue(fragment.outputs);
+      return gameInterface.encodeFunctionResult(fragment, result);
+    },
+
+    // Checks a transaction and, unless dryRun, applies it
+    send: ({ from, data, value = 0n }, { timestamp, dryRun = false }) => {
+      const { name, args } = gameInterface.parseTransaction({ data, value });
+      if (!writes[name]) throw new Error(`The fake MinesGame does not implement ${name}`);
+      const apply = writes[name](args, { from, value, timestamp });
+      if (!dryRun) {
+        apply();
+        state.sent.push({ name, args: [...args], from: ethers.getAddress(from), value });
+      }
+    },
+  };
+};
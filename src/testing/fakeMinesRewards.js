@@ -0,0 +1,90 @@
+import { ethers } from 'ethers';
+import MinesRewardsContract from '../MinesRewards.json';
+import { Revert } from './fakeMinesGame';
+
+const rewardsInterface = new ethers.Interface(MinesRewardsContract.abi);
+
+export const REWARDS_ADDRESS = '0x0000000000000000000000000000000000001234';
+
+// In-memory stand-in for MinesRewards with native bets only. Pass it to createFakeMinesGame
+// as `rewards` and every started game is recorded like the contract's hook does, out of an
+// unlimited budget.
+export const createFakeMinesRewards = ({ referralBps = 1000, rakebackBps = 1000 } = {}) => {
+  const state = {
+    referrerOf: {}, hasPlayed: {}, referees: {}, wagered: {}, referralEarned: {}, rakebackEarned: {}, claimable: {},
+    sent: [],
+  };
+  const add = (totals, account, amount) => {
+    totals[account.toLowerCase()] = (totals[account.toLowerCase()] || 0n) + amount;
+  };
+  const native = (totals) => ([token, account]) => [
+    token === ethers.ZeroAddress ? totals[account.toLowerCase()] || 0n : 0n,
+  ];
+
+  // Like the contract, only the first bet's referrer counts, and never the player's own address
+  const recordBet = (player, betAmount, edgeBps, betReferrer = ethers.ZeroAddress) => {
+    if (!state.hasPlayed[player.toLowerCase()]) {
+      state.hasPlayed[player.toLowerCase()] = true;
+      if (betReferrer !== ethers.ZeroAddress && betReferrer.toLowerCase() !== player.toLowerCase()) {
+        state.referrerOf[player.toLowerCase()] = betReferrer;
+        (state.referees[betReferrer.toLowerCase()] ||= []).push(ethers.getAddress(player));
+      }
+    }
+    const referrer = state.referrerOf[player.toLowerCase()];
+    add(state.wagered, player, betAmount);
+    const edge = (betAmount * window.BigInt(edgeBps)) / 10000n;
+    if (referrer) {
+      const referral = (edge * window.BigInt(referralBps)) / 10000n;
+      add(state.referralEarned, referrer, referral);
+      add(state.claimable, referrer, referral);
+    }
+    const rakeback = (edge * window.BigInt(rakebackBps)) / 10000n;
+    add(state.rakebackEarned, player, rakeback);
+    add(state.claimable, player, rakeback);
+  };
+
+  const views = {
+    referralBps: () => [referralBps],
+    rakebackBps: () => [rakebackBps],
+    referrerOf: ([player]) => [state.referrerOf[player.toLowerCase()] || ethers.ZeroAddress],
+    hasPlayed: ([player]) => [Boolean(state.hasPlayed[player.toLowerCase()])],
+    getReferees: ([referrer]) => [state.referees[referrer.toLowerCase()] || []],
+    wagered: native(state.wagered),
+    referralEarned: native(state.referralEarned),
+    rakebackEarned: native(state.rakebackEarned),
+    claimable: native(state.claimable),
+  };
+
+  const writes = {
+    claim: ([token], { from }) => {
+      if (token !== ethers.ZeroAddress || !state.claimable[from.toLowerCase()]) throw new Revert('Nothing to claim');
+      return () => {
+        state.claimable[from.toLowerCase()] = 0n;
+      };
+    },
+  };
+
+  return {
+    address: REWARDS_ADDRESS,
+    state,
+    recordBet,
+
+    call: ({ data }) => {
+      const { fragment, args } = rewardsInterface.parseTransaction({ data });
+      const result = views[fragment.name]
+        ? views[fragment.name](args)
+        : ethers.AbiCoder.defaultAbiCoder().getDefaultValue(fragment.outputs);
+      return rewardsInterface.encodeFunctionResult(fragment, result);
+    },
+
+    send: ({ from, data, value = 0n }, { timestamp, dryRun = false }) => {
+      const { name, args } = rewardsInterface.parseTransaction({ data, value });
+      if (!writes[name]) throw new Error(`The fake MinesRewards does not implement ${name}`);
+      const apply = writes[name](args, { from, value, timestamp });
+      if (!dryRun) {
+        apply();
+        state.sent.push({ name, args: [...args], from: ethers.getAddress(from), value });
+      }
+    },
+  };
+};
@@ -0,0 +1,191 @@
+import { ethers } from 'ethers';
+import MinesRoomsContract from '../MinesRooms.json';
+import { Revert } from './fakeMinesGame';
+
+const roomsInterface = new ethers.Interface(MinesRoomsContract.abi);
+
+export const ROOMS_ADDRESS = '0x0000000000000000000000000000000000005678';
+
+const Status = { None: 0, Waiting: 1, Playing: 2, Finished: 3, Cancelled: 4 };
+const Player = { None: 0, Active: 1, Left: 2, Eliminated: 3 };
+
+// In-memory stand-in for MinesRooms. There is no house: picks wait until the test calls
+// `resolve(roomId, isMine)`. Seed commitments are unlimited and the pause switch is off.
+export const createFakeMinesRooms = ({ turnTimeout = 300 } = {}) => {
+  const state = { rooms: {}, nextRoomId: 1, claimable: {}, sent: [] };
+
+  const roomOf = (roomId) => state.rooms[Number(roomId)];
+  const statusOf = (room, player) => room.statuses[player.toLowerCase()] || Player.None;
+  const credit = (account, amount) => {
+    state.claimable[account.toLowerCase()] = (state.claimable[account.toLowerCase()] || 0n) + amount;
+  };
+  const revealed = (room) => room.safeTiles | room.mineTiles;
+  const bitCount = (bits) => bits.toString(2).split('').filter(bit => bit === '1').length;
+
+  const advanceTurn = (room, timestamp) => {
+    do {
+      room.turn = (room.turn + 1) % room.players.length;
+    } while (statusOf(room, room.players[room.turn]) !== Player.Active);
+    room.turnStartedAt = timestamp;
+  };
+
+  const finish = (room, cancelled) => {
+    const active = room.players.filter(player => statusOf(room, player) === Player.Active);
+    const share = room.pot / window.BigInt(active.length || 1);
+    active.forEach((player, i) => credit(player, i === active.length - 1 ? room.pot - share * window.BigInt(i) : share));
+    room.pot = 0n;
+    room.pickPending = false;
+    room.status = cancelled ? Status.Cancelled : Status.Finished;
+  };
+
+  const leave = (room, player, timestamp) => {
+    const share = room.pot / window.BigInt(room.activePlayers);
+    room.pot -= share;
+    room.activePlayers -= 1;
+    credit(player, share);
+    if (room.status === Status.Waiting) {
+      room.players = room.players.filter(existing => existing.toLowerCase() !== player.toLowerCase());
+      delete room.statuses[player.toLowerCase()];
+      if (room.activePlayers === 0) room.status = Status.Cancelled;
+      return;
+    }
+    room.statuses[player.toLowerCase()] = Player.Left;
+    if (room.activePlayers <= 1) finish(room, false);
+    else if (room.players[room.turn].toLowerCase() === player.toLowerCase()) advanceTurn(room, timestamp);
+  };
+
+  const views = {
+    nextRoomId: () => [state.nextRoomId],
+    turnTimeout: () => [turnTimeout],
+    claimable: ([account]) => [state.claimable[account.toLowerCase()] || 0n],
+    getRoom: ([roomId]) => {
+      const room = roomOf(roomId);
+      if (!room) return ethers.AbiCoder.defaultAbiCoder().getDefaultValue(roomsInterface.getFunction('getRoom').outputs);
+      const { statuses, ...fields } = room;
+      return [fields, room.players.map(player => statusOf(room, player))];
+    },
+  };
+
+  const writes = {
+    createRoom: ([boardSize, numberOfMines, maxPlayers], { from, value, timestamp }) => {
+      if (value === 0n) throw new Revert('Buy-in must be greater than 0');
+      if (boardSize < 3n || boardSize > 8n) throw new Revert('Invalid board size');
+      if (numberOfMines < 1n || numberOfMines >= boardSize * boardSize) throw new Revert('Invalid mine count');
+      if (maxPlayers < 2n || maxPlayers > 8n) throw new Revert('Invalid player count');
+      return () => {
+        state.rooms[state.nextRoomId++] = {
+          creator: from, buyIn: value, pot: value, status: Status.Waiting,
+          boardSize: Number(boardSize), totalMines: Number(numberOfMines), maxPlayers: Number(maxPlayers),
+          activePlayers: 1, turn: 0, pickPending: false, pendingTile: 0, pendingSeedHash: ethers.ZeroHash, pickBlock: 0,
+          turnStartedAt: timestamp, safeTiles: 0n, mineTiles: 0n,
+          players: [ethers.getAddress(from)], statuses: { [from.toLowerCase()]: Player.Active },
+        };
+      };
+    },
+    joinRoom: ([roomId], { from, value }) => {
+      const room = roomOf(roomId);
+      if (room?.status !== Status.Waiting) throw new Revert('Room is not open');
+      if (room.players.length >= room.maxPlayers) throw new Revert('Room is full');
+      if (statusOf(room, from) !== Player.None) throw new Revert('Already joined');
+      if (value !== room.buyIn) throw new Revert('Send the exact buy-in');
+      return () => {
+        room.players.push(ethers.getAddress(from));
+        room.statuses[from.toLowerCase()] = Player.Active;
+        room.activePlayers += 1;
+        room.pot += value;
+      };
+    },
+    startRoom: ([roomId], { from, timestamp }) => {
+      const room = roomOf(roomId);
+      if (room?.status !== Status.Waiting) throw new Revert('Room is not open');
+      if (statusOf(room, from) !== Player.Active) throw new Revert('Not in this room');
+      if (room.players.length < 2) throw new Revert('Need at least 2 players');
+      return () => {
+        room.status = Status.Playing;
+        room.turnStartedAt = timestamp;
+      };
+    },
+    pickTile: ([roomId, tileIndex], { from, timestamp }) => {
+      const room = roomOf(roomId);
+      if (room?.status !== Status.Playing) throw new Revert('Room is not playing');
+      if (room.pickPending) throw new Revert('Waiting for the house');
+      if (room.players[room.turn].toLowerCase() !== from.toLowerCase()) throw new Revert('Not your turn');
+      if (tileIndex >= window.BigInt(room.boardSize * room.boardSize)) throw new Revert('Invalid tile index');
+      if (revealed(room) & (1n << tileIndex)) throw new Revert('Tile already revealed');
+      return () => {
+        room.pickPending = true;
+        room.pendingTile = Number(tileIndex);
+        room.turnStartedAt = timestamp;
+      };
+    },
+    leaveRoom: ([roomId], { from, timestamp }) => {
+      const room = roomOf(roomId);
+      if (room?.status !== Status.Waiting && room?.status !== Status.Playing) throw new Revert('Room is over');
+      if (statusOf(room, from) !== Player.Active) throw new Revert('Not in this room');
+      if (room.pickPending) throw new Revert('Waiting for the house');
+      return () => leave(room, from, timestamp);
+    },
+    timeoutTurn: ([roomId], { timestamp }) => {
+      const room = roomOf(roomId);
+      if (room?.status !== Status.Playing) throw new Revert('Room is not playing');
+      if (timestamp < room.turnStartedAt + turnTimeout) throw new Revert('Turn has not timed out');
+      if (!room.pickPending) return () => leave(room, room.players[room.turn], timestamp);
+      // The pick counts as a mine without revealing the tile, and the house bond refunds the picker
+      return () => {
+        const picker = room.players[room.turn];
+        room.pickPending = false;
+        room.statuses[picker.toLowerCase()] = Player.Eliminated;
+        room.activePlayers -= 1;
+        credit(picker, room.buyIn);
+        if (room.activePlayers <= 1) finish(room, false);
+        else advanceTurn(room, timestamp);
+      };
+    },
+    withdraw: (args, { from }) => {
+      if (!state.claimable[from.toLowerCase()]) throw new Revert('Nothing to withdraw');
+      return () => {
+        state.claimable[from.toLowerCase()] = 0n;
+      };
+    },
+  };
+
+  return {
+    address: ROOMS_ADDRESS,
+    state,
+
+    // What the house's resolvePick does with a seed that makes the pending tile safe or a mine
+    resolve: (roomId, isMine, timestamp = Math.floor(Date.now() / 1000)) => {
+      const room = roomOf(roomId);
+      const bit = 1n << window.BigInt(room.pendingTile);
+      room.pickPending = false;
+      if (isMine) {
+        room.mineTiles |= bit;
+        room.statuses[room.players[room.turn].toLowerCase()] = Player.Eliminated;
+        room.activePlayers -= 1;
+      } else {
+        room.safeTiles |= bit;
+      }
+      const hidden = room.boardSize * room.boardSize - bitCount(revealed(room));
+      if (room.activePlayers <= 1 || hidden === room.totalMines - bitCount(room.mineTiles)) finish(room, false);
+      else advanceTurn(room, timestamp);
+    },
+
+    call: ({ data }) => {
+      const { fragment, args } = roomsInterface.parseTransaction({ data });
+      const result = views[fragment.name]
+        ? views[fragment.name](args)
+        : ethers.AbiCoder.defaultAbiCoder().getDefaultValue(fragment.outputs);
+      return roomsInterface.encodeFunctionResult(fragment, result);
+    },
+
+    send: ({ from, data, value = 0n }, { timestamp, dryRun = false }) => {
+      const { name, args } = roomsInterface.parseTransaction({ data, value });
+      if (!writes[name]) throw new Error(`The fake MinesRooms does not implement ${name}`);
+      const apply = writes[name](args, { from, value, timestamp });
+      if (!dryRun) {
+        apply();
+        state.sent.push({ name, args: [...args], from: ethers.getAddress(from), value });
+      }
+    },
+  };
+};
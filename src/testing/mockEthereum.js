@@ -0,0 +1,219 @@
+import { ethers, FetchRequest } from 'ethers';
+import { somniaTestnet, getDeployment } from '../config';
+import { Revert, encodeRevert } from './fakeMinesGame';
+
+// Hardhat's first default account
+export const PLAYER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+export const GAME_ADDRESS = getDeployment(somniaTestnet.chainId).address;
+
+const GAS_PRICE = ethers.parseUnits('1', 'gwei');
+const GAS_ESTIMATE = 100000n;
+
+const rpcError = (code, message, data) => Object.assign(new Error(message), { code, data });
+
+// A MetaMask-like EIP-1193 provider backed by an in-memory chain. Transactions to a
+// contract in `contracts` (keyed by address) go through its fake and are mined at once,
+// one block each. Every request is recorded in `requests`, and `override(method, handler)`
+// replaces how one is answered, e.g. to make the wallet reject a prompt. The handler gets
+// the params and the default answer, to fall back to.
+export const createMockEthereum = ({
+  accounts = [PLAYER],
+  chainId = somniaTestnet.chainId,
+  chains = [chainId],
+  balance = ethers.parseEther('10'),
+  contracts = {},
+} = {}) => {
+  const fakes = Object.fromEntries(Object.entries(contracts).map(([address, fake]) => [address.toLowerCase(), fake]));
+  const listeners = {};
+  const transactions = new Map();
+  const receipts = new Map();
+  const overrides = {};
+  const wallet = { chainId, chains: [...chains], blockNumber: 1, nonce: 0 };
+
+  const emit = (event, ...args) => (listeners[event] || []).forEach(listener => listener(...args));
+
+  const setChain = (newChainId) => {
+    wallet.chainId = newChainId;
+    emit('chainChanged', ethers.toQuantity(newChainId));
+  };
+
+  const fakeAt = (address) => {
+    const fake = address && fakes[address.toLowerCase()];
+    if (!fake) throw rpcError(-32000, `No contract at ${address}`);
+    return fake;
+  };
+
+  // Contract reverts reach the app as a node would report them
+  const runContract = (run) => {
+    try {
+      return run();
+    } catch (error) {
+      if (error instanceof Revert) throw rpcError(3, `execution reverted: ${error.message}`, encodeRevert(error.message));
+      throw error;
+    }
+  };
+
+  const blockHash = (number) => ethers.id(`block ${number}`);
+
+  const block = (number) => ({
+    number: ethers.toQuantity(number),
+    hash: blockHash(number),
+    parentHash: blockHash(number - 1),
+    timestamp: ethers.toQuantity(Math.floor(Date.now() / 1000)),
+    nonce: '0x0000000000000000',
+    difficulty: '0x0',
+    gasLimit: ethers.toQuantity(30000000),
+    gasUsed: '0x0',
+    miner: ethers.ZeroAddress,
+    extraData: '0x',
+    baseFeePerGas: ethers.toQuantity(GAS_PRICE),
+    transactions: [],
+  });
+
+  const sendTransaction = ({ from, to, data = '0x', value = '0x0' }) => {
+    const amount = ethers.toBigInt(value);
+    runContract(() => fakeAt(to).send(
+      { from, data, value: amount },
+      { timestamp: Math.floor(Date.now() / 1000) }
+    ));
+
+    const blockNumber = ++wallet.blockNumber;
+    const nonce = wallet.nonce++;
+    const hash = ethers.id(`transaction ${nonce}`);
+    const mined = {
+      hash,
+      blockHash: blockHash(blockNumber),
+      blockNumber: ethers.toQuantity(blockNumber),
+      transactionIndex: '0x0',
+      from,
+      to,
+      nonce: ethers.toQuantity(nonce),
+      gas: ethers.toQuantity(GAS_ESTIMATE),
+      gasPrice: ethers.toQuantity(GAS_PRICE),
+      value: ethers.toQuantity(amount),
+      input: data,
+      chainId: ethers.toQuantity(wallet.chainId),
+      type: '0x0',
+      v: '0x1b',
+      r: ethers.id('r'),
+      s: ethers.toBeHex(1n, 32),
+    };
+    transactions.set(hash, mined);
+    receipts.set(hash, {
+      transactionHash: hash,
+      blockHash: mined.blockHash,
+      blockNumber: mined.blockNumber,
+      transactionIndex: '0x0',
+      from,
+      to,
+      contractAddress: null,
+      cumulativeGasUsed: mined.gas,
+      gasUsed: mined.gas,
+      effectiveGasPrice: mined.gasPrice,
+      logs: [],
+      logsBloom: ethers.zeroPadValue('0x', 256),
+      status: '0x1',
+      type: '0x0',
+    });
+    return hash;
+  };
+
+  const handlers = {
+    eth_requestAccounts: () => accounts,
+    eth_accounts: () => accounts,
+    eth_chainId: () => ethers.toQuantity(wallet.chainId),
+    wallet_switchEthereumChain: ([{ chainId: requested }]) => {
+      if (!wallet.chains.includes(Number(requested))) {
+        throw rpcError(4902, `Unrecognized chain ID "${requested}". Try adding the chain using wallet_addEthereumChain first.`);
+      }
+      setChain(Number(requested));
+      return null;
+    },
+    // MetaMask offers to switch to a chain right after adding it
+    wallet_addEthereumChain: ([{ chainId: added }]) => {
+      wallet.chains.push(Number(added));
+      setChain(Number(added));
+      return null;
+    },
+    eth_blockNumber: () => ethers.toQuantity(wallet.blockNumber),
+    eth_getBlockByNumber: ([tag]) => block(tag === 'latest' ? wallet.blockNumber : Number(tag)),
+    eth_getBalance: () => ethers.toQuantity(balance),
+    eth_getTransactionCount: () => ethers.toQuantity(wallet.nonce),
+    eth_gasPrice: () => ethers.toQuantity(GAS_PRICE),
+    eth_maxPriorityFeePerGas: () => '0x0',
+    eth_call: ([tx]) => runContract(() => fakeAt(tx.to).call(tx)),
+    eth_estimateGas: ([tx]) => {
+      runContract(() => fakeAt(tx.to).send(
+        { from: tx.from, data: tx.data, value: ethers.toBigInt(tx.value || 0) },
+        { timestamp: Math.floor(Date.now() / 1000), dryRun: true }
+      ));
+      return ethers.toQuantity(GAS_ESTIMATE);
+    },
+    eth_sendTransaction: ([tx]) => sendTransaction(tx),
+    eth_getTransactionByHash: ([hash]) => transactions.get(hash) || null,
+    eth_getTransactionReceipt: ([hash]) => receipts.get(hash) || null,
+    eth_getLogs: () => [],
+    // Like many public RPCs, so event sync polls eth_getLogs
+    eth_newFilter: () => {
+      throw rpcError(-32601, 'The method eth_newFilter does not exist');
+    },
+  };
+
+  const ethereum = {
+    isMetaMask: true,
+    requests: [],
+    get chainId() {
+      return wallet.chainId;
+    },
+    async request({ method, params = [] }) {
+      ethereum.requests.push({ method, params });
+      if (overrides[method]) return overrides[method](params, handlers[method]);
+      if (!handlers[method]) throw rpcError(4200, `The mock wallet does not support ${method}`);
+      return handlers[method](params);
+    },
+    on(event, listener) {
+      (listeners[event] ||= []).push(listener);
+    },
+    removeListener(event, listener) {
+      listeners[event] = (listeners[event] || []).filter(existing => existing !== listener);
+    },
+    override(method, handler) {
+      overrides[method] = handler;
+    },
+    emit,
+    // Requests with this method, in order
+    requestsFor: (method) => ethereum.requests.filter(request => request.method === method),
+  };
+  return ethereum;
+};
+
+// Answers the app's public RPC requests from the mock too, so reads and receipt polling
+// see the same chain as the wallet
+const answerRpc = (ethereum) => async (request) => {
+  const answer = async ({ id, method, params }) => {
+    try {
+      return { jsonrpc: '2.0', id, result: await ethereum.request({ method, params }) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id, error: { code: error.code, message: error.message, data: error.data } };
+    }
+  };
+  const payload = JSON.parse(ethers.toUtf8String(request.body));
+  const result = Array.isArray(payload) ? await Promise.all(payload.map(answer)) : await answer(payload);
+  return {
+    statusCode: 200,
+    statusMessage: 'OK',
+    headers: { 'content-type': 'application/json' },
+    body: ethers.toUtf8Bytes(JSON.stringify(result)),
+  };
+};
+
+// Sets the mock as window.ethereum and routes RPC over HTTP to it. Returns the cleanup.
+export const installMockEthereum = (ethereum) => {
+  window.ethereum = ethereum;
+  FetchRequest.registerGetUrl(answerRpc(ethereum));
+  return () => {
+    delete window.ethereum;
+    FetchRequest.registerGetUrl(FetchRequest.createGetUrlFunc());
+  };
+};
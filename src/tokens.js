@@ -0,0 +1,116 @@
+import { ethers } from 'ethers';
+import { NATIVE_TOKEN, getActiveNetwork, getContract, getContractWithSigner, getProvider, getSigner } from './config';
+import { sendTransaction } from './transactions';
+
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+const getTokenContract = (address, runner) => new ethers.Contract(address, ERC20_ABI, runner);
+
+export const getNativeToken = () => ({
+  address: NATIVE_TOKEN,
+  symbol: getActiveNetwork()?.nativeCurrency.symbol || 'ETH',
+  decimals: 18,
+  allowed: true,
+});
+
+// The native currency followed by every ERC-20 the contract has whitelisted. Delisted
+// tokens stay in the list with allowed = false so liquidity providers can still withdraw.
+export const fetchBetTokens = async () => {
+  const native = getNativeToken();
+  const contract = getContract();
+  if (!contract) return [native];
+
+  try {
+    const addresses = await contract.getTokens();
+    const provider = getProvider();
+    const tokens = await Promise.all(addresses.map(async (address) => {
+      const token = getTokenContract(address, provider);
+      const [symbol, decimals, pool] = await Promise.all([token.symbol(), token.decimals(), contract.pools(address)]);
+      return { address, symbol, decimals: Number(decimals), allowed: pool.allowed };
+    }));
+    return [native, ...tokens];
+  } catch (error) {
+    console.error('Error reading bet tokens:', error);
+    return [native];
+  }
+};
+
+// Rounds and games only carry the token address, so unknown ones still get a label
+export const findToken = (tokens, address) => (
+  tokens.find(token => token.address.toLowerCase() === address?.toLowerCase())
+  || (address && address !== NATIVE_TOKEN
+    ? { address, symbol: `${address.slice(0, 6)}...`, decimals: 18, allowed: false }
+    : getNativeToken())
+);
+
+export const formatTokenAmount = (amount, token) => ethers.formatUnits(amount, token.decimals);
+
+export const parseTokenAmount = (amount, token) => ethers.parseUnits(amount, token.decimals);
+
+// Balance of every token in base units, keyed by token address
+export const fetchTokenBalances = async (owner, tokens) => {
+  const provider = getProvider();
+  if (!owner || !provider) return {};
+
+  const balances = await Promise.all(tokens.map(async (token) => {
+    try {
+      return token.address === NATIVE_TOKEN
+        ? await provider.getBalance(owner)
+        : await getTokenContract(token.address, provider).balanceOf(owner);
+    } catch (error) {
+      console.error(`Error reading ${token.symbol} balance:`, error);
+      return 0n;
+    }
+  }));
+  return Object.fromEntries(tokens.map((token, i) => [token.address, balances[i]]));
+};
+
+// Winnings and withdrawn liquidity MinesGame has credited to owner but not paid out yet
+export const fetchClaimable = async (owner, tokens) => {
+  const contract = getContract();
+  if (!owner || !contract) return {};
+
+  const amounts = await Promise.all(tokens.map(async (token) => {
+    try {
+      return await contract.claimable(token.address, owner);
+    } catch (error) {
+      console.error(`Error reading claimable ${token.symbol}:`, error);
+      return 0n;
+    }
+  }));
+  return Object.fromEntries(tokens.map((token, i) => [token.address, amounts[i]]));
+};
+
+// How much of the token MinesGame may pull from owner; native bets need no approval
+export const fetchAllowance = async (owner, token) => {
+  if (token.address === NATIVE_TOKEN) return ethers.MaxUint256;
+  const contract = getContract();
+  if (!owner || !contract) return 0n;
+
+  try {
+    return await getTokenContract(token.address, getProvider()).allowance(owner, await contract.getAddress());
+  } catch (error) {
+    console.error(`Error reading ${token.symbol} allowance:`, error);
+    return 0n;
+  }
+};
+
+// Approves MinesGame for exactly `amount` when the current allowance is short,
+// and waits for the approval so the bet or deposit that follows can pull it
+export const ensureAllowance = async (token, amount) => {
+  if (token.address === NATIVE_TOKEN) return;
+  const [signer, contract] = await Promise.all([getSigner(), getContractWithSigner()]);
+  if (!signer || !contract) throw new Error('No contract instance available');
+
+  const spender = await contract.getAddress();
+  const erc20 = getTokenContract(token.address, signer);
+  if ((await erc20.allowance(await signer.getAddress(), spender)) >= amount) return;
+
+  await sendTransaction({ label: `Approve ${token.symbol}`, method: erc20.approve, args: [spender, amount] });
+};
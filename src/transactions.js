@@ -0,0 +1,266 @@
+import { ethers } from 'ethers';
+import MinesGameContract from './MinesGame.json';
+import { getExplorerTxUrl, getReadOnlyProvider } from './config';
+
+// Sent transactions are kept here until they settle, so a reload can pick them up again
+const STORAGE_KEY = 'minesomnia:pendingTransactions';
+const POLL_INTERVAL = 1500;
+// A transaction the node has not known for this long while its nonce is still unused was dropped
+const DROP_TIMEOUT = 3 * 60 * 1000;
+const CONFIRMED_TOAST_DURATION = 6000;
+const MAX_TOASTS = 4;
+
+const gameInterface = new ethers.Interface(MinesGameContract.abi);
+// MinesGame bubbles up the reverts of the tokens it pulls bets and deposits from
+const tokenInterface = new ethers.Interface([
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+]);
+
+// Contract reasons that mean little to a player; anything else is shown as the contract words it
+const REVERT_MESSAGES = {
+  'No active game': 'You have no game running.',
+  'Player already has an active game': 'You already have a game running. Finish it first.',
+  'Bet exceeds max for this mine count': 'The bet is above the max bet for this board and mine count.',
+  'No house seed available': 'The house has no seed ready. Try again in a moment.',
+  'Tile already revealed': 'That tile is already picked.',
+  'Cash out already requested': 'Cash out is already requested. Waiting for the house.',
+  'Game has not timed out': 'Only the player can forfeit this game until it times out.',
+  'Cash out has not timed out': 'The house still has time to settle this cash out.',
+  'Token not allowed': 'This token is not accepted anymore.',
+  'Token transfer amount mismatch': 'This token takes a fee on transfer and cannot be used.',
+  'Liquidity reserved for active games': 'That much of the pool backs running games. Try a smaller withdrawal.',
+  'Withdraw cooldown active': 'Your last deposit is still in its withdraw cooldown.',
+  'Nothing to withdraw': 'You have nothing to claim.',
+  'Bet below min bet': 'The bet is below the min bet for this token.',
+  'Mine count out of range': 'That mine count is not allowed right now.',
+  'Invalid bet limits': 'The min bet must not be above the max bet.',
+  'Invalid mine range': 'The mine range must go from at least 1 up to at most 63.',
+  'Unknown token': 'That token has never been whitelisted.',
+  'No active session': 'Your session has ended. Start a new one or play from your wallet.',
+  'Session spend cap reached': 'This game would go over the session spend cap. Play it from your wallet or start a new session.',
+  'Session is for another token': 'Your session is for another token. Play this game from your wallet.',
+  'Nothing to claim': 'You have no rewards to claim.',
+  'Room is not open': 'This room has already started or is over.',
+  'Room is full': 'This room has no seat left.',
+  'Already joined': 'You are already in this room.',
+  'Send the exact buy-in': 'Joining takes exactly the room buy-in.',
+  'Need at least 2 players': 'A room needs at least 2 players to start.',
+  'Not your turn': 'Wait for your turn to pick a tile.',
+  'Waiting for the house': 'The house is still revealing the last pick.',
+  'Turn has not timed out': 'The player whose turn it is still has time left.',
+  'House bond too low': 'The house has not put up enough bond for picks right now. Try again later.',
+  'New games are paused': 'New games are paused. Running games can still be finished.',
+};
+
+const CUSTOM_ERROR_MESSAGES = {
+  AccessControlUnauthorizedAccount: 'Your account is not allowed to do this.',
+  SafeERC20FailedOperation: 'The token transfer failed.',
+  ERC20InsufficientBalance: 'Your token balance is too low.',
+  ERC20InsufficientAllowance: 'The token allowance is too low.',
+  ECDSAInvalidSignature: 'The signature is invalid.',
+  FailedCall: 'The payment to your account failed.',
+  EnforcedPause: 'New games are paused. Running games can still be finished.',
+};
+
+const findRevertData = (err) => {
+  const data = err?.data ?? err?.info?.error?.data ?? err?.error?.data;
+  return typeof data === 'string' && ethers.isHexString(data) && data.length >= 10 ? data : null;
+};
+
+const decodeRevert = (err) => {
+  if (err?.revert) return err.revert;
+  const data = findRevertData(err);
+  if (!data) return null;
+  for (const contractInterface of [gameInterface, tokenInterface]) {
+    try {
+      const { revert } = contractInterface.makeError(data, { data: '0x' });
+      if (revert) return revert;
+    } catch {
+      // Not one of this interface's errors
+    }
+  }
+  return null;
+};
+
+// Turns wallet, RPC and contract errors into a sentence a player can act on
+export const describeError = (err) => {
+  // ethers reports wallet rejections as ACTION_REJECTED; direct wallet requests carry EIP-1193's 4001
+  if (err?.code === 'ACTION_REJECTED' || err?.code === 4001) return 'You rejected the request in your wallet.';
+  if (err?.code === 'INSUFFICIENT_FUNDS') return 'Your balance cannot cover this transaction and its gas.';
+
+  const revert = decodeRevert(err);
+  if (revert?.name === 'Error') return REVERT_MESSAGES[revert.args[0]] || revert.args[0];
+  if (revert?.name === 'Panic') return 'The contract hit an internal error.';
+  if (revert) return CUSTOM_ERROR_MESSAGES[revert.name] || `The contract rejected this (${revert.name}).`;
+  if (err?.reason) return REVERT_MESSAGES[err.reason] || err.reason;
+  return err?.shortMessage || err?.message || String(err);
+};
+
+const transactionError = (message, code) => Object.assign(new Error(message), { code });
+
+// Pending transactions in localStorage
+
+const loadPending = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const savePending = (records) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  } catch (error) {
+    console.error('Error saving pending transactions:', error);
+  }
+};
+
+const removePending = (hash) => savePending(loadPending().filter(record => record.hash !== hash));
+
+// Toast queue
+
+let toasts = [];
+const listeners = new Set();
+
+const setToasts = (next) => {
+  toasts = next.slice(-MAX_TOASTS);
+  listeners.forEach(listener => listener(toasts));
+};
+
+export const subscribeToTransactions = (listener) => {
+  listeners.add(listener);
+  listener(toasts);
+  return () => listeners.delete(listener);
+};
+
+export const dismissTransaction = (hash) => setToasts(toasts.filter(toast => toast.hash !== hash));
+
+const showToast = (record, status, message = null) => {
+  const toast = {
+    hash: record.hash,
+    label: record.label,
+    status,
+    message,
+    url: getExplorerTxUrl(record.chainId, record.hash),
+  };
+  setToasts([...toasts.filter(existing => existing.hash !== record.hash), toast]);
+  if (status === 'confirmed') {
+    setTimeout(() => dismissTransaction(record.hash), CONFIRMED_TOAST_DURATION);
+  }
+};
+
+// Waiting for a transaction
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Replays a reverted transaction at the block before it to recover the reason
+const findFailureReason = async (provider, record, receipt) => {
+  try {
+    const tx = await provider.getTransaction(record.hash);
+    if (!tx) return 'The transaction reverted.';
+    await provider.call({
+      from: tx.from, to: tx.to, data: tx.data, value: tx.value, blockTag: receipt.blockNumber - 1,
+    });
+  } catch (err) {
+    if (decodeRevert(err) || err?.reason) return describeError(err);
+  }
+  return 'The transaction reverted.';
+};
+
+// What ended a transaction when it did not get mined. Anything else thrown while polling is
+// the RPC failing, which says nothing about the transaction.
+const OUTCOME_CODES = new Set(['CALL_EXCEPTION', 'TRANSACTION_REPLACED', 'TRANSACTION_DROPPED']);
+
+// One look at the transaction: its receipt, null while it is pending, or an outcome error.
+// The nonce tells a replaced transaction (sped up or cancelled in the wallet) from a slow one.
+const checkReceipt = async (provider, record) => {
+  let receipt = await provider.getTransactionReceipt(record.hash);
+  if (!receipt && await provider.getTransactionCount(record.from, 'latest') > record.nonce) {
+    // It may have been mined between the two calls
+    receipt = await provider.getTransactionReceipt(record.hash);
+    if (!receipt) {
+      throw transactionError(`${record.label} was replaced by another transaction from your wallet.`, 'TRANSACTION_REPLACED');
+    }
+  }
+  if (receipt) {
+    if (receipt.status === 0) {
+      throw transactionError(await findFailureReason(provider, record, receipt), 'CALL_EXCEPTION');
+    }
+    return receipt;
+  }
+  if (Date.now() - record.sentAt > DROP_TIMEOUT && !(await provider.getTransaction(record.hash))) {
+    throw transactionError(`${record.label} was dropped by the network. Nothing was changed.`, 'TRANSACTION_DROPPED');
+  }
+  return null;
+};
+
+// Polls the network's public RPC, so waiting goes on whatever chain the wallet moves to.
+// A dropped connection or a failing RPC only costs a poll.
+const waitForReceipt = async (record) => {
+  const provider = getReadOnlyProvider(record.chainId);
+  if (!provider) throw transactionError(`${record.label} was sent on an unknown network.`, 'UNKNOWN_NETWORK');
+
+  for (;;) {
+    try {
+      const receipt = await checkReceipt(provider, record);
+      if (receipt) return receipt;
+    } catch (err) {
+      if (OUTCOME_CODES.has(err.code)) throw err;
+      console.error(`Error polling ${record.label}:`, err);
+    }
+    await sleep(POLL_INTERVAL);
+  }
+};
+
+const TOAST_STATUS = { TRANSACTION_REPLACED: 'replaced', TRANSACTION_DROPPED: 'dropped' };
+
+const watching = new Map();
+
+// The stored record goes once the transaction has an outcome. One sent on a network this
+// version does not know stays for a later visit.
+const track = (record) => {
+  if (!watching.has(record.hash)) {
+    showToast(record, 'pending');
+    const promise = waitForReceipt(record)
+      .then(receipt => {
+        removePending(record.hash);
+        showToast(record, 'confirmed');
+        return receipt;
+      })
+      .catch(err => {
+        if (OUTCOME_CODES.has(err.code)) removePending(record.hash);
+        showToast(record, TOAST_STATUS[err.code] || 'failed', err.message);
+        throw err;
+      })
+      .finally(() => {
+        watching.delete(record.hash);
+      });
+    watching.set(record.hash, promise);
+  }
+  return watching.get(record.hash);
+};
+
+// Waits for a transaction sent outside sendTransaction, such as one a relayer submitted,
+// with the same persistence and toasts
+export const watchTransaction = (record) => {
+  const pending = { ...record, sentAt: Date.now() };
+  savePending([...loadPending().filter(existing => existing.hash !== pending.hash), pending]);
+  return track(pending);
+};
+
+// Estimates, sends and waits for a contract call. The gas estimate runs the call first, so
+// most reverts surface before the wallet asks for a signature. Resolves with the receipt.
+export const sendTransaction = async ({ label, method, args = [], overrides = {} }) => {
+  const estimatedGas = await method.estimateGas(...args, overrides);
+  const tx = await method(...args, { ...overrides, gasLimit: (estimatedGas * 12n) / 10n });
+
+  return watchTransaction({ hash: tx.hash, chainId: Number(tx.chainId), from: tx.from, nonce: tx.nonce, label });
+};
+
+// Picks up the transactions a reload interrupted on this chain. Each promise settles like
+// the one sendTransaction returned.
+export const resumePendingTransactions = (chainId) => (
+  loadPending().filter(record => record.chainId === chainId).map(track)
+);
@@ -0,0 +1,56 @@
+import { ethers } from 'ethers';
+import MinesGameContract from './MinesGame.json';
+import { watchTransaction } from './transactions';
+import { somniaTestnet } from './config';
+import { createFakeMinesGame } from './testing/fakeMinesGame';
+import { createMockEthereum, installMockEthereum, GAME_ADDRESS, PLAYER } from './testing/mockEthereum';
+
+const STORAGE_KEY = 'minesomnia:pendingTransactions';
+
+const gameInterface = new ethers.Interface(MinesGameContract.abi);
+
+let uninstall = null;
+
+afterEach(() => {
+  uninstall?.();
+  uninstall = null;
+});
+
+// Mines a startGame straight through the wallet and returns the record the app would keep
+const sendStartGame = async (ethereum) => {
+  const hash = await ethereum.request({
+    method: 'eth_sendTransaction',
+    params: [{
+      from: PLAYER,
+      to: GAME_ADDRESS,
+      data: gameInterface.encodeFunctionData('startGame', [5, 3, ethers.ZeroHash, ethers.ZeroAddress]),
+      value: ethers.toQuantity(ethers.parseEther('0.1')),
+    }],
+  });
+  return { hash, chainId: somniaTestnet.chainId, from: PLAYER, nonce: 0, label: 'Start game' };
+};
+
+describe('watchTransaction', () => {
+  it('keeps polling through RPC errors and forgets the transaction once it is mined', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const ethereum = createMockEthereum({ contracts: { [GAME_ADDRESS]: createFakeMinesGame() } });
+    uninstall = installMockEthereum(ethereum);
+    const record = await sendStartGame(ethereum);
+
+    // The public RPC fails the first receipt lookup; the record must survive it
+    const storedDuringOutage = [];
+    ethereum.override('eth_getTransactionReceipt', (params, answer) => {
+      if (storedDuringOutage.length === 0) {
+        storedDuringOutage.push(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        throw Object.assign(new Error('upstream connect error'), { code: -32603 });
+      }
+      return answer(params);
+    });
+
+    const receipt = await watchTransaction(record);
+
+    expect(receipt.hash).toBe(record.hash);
+    expect(storedDuringOutage).toEqual([[expect.objectContaining({ hash: record.hash })]]);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual([]);
+  });
+});
@@ -5,7 +5,18 @@ module.exports = {
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      // Tiles turn over as a round's board is revealed
+      keyframes: {
+        'flip-in': {
+          '0%': { transform: 'rotateY(90deg) scale(0.8)', opacity: '0' },
+          '100%': { transform: 'rotateY(0deg) scale(1)', opacity: '1' },
+        },
+      },
+      animation: {
+        'flip-in': 'flip-in 0.35s ease-out both',
+      },
+    },
   },
   plugins: [],
 }
\ No newline at end of file